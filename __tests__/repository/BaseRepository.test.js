@@ -1,5 +1,11 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('../../repository/BaseRepository');
 const ApiError = require('../../exception/ApiError');
+const { getCurrentTransaction } = require('../../model/db');
+
+jest.mock('../../model/db', () => ({
+    getCurrentTransaction: jest.fn()
+}));
 
 // Mock model for testing
 const mockModel = {
@@ -10,7 +16,10 @@ const mockModel = {
     findAll: jest.fn(),
     update: jest.fn(),
     destroy: jest.fn(),
-    count: jest.fn()
+    count: jest.fn(),
+    sequelize: {
+        transaction: jest.fn()
+    }
 };
 
 describe('BaseRepository', () => {
@@ -147,6 +156,20 @@ describe('BaseRepository', () => {
         });
     });
 
+    describe('findByIds', () => {
+        it('should find the records with any of the IDs in one query', async () => {
+            mockModel.findAll.mockResolvedValue([{ id: 2 }]);
+
+            const result = await repository.findByIds([1, 2], { attributes: ['id'] });
+
+            expect(mockModel.findAll).toHaveBeenCalledWith({
+                attributes: ['id'],
+                where: { id: { [Op.in]: [1, 2] } }
+            });
+            expect(result).toEqual([{ id: 2 }]);
+        });
+    });
+
     describe('findAll', () => {
         it('should find all records', async () => {
             const mockRecords = [
@@ -453,4 +476,36 @@ describe('BaseRepository', () => {
                 .toThrow(ApiError);
         });
     });
-}); 
+
+    describe('transaction', () => {
+        it('should run the callback inside a managed transaction', async () => {
+            mockModel.sequelize.transaction.mockImplementation(callback => callback());
+            const callback = jest.fn().mockResolvedValue('result');
+
+            const result = await repository.transaction(callback);
+
+            expect(mockModel.sequelize.transaction).toHaveBeenCalled();
+            expect(callback).toHaveBeenCalled();
+            expect(result).toBe('result');
+        });
+
+        it('should join the active transaction instead of opening a new one', async () => {
+            getCurrentTransaction.mockReturnValueOnce({ id: 'outer' });
+            const callback = jest.fn().mockResolvedValue('result');
+
+            const result = await repository.transaction(callback);
+
+            expect(mockModel.sequelize.transaction).not.toHaveBeenCalled();
+            expect(result).toBe('result');
+        });
+
+        it('should propagate errors thrown by the callback', async () => {
+            mockModel.sequelize.transaction.mockImplementation(callback => callback());
+            const callback = jest.fn().mockRejectedValue(new Error('Insufficient balance'));
+
+            await expect(repository.transaction(callback))
+                .rejects
+                .toThrow('Insufficient balance');
+        });
+    });
+});
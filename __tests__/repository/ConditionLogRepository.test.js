@@ -0,0 +1,31 @@
+const ConditionLogRepository = require('../../repository/ConditionLogRepository');
+const { ConditionLog } = require('../../model');
+
+// Mock model
+jest.mock('../../model', () => ({
+  ConditionLog: {
+    findAll: jest.fn(),
+    name: 'ConditionLog'
+  }
+}));
+
+describe('ConditionLogRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByEventId', () => {
+    it('should return the log entries of an event oldest first', async () => {
+      const mockEntries = [{ id: 1 }, { id: 2 }];
+      ConditionLog.findAll.mockResolvedValue(mockEntries);
+
+      const result = await ConditionLogRepository.findByEventId(10);
+
+      expect(ConditionLog.findAll).toHaveBeenCalledWith({
+        where: { eventId: 10 },
+        order: [['evaluatedAt', 'ASC'], ['id', 'ASC']]
+      });
+      expect(result).toBe(mockEntries);
+    });
+  });
+});
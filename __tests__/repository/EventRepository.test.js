@@ -1,6 +1,7 @@
 const EventRepository = require('../../repository/EventRepository');
 const BaseRepository = require('../../repository/BaseRepository');
 const { Event, EventEndCondition, EndCondition, Participation, User } = require('../../model');
+const { Op } = require('sequelize');
 const { EVENT_STATUSES, CONDITION_TYPES } = require('../../constants');
 const ApiError = require('../../exception/ApiError');
 
@@ -453,7 +454,7 @@ describe('EventRepository', () => {
 
             expect(Event.findAll).toHaveBeenCalledWith({
                 where: { 
-                    status: EVENT_STATUSES.IN_PROGRESS 
+                    status: { [Op.in]: [EVENT_STATUSES.IN_PROGRESS] }
                 },
                 include: [{
                     model: EventEndCondition,
@@ -471,6 +472,16 @@ describe('EventRepository', () => {
             expect(result).toEqual(mockEvents);
         });
 
+        it('should find events with the given statuses', async () => {
+            Event.findAll.mockResolvedValue([]);
+
+            await EventRepository.findActiveEvents(['SCHEDULED', 'IN_PROGRESS']);
+
+            expect(Event.findAll).toHaveBeenCalledWith(expect.objectContaining({
+                where: { status: { [Op.in]: ['SCHEDULED', 'IN_PROGRESS'] } }
+            }));
+        });
+
         it('should return empty array if no active events found', async () => {
             Event.findAll.mockResolvedValue([]);
 
@@ -535,6 +546,336 @@ describe('EventRepository', () => {
         });
     });
 
+    describe('transitionStatus', () => {
+        it('should change the status only from the expected status', async () => {
+            Event.update.mockResolvedValue([1]);
+
+            const result = await EventRepository.transitionStatus(1, 'IN_PROGRESS', 'FINISHED');
+
+            expect(Event.update).toHaveBeenCalledWith(
+                { status: 'FINISHED' },
+                { where: { id: 1, status: 'IN_PROGRESS' } }
+            );
+            expect(result).toBe(true);
+        });
+
+        it('should return false if the event has another status', async () => {
+            Event.update.mockResolvedValue([0]);
+
+            const result = await EventRepository.transitionStatus(1, 'IN_PROGRESS', 'FAILED');
+
+            expect(result).toBe(false);
+        });
+
+        it('should set other fields together with the status', async () => {
+            const startsAt = new Date();
+            Event.update.mockResolvedValue([1]);
+
+            await EventRepository.transitionStatus(1, 'DRAFT', 'SCHEDULED', { startsAt });
+
+            expect(Event.update).toHaveBeenCalledWith(
+                { startsAt, status: 'SCHEDULED' },
+                { where: { id: 1, status: 'DRAFT' } }
+            );
+        });
+    });
+
+    describe('findDueScheduledEvents', () => {
+        it('should find scheduled events whose start time has arrived', async () => {
+            const now = new Date();
+            const mockEvents = [{ id: 1, status: 'SCHEDULED' }];
+            Event.findAll.mockResolvedValue(mockEvents);
+
+            const result = await EventRepository.findDueScheduledEvents(now);
+
+            expect(Event.findAll).toHaveBeenCalledWith({
+                where: {
+                    status: 'SCHEDULED',
+                    startsAt: { [Op.lte]: now }
+                }
+            });
+            expect(result).toBe(mockEvents);
+        });
+    });
+
+    describe('findPage', () => {
+        // Sequelize where() conditions on computed values, as { sql, logic }
+        const computedConditions = (options) => options.where[Op.and]
+            .filter(condition => condition.attribute)
+            .map(condition => ({ sql: condition.attribute.val, logic: condition.logic }));
+
+        beforeEach(() => {
+            Event.findAll.mockResolvedValue([]);
+        });
+
+        it('should list the newest events and hide the drafts of others', async () => {
+            await EventRepository.findPage({ limit: 31, viewerId: 3 });
+
+            const options = Event.findAll.mock.calls[0][0];
+            expect(options.where[Op.and]).toEqual([{
+                [Op.or]: [{ status: { [Op.ne]: 'DRAFT' } }, { userId: 3 }]
+            }]);
+            expect(options.order[0][0].val).toBe('`Event`.`createdAt`');
+            expect(options.order[0][1]).toBe('DESC');
+            expect(options.order[1]).toEqual(['id', 'DESC']);
+            expect(options.attributes.include[0][1]).toBe('sortValue');
+            expect(options.limit).toBe(31);
+        });
+
+        it('should include every draft for admins', async () => {
+            await EventRepository.findPage({ limit: 10, allDrafts: true });
+
+            expect(Event.findAll.mock.calls[0][0].where[Op.and]).toEqual([]);
+        });
+
+        it('should filter by the event fields, the stored bank and the computed deadline', async () => {
+            const nowSpy = jest.spyOn(require('../../utils/clock').clock, 'now').mockReturnValue(new Date('2030-01-01T00:00:00.000Z'));
+
+            await EventRepository.findPage({
+                filter: { type: 'DONATION', status: 'IN_PROGRESS', creatorId: 3, recipientId: 4, endingWithinHours: 24, minBank: 10, maxBank: 500 },
+                limit: 10,
+                allDrafts: true
+            });
+
+            const options = Event.findAll.mock.calls[0][0];
+            expect(options.where[Op.and].slice(0, 4)).toEqual([
+                { type: 'DONATION' },
+                { status: 'IN_PROGRESS' },
+                { userId: 3 },
+                { recipientId: 4 }
+            ]);
+            expect(options.where[Op.and].slice(6)).toEqual([
+                { bankAmount: { [Op.gte]: 10 } },
+                { bankAmount: { [Op.lte]: 500 } }
+            ]);
+            const computed = computedConditions(options);
+            expect(computed.map(condition => condition.logic)).toEqual([
+                { [Op.gt]: new Date('2030-01-01T00:00:00.000Z') },
+                { [Op.lte]: new Date('2030-01-02T00:00:00.000Z') }
+            ]);
+            expect(computed[0].sql).toContain("`c`.`name` IN ('TIME', 'DURATION')");
+            expect(computed[0].sql).toContain('AS DATETIME(3)');
+            expect(computed[0].sql).toContain('INTERVAL CAST(`c`.`value` AS UNSIGNED) HOUR');
+            nowSpy.mockRestore();
+        });
+
+        it('should sort by the stored bank and participant count', async () => {
+            await EventRepository.findPage({ orderBy: 'BIGGEST_BANK', limit: 10, allDrafts: true });
+            await EventRepository.findPage({ orderBy: 'MOST_PARTICIPANTS', limit: 10, allDrafts: true });
+
+            expect(Event.findAll.mock.calls[0][0].order[0][0].val).toBe('`Event`.`bankAmount`');
+            expect(Event.findAll.mock.calls[1][0].order[0][0].val).toBe('`Event`.`participantCount`');
+        });
+
+        it('should continue after the cursor position in the direction of the order', async () => {
+            await EventRepository.findPage({
+                orderBy: 'ENDING_SOONEST',
+                after: { value: '2030-01-01T00:00:00.000Z', id: 5 },
+                limit: 10,
+                allDrafts: true
+            });
+
+            const options = Event.findAll.mock.calls[0][0];
+            const [position] = options.where[Op.and];
+            expect(position[Op.or][0].logic).toEqual({ [Op.gt]: new Date('2030-01-01T00:00:00.000Z') });
+            expect(position[Op.or][1][Op.and][0].logic).toEqual({ [Op.eq]: new Date('2030-01-01T00:00:00.000Z') });
+            expect(position[Op.or][1][Op.and][1]).toEqual({ id: { [Op.gt]: 5 } });
+            expect(options.order[0][1]).toBe('ASC');
+            expect(options.order[0][0].val).toContain("CAST('9999-12-31 23:59:59.999' AS DATETIME(3))");
+        });
+
+        it('should compare dates of the NEWEST order as dates', async () => {
+            await EventRepository.findPage({ after: { value: '2030-01-01T00:00:00.000Z', id: 5 }, limit: 10, allDrafts: true });
+
+            const [position] = Event.findAll.mock.calls[0][0].where[Op.and];
+            expect(position[Op.or][0].logic).toEqual({ [Op.lt]: new Date('2030-01-01T00:00:00.000Z') });
+        });
+    });
+
+    describe('search', () => {
+        // Sequelize DatabaseError as thrown by MySQL without the FULLTEXT index
+        const fullTextIndexMissing = Object.assign(new Error("Can't find FULLTEXT index matching the column list"), {
+            original: { code: 'ER_FT_MATCHING_KEY_NOT_FOUND', errno: 1191 }
+        });
+
+        it('should rank matches of the FULLTEXT index by relevance, then recency', async () => {
+            Event.findAll.mockResolvedValue([]);
+
+            await EventRepository.search(['charity', 'run'], { filter: { type: 'DONATION' }, limit: 10, viewerId: 3 });
+
+            expect(Event.findAll).toHaveBeenCalledTimes(1);
+            const options = Event.findAll.mock.calls[0][0];
+            const relevance = "MATCH(`Event`.`name`, `Event`.`description`) AGAINST('+charity* +run*' IN BOOLEAN MODE)";
+            expect(options.attributes.include[0][0].val).toBe(relevance);
+            expect(options.attributes.include[0][1]).toBe('relevance');
+            expect(options.where[Op.and][0]).toEqual({ type: 'DONATION' });
+            expect(options.where[Op.and][1]).toEqual({ [Op.or]: [{ status: { [Op.ne]: 'DRAFT' } }, { userId: 3 }] });
+            expect(options.where[Op.and][2].attribute.val).toBe(relevance);
+            expect(options.where[Op.and][2].logic).toEqual({ [Op.gt]: 0 });
+            expect(options.order[0][0].val).toBe(relevance);
+            expect(options.order.slice(1)).toEqual([['createdAt', 'DESC'], ['id', 'DESC']]);
+            expect(options.limit).toBe(10);
+        });
+
+        it('should fall back to LIKE patterns when the FULLTEXT index is missing', async () => {
+            Event.findAll.mockRejectedValueOnce(fullTextIndexMissing).mockResolvedValueOnce([{ id: 1 }]);
+
+            const result = await EventRepository.search(['run'], { limit: 10, allDrafts: true });
+
+            expect(result).toEqual([{ id: 1 }]);
+            const options = Event.findAll.mock.calls[1][0];
+            expect(options.attributes.include[0][0].val).toBe(
+                "(CASE WHEN `Event`.`name` LIKE '%run%' THEN 2 ELSE 0 END) + (CASE WHEN `Event`.`description` LIKE '%run%' THEN 1 ELSE 0 END)"
+            );
+            expect(options.where[Op.and]).toEqual([{
+                [Op.or]: [
+                    { name: { [Op.like]: '%run%' } },
+                    { description: { [Op.like]: '%run%' } }
+                ]
+            }]);
+        });
+
+        it('should not fall back on other database errors', async () => {
+            Event.findAll.mockRejectedValue(new Error('Connection lost'));
+
+            await expect(EventRepository.search(['run'], { limit: 10 })).rejects.toThrow(ApiError);
+            expect(Event.findAll).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('cancel', () => {
+        it('should cancel an unresolved event with the reason and canceller', async () => {
+            Event.update.mockResolvedValue([1]);
+
+            const result = await EventRepository.cancel(1, { reason: 'Venue closed', cancelledBy: 5 });
+
+            expect(Event.update).toHaveBeenCalledWith(
+                {
+                    status: 'CANCELLED',
+                    cancellationReason: 'Venue closed',
+                    cancelledAt: expect.any(Date),
+                    cancelledBy: 5
+                },
+                { where: { id: 1, status: { [Op.in]: ['DRAFT', 'SCHEDULED', 'IN_PROGRESS'] } } }
+            );
+            expect(result).toBe(true);
+        });
+
+        it('should return false if the event is already resolved', async () => {
+            Event.update.mockResolvedValue([0]);
+
+            const result = await EventRepository.cancel(1, { reason: 'Venue closed', cancelledBy: 5 });
+
+            expect(result).toBe(false);
+        });
+    });
+
+    describe('markRefunded', () => {
+        it('should mark a not yet refunded event and return true', async () => {
+            Event.update.mockResolvedValue([1]);
+
+            const result = await EventRepository.markRefunded(1);
+
+            expect(Event.update).toHaveBeenCalledWith(
+                { isRefunded: true },
+                { where: { id: 1, isRefunded: false } }
+            );
+            expect(result).toBe(true);
+        });
+
+        it('should return false if the event was already refunded', async () => {
+            Event.update.mockResolvedValue([0]);
+
+            const result = await EventRepository.markRefunded(1);
+
+            expect(result).toBe(false);
+        });
+
+        it('should handle database errors', async () => {
+            Event.update.mockRejectedValue(new Error('Database connection error'));
+
+            await expect(EventRepository.markRefunded(1))
+                .rejects
+                .toThrow(ApiError);
+        });
+    });
+
+    describe('findTotals', () => {
+        it('should load only the stored totals', async () => {
+            const totals = { id: 1, bankAmount: 450, participantCount: 3 };
+            Event.findByPk.mockResolvedValue(totals);
+
+            const result = await EventRepository.findTotals(1);
+
+            expect(Event.findByPk).toHaveBeenCalledWith(1, {
+                attributes: ['id', 'bankAmount', 'participantCount']
+            });
+            expect(result).toBe(totals);
+        });
+    });
+
+    describe('addToTotals', () => {
+        it('should increment the totals in the database', async () => {
+            Event.increment.mockResolvedValue([[], 1]);
+
+            await EventRepository.addToTotals(1, { bankAmount: 100, participantCount: 1 });
+
+            expect(Event.increment).toHaveBeenCalledWith(
+                { bankAmount: 100, participantCount: 1 },
+                { where: { id: 1 } }
+            );
+        });
+
+        it('should leave totals that are not given unchanged', async () => {
+            Event.increment.mockResolvedValue([[], 1]);
+
+            await EventRepository.addToTotals(1, { bankAmount: -25.5 });
+
+            expect(Event.increment).toHaveBeenCalledWith(
+                { bankAmount: -25.5, participantCount: 0 },
+                { where: { id: 1 } }
+            );
+        });
+
+        it('should handle database errors', async () => {
+            Event.increment.mockRejectedValue(new Error('Database connection error'));
+
+            await expect(EventRepository.addToTotals(1, { bankAmount: 100 }))
+                .rejects
+                .toThrow('Error updating event totals');
+        });
+    });
+
+    describe('findWithDriftedTotals', () => {
+        it('should compare the stored totals with the participations of each event', async () => {
+            Event.findAll.mockResolvedValue([{ id: 2, bankAmount: 0, participantCount: 0 }]);
+
+            const result = await EventRepository.findWithDriftedTotals();
+
+            const options = Event.findAll.mock.calls[0][0];
+            expect(options.attributes).toEqual(['id', 'bankAmount', 'participantCount']);
+            expect(options.where.val).toContain('`Event`.`bankAmount` <> (SELECT COALESCE(SUM(`p`.`deposit`), 0)');
+            expect(options.where.val).toContain('`Event`.`participantCount` <> (SELECT COUNT(*)');
+            expect(options.where.val).toContain('`p`.`eventId` = `Event`.`id`');
+            expect(result).toEqual([{ id: 2, bankAmount: 0, participantCount: 0 }]);
+        });
+    });
+
+    describe('recomputeTotals', () => {
+        it('should set the totals of the events from their participations', async () => {
+            Event.update.mockResolvedValue([2]);
+
+            await EventRepository.recomputeTotals([2, 5]);
+
+            const [data, options] = Event.update.mock.calls[0];
+            expect(data.bankAmount.val).toContain('SUM(`p`.`deposit`)');
+            expect(data.participantCount.val).toContain('COUNT(*)');
+            // UPDATE has no table alias, so the subqueries refer to the table itself
+            expect(data.bankAmount.val).toContain('`p`.`eventId` = `Events`.`id`');
+            expect(options).toEqual({ where: { id: { [Op.in]: [2, 5] } } });
+        });
+    });
+
     describe('edge cases and error handling', () => {
         it('should handle null user ID in findByUser', async () => {
             Event.findAll.mockResolvedValue([]);
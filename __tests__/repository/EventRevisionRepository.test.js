@@ -0,0 +1,55 @@
+const EventRevisionRepository = require('../../repository/EventRevisionRepository');
+const { EventRevision } = require('../../model');
+
+// Mock model
+jest.mock('../../model', () => ({
+  EventRevision: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    name: 'EventRevision'
+  }
+}));
+
+describe('EventRevisionRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByEventId', () => {
+    it('should return the revisions of an event newest first', async () => {
+      const mockRevisions = [{ id: 2, revision: 2 }, { id: 1, revision: 1 }];
+      EventRevision.findAll.mockResolvedValue(mockRevisions);
+
+      const result = await EventRevisionRepository.findByEventId(10);
+
+      expect(EventRevision.findAll).toHaveBeenCalledWith({
+        where: { eventId: 10 },
+        order: [['revision', 'DESC']]
+      });
+      expect(result).toBe(mockRevisions);
+    });
+  });
+
+  describe('findLatest', () => {
+    it('should return the latest revision of an event', async () => {
+      const mockRevision = { id: 2, revision: 2 };
+      EventRevision.findOne.mockResolvedValue(mockRevision);
+
+      const result = await EventRevisionRepository.findLatest(10);
+
+      expect(EventRevision.findOne).toHaveBeenCalledWith({
+        where: { eventId: 10 },
+        order: [['revision', 'DESC']]
+      });
+      expect(result).toBe(mockRevision);
+    });
+
+    it('should return null for an event that was never edited', async () => {
+      EventRevision.findOne.mockResolvedValue(null);
+
+      const result = await EventRevisionRepository.findLatest(10);
+
+      expect(result).toBeNull();
+    });
+  });
+});
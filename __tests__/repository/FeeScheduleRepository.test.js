@@ -0,0 +1,55 @@
+const FeeScheduleRepository = require('../../repository/FeeScheduleRepository');
+const { FeeSchedule } = require('../../model');
+const { Op } = require('sequelize');
+
+// Mock model
+jest.mock('../../model', () => ({
+  FeeSchedule: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    name: 'FeeSchedule'
+  }
+}));
+
+describe('FeeScheduleRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findEffective', () => {
+    it('should find the latest schedule that took effect before the given time', async () => {
+      const at = new Date('2025-01-01T00:00:00Z');
+      const mockSchedule = { id: 2, eventType: 'JACKPOT' };
+      FeeSchedule.findOne.mockResolvedValue(mockSchedule);
+
+      const result = await FeeScheduleRepository.findEffective('JACKPOT', at);
+
+      expect(FeeSchedule.findOne).toHaveBeenCalledWith({
+        where: { eventType: 'JACKPOT', effectiveFrom: { [Op.lte]: at } },
+        order: [['effectiveFrom', 'DESC'], ['id', 'DESC']]
+      });
+      expect(result).toBe(mockSchedule);
+    });
+  });
+
+  describe('findHistory', () => {
+    it('should return the schedules of an event type newest first', async () => {
+      FeeSchedule.findAll.mockResolvedValue([]);
+
+      await FeeScheduleRepository.findHistory('DONATION');
+
+      expect(FeeSchedule.findAll).toHaveBeenCalledWith({
+        where: { eventType: 'DONATION' },
+        order: [['effectiveFrom', 'DESC'], ['id', 'DESC']]
+      });
+    });
+
+    it('should return the schedules of every event type without a filter', async () => {
+      FeeSchedule.findAll.mockResolvedValue([]);
+
+      await FeeScheduleRepository.findHistory();
+
+      expect(FeeSchedule.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: {} }));
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const IdempotencyKeyRepository = require('../../repository/IdempotencyKeyRepository');
+const { IdempotencyKey } = require('../../model');
+const { Op } = require('sequelize');
+
+// Mock model
+jest.mock('../../model', () => ({
+  IdempotencyKey: {
+    findOne: jest.fn(),
+    destroy: jest.fn(),
+    name: 'IdempotencyKey'
+  }
+}));
+
+describe('IdempotencyKeyRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByUserAndKeyForUpdate', () => {
+    it('should find the key of the user with a row lock', async () => {
+      const mockKey = { id: 1, userId: 2, key: 'abc' };
+      IdempotencyKey.findOne.mockResolvedValue(mockKey);
+
+      const result = await IdempotencyKeyRepository.findByUserAndKeyForUpdate(2, 'abc');
+
+      expect(IdempotencyKey.findOne).toHaveBeenCalledWith({
+        where: { userId: 2, key: 'abc' },
+        lock: true
+      });
+      expect(result).toBe(mockKey);
+    });
+  });
+
+  describe('deleteExpired', () => {
+    it('should delete keys that expired before the given time', async () => {
+      const now = new Date('2025-01-01T00:00:00Z');
+      IdempotencyKey.destroy.mockResolvedValue(4);
+
+      const result = await IdempotencyKeyRepository.deleteExpired(now);
+
+      expect(IdempotencyKey.destroy).toHaveBeenCalledWith({
+        where: { expiresAt: { [Op.lte]: now } }
+      });
+      expect(result).toBe(4);
+    });
+  });
+});
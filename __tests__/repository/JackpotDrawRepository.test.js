@@ -0,0 +1,37 @@
+const JackpotDrawRepository = require('../../repository/JackpotDrawRepository');
+const { JackpotDraw } = require('../../model');
+
+// Mock model
+jest.mock('../../model', () => ({
+  JackpotDraw: {
+    findOne: jest.fn(),
+    name: 'JackpotDraw'
+  }
+}));
+
+describe('JackpotDrawRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByEventId', () => {
+    it('should find the draw of an event', async () => {
+      const mockDraw = { id: 1, eventId: 7 };
+      JackpotDraw.findOne.mockResolvedValue(mockDraw);
+
+      const result = await JackpotDrawRepository.findByEventId(7);
+
+      expect(JackpotDraw.findOne).toHaveBeenCalledWith({ where: { eventId: 7 } });
+      expect(result).toBe(mockDraw);
+    });
+
+    it('should pass additional options such as a row lock', async () => {
+      JackpotDraw.findOne.mockResolvedValue(null);
+
+      const result = await JackpotDrawRepository.findByEventId(7, { lock: true });
+
+      expect(JackpotDraw.findOne).toHaveBeenCalledWith({ where: { eventId: 7 }, lock: true });
+      expect(result).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const LedgerAccountRepository = require('../../repository/LedgerAccountRepository');
+const { LedgerAccount } = require('../../model');
+const ApiError = require('../../exception/ApiError');
+
+// Mock model
+jest.mock('../../model', () => ({
+  LedgerAccount: {
+    findOrCreate: jest.fn(),
+    findAll: jest.fn(),
+    name: 'LedgerAccount'
+  }
+}));
+
+describe('LedgerAccountRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findOrCreateAccount', () => {
+    it('should find or create an account by type and reference ID', async () => {
+      const mockAccount = { id: 3, type: 'USER_WALLET', referenceId: 7 };
+      LedgerAccount.findOrCreate.mockResolvedValue([mockAccount, false]);
+
+      const result = await LedgerAccountRepository.findOrCreateAccount('USER_WALLET', 7);
+
+      expect(LedgerAccount.findOrCreate).toHaveBeenCalledWith({
+        where: { type: 'USER_WALLET', referenceId: 7 }
+      });
+      expect(result).toBe(mockAccount);
+    });
+
+    it('should use reference ID 0 for platform accounts', async () => {
+      LedgerAccount.findOrCreate.mockResolvedValue([{ id: 1 }, true]);
+
+      await LedgerAccountRepository.findOrCreateAccount('PLATFORM_REVENUE');
+
+      expect(LedgerAccount.findOrCreate).toHaveBeenCalledWith({
+        where: { type: 'PLATFORM_REVENUE', referenceId: 0 }
+      });
+    });
+
+    it('should wrap database errors', async () => {
+      LedgerAccount.findOrCreate.mockRejectedValue(new Error('Deadlock'));
+
+      await expect(LedgerAccountRepository.findOrCreateAccount('USER_WALLET', 1))
+        .rejects
+        .toThrow(ApiError);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const LedgerEntryRepository = require('../../repository/LedgerEntryRepository');
+const { LedgerEntry } = require('../../model');
+const ApiError = require('../../exception/ApiError');
+
+// Mock model
+jest.mock('../../model', () => ({
+  LedgerEntry: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    name: 'LedgerEntry'
+  }
+}));
+
+describe('LedgerEntryRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('sumBySide', () => {
+    it('should group entry totals by account', async () => {
+      LedgerEntry.findAll.mockResolvedValue([
+        { accountId: 1, total: 150 },
+        { accountId: 2, total: '20.50' }
+      ]);
+
+      const result = await LedgerEntryRepository.sumBySide('creditAccountId');
+
+      expect(LedgerEntry.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        group: ['creditAccountId'],
+        raw: true
+      }));
+      expect(result).toEqual([
+        { accountId: 1, total: 150 },
+        { accountId: 2, total: '20.50' }
+      ]);
+    });
+
+    it('should wrap database errors', async () => {
+      LedgerEntry.findAll.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(LedgerEntryRepository.sumBySide('debitAccountId'))
+        .rejects
+        .toThrow(ApiError);
+    });
+  });
+
+  describe('sumByAccount', () => {
+    it('should return totals for both sides', async () => {
+      LedgerEntry.findAll
+        .mockResolvedValueOnce([{ accountId: 1, total: 100 }])
+        .mockResolvedValueOnce([{ accountId: 2, total: 100 }]);
+
+      const result = await LedgerEntryRepository.sumByAccount();
+
+      expect(result).toEqual({
+        debits: [{ accountId: 1, total: 100 }],
+        credits: [{ accountId: 2, total: 100 }]
+      });
+    });
+  });
+
+  describe('findOpenedAccountIds', () => {
+    it('should return the accounts on both sides of opening entries', async () => {
+      LedgerEntry.findAll.mockResolvedValue([{ debitAccountId: 1, creditAccountId: 11 }]);
+
+      const result = await LedgerEntryRepository.findOpenedAccountIds();
+
+      expect(LedgerEntry.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { transactionId: null }
+      }));
+      expect(result).toEqual([1, 11]);
+    });
+
+    it('should wrap database errors', async () => {
+      LedgerEntry.findAll.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(LedgerEntryRepository.findOpenedAccountIds()).rejects.toThrow('Error finding opening balances');
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const { Op } = require('sequelize');
 const ParticipationRepository = require('../../repository/ParticipationRepository');
 const { Participation, User, Event } = require('../../model');
 const ApiError = require('../../exception/ApiError');
@@ -179,6 +180,38 @@ describe('ParticipationRepository', () => {
     });
   });
 
+  describe('findByEvents', () => {
+    it('should find the participations of several events with users', async () => {
+      Participation.findAll.mockResolvedValue([]);
+
+      await ParticipationRepository.findByEvents([1, 2]);
+
+      expect(Participation.findAll).toHaveBeenCalledWith({
+        where: { eventId: { [Op.in]: [1, 2] } },
+        include: [{ model: User, as: 'user' }]
+      });
+    });
+  });
+
+  describe('sumHeldDepositsByEvent', () => {
+    it('should sum the deposits of events still holding money in escrow', async () => {
+      Participation.findAll.mockResolvedValue([{ eventId: 9, total: '25.00' }]);
+
+      const result = await ParticipationRepository.sumHeldDepositsByEvent();
+
+      const options = Participation.findAll.mock.calls[0][0];
+      expect(options.include[0].where).toEqual({
+        [Op.or]: [
+          { status: 'IN_PROGRESS' },
+          { status: { [Op.in]: ['FAILED', 'CANCELLED'] }, isRefunded: false }
+        ]
+      });
+      expect(options.group).toEqual(['Participation.eventId']);
+      expect(options.raw).toBe(true);
+      expect(result).toEqual([{ eventId: 9, total: '25.00' }]);
+    });
+  });
+
   describe('create', () => {
     it('should create new participation', async () => {
       const participationData = { userId: 1, eventId: 1, deposit: 100 };
@@ -0,0 +1,92 @@
+const ScheduledJobRepository = require('../../repository/ScheduledJobRepository');
+const { ScheduledJob } = require('../../model');
+const { Op } = require('sequelize');
+
+// Mock model
+jest.mock('../../model', () => ({
+  ScheduledJob: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn(),
+    name: 'ScheduledJob'
+  }
+}));
+
+describe('ScheduledJobRepository', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findByCondition', () => {
+    it('should find the job of the given type for a condition', async () => {
+      const mockJob = { id: 1, type: 'TIME_CONDITION', conditionId: 5 };
+      ScheduledJob.findOne.mockResolvedValue(mockJob);
+
+      const result = await ScheduledJobRepository.findByCondition('TIME_CONDITION', 5);
+
+      expect(ScheduledJob.findOne).toHaveBeenCalledWith({
+        where: { type: 'TIME_CONDITION', conditionId: 5 }
+      });
+      expect(result).toBe(mockJob);
+    });
+  });
+
+  describe('findPendingByEvent', () => {
+    it('should find the pending job of the given type for an event', async () => {
+      const mockJob = { id: 2, type: 'EVENT_RESOLUTION', eventId: 10 };
+      ScheduledJob.findOne.mockResolvedValue(mockJob);
+
+      const result = await ScheduledJobRepository.findPendingByEvent('EVENT_RESOLUTION', 10);
+
+      expect(ScheduledJob.findOne).toHaveBeenCalledWith({
+        where: { type: 'EVENT_RESOLUTION', eventId: 10, status: 'PENDING' }
+      });
+      expect(result).toBe(mockJob);
+    });
+  });
+
+  describe('findDueForUpdate', () => {
+    it('should lock due and abandoned jobs, oldest first, skipping locked ones', async () => {
+      const now = new Date('2025-01-01T12:00:00Z');
+      const lockExpiredBefore = new Date('2025-01-01T11:55:00Z');
+      ScheduledJob.findAll.mockResolvedValue([{ id: 1 }]);
+
+      const result = await ScheduledJobRepository.findDueForUpdate(now, lockExpiredBefore, 20);
+
+      expect(ScheduledJob.findAll).toHaveBeenCalledWith({
+        where: {
+          [Op.or]: [
+            { status: 'PENDING', runAt: { [Op.lte]: now } },
+            { status: 'RUNNING', lockedAt: { [Op.lte]: lockExpiredBefore } }
+          ]
+        },
+        order: [['runAt', 'ASC'], ['id', 'ASC']],
+        limit: 20,
+        lock: true,
+        skipLocked: true
+      });
+      expect(result).toEqual([{ id: 1 }]);
+    });
+  });
+
+  describe('updateIfLockedBy', () => {
+    it('should update the job while the worker holds it', async () => {
+      ScheduledJob.update.mockResolvedValue([1]);
+
+      const result = await ScheduledJobRepository.updateIfLockedBy(1, 'worker-1', { status: 'COMPLETED' });
+
+      expect(ScheduledJob.update).toHaveBeenCalledWith({ status: 'COMPLETED' }, {
+        where: { id: 1, status: 'RUNNING', lockedBy: 'worker-1' }
+      });
+      expect(result).toBe(true);
+    });
+
+    it('should return false if the job was reclaimed or rescheduled', async () => {
+      ScheduledJob.update.mockResolvedValue([0]);
+
+      const result = await ScheduledJobRepository.updateIfLockedBy(1, 'worker-1', { status: 'COMPLETED' });
+
+      expect(result).toBe(false);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const TransactionRepository = require('../../repository/TransactionRepository');
 const { Transaction } = require('../../model');
 const ApiError = require('../../exception/ApiError');
+const { Op } = require('sequelize');
 
 // Mock model
 jest.mock('../../model', () => ({
@@ -12,6 +13,7 @@ jest.mock('../../model', () => ({
     update: jest.fn(),
     destroy: jest.fn(),
     count: jest.fn(),
+    max: jest.fn(),
     name: 'Transaction'
   }
 }));
@@ -141,4 +143,56 @@ describe('TransactionRepository', () => {
         .rejects.toThrow(ApiError);
     });
   });
+
+  describe('findMaxDepositByEvent', () => {
+    it('should return the largest participation deposit of the event', async () => {
+      Transaction.max.mockResolvedValue('250.50');
+
+      const result = await TransactionRepository.findMaxDepositByEvent(3);
+
+      const { where } = Transaction.max.mock.calls[0][1];
+      expect(Transaction.max.mock.calls[0][0]).toBe('amount');
+      expect(where[Op.and].slice(0, 2)).toEqual([{ eventId: 3 }, { type: 'EVENT_OUTCOME' }]);
+      expect(result).toBe(250.5);
+    });
+
+    it('should only count debits of participants within their deposit total', async () => {
+      Transaction.max.mockResolvedValue(null);
+
+      await TransactionRepository.findMaxDepositByEvent(3);
+
+      const participation = Transaction.max.mock.calls[0][1].where[Op.and][2];
+      expect(participation.val).toContain('EXISTS (SELECT 1 FROM `Participations` AS `p`');
+      expect(participation.val).toContain('`p`.`userId` = `Transaction`.`userId`');
+      expect(participation.val).toContain('`p`.`deposit` >= `Transaction`.`amount`');
+    });
+
+    it('should return 0 if there are no deposits', async () => {
+      Transaction.max.mockResolvedValue(null);
+
+      const result = await TransactionRepository.findMaxDepositByEvent(3);
+
+      expect(result).toBe(0);
+    });
+  });
+
+  describe('findMaxDepositsByEvents', () => {
+    it('should return the largest participation deposit per event in one query', async () => {
+      Transaction.findAll.mockResolvedValue([
+        { eventId: 3, amount: '250.50' },
+        { eventId: 5, amount: '10.00' }
+      ]);
+
+      const result = await TransactionRepository.findMaxDepositsByEvents([3, 4, 5]);
+
+      const options = Transaction.findAll.mock.calls[0][0];
+      expect(options).toEqual(expect.objectContaining({ group: ['eventId'], raw: true }));
+      expect(options.where[Op.and].slice(0, 2)).toEqual([{ eventId: { [Op.in]: [3, 4, 5] } }, { type: 'EVENT_OUTCOME' }]);
+      expect(options.where[Op.and][2].val).toContain('EXISTS (SELECT 1 FROM `Participations` AS `p`');
+      expect(result).toEqual([
+        { eventId: 3, amount: 250.5 },
+        { eventId: 5, amount: 10 }
+      ]);
+    });
+  });
 }); 
\ No newline at end of file
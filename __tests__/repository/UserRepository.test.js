@@ -425,6 +425,29 @@ describe('UserRepository', () => {
         });
     });
 
+    describe('findByIdWithBalanceForUpdate', () => {
+        it('should find user by ID with a row lock', async () => {
+            const mockUser = { id: 1, balance: 1000 };
+            User.findByPk.mockResolvedValue(mockUser);
+
+            const result = await UserRepository.findByIdWithBalanceForUpdate(1);
+
+            expect(User.findByPk).toHaveBeenCalledWith(1, {
+                attributes: ['id', 'balance'],
+                lock: true
+            });
+            expect(result).toEqual(mockUser);
+        });
+
+        it('should throw ApiError if user not found', async () => {
+            User.findByPk.mockResolvedValue(null);
+
+            await expect(UserRepository.findByIdWithBalanceForUpdate(999))
+                .rejects
+                .toThrow(ApiError);
+        });
+    });
+
     describe('findAllWithAssociations', () => {
         it('should find all users with associations', async () => {
             const mockUsers = [
@@ -646,6 +669,36 @@ describe('UserRepository', () => {
         });
     });
 
+    describe('sumBalances', () => {
+        it('should sum all stored user balances', async () => {
+            User.sum.mockResolvedValue('1050.25');
+
+            const result = await UserRepository.sumBalances();
+
+            expect(User.sum).toHaveBeenCalledWith('balance');
+            expect(result).toBe(1050.25);
+        });
+
+        it('should return 0 when there are no users', async () => {
+            User.sum.mockResolvedValue(null);
+
+            const result = await UserRepository.sumBalances();
+
+            expect(result).toBe(0);
+        });
+    });
+
+    describe('findBalances', () => {
+        it('should load the stored balance of every user', async () => {
+            User.findAll.mockResolvedValue([{ id: 1, balance: 100 }]);
+
+            const result = await UserRepository.findBalances();
+
+            expect(User.findAll).toHaveBeenCalledWith({ attributes: ['id', 'balance'], raw: true });
+            expect(result).toEqual([{ id: 1, balance: 100 }]);
+        });
+    });
+
     describe('findUsersByBalance', () => {
         it('should find users ranked by balance with limit', async () => {
             const mockUsers = [
@@ -52,6 +52,51 @@ describe('achievementResolvers', () => {
     });
   });
 
+  describe('Mutation.createAchievement', () => {
+    const mockInput = {
+      name: 'Big Spender',
+      iconUrl: 'https://example.com/icon.png',
+      conditions: [{ type: 'USER_BANK', value: 1000 }]
+    };
+
+    it('should create an achievement', async () => {
+      const mockAchievement = { id: 1, name: 'Big Spender', iconUrl: 'https://example.com/icon.png' };
+      achievementService.create.mockResolvedValue(mockAchievement);
+
+      const result = await achievementResolvers.Mutation.createAchievement(null, { input: mockInput });
+
+      expect(achievementService.create).toHaveBeenCalledWith(mockInput);
+      expect(result).toEqual(mockAchievement);
+    });
+
+    it('should throw a validation error for invalid input', async () => {
+      await expect(achievementResolvers.Mutation.createAchievement(null, { input: { name: 'No icon', conditions: [] } }))
+        .rejects.toThrow('Validation error');
+
+      expect(achievementService.create).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('Error creating achievement:', expect.any(Error));
+    });
+  });
+
+  describe('Mutation.updateAchievement', () => {
+    it('should update an achievement', async () => {
+      const mockAchievement = { id: 1, name: 'Renamed', iconUrl: 'https://example.com/icon.png' };
+      achievementService.update.mockResolvedValue(mockAchievement);
+
+      const result = await achievementResolvers.Mutation.updateAchievement(null, { id: 1, input: { name: 'Renamed' } });
+
+      expect(achievementService.update).toHaveBeenCalledWith(1, { name: 'Renamed' });
+      expect(result).toEqual(mockAchievement);
+    });
+
+    it('should throw an error if the update fails', async () => {
+      achievementService.update.mockRejectedValue(new Error('Nothing to update'));
+
+      await expect(achievementResolvers.Mutation.updateAchievement(null, { id: 1, input: {} }))
+        .rejects.toThrow('Nothing to update');
+    });
+  });
+
   describe('UserAchievement field resolvers', () => {
     describe('UserAchievement.achievement', () => {
       it('should return the achievement if it is already loaded', async () => {
@@ -68,7 +113,7 @@ describe('achievementResolvers', () => {
         const result = await achievementResolvers.UserAchievement.achievement(mockUserAchievement);
 
         expect(result).toEqual(mockUserAchievement.achievement);
-        expect(achievementService.findById).not.toHaveBeenCalled();
+        expect(achievementService.findByIds).not.toHaveBeenCalled();
       });
 
       it('should load the achievement if it is not loaded', async () => {
@@ -83,11 +128,11 @@ describe('achievementResolvers', () => {
           description: 'Complete your first event'
         };
 
-        achievementService.findById.mockResolvedValue(mockAchievement);
+        achievementService.findByIds.mockResolvedValue([mockAchievement]);
 
         const result = await achievementResolvers.UserAchievement.achievement(mockUserAchievement);
 
-        expect(achievementService.findById).toHaveBeenCalledWith(1);
+        expect(achievementService.findByIds).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockAchievement);
       });
 
@@ -97,7 +142,7 @@ describe('achievementResolvers', () => {
           achievementId: 1
         };
 
-        achievementService.findById.mockRejectedValue(new Error('Database error'));
+        achievementService.findByIds.mockRejectedValue(new Error('Database error'));
 
         const result = await achievementResolvers.UserAchievement.achievement(mockUserAchievement);
 
@@ -130,7 +175,7 @@ describe('achievementResolvers', () => {
           { id: 1, currentValue: 5, targetValue: 5, isCompleted: true },
           { id: 2, currentValue: 3, targetValue: 10, isCompleted: false }
         ]);
-        expect(userCriterionProgressService.findByUserAchievementWithCriteria).not.toHaveBeenCalled();
+        expect(userCriterionProgressService.findByUserAchievementsWithCriteria).not.toHaveBeenCalled();
       });
 
       it('should load the progress if it is not loaded', async () => {
@@ -139,21 +184,23 @@ describe('achievementResolvers', () => {
         const mockProgresses = [
           {
             id: 1,
+            userAchievementId: 1,
             completed: true,
             toJSON: () => ({ id: 1, currentValue: 5, targetValue: 5 })
           },
           {
             id: 2,
+            userAchievementId: 1,
             completed: false,
             toJSON: () => ({ id: 2, currentValue: 2, targetValue: 10 })
           }
         ];
 
-        userCriterionProgressService.findByUserAchievementWithCriteria.mockResolvedValue(mockProgresses);
+        userCriterionProgressService.findByUserAchievementsWithCriteria.mockResolvedValue(mockProgresses);
 
         const result = await achievementResolvers.UserAchievement.progress(mockUserAchievement);
 
-        expect(userCriterionProgressService.findByUserAchievementWithCriteria).toHaveBeenCalledWith(1);
+        expect(userCriterionProgressService.findByUserAchievementsWithCriteria).toHaveBeenCalledWith([1]);
         expect(result).toEqual([
           { id: 1, currentValue: 5, targetValue: 5, isCompleted: true },
           { id: 2, currentValue: 2, targetValue: 10, isCompleted: false }
@@ -163,7 +210,7 @@ describe('achievementResolvers', () => {
       it('should return an empty array if there is an error fetching the progress', async () => {
         const mockUserAchievement = { id: 1 };
 
-        userCriterionProgressService.findByUserAchievementWithCriteria.mockRejectedValue(new Error('Database error'));
+        userCriterionProgressService.findByUserAchievementsWithCriteria.mockRejectedValue(new Error('Database error'));
 
         const result = await achievementResolvers.UserAchievement.progress(mockUserAchievement);
 
@@ -190,7 +237,7 @@ describe('achievementResolvers', () => {
         const result = await achievementResolvers.UserCriterionProgress.criterion(mockProgress);
 
         expect(result).toEqual(mockProgress.criterion);
-        expect(achievementCriterionService.findById).not.toHaveBeenCalled();
+        expect(achievementCriterionService.findByIds).not.toHaveBeenCalled();
       });
 
       it('should load the criterion if it is not loaded', async () => {
@@ -206,11 +253,11 @@ describe('achievementResolvers', () => {
           description: 'Complete 5 events'
         };
 
-        achievementCriterionService.findById.mockResolvedValue(mockCriterion);
+        achievementCriterionService.findByIds.mockResolvedValue([mockCriterion]);
 
         const result = await achievementResolvers.UserCriterionProgress.criterion(mockProgress);
 
-        expect(achievementCriterionService.findById).toHaveBeenCalledWith(1);
+        expect(achievementCriterionService.findByIds).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockCriterion);
       });
 
@@ -220,7 +267,7 @@ describe('achievementResolvers', () => {
           criterionId: 1
         };
 
-        achievementCriterionService.findById.mockRejectedValue(new Error('Database error'));
+        achievementCriterionService.findByIds.mockRejectedValue(new Error('Database error'));
 
         const result = await achievementResolvers.UserCriterionProgress.criterion(mockProgress);
 
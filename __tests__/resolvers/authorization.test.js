@@ -0,0 +1,272 @@
+const ApiError = require('../../exception/ApiError');
+const {
+  isAdmin,
+  hasRole,
+  requireAuth,
+  requireRole,
+  requireAdmin,
+  requireAdminWhen,
+  requireActingUser,
+  requireOwner,
+  applyPermissions
+} = require('../../graphql/utils/authorization');
+const permissions = require('../../graphql/schema/permissions');
+
+describe('authorization', () => {
+  const user = { id: 1, username: 'user' };
+  const admin = { id: 2, username: 'admin', role: 'ADMIN' };
+  let resolver;
+
+  beforeEach(() => {
+    resolver = jest.fn().mockResolvedValue('result');
+  });
+
+  describe('isAdmin', () => {
+    it('should detect the admin role', () => {
+      expect(isAdmin(admin)).toBe(true);
+      expect(isAdmin(user)).toBe(false);
+      expect(isAdmin(null)).toBe(false);
+    });
+  });
+
+  describe('hasRole', () => {
+    it('should match any of the given roles', () => {
+      expect(hasRole({ id: 3, role: 'MODERATOR' }, ['MODERATOR', 'ADMIN'])).toBe(true);
+      expect(hasRole(user, ['MODERATOR', 'ADMIN'])).toBe(false);
+    });
+  });
+
+  describe('requireRole', () => {
+    const guard = requireRole('MODERATOR', 'ADMIN');
+
+    it('should call the resolver for accepted roles', async () => {
+      await guard(resolver)(null, {}, { user: { id: 3, role: 'MODERATOR' } });
+      await guard(resolver)(null, {}, { user: admin });
+
+      expect(resolver).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject other roles', () => {
+      expect(() => guard(resolver)(null, {}, { user })).toThrow('Requires one of roles: MODERATOR, ADMIN');
+      expect(() => guard(resolver)(null, {}, { user: null })).toThrow('Not authenticated');
+      expect(resolver).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireAuth', () => {
+    it('should call the resolver for authenticated users', async () => {
+      const result = await requireAuth(resolver)(null, {}, { user });
+
+      expect(result).toBe('result');
+    });
+
+    it('should reject anonymous requests', () => {
+      expect(() => requireAuth(resolver)(null, {}, { user: null })).toThrow('Not authenticated');
+      expect(resolver).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireAdmin', () => {
+    it('should call the resolver for admins', async () => {
+      await requireAdmin(resolver)(null, {}, { user: admin });
+
+      expect(resolver).toHaveBeenCalled();
+    });
+
+    it('should reject normal users with a forbidden error', () => {
+      expect(() => requireAdmin(resolver)(null, {}, { user })).toThrow(ApiError);
+      expect(() => requireAdmin(resolver)(null, {}, { user })).toThrow('Admin access required');
+      expect(resolver).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireAdminWhen', () => {
+    const guard = requireAdminWhen(({ input }) => input.type === 'GIFT');
+
+    it('should skip the admin check when the predicate does not match', async () => {
+      await guard(resolver)(null, { input: { type: 'EVENT_OUTCOME' } }, { user });
+
+      expect(resolver).toHaveBeenCalled();
+    });
+
+    it('should require admin when the predicate matches', () => {
+      expect(() => guard(resolver)(null, { input: { type: 'GIFT' } }, { user })).toThrow('Admin access required');
+    });
+  });
+
+  describe('requireActingUser', () => {
+    it('should fill userId from the token when omitted', async () => {
+      await requireActingUser(resolver)(null, { input: { eventId: 5 } }, { user });
+
+      expect(resolver).toHaveBeenCalledWith(null, { input: { eventId: 5, userId: 1 } }, { user }, undefined);
+    });
+
+    it('should accept the authenticated user ID', async () => {
+      await requireActingUser(resolver)(null, { input: { userId: 1 } }, { user });
+
+      expect(resolver).toHaveBeenCalledWith(null, { input: { userId: 1 } }, { user }, undefined);
+    });
+
+    it('should reject acting on behalf of another user', () => {
+      expect(() => requireActingUser(resolver)(null, { input: { userId: 3 } }, { user }))
+        .toThrow('Cannot act on behalf of another user');
+      expect(resolver).not.toHaveBeenCalled();
+    });
+
+    it('should allow admins to act on behalf of another user', async () => {
+      await requireActingUser(resolver)(null, { input: { userId: 3 } }, { user: admin });
+
+      expect(resolver).toHaveBeenCalledWith(null, { input: { userId: 3 } }, { user: admin }, undefined);
+    });
+
+    it('should reject anonymous requests', () => {
+      expect(() => requireActingUser(resolver)(null, { input: { userId: 1 } }, {}))
+        .toThrow('Not authenticated');
+    });
+  });
+
+  describe('requireOwner', () => {
+    const guard = requireOwner('id');
+
+    it('should call the resolver for the owner', async () => {
+      await guard(resolver)(null, { id: 1 }, { user });
+
+      expect(resolver).toHaveBeenCalled();
+    });
+
+    it('should reject other users', () => {
+      expect(() => guard(resolver)(null, { id: 3 }, { user })).toThrow('Access denied');
+    });
+
+    it('should allow admins', async () => {
+      await guard(resolver)(null, { id: 3 }, { user: admin });
+
+      expect(resolver).toHaveBeenCalled();
+    });
+  });
+
+  describe('applyPermissions', () => {
+    it('should wrap listed resolvers and leave the others untouched', async () => {
+      const publicResolver = jest.fn();
+      const resolvers = { Mutation: { secured: resolver, open: publicResolver }, Query: { open: publicResolver } };
+
+      const guarded = applyPermissions(resolvers, { Mutation: { secured: [requireAuth] } });
+
+      expect(guarded.Mutation.open).toBe(publicResolver);
+      expect(guarded.Query.open).toBe(publicResolver);
+      expect(() => guarded.Mutation.secured(null, {}, { user: null })).toThrow('Not authenticated');
+      expect(resolvers.Mutation.secured).toBe(resolver);
+    });
+
+    it('should run guards in the listed order', async () => {
+      const order = [];
+      const guard = (name) => (next) => (...args) => {
+        order.push(name);
+        return next(...args);
+      };
+
+      const guarded = applyPermissions({ Mutation: { op: resolver } }, { Mutation: { op: [guard('first'), guard('second')] } });
+      await guarded.Mutation.op(null, {}, {});
+
+      expect(order).toEqual(['first', 'second']);
+    });
+
+    it('should throw if a permission targets a missing resolver', () => {
+      expect(() => applyPermissions({ Mutation: {} }, { Mutation: { missing: [requireAuth] } }))
+        .toThrow('Cannot apply permissions to missing resolver Mutation.missing');
+    });
+  });
+
+  describe('permissions', () => {
+    const createTransaction = () => applyPermissions({ Mutation: { createTransaction: resolver } }, {
+      Mutation: { createTransaction: permissions.Mutation.createTransaction }
+    }).Mutation.createTransaction;
+
+    it('should let users create outcome transactions for themselves', async () => {
+      await createTransaction()(null, { input: { amount: 100, type: 'BALANCE_OUTCOME' } }, { user });
+
+      expect(resolver).toHaveBeenCalledWith(
+        null,
+        { input: { amount: 100, type: 'BALANCE_OUTCOME', userId: 1 } },
+        { user },
+        undefined
+      );
+    });
+
+    it('should guard every admin operation with the admin role', () => {
+      const adminOperations = ['creditBalance', 'setUserRole', 'forceFinishEvent', 'forceFailEvent', 'createAchievement', 'updateAchievement', 'updateFeeSchedule', 'advanceClock'];
+      const resolvers = { Mutation: Object.fromEntries(adminOperations.map(name => [name, resolver])) };
+      const guarded = applyPermissions(resolvers, { Mutation: Object.fromEntries(adminOperations.map(name => [name, permissions.Mutation[name]])) });
+
+      for (const name of adminOperations) {
+        expect(() => guarded.Mutation[name](null, {}, { user: { id: 3, role: 'MODERATOR' } })).toThrow('Admin access required');
+      }
+      expect(resolver).not.toHaveBeenCalled();
+    });
+
+    it('should reserve ledger reconciliation and fee schedules for admins', () => {
+      const adminQueries = ['ledgerReconciliation', 'currentFeeSchedules', 'feeSchedules'];
+      const guarded = applyPermissions(
+        { Query: Object.fromEntries(adminQueries.map(name => [name, resolver])) },
+        { Query: Object.fromEntries(adminQueries.map(name => [name, permissions.Query[name]])) }
+      );
+
+      for (const name of adminQueries) {
+        expect(() => guarded.Query[name](null, {}, { user })).toThrow('Admin access required');
+      }
+    });
+
+    it('should simulate events as the authenticated user', async () => {
+      const simulate = applyPermissions({ Query: { simulateEventConditions: resolver } }, {
+        Query: { simulateEventConditions: permissions.Query.simulateEventConditions }
+      }).Query.simulateEventConditions;
+
+      await simulate(null, { input: { type: 'DONATION' }, scenario: { steps: [] } }, { user });
+
+      expect(resolver).toHaveBeenCalledWith(
+        null,
+        { input: { type: 'DONATION', userId: 1 }, scenario: { steps: [] } },
+        { user },
+        undefined
+      );
+      expect(() => simulate(null, { input: {}, scenario: { steps: [] } }, { user: null })).toThrow('Not authenticated');
+    });
+
+    it('should let moderators moderate events', async () => {
+      const moderateEvent = applyPermissions({ Mutation: { moderateEvent: resolver } }, {
+        Mutation: { moderateEvent: permissions.Mutation.moderateEvent }
+      }).Mutation.moderateEvent;
+
+      await moderateEvent(null, { id: 1, input: {} }, { user: { id: 3, role: 'MODERATOR' } });
+
+      expect(resolver).toHaveBeenCalled();
+      expect(() => moderateEvent(null, { id: 1, input: {} }, { user })).toThrow('Requires one of roles');
+    });
+
+    it('should require authentication to manage events', async () => {
+      const operations = ['cancelEvent', 'updateEvent', 'publishEvent'];
+      const guarded = applyPermissions(
+        { Mutation: Object.fromEntries(operations.map(name => [name, resolver])) },
+        { Mutation: Object.fromEntries(operations.map(name => [name, permissions.Mutation[name]])) }
+      ).Mutation;
+
+      for (const name of operations) {
+        await guarded[name](null, { id: 1 }, { user });
+        expect(() => guarded[name](null, { id: 1 }, { user: null })).toThrow('Not authenticated');
+      }
+      expect(resolver).toHaveBeenCalledTimes(operations.length);
+    });
+
+    it('should reserve balance-increasing transactions for admins', () => {
+      expect(() => createTransaction()(null, { input: { amount: 100, type: 'BALANCE_INCOME' } }, { user }))
+        .toThrow('Admin access required');
+      expect(() => createTransaction()(null, { input: { amount: 100, type: 'GIFT', userId: 1 } }, { user }))
+        .toThrow('Admin access required');
+    });
+
+    it('should reserve event escrow transactions for admins', () => {
+      expect(() => createTransaction()(null, { input: { amount: 100, type: 'EVENT_OUTCOME', eventId: 9 } }, { user }))
+        .toThrow('Admin access required');
+    });
+  });
+});
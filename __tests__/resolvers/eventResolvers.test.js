@@ -1,6 +1,9 @@
 const eventResolvers = require('../../graphql/schema/resolvers/eventResolvers');
-const { eventService, userService, participationService, eventEndConditionService } = require('../../service');
+const { eventService, userService, participationService, eventEndConditionService, endConditionService, jackpotDrawService, feeScheduleService, eventRevisionService, conditionLogService } = require('../../service');
 const { pubsub, SUBSCRIPTION_EVENTS } = require('../../graphql/pubsub');
+const eventConditions = require('../../utils/eventCondition');
+const { clock } = require('../../utils/clock');
+const ApiError = require('../../exception/ApiError');
 
 describe('eventResolvers', () => {
   describe('Query.event', () => {
@@ -14,16 +17,28 @@ describe('eventResolvers', () => {
 
       eventService.findById.mockResolvedValue(mockEvent);
 
-      const result = await eventResolvers.Query.event(null, { id: 1 });
+      const result = await eventResolvers.Query.event(null, { id: 1 }, {});
 
       expect(eventService.findById).toHaveBeenCalledWith(1, true);
       expect(result).toEqual(mockEvent);
     });
 
+    it('should hide drafts from other users', async () => {
+      const draft = { id: 1, status: 'DRAFT', userId: 2 };
+      const user = { id: 1, role: 'USER' };
+      eventService.findById.mockResolvedValue(draft);
+      eventService.isVisibleTo.mockReturnValueOnce(false);
+
+      const result = await eventResolvers.Query.event(null, { id: 1 }, { user });
+
+      expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, user);
+      expect(result).toBeNull();
+    });
+
     it('should return null if the event is not found', async () => {
       eventService.findById.mockResolvedValue(null);
 
-      const result = await eventResolvers.Query.event(null, { id: 999 });
+      const result = await eventResolvers.Query.event(null, { id: 999 }, {});
 
       expect(result).toBeNull();
     });
@@ -31,7 +46,7 @@ describe('eventResolvers', () => {
     it('should return null if there is an error fetching the event', async () => {
       eventService.findById.mockRejectedValue(new Error('Database error'));
 
-      const result = await eventResolvers.Query.event(null, { id: 1 });
+      const result = await eventResolvers.Query.event(null, { id: 1 }, {});
 
       expect(result).toBeNull();
       expect(console.error).toHaveBeenCalledWith('Error fetching event:', expect.any(Error));
@@ -47,22 +62,114 @@ describe('eventResolvers', () => {
 
       eventService.findAll.mockResolvedValue(mockEvents);
 
-      const result = await eventResolvers.Query.events();
+      const result = await eventResolvers.Query.events(null, {}, {});
 
       expect(eventService.findAll).toHaveBeenCalledWith(true);
       expect(result).toEqual(mockEvents);
     });
 
+    it('should leave out drafts the user cannot see', async () => {
+      const mockEvents = [
+        { id: 1, status: 'IN_PROGRESS', userId: 2 },
+        { id: 2, status: 'DRAFT', userId: 2 }
+      ];
+      eventService.findAll.mockResolvedValue(mockEvents);
+      eventService.isVisibleTo.mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+      const result = await eventResolvers.Query.events(null, {}, { user: null });
+
+      expect(eventService.isVisibleTo).toHaveBeenCalledWith(mockEvents[1], null);
+      expect(result).toEqual([mockEvents[0]]);
+    });
+
     it('should return an empty array if there is an error fetching the events', async () => {
       eventService.findAll.mockRejectedValue(new Error('Database error'));
 
-      const result = await eventResolvers.Query.events();
+      const result = await eventResolvers.Query.events(null, {}, {});
 
       expect(result).toEqual([]);
       expect(console.error).toHaveBeenCalledWith('Error fetching events:', expect.any(Error));
     });
   });
 
+  describe('Query.jackpotDraw', () => {
+    it('should return the public draw of an event', async () => {
+      const mockDraw = { eventId: 1, seedHash: 'abc', serverSeed: null, winnerId: null };
+      eventService.findById.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+      jackpotDrawService.findPublicByEventId.mockResolvedValue(mockDraw);
+
+      const result = await eventResolvers.Query.jackpotDraw(null, { eventId: 1 }, {});
+
+      expect(eventService.findById).toHaveBeenCalledWith(1, false);
+      expect(jackpotDrawService.findPublicByEventId).toHaveBeenCalledWith(1);
+      expect(result).toEqual(mockDraw);
+    });
+
+    it('should hide the draw of drafts from other users', async () => {
+      const draft = { id: 1, status: 'DRAFT', userId: 2 };
+      const user = { id: 1, role: 'USER' };
+      eventService.findById.mockResolvedValueOnce(draft);
+      eventService.isVisibleTo.mockReturnValueOnce(false);
+
+      await expect(eventResolvers.Query.jackpotDraw(null, { eventId: 1 }, { user }))
+        .rejects.toThrow('Event not found');
+
+      expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, user);
+      expect(jackpotDrawService.findPublicByEventId).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if the lookup fails', async () => {
+      eventService.findById.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+      jackpotDrawService.findPublicByEventId.mockRejectedValue(new Error('Database error'));
+
+      await expect(eventResolvers.Query.jackpotDraw(null, { eventId: 1 }, {}))
+        .rejects
+        .toThrow();
+    });
+  });
+
+  describe('Query.currentFeeSchedules', () => {
+    it('should return the fee terms in force for every event type', async () => {
+      const mockTerms = [{ eventType: 'DONATION', payoutPercentage: 0.96 }];
+      feeScheduleService.getCurrent.mockResolvedValue(mockTerms);
+
+      const result = await eventResolvers.Query.currentFeeSchedules();
+
+      expect(result).toEqual(mockTerms);
+    });
+  });
+
+  describe('Query.feeSchedules', () => {
+    it('should return the schedule history of an event type', async () => {
+      feeScheduleService.findHistory.mockResolvedValue([]);
+
+      const result = await eventResolvers.Query.feeSchedules(null, { eventType: 'JACKPOT' });
+
+      expect(feeScheduleService.findHistory).toHaveBeenCalledWith('JACKPOT');
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('Mutation.updateFeeSchedule', () => {
+    it('should store the schedule on behalf of the admin', async () => {
+      const input = { eventType: 'JACKPOT', commissionRate: 0.08 };
+      const mockTerms = { feeScheduleId: 3, ...input, payoutPercentage: 0.92 };
+      feeScheduleService.update.mockResolvedValue(mockTerms);
+
+      const result = await eventResolvers.Mutation.updateFeeSchedule(null, { input }, { user: { id: 1 } });
+
+      expect(feeScheduleService.update).toHaveBeenCalledWith(input, 1);
+      expect(result).toEqual(mockTerms);
+    });
+
+    it('should reject invalid input before calling the service', async () => {
+      await expect(eventResolvers.Mutation.updateFeeSchedule(null, { input: { eventType: 'RAFFLE', commissionRate: 0.08 } }, { user: { id: 1 } }))
+        .rejects
+        .toThrow('Validation error');
+      expect(feeScheduleService.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Mutation.createEvent', () => {
     it('should successfully create an event', async () => {
       const mockInput = {
@@ -104,28 +211,426 @@ describe('eventResolvers', () => {
 
       expect(console.error).toHaveBeenCalledWith('Error creating event:', expect.any(Error));
     });
+
+    it('should return the codes of rejected conditions in the error extensions', async () => {
+      const problems = [{
+        code: 'OPERATOR_NOT_ALLOWED',
+        path: 'eventEndConditionGroups[0].conditions[0]',
+        message: 'BANK conditions cannot use LESS'
+      }];
+      eventService.create.mockRejectedValue(ApiError.validation('BANK conditions cannot use LESS', problems));
+
+      const error = await eventResolvers.Mutation.createEvent(null, {
+        input: {
+          name: 'New Event',
+          description: 'New Description',
+          type: 'FUNDRAISING',
+          userId: 1,
+          imageFile: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAA',
+          eventEndConditionGroups: [{ conditions: [{ name: 'BANK', operator: 'LESS', value: '100' }] }]
+        }
+      }).catch(e => e);
+
+      expect(error.message).toBe('BANK conditions cannot use LESS');
+      expect(error.extensions).toEqual({ errors: problems });
+    });
+  });
+
+  describe('Mutation.forceFinishEvent', () => {
+    it('should finish the event and return it', async () => {
+      const mockEvent = { id: 1, status: 'FINISHED' };
+      eventConditions.forceFinishEvent.mockResolvedValue(true);
+      eventService.findById.mockResolvedValue(mockEvent);
+
+      const result = await eventResolvers.Mutation.forceFinishEvent(null, { id: 1 });
+
+      expect(eventConditions.forceFinishEvent).toHaveBeenCalledWith(1);
+      expect(eventService.findById).toHaveBeenCalledWith(1, true);
+      expect(result).toEqual(mockEvent);
+    });
+
+    it('should throw an error if the event is not in progress', async () => {
+      eventConditions.forceFinishEvent.mockResolvedValue(false);
+
+      await expect(eventResolvers.Mutation.forceFinishEvent(null, { id: 1 }))
+        .rejects.toThrow('Event is not in progress');
+
+      expect(console.error).toHaveBeenCalledWith('Error force finishing event:', expect.any(Error));
+    });
+  });
+
+  describe('Mutation.forceFailEvent', () => {
+    it('should fail the event and return it', async () => {
+      const mockEvent = { id: 1, status: 'FAILED' };
+      eventConditions.forceFailEvent.mockResolvedValue(true);
+      eventService.findById.mockResolvedValue(mockEvent);
+
+      const result = await eventResolvers.Mutation.forceFailEvent(null, { id: 1 });
+
+      expect(eventConditions.forceFailEvent).toHaveBeenCalledWith(1);
+      expect(result).toEqual(mockEvent);
+    });
+
+    it('should throw an error if the event is not in progress', async () => {
+      eventConditions.forceFailEvent.mockResolvedValue(false);
+
+      await expect(eventResolvers.Mutation.forceFailEvent(null, { id: 1 }))
+        .rejects.toThrow('Event is not in progress');
+    });
+  });
+
+  describe('Mutation.advanceClock', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should advance the clock and return its state', () => {
+      jest.spyOn(clock, 'advance').mockReturnValue(new Date('2030-01-01T01:00:00.000Z'));
+      jest.spyOn(clock, 'getState').mockReturnValue({
+        mode: 'TIME_TRAVEL',
+        now: new Date('2030-01-01T01:00:00.000Z'),
+        offsetSeconds: 3600
+      });
+
+      const result = eventResolvers.Mutation.advanceClock(null, { seconds: 3600 });
+
+      expect(clock.advance).toHaveBeenCalledWith(3600 * 1000);
+      expect(result).toEqual({ mode: 'TIME_TRAVEL', now: '2030-01-01T01:00:00.000Z', offsetSeconds: 3600 });
+    });
+
+    it('should refuse to advance the system clock', () => {
+      expect(() => eventResolvers.Mutation.advanceClock(null, { seconds: 3600 }))
+        .toThrow('The clock can only be advanced in TIME_TRAVEL mode');
+
+      expect(console.error).toHaveBeenCalledWith('Error advancing clock:', expect.any(Error));
+    });
+  });
+
+  describe('Query.eventsConnection', () => {
+    it('should return a page of events for the user', async () => {
+      const connection = { edges: [], pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null } };
+      const user = { id: 1, role: 'USER' };
+      const args = { first: 10, after: null, filter: { type: 'DONATION', minBank: 50 }, orderBy: 'BIGGEST_BANK' };
+      eventService.findPage.mockResolvedValueOnce(connection);
+
+      const result = await eventResolvers.Query.eventsConnection(null, args, { user });
+
+      expect(eventService.findPage).toHaveBeenCalledWith(args, user);
+      expect(result).toBe(connection);
+    });
+
+    it('should reject invalid filters before calling the service', async () => {
+      await expect(eventResolvers.Query.eventsConnection(null, { filter: { endingWithinHours: 0 } }, {}))
+        .rejects.toThrow('Validation error');
+
+      expect(eventService.findPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Query.searchEvents', () => {
+    it('should search events for the user', async () => {
+      const results = [{ event: { id: 1, name: 'Charity run' }, relevance: 2, highlights: null }];
+      const user = { id: 1, role: 'USER' };
+      eventService.search.mockResolvedValueOnce(results);
+
+      const result = await eventResolvers.Query.searchEvents(null, { query: 'charity', filter: { status: 'IN_PROGRESS' }, limit: 5 }, { user });
+
+      expect(eventService.search).toHaveBeenCalledWith('charity', { filter: { status: 'IN_PROGRESS' }, limit: 5, highlight: false }, user);
+      expect(result).toBe(results);
+    });
+
+    it('should reject invalid filters before calling the service', async () => {
+      await expect(eventResolvers.Query.searchEvents(null, { query: 'charity', filter: { minBank: -1 } }, {}))
+        .rejects.toThrow('Validation error');
+
+      expect(eventService.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Query.eventRevisions', () => {
+    it('should return the revisions of an event', async () => {
+      const mockRevisions = [{ id: 1, eventId: 1, revision: 1, changes: [] }];
+      eventService.findById.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+      eventRevisionService.findByEventId.mockResolvedValueOnce(mockRevisions);
+
+      const result = await eventResolvers.Query.eventRevisions(null, { eventId: 1 }, {});
+
+      expect(eventService.findById).toHaveBeenCalledWith(1, false);
+      expect(eventRevisionService.findByEventId).toHaveBeenCalledWith(1);
+      expect(result).toEqual(mockRevisions);
+    });
+
+    it('should hide the revisions of drafts from other users', async () => {
+      const draft = { id: 1, status: 'DRAFT', userId: 2 };
+      const user = { id: 1, role: 'USER' };
+      eventService.findById.mockResolvedValueOnce(draft);
+      eventService.isVisibleTo.mockReturnValueOnce(false);
+
+      await expect(eventResolvers.Query.eventRevisions(null, { eventId: 1 }, { user }))
+        .rejects.toThrow('Event not found');
+
+      expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, user);
+      expect(eventRevisionService.findByEventId).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if the event does not exist', async () => {
+      eventService.findById.mockResolvedValueOnce(null);
+
+      await expect(eventResolvers.Query.eventRevisions(null, { eventId: 999 }, {}))
+        .rejects.toThrow('Event not found');
+    });
+
+    it('should throw an error if the lookup fails', async () => {
+      eventService.findById.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+      eventRevisionService.findByEventId.mockRejectedValueOnce(new Error('Database error'));
+
+      await expect(eventResolvers.Query.eventRevisions(null, { eventId: 1 }, {}))
+        .rejects.toThrow('Database error');
+
+      expect(console.error).toHaveBeenCalledWith('Error fetching event revisions:', expect.any(Error));
+    });
+  });
+
+  describe('Query.eventConditionHistory', () => {
+    it('should return the condition log of an event', async () => {
+      const mockEntries = [{ id: 1, eventId: 1, type: 'CONDITION_CHECKED', trigger: 'PARTICIPATION' }];
+      eventService.findById.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+      conditionLogService.findByEventId.mockResolvedValueOnce(mockEntries);
+
+      const result = await eventResolvers.Query.eventConditionHistory(null, { eventId: 1 }, {});
+
+      expect(eventService.findById).toHaveBeenCalledWith(1, false);
+      expect(conditionLogService.findByEventId).toHaveBeenCalledWith(1);
+      expect(result).toEqual(mockEntries);
+    });
+
+    it('should hide the condition log of drafts from other users', async () => {
+      const draft = { id: 1, status: 'DRAFT', userId: 2 };
+      const user = { id: 1, role: 'USER' };
+      eventService.findById.mockResolvedValueOnce(draft);
+      eventService.isVisibleTo.mockReturnValueOnce(false);
+
+      await expect(eventResolvers.Query.eventConditionHistory(null, { eventId: 1 }, { user }))
+        .rejects.toThrow('Event not found');
+
+      expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, user);
+      expect(conditionLogService.findByEventId).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if the lookup fails', async () => {
+      eventService.findById.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+      conditionLogService.findByEventId.mockRejectedValueOnce(new Error('Database error'));
+
+      await expect(eventResolvers.Query.eventConditionHistory(null, { eventId: 1 }, {}))
+        .rejects.toThrow('Database error');
+
+      expect(console.error).toHaveBeenCalledWith('Error fetching event condition history:', expect.any(Error));
+    });
+  });
+
+
+  describe('Query.simulateEventConditions', () => {
+    const input = {
+      name: 'New Event',
+      description: 'New Description',
+      type: 'FUNDRAISING',
+      userId: 1,
+      eventEndConditionGroups: [
+        { conditions: [{ name: 'BANK', operator: 'GREATER_EQUALS', value: '100' }] }
+      ]
+    };
+
+    it('should simulate the scenario without an image', async () => {
+      const scenario = { steps: [{ type: 'PARTICIPATION', userId: 2, deposit: 100 }] };
+      const simulation = { steps: [], finalStatus: 'FINISHED' };
+      eventService.simulateConditions.mockResolvedValueOnce(simulation);
+
+      const result = await eventResolvers.Query.simulateEventConditions(null, { input, scenario });
+
+      expect(eventService.simulateConditions).toHaveBeenCalledWith(input, scenario);
+      expect(result).toBe(simulation);
+    });
+
+    it('should reject steps without the data they need', async () => {
+      const scenario = {
+        steps: [{ type: 'PARTICIPATION', userId: 2 }, { type: 'TICK' }]
+      };
+
+      await expect(eventResolvers.Query.simulateEventConditions(null, { input, scenario }))
+        .rejects.toThrow('Validation error');
+
+      expect(eventService.simulateConditions).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('Error simulating event conditions:', expect.any(Error));
+    });
+  });
+
+  describe('Mutation.updateEvent', () => {
+    const user = { id: 1, role: 'USER' };
+
+    it('should update the event and publish an update', async () => {
+      const mockInput = { name: 'New name' };
+      const mockEvent = { id: 1, name: 'New name' };
+      eventService.update.mockResolvedValueOnce(mockEvent);
+
+      const result = await eventResolvers.Mutation.updateEvent(null, { id: 1, input: mockInput }, { user });
+
+      expect(eventService.update).toHaveBeenCalledWith(1, mockInput, user);
+      expect(pubsub.publish).toHaveBeenCalledWith(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+        eventUpdated: { id: 1 }
+      });
+      expect(result).toEqual(mockEvent);
+    });
+
+    it('should reject invalid input before calling the service', async () => {
+      await expect(eventResolvers.Mutation.updateEvent(null, { id: 1, input: { name: 'ab' } }, { user }))
+        .rejects.toThrow('Validation error');
+
+      expect(eventService.update).not.toHaveBeenCalled();
+    });
+
+    it('should not publish when the update fails', async () => {
+      eventService.update.mockRejectedValueOnce(new Error('Nothing to update'));
+
+      await expect(eventResolvers.Mutation.updateEvent(null, { id: 1, input: { name: 'Same name' } }, { user }))
+        .rejects.toThrow('Nothing to update');
+
+      expect(pubsub.publish).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('Error updating event:', expect.any(Error));
+    });
+  });
+
+  describe('EventRevision.editor', () => {
+    it('should resolve the user who made the edit', async () => {
+      const mockUser = { id: 3, username: 'editor' };
+      userService.findByIds.mockResolvedValueOnce([mockUser]);
+
+      const result = await eventResolvers.EventRevision.editor({ userId: 3 });
+
+      expect(userService.findByIds).toHaveBeenCalledWith([3]);
+      expect(result).toEqual(mockUser);
+    });
+
+    it('should return null without an editor', async () => {
+      const result = await eventResolvers.EventRevision.editor({ userId: null });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('ConditionLogEntry.evaluatedAt', () => {
+    it('should resolve the evaluation time in ISO format', () => {
+      const result = eventResolvers.ConditionLogEntry.evaluatedAt({ evaluatedAt: new Date('2030-01-01T00:00:00.000Z') });
+
+      expect(result).toBe('2030-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('Mutation.publishEvent', () => {
+    const user = { id: 1, role: 'USER' };
+
+    it('should publish a scheduled event and notify subscribers', async () => {
+      const mockEvent = { id: 1, status: 'SCHEDULED', startsAt: '2030-01-01T00:00:00.000Z' };
+      eventService.publish.mockResolvedValueOnce(mockEvent);
+
+      const result = await eventResolvers.Mutation.publishEvent(null, { id: 1, startsAt: mockEvent.startsAt }, { user });
+
+      expect(eventService.publish).toHaveBeenCalledWith(1, mockEvent.startsAt, user);
+      expect(pubsub.publish).toHaveBeenCalledWith(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+        eventUpdated: { id: 1 }
+      });
+      expect(result).toEqual(mockEvent);
+    });
+
+    it('should leave the notification of a started event to the condition tracker', async () => {
+      eventService.publish.mockResolvedValueOnce({ id: 1, status: 'IN_PROGRESS' });
+
+      await eventResolvers.Mutation.publishEvent(null, { id: 1 }, { user });
+
+      expect(pubsub.publish).not.toHaveBeenCalled();
+    });
+
+    it('should throw an error if publishing fails', async () => {
+      eventService.publish.mockRejectedValueOnce(new Error('Cannot publish an event with status IN_PROGRESS'));
+
+      await expect(eventResolvers.Mutation.publishEvent(null, { id: 1 }, { user }))
+        .rejects.toThrow('Cannot publish an event with status IN_PROGRESS');
+
+      expect(console.error).toHaveBeenCalledWith('Error publishing event:', expect.any(Error));
+    });
+  });
+
+  describe('Mutation.cancelEvent', () => {
+    const user = { id: 1, role: 'USER' };
+
+    it('should cancel the event as the authenticated user', async () => {
+      const mockEvent = { id: 1, status: 'CANCELLED', cancellationReason: 'Venue closed' };
+      eventService.cancel.mockResolvedValueOnce(mockEvent);
+
+      const result = await eventResolvers.Mutation.cancelEvent(null, { eventId: 1, reason: 'Venue closed' }, { user });
+
+      expect(eventService.cancel).toHaveBeenCalledWith(1, 'Venue closed', user);
+      expect(result).toEqual(mockEvent);
+    });
+
+    it('should throw an error if cancellation fails', async () => {
+      eventService.cancel.mockRejectedValueOnce(new Error('Only the event creator or an admin can cancel the event'));
+
+      await expect(eventResolvers.Mutation.cancelEvent(null, { eventId: 1, reason: 'Not mine' }, { user }))
+        .rejects.toThrow('Only the event creator or an admin can cancel the event');
+
+      expect(console.error).toHaveBeenCalledWith('Error cancelling event:', expect.any(Error));
+    });
+  });
+
+  describe('Mutation.moderateEvent', () => {
+    it('should moderate the event and publish an update', async () => {
+      const mockInput = { description: '', removeImage: true };
+      const mockEvent = { id: 1, description: '', imageUrl: null };
+      eventService.moderate.mockResolvedValue(mockEvent);
+
+      const result = await eventResolvers.Mutation.moderateEvent(null, { id: 1, input: mockInput }, { user: { id: 3, role: 'MODERATOR' } });
+
+      expect(eventService.moderate).toHaveBeenCalledWith(1, mockInput, 3);
+      expect(pubsub.publish).toHaveBeenCalledWith(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+        eventUpdated: { id: 1 }
+      });
+      expect(result).toEqual(mockEvent);
+    });
+
+    it('should throw an error if moderation fails', async () => {
+      eventService.moderate.mockRejectedValue(new Error('Nothing to moderate'));
+
+      await expect(eventResolvers.Mutation.moderateEvent(null, { id: 1, input: {} }, { user: { id: 3, role: 'MODERATOR' } }))
+        .rejects.toThrow('Nothing to moderate');
+
+      expect(console.error).toHaveBeenCalledWith('Error moderating event:', expect.any(Error));
+    });
   });
 
   describe('Event field resolvers', () => {
     describe('Event.bankAmount', () => {
-      it('should return the bank amount of the event', async () => {
-        const mockEvent = { id: 1 };
-        eventService.calculateBankAmount.mockResolvedValue(500);
+      it('should return the bank amount stored on the event', () => {
+        const result = eventResolvers.Event.bankAmount({ id: 1, bankAmount: 500 });
 
-        const result = await eventResolvers.Event.bankAmount(mockEvent);
-
-        expect(eventService.calculateBankAmount).toHaveBeenCalledWith(1);
         expect(result).toBe(500);
       });
 
-      it('should return 0 if there is an error calculating the bank amount', async () => {
-        const mockEvent = { id: 1 };
-        eventService.calculateBankAmount.mockRejectedValue(new Error('Database error'));
+      it('should convert a DECIMAL string to a number', () => {
+        expect(eventResolvers.Event.bankAmount({ id: 1, bankAmount: '75.50' })).toBe(75.5);
+      });
 
-        const result = await eventResolvers.Event.bankAmount(mockEvent);
+      it('should return 0 for an event without a bank amount', () => {
+        expect(eventResolvers.Event.bankAmount({ id: 1, bankAmount: null })).toBe(0);
+      });
+    });
+
+    describe('Event.participantCount', () => {
+      it('should return the participant count stored on the event', () => {
+        expect(eventResolvers.Event.participantCount({ id: 1, participantCount: 4 })).toBe(4);
+      });
 
-        expect(result).toBe(0);
-        expect(console.error).toHaveBeenCalledWith('Error calculating bank amount:', expect.any(Error));
+      it('should return 0 for an event without a participant count', () => {
+        expect(eventResolvers.Event.participantCount({ id: 1 })).toBe(0);
       });
     });
 
@@ -137,17 +642,17 @@ describe('eventResolvers', () => {
           { id: 2, eventId: 1, type: 'AMOUNT_BASED' }
         ];
 
-        eventEndConditionService.findByEventId.mockResolvedValue(mockEndConditions);
+        eventEndConditionService.findByEventIds.mockResolvedValue(mockEndConditions);
 
         const result = await eventResolvers.Event.endConditions(mockEvent);
 
-        expect(eventEndConditionService.findByEventId).toHaveBeenCalledWith(1);
+        expect(eventEndConditionService.findByEventIds).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockEndConditions);
       });
 
       it('should return an empty array if there is an error fetching the end conditions', async () => {
         const mockEvent = { id: 1 };
-        eventEndConditionService.findByEventId.mockRejectedValue(new Error('Database error'));
+        eventEndConditionService.findByEventIds.mockRejectedValue(new Error('Database error'));
 
         const result = await eventResolvers.Event.endConditions(mockEvent);
 
@@ -161,26 +666,40 @@ describe('eventResolvers', () => {
         const mockEvent = { id: 1, userId: 123 };
         const mockCreator = { id: 123, username: 'creator' };
 
-        userService.findById.mockResolvedValue(mockCreator);
+        userService.findByIds.mockResolvedValue([mockCreator]);
 
         const result = await eventResolvers.Event.creator(mockEvent);
 
-        expect(userService.findById).toHaveBeenCalledWith(123, false);
+        expect(userService.findByIds).toHaveBeenCalledWith([123]);
         expect(result).toEqual(mockCreator);
       });
 
+      it('should load the users of a request once, in one query', async () => {
+        const context = {};
+        const events = [{ id: 1, userId: 123 }, { id: 2, userId: 456 }, { id: 3, userId: 123 }];
+        userService.findByIds.mockResolvedValue([{ id: 456, username: 'other' }, { id: 123, username: 'creator' }]);
+
+        const result = await Promise.all(events.map(event => eventResolvers.Event.creator(event, {}, context)));
+        const recipient = await eventResolvers.Event.recipient({ id: 4, recipientId: 456 }, {}, context);
+
+        expect(userService.findByIds).toHaveBeenCalledTimes(1);
+        expect(userService.findByIds).toHaveBeenCalledWith([123, 456]);
+        expect(result.map(user => user.username)).toEqual(['creator', 'other', 'creator']);
+        expect(recipient.username).toBe('other');
+      });
+
       it('should return null if there is no userId', async () => {
         const mockEvent = { id: 1, userId: null };
 
         const result = await eventResolvers.Event.creator(mockEvent);
 
         expect(result).toBeNull();
-        expect(userService.findById).not.toHaveBeenCalled();
+        expect(userService.findByIds).not.toHaveBeenCalled();
       });
 
       it('should return null if there is an error fetching the event creator', async () => {
         const mockEvent = { id: 1, userId: 123 };
-        userService.findById.mockRejectedValue(new Error('Database error'));
+        userService.findByIds.mockRejectedValue(new Error('Database error'));
 
         const result = await eventResolvers.Event.creator(mockEvent);
 
@@ -194,11 +713,11 @@ describe('eventResolvers', () => {
         const mockEvent = { id: 1, recipientId: 456 };
         const mockRecipient = { id: 456, username: 'recipient' };
 
-        userService.findById.mockResolvedValue(mockRecipient);
+        userService.findByIds.mockResolvedValue([mockRecipient]);
 
         const result = await eventResolvers.Event.recipient(mockEvent);
 
-        expect(userService.findById).toHaveBeenCalledWith(456, false);
+        expect(userService.findByIds).toHaveBeenCalledWith([456]);
         expect(result).toEqual(mockRecipient);
       });
 
@@ -208,7 +727,7 @@ describe('eventResolvers', () => {
         const result = await eventResolvers.Event.recipient(mockEvent);
 
         expect(result).toBeNull();
-        expect(userService.findById).not.toHaveBeenCalled();
+        expect(userService.findByIds).not.toHaveBeenCalled();
       });
     });
 
@@ -220,17 +739,17 @@ describe('eventResolvers', () => {
           { id: 2, userId: 2, eventId: 1, deposit: 200 }
         ];
 
-        participationService.findByEvent.mockResolvedValue(mockParticipations);
+        participationService.findByEvents.mockResolvedValue(mockParticipations);
 
         const result = await eventResolvers.Event.participations(mockEvent);
 
-        expect(participationService.findByEvent).toHaveBeenCalledWith(1);
+        expect(participationService.findByEvents).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockParticipations);
       });
 
       it('should return an empty array if there is an error fetching the event participations', async () => {
         const mockEvent = { id: 1 };
-        participationService.findByEvent.mockRejectedValue(new Error('Database error'));
+        participationService.findByEvents.mockRejectedValue(new Error('Database error'));
 
         const result = await eventResolvers.Event.participations(mockEvent);
 
@@ -254,7 +773,50 @@ describe('eventResolvers', () => {
         const result = await eventResolvers.EventEndCondition.conditions(mockEventEndCondition);
 
         expect(result).toEqual(mockEventEndCondition.conditions);
+        expect(endConditionService.findByEventEndConditions).not.toHaveBeenCalled();
+      });
+
+      it('should load the conditions of several groups in one query', async () => {
+        const context = {};
+        endConditionService.findByEventEndConditions.mockResolvedValue([
+          { id: 1, endConditionId: 1, name: 'BANK' },
+          { id: 2, endConditionId: 2, name: 'TIME' }
+        ]);
+
+        const result = await Promise.all([1, 2, 3].map(id => eventResolvers.EventEndCondition.conditions({ id }, {}, context)));
+
+        expect(endConditionService.findByEventEndConditions).toHaveBeenCalledWith([1, 2, 3]);
+        expect(result).toEqual([
+          [{ id: 1, endConditionId: 1, name: 'BANK' }],
+          [{ id: 2, endConditionId: 2, name: 'TIME' }],
+          []
+        ]);
+      });
+    });
+  });
+
+  describe('EndCondition field resolvers', () => {
+    it('should resolve the progress fields through the request loader', async () => {
+      const condition = { id: 3, name: 'TIME', value: '2030-01-01T00:00:00.000Z', endConditionId: 1 };
+      const load = jest.fn().mockResolvedValue({
+        currentValue: 0,
+        progressPercent: 42.5,
+        remainingSeconds: 3600
       });
+      const context = { loaders: { conditionProgress: { load } } };
+
+      expect(await eventResolvers.EndCondition.currentValue(condition, {}, context)).toBe(0);
+      expect(await eventResolvers.EndCondition.progressPercent(condition, {}, context)).toBe(42.5);
+      expect(await eventResolvers.EndCondition.remainingSeconds(condition, {}, context)).toBe(3600);
+      expect(load).toHaveBeenCalledWith(condition);
+    });
+
+    it('should return null if the progress cannot be computed', async () => {
+      const condition = { id: 4, name: 'BANK', value: '100', endConditionId: 1 };
+      const context = { loaders: { conditionProgress: { load: jest.fn().mockRejectedValue(new Error('Database error')) } } };
+
+      expect(await eventResolvers.EndCondition.progressPercent(condition, {}, context)).toBeNull();
+      expect(console.error).toHaveBeenCalledWith('Error computing condition progress:', expect.any(Error));
     });
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { createLoaders, getLoaders } = require('../../graphql/utils/loaders');
+const { userService, eventService, participationService, eventEndConditionService, transactionService } = require('../../service');
+
+describe('loaders', () => {
+  it('should batch the IDs requested in the same tick and keep their order', async () => {
+    const loaders = createLoaders();
+    userService.findByIds.mockResolvedValueOnce([{ id: 3, username: 'c' }, { id: 1, username: 'a' }]);
+
+    const users = await Promise.all([1, 2, 3].map(id => loaders.users.load(id)));
+
+    expect(userService.findByIds).toHaveBeenCalledTimes(1);
+    expect(userService.findByIds).toHaveBeenCalledWith([1, 2, 3]);
+    expect(users).toEqual([{ id: 1, username: 'a' }, null, { id: 3, username: 'c' }]);
+  });
+
+  it('should group records by their key', async () => {
+    const loaders = createLoaders();
+    participationService.findByEvents.mockResolvedValueOnce([
+      { id: 1, eventId: 2 },
+      { id: 2, eventId: 1 },
+      { id: 3, eventId: 2 }
+    ]);
+
+    const participations = await Promise.all([1, 2, 3].map(id => loaders.participationsByEvent.load(id)));
+
+    expect(participations).toEqual([[{ id: 2, eventId: 1 }], [{ id: 1, eventId: 2 }, { id: 3, eventId: 2 }], []]);
+  });
+
+  it('should cache records for the request unless caching is disabled', async () => {
+    userService.findByIds.mockImplementation(async ids => ids.map(id => ({ id })));
+
+    const loaders = createLoaders();
+    await loaders.users.load(1);
+    await loaders.users.load(1);
+    expect(userService.findByIds).toHaveBeenCalledTimes(1);
+
+    const uncached = createLoaders({ cache: false });
+    await uncached.users.load(1);
+    await uncached.users.load(1);
+    expect(userService.findByIds).toHaveBeenCalledTimes(3);
+  });
+
+  it('should compute the progress of many conditions with one query per kind of data', async () => {
+    const loaders = createLoaders();
+    eventEndConditionService.findByIds.mockResolvedValueOnce([{ id: 10, eventId: 1 }, { id: 20, eventId: 2 }]);
+    eventService.findByIds.mockResolvedValueOnce([
+      { id: 1, userId: 5, bankAmount: 50, participantCount: 2 },
+      { id: 2, userId: 5, bankAmount: 300, participantCount: 3 }
+    ]);
+    participationService.findByEvents.mockResolvedValueOnce([
+      { eventId: 1, userId: 6 },
+      { eventId: 1, userId: 7 }
+    ]);
+    transactionService.findLargestEventDeposits.mockResolvedValueOnce(new Map([[2, 150]]));
+    const conditions = [
+      { id: 1, endConditionId: 10, name: 'BANK', operator: 'GREATER_EQUALS', value: '100' },
+      { id: 2, endConditionId: 20, name: 'BANK', operator: 'GREATER_EQUALS', value: '100' },
+      { id: 3, endConditionId: 10, name: 'UNIQUE_DONORS', operator: 'GREATER_EQUALS', value: '4' },
+      { id: 4, endConditionId: 20, name: 'MAX_SINGLE_DEPOSIT', operator: 'GREATER_EQUALS', value: '300' }
+    ];
+
+    const progress = await Promise.all(conditions.map(condition => loaders.conditionProgress.load(condition)));
+
+    expect(eventEndConditionService.findByIds).toHaveBeenCalledTimes(1);
+    expect(eventService.findByIds).toHaveBeenCalledTimes(1);
+    expect(eventService.findByIds).toHaveBeenCalledWith([1, 2]);
+    expect(participationService.findByEvents).toHaveBeenCalledTimes(1);
+    expect(transactionService.findLargestEventDeposits).toHaveBeenCalledWith([2]);
+    expect(progress.map(({ currentValue, progressPercent }) => [currentValue, progressPercent])).toEqual([
+      [50, 50],
+      [300, 100],
+      [2, 50],
+      [150, 50]
+    ]);
+  });
+
+  it('should keep the loaders of a context', () => {
+    const context = {};
+
+    expect(getLoaders(context)).toBe(getLoaders(context));
+    expect(getLoaders(undefined)).not.toBe(getLoaders(undefined));
+  });
+});
@@ -1,7 +1,6 @@
 const participationResolvers = require('../../graphql/schema/resolvers/participationResolvers');
-const { participationService, transactionService, userService, eventService } = require('../../service');
+const { participationService, transactionService, userService, eventService, ledgerService } = require('../../service');
 const { pubsub, SUBSCRIPTION_EVENTS } = require('../../graphql/pubsub');
-const eventConditions = require('../../utils/eventCondition');
 
 describe('participationResolvers', () => {
   describe('Query.userParticipation', () => {
@@ -73,6 +72,24 @@ describe('participationResolvers', () => {
     });
   });
 
+  describe('Query.ledgerReconciliation', () => {
+    it('should return the reconciliation report', async () => {
+      const report = { totalMinted: 100, userBalances: 90, escrowBalance: 5, revenueBalance: 5, isBalanced: true };
+      ledgerService.reconcile.mockResolvedValue(report);
+
+      const result = await participationResolvers.Query.ledgerReconciliation();
+
+      expect(result).toEqual(report);
+    });
+
+    it('should throw an error if reconciliation fails', async () => {
+      ledgerService.reconcile.mockRejectedValue(new Error('Error reconciling ledger'));
+
+      await expect(participationResolvers.Query.ledgerReconciliation())
+        .rejects.toThrow('Error reconciling ledger');
+    });
+  });
+
   describe('Mutation.createTransaction', () => {
     it('should successfully create a transaction', async () => {
       const mockInput = {
@@ -93,7 +110,7 @@ describe('participationResolvers', () => {
 
       const result = await participationResolvers.Mutation.createTransaction(null, { input: mockInput });
 
-      expect(transactionService.create).toHaveBeenCalledWith(mockInput);
+      expect(transactionService.create).toHaveBeenCalledWith(mockInput, undefined);
       expect(result).toEqual(mockTransaction);
     });
 
@@ -111,6 +128,26 @@ describe('participationResolvers', () => {
 
       expect(console.error).toHaveBeenCalledWith('Error creating transaction:', expect.any(Error));
     });
+
+    it('should only accept an event for event transactions', async () => {
+      await expect(participationResolvers.Mutation.createTransaction(null, { input: { amount: 50, type: 'BALANCE_OUTCOME', userId: 1, eventId: 9 } }))
+        .rejects.toThrow('"eventId" is not allowed');
+      await expect(participationResolvers.Mutation.createTransaction(null, { input: { amount: 50, type: 'EVENT_OUTCOME', userId: 1 } }))
+        .rejects.toThrow('"eventId" is required');
+
+      expect(transactionService.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Mutation.createTransaction idempotency', () => {
+    it('should pass the idempotency key to the service', async () => {
+      const mockInput = { amount: 50, type: 'BALANCE_OUTCOME', userId: 1 };
+      transactionService.create.mockResolvedValue({ id: 9, ...mockInput });
+
+      await participationResolvers.Mutation.createTransaction(null, { input: mockInput, idempotencyKey: 'withdraw-1' });
+
+      expect(transactionService.create).toHaveBeenCalledWith(mockInput, 'withdraw-1');
+    });
   });
 
   describe('Mutation.upsertParticipation', () => {
@@ -122,13 +159,6 @@ describe('participationResolvers', () => {
           deposit: 200
         };
 
-        const mockExistingParticipation = {
-          id: 1,
-          userId: 1,
-          eventId: 1,
-          deposit: 300
-        };
-
         const mockUpdatedParticipation = {
           id: 1,
           userId: 1,
@@ -143,20 +173,17 @@ describe('participationResolvers', () => {
           userId: 1
         };
 
-        participationService.findByUserAndEvent.mockResolvedValue(mockExistingParticipation);
-        participationService.update.mockResolvedValue(mockUpdatedParticipation);
-        transactionService.create.mockResolvedValue(mockTransaction);
+        participationService.upsert.mockResolvedValue({
+          participation: mockUpdatedParticipation,
+          isNewParticipation: false,
+          transaction: mockTransaction
+        });
 
         const result = await participationResolvers.Mutation.upsertParticipation(null, { input: mockInput });
 
-        expect(participationService.findByUserAndEvent).toHaveBeenCalledWith(1, 1);
-        expect(participationService.update).toHaveBeenCalledWith(1, { deposit: 500 });
-        expect(transactionService.create).toHaveBeenCalledWith({
-          amount: 200,
-          type: 'EVENT_OUTCOME',
-          userId: 1
-        });
-        expect(eventConditions.onParticipationUpdated).toHaveBeenCalledWith(1, 1, 500);
+        expect(participationService.upsert).toHaveBeenCalledWith(mockInput, undefined);
+        expect(participationService.create).not.toHaveBeenCalled();
+        expect(transactionService.create).not.toHaveBeenCalled();
 
         expect(pubsub.publish).toHaveBeenCalledWith(SUBSCRIPTION_EVENTS.PARTICIPATION_UPDATED, {
           participationUpdated: { id: 1, eventId: 1 }
@@ -198,19 +225,15 @@ describe('participationResolvers', () => {
           userId: 1
         };
 
-        participationService.findByUserAndEvent.mockResolvedValue(null);
-        participationService.create.mockResolvedValue(mockNewParticipation);
-        participationService.findById.mockResolvedValue(mockNewParticipation);
-        transactionService.create.mockResolvedValue(mockTransaction);
+        participationService.upsert.mockResolvedValue({
+          participation: mockNewParticipation,
+          isNewParticipation: true,
+          transaction: mockTransaction
+        });
 
         const result = await participationResolvers.Mutation.upsertParticipation(null, { input: mockInput });
 
-        expect(participationService.create).toHaveBeenCalledWith({
-          userId: 1,
-          eventId: 1,
-          deposit: 100
-        });
-        expect(participationService.findById).toHaveBeenCalledWith(2);
+        expect(participationService.upsert).toHaveBeenCalledWith(mockInput, undefined);
 
         expect(pubsub.publish).toHaveBeenCalledWith(SUBSCRIPTION_EVENTS.PARTICIPATION_CREATED, {
           participationCreated: { id: 2, eventId: 1 }
@@ -224,6 +247,32 @@ describe('participationResolvers', () => {
       });
     });
 
+    describe('when the request is a retry', () => {
+      it('should pass the idempotency key and skip notifications for a replayed result', async () => {
+        const mockInput = { userId: 1, eventId: 1, deposit: 100 };
+        const mockParticipation = { id: 2, userId: 1, eventId: 1, deposit: 100 };
+        const mockTransaction = { id: 2, amount: 100, type: 'EVENT_OUTCOME', userId: 1 };
+
+        participationService.upsert.mockResolvedValue({
+          participation: mockParticipation,
+          isNewParticipation: true,
+          transaction: mockTransaction,
+          replayed: true
+        });
+        pubsub.publish.mockClear();
+
+        const result = await participationResolvers.Mutation.upsertParticipation(null, { input: mockInput, idempotencyKey: 'retry-1' });
+
+        expect(participationService.upsert).toHaveBeenCalledWith(mockInput, 'retry-1');
+        expect(pubsub.publish).not.toHaveBeenCalled();
+        expect(result).toEqual({
+          participation: mockParticipation,
+          isNewParticipation: true,
+          transaction: mockTransaction
+        });
+      });
+    });
+
     it('should throw an error if the participation creation/update fails', async () => {
       const mockInput = {
         userId: 1,
@@ -231,12 +280,13 @@ describe('participationResolvers', () => {
         deposit: 100
       };
 
-      participationService.findByUserAndEvent.mockRejectedValue(new Error('Database error'));
+      participationService.upsert.mockRejectedValue(new Error('Insufficient balance'));
 
       await expect(participationResolvers.Mutation.upsertParticipation(null, { input: mockInput }))
-        .rejects.toThrow('Database error');
+        .rejects.toThrow('Insufficient balance');
 
       expect(console.error).toHaveBeenCalledWith('Error upserting participation:', expect.any(Error));
+      expect(pubsub.publish).not.toHaveBeenCalled();
     });
   });
 
@@ -252,7 +302,7 @@ describe('participationResolvers', () => {
         const result = await participationResolvers.Participation.user(mockParticipation);
 
         expect(result).toEqual(mockParticipation.user);
-        expect(userService.findById).not.toHaveBeenCalled();
+        expect(userService.findByIds).not.toHaveBeenCalled();
       });
 
       it('should load the user if they are not loaded', async () => {
@@ -263,11 +313,11 @@ describe('participationResolvers', () => {
 
         const mockUser = { id: 1, username: 'testuser' };
 
-        userService.findById.mockResolvedValue(mockUser);
+        userService.findByIds.mockResolvedValue([mockUser]);
 
         const result = await participationResolvers.Participation.user(mockParticipation);
 
-        expect(userService.findById).toHaveBeenCalledWith(1, false);
+        expect(userService.findByIds).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockUser);
       });
 
@@ -277,7 +327,7 @@ describe('participationResolvers', () => {
           userId: 1
         };
 
-        userService.findById.mockRejectedValue(new Error('Database error'));
+        userService.findByIds.mockRejectedValue(new Error('Database error'));
 
         const result = await participationResolvers.Participation.user(mockParticipation);
 
@@ -297,7 +347,7 @@ describe('participationResolvers', () => {
         const result = await participationResolvers.Participation.event(mockParticipation);
 
         expect(result).toEqual(mockParticipation.event);
-        expect(eventService.findById).not.toHaveBeenCalled();
+        expect(eventService.findByIds).not.toHaveBeenCalled();
       });
 
       it('should load the event if it is not loaded', async () => {
@@ -308,11 +358,11 @@ describe('participationResolvers', () => {
 
         const mockEvent = { id: 1, name: 'Test Event' };
 
-        eventService.findById.mockResolvedValue(mockEvent);
+        eventService.findByIds.mockResolvedValue([mockEvent]);
 
         const result = await participationResolvers.Participation.event(mockParticipation);
 
-        expect(eventService.findById).toHaveBeenCalledWith(1, false);
+        expect(eventService.findByIds).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockEvent);
       });
 
@@ -322,7 +372,7 @@ describe('participationResolvers', () => {
           eventId: 1
         };
 
-        eventService.findById.mockRejectedValue(new Error('Database error'));
+        eventService.findByIds.mockRejectedValue(new Error('Database error'));
 
         const result = await participationResolvers.Participation.event(mockParticipation);
 
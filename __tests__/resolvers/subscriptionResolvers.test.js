@@ -94,17 +94,40 @@ describe('subscriptionResolvers', () => {
             eventService.findById.mockResolvedValue(mockEvent);
 
             const payload = { eventUpdated: { id: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, {});
 
             expect(eventService.findById).toHaveBeenCalledWith(1, true);
             expect(result).toEqual(mockEvent);
         });
 
+        it('should not send a draft to users who cannot see it', async () => {
+            const draft = { id: 1, status: 'DRAFT', userId: 2 };
+            eventService.findById.mockResolvedValue(draft);
+            eventService.isVisibleTo.mockReturnValueOnce(false);
+
+            const payload = { eventUpdated: { id: 1 } };
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, { user: { id: 3 } });
+
+            expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, { id: 3 });
+            expect(result).toBeNull();
+        });
+
+        it('should send a draft to its creator', async () => {
+            const draft = { id: 1, status: 'DRAFT', userId: 2 };
+            eventService.findById.mockResolvedValue(draft);
+
+            const payload = { eventUpdated: { id: 1 } };
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, { user: { id: 2 } });
+
+            expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, { id: 2 });
+            expect(result).toBe(draft);
+        });
+
         it('should return null if event service fails', async () => {
             eventService.findById.mockRejectedValue(new Error('Database connection failed'));
 
             const payload = { eventUpdated: { id: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, {});
 
             expect(result).toBeNull();
             expect(console.error).toHaveBeenCalledWith(
@@ -117,7 +140,7 @@ describe('subscriptionResolvers', () => {
             eventService.findById.mockResolvedValue(null);
 
             const payload = { eventUpdated: { id: 999 } };
-            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, {});
 
             expect(result).toBeNull();
         });
@@ -126,7 +149,7 @@ describe('subscriptionResolvers', () => {
             eventService.findById.mockResolvedValue(null);
 
             const payload = { eventUpdated: {} };
-            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, {});
 
             expect(eventService.findById).toHaveBeenCalledWith(undefined, true);
             expect(result).toBeNull();
@@ -136,7 +159,7 @@ describe('subscriptionResolvers', () => {
             eventService.findById.mockResolvedValue(null);
 
             const payload = {};
-            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventUpdated.resolve(payload, {}, {});
 
             expect(result).toBeNull();
         });
@@ -357,6 +380,24 @@ describe('subscriptionResolvers', () => {
     });
 
     describe('Subscription.eventConditionsUpdated', () => {
+        beforeEach(() => {
+            eventService.findById.mockResolvedValue({ id: 1, status: 'IN_PROGRESS' });
+        });
+
+        it('should not send the conditions of a draft to users who cannot see it', async () => {
+            const draft = { id: 1, status: 'DRAFT', userId: 2 };
+            eventService.findById.mockResolvedValue(draft);
+            eventService.isVisibleTo.mockReturnValueOnce(false);
+
+            const payload = { eventConditionsUpdated: { eventId: 1 } };
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, { user: { id: 3 } });
+
+            expect(eventService.findById).toHaveBeenCalledWith(1, false);
+            expect(eventService.isVisibleTo).toHaveBeenCalledWith(draft, { id: 3 });
+            expect(eventEndConditionService.findByEventId).not.toHaveBeenCalled();
+            expect(result).toEqual([]);
+        });
+
         it('should successfully resolve with updated event conditions', async () => {
             const mockEventConditions = [
                 { 
@@ -382,7 +423,7 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue(mockEventConditions);
 
             const payload = { eventConditionsUpdated: { eventId: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, {});
 
             expect(eventEndConditionService.findByEventId).toHaveBeenCalledWith(1);
             expect(result).toEqual(mockEventConditions);
@@ -392,7 +433,7 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockRejectedValue(new Error('Conditions service error'));
 
             const payload = { eventConditionsUpdated: { eventId: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, {});
 
             expect(result).toEqual([]);
             expect(console.error).toHaveBeenCalledWith(
@@ -405,7 +446,7 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue([]);
 
             const payload = { eventConditionsUpdated: { eventId: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, {});
 
             expect(result).toEqual([]);
         });
@@ -414,7 +455,7 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue(null);
 
             const payload = { eventConditionsUpdated: { eventId: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, {});
 
             expect(result).toBeNull();
         });
@@ -423,7 +464,7 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue([]);
 
             const payload = { eventConditionsUpdated: {} };
-            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, {});
 
             expect(eventEndConditionService.findByEventId).toHaveBeenCalledWith(undefined);
             expect(result).toEqual([]);
@@ -444,7 +485,7 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue(mockCondition);
 
             const payload = { eventConditionsUpdated: { eventId: 1 } };
-            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload);
+            const result = await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(payload, {}, {});
 
             expect(result).toEqual(mockCondition);
         });
@@ -465,11 +506,11 @@ describe('subscriptionResolvers', () => {
             const conditionsPayload = { eventConditionsUpdated: { eventId: 1 } };
 
             const results = await Promise.all([
-                subscriptionResolvers.Subscription.eventUpdated.resolve(eventPayload),
+                subscriptionResolvers.Subscription.eventUpdated.resolve(eventPayload, {}, {}),
                 subscriptionResolvers.Subscription.balanceUpdated.resolve(userPayload),
                 subscriptionResolvers.Subscription.participationCreated.resolve(participationPayload),
                 subscriptionResolvers.Subscription.participationUpdated.resolve(participationPayload),
-                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(conditionsPayload)
+                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(conditionsPayload, {}, {})
             ]);
 
             expect(results[0]).toBeNull(); // eventUpdated
@@ -488,11 +529,11 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue([]);
 
             const results = await Promise.all([
-                subscriptionResolvers.Subscription.eventUpdated.resolve(undefined),
+                subscriptionResolvers.Subscription.eventUpdated.resolve(undefined, {}, {}),
                 subscriptionResolvers.Subscription.balanceUpdated.resolve(undefined),
                 subscriptionResolvers.Subscription.participationCreated.resolve(undefined),
                 subscriptionResolvers.Subscription.participationUpdated.resolve(undefined),
-                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(undefined)
+                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(undefined, {}, {})
             ]);
 
             expect(results[0]).toBeNull();
@@ -509,11 +550,11 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue([]);
 
             const results = await Promise.all([
-                subscriptionResolvers.Subscription.eventUpdated.resolve(null),
+                subscriptionResolvers.Subscription.eventUpdated.resolve(null, {}, {}),
                 subscriptionResolvers.Subscription.balanceUpdated.resolve(null),
                 subscriptionResolvers.Subscription.participationCreated.resolve(null),
                 subscriptionResolvers.Subscription.participationUpdated.resolve(null),
-                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(null)
+                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve(null, {}, {})
             ]);
 
             expect(results[0]).toBeNull();
@@ -558,10 +599,10 @@ describe('subscriptionResolvers', () => {
             eventEndConditionService.findByEventId.mockResolvedValue(mockConditions);
 
             const promises = [
-                subscriptionResolvers.Subscription.eventUpdated.resolve({ eventUpdated: { id: 1 } }),
+                subscriptionResolvers.Subscription.eventUpdated.resolve({ eventUpdated: { id: 1 } }, {}, {}),
                 subscriptionResolvers.Subscription.balanceUpdated.resolve({ balanceUpdated: { id: 1 } }),
                 subscriptionResolvers.Subscription.participationCreated.resolve({ participationCreated: { id: 1 } }),
-                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve({ eventConditionsUpdated: { eventId: 1 } })
+                subscriptionResolvers.Subscription.eventConditionsUpdated.resolve({ eventConditionsUpdated: { eventId: 1 } }, {}, {})
             ];
 
             const results = await Promise.all(promises);
@@ -587,7 +628,7 @@ describe('subscriptionResolvers', () => {
             const promises = mockEvents.map((event, index) => 
                 subscriptionResolvers.Subscription.eventUpdated.resolve({ 
                     eventUpdated: { id: index + 1 } 
-                })
+                }, {}, {})
             );
 
             const results = await Promise.all(promises);
@@ -606,7 +647,7 @@ describe('subscriptionResolvers', () => {
 
             await subscriptionResolvers.Subscription.eventUpdated.resolve({ 
                 eventUpdated: { id: 123 } 
-            });
+            }, {}, {});
 
             expect(eventService.findById).toHaveBeenCalledWith(123, true);
             expect(eventService.findById).toHaveBeenCalledTimes(1);
@@ -638,11 +679,12 @@ describe('subscriptionResolvers', () => {
 
         it('should call eventEndConditionService.findByEventId with correct parameters', async () => {
             const mockConditions = [{ id: 1, eventId: 101 }];
+            eventService.findById.mockResolvedValue({ id: 101, status: 'IN_PROGRESS' });
             eventEndConditionService.findByEventId.mockResolvedValue(mockConditions);
 
             await subscriptionResolvers.Subscription.eventConditionsUpdated.resolve({ 
                 eventConditionsUpdated: { eventId: 101 } 
-            });
+            }, {}, {});
 
             expect(eventEndConditionService.findByEventId).toHaveBeenCalledWith(101);
             expect(eventEndConditionService.findByEventId).toHaveBeenCalledTimes(1);
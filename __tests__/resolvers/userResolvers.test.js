@@ -1,5 +1,6 @@
 const userResolvers = require('../../graphql/schema/resolvers/userResolvers');
-const { userService, participationService } = require('../../service');
+const { userService, eventService, participationService, transactionService } = require('../../service');
+const { pubsub, SUBSCRIPTION_EVENTS } = require('../../graphql/pubsub');
 
 // Add mocks for new userService methods
 userService.getUsersByBalance = jest.fn();
@@ -284,39 +285,101 @@ describe('userResolvers', () => {
     });
   });
 
+  describe('Mutation.creditBalance', () => {
+    it('should create a BALANCE_INCOME transaction and return the user', async () => {
+      const mockUser = { id: 2, balance: 600 };
+      transactionService.create.mockResolvedValue({ id: 1 });
+      userService.findById.mockResolvedValue(mockUser);
+
+      const result = await userResolvers.Mutation.creditBalance(null, { userId: 2, amount: 500 });
+
+      expect(transactionService.create).toHaveBeenCalledWith({
+        amount: 500,
+        type: 'BALANCE_INCOME',
+        userId: 2
+      });
+      expect(pubsub.publish).toHaveBeenCalledWith(SUBSCRIPTION_EVENTS.BALANCE_UPDATED, {
+        balanceUpdated: { id: 2 }
+      });
+      expect(userService.findById).toHaveBeenCalledWith(2, false);
+      expect(result).toEqual(mockUser);
+    });
+
+    it('should reject non-positive amounts', async () => {
+      await expect(userResolvers.Mutation.creditBalance(null, { userId: 2, amount: 0 }))
+        .rejects.toThrow('amount must be positive');
+
+      expect(transactionService.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Mutation.setUserRole', () => {
+    it('should update the role of the user', async () => {
+      const mockUser = { id: 2, role: 'MODERATOR' };
+      userService.updateRole.mockResolvedValue(mockUser);
+
+      const result = await userResolvers.Mutation.setUserRole(null, { userId: 2, role: 'MODERATOR' });
+
+      expect(userService.updateRole).toHaveBeenCalledWith(2, 'MODERATOR');
+      expect(result).toEqual(mockUser);
+    });
+
+    it('should throw an error if the role update fails', async () => {
+      userService.updateRole.mockRejectedValue(new Error('Unknown role: OWNER'));
+
+      await expect(userResolvers.Mutation.setUserRole(null, { userId: 2, role: 'OWNER' }))
+        .rejects.toThrow('Unknown role: OWNER');
+
+      expect(console.error).toHaveBeenCalledWith('Error setting user role:', expect.any(Error));
+    });
+  });
+
   describe('User field resolvers', () => {
     describe('User.events', () => {
       it('should return all events of the user (created and received)', async () => {
-        const mockUser = {
-          id: 1,
-          getCreatedEvents: jest.fn().mockResolvedValue([
-            { id: 1, name: 'Created Event 1' },
-            { id: 2, name: 'Created Event 2' }
-          ]),
-          getReceivedEvents: jest.fn().mockResolvedValue([
-            { id: 3, name: 'Received Event 1' }
-          ])
-        };
-
-        const result = await userResolvers.User.events(mockUser);
-
-        expect(mockUser.getCreatedEvents).toHaveBeenCalled();
-        expect(mockUser.getReceivedEvents).toHaveBeenCalled();
+        const mockUser = { id: 1 };
+        eventService.findByCreators.mockResolvedValue([
+          { id: 1, userId: 1, name: 'Created Event 1' },
+          { id: 2, userId: 1, name: 'Created Event 2' }
+        ]);
+        eventService.findByRecipients.mockResolvedValue([
+          { id: 3, recipientId: 1, name: 'Received Event 1' }
+        ]);
+
+        const result = await userResolvers.User.events(mockUser, {}, {});
+
+        expect(eventService.findByCreators).toHaveBeenCalledWith([1]);
+        expect(eventService.findByRecipients).toHaveBeenCalledWith([1]);
         expect(result).toEqual([
-          { id: 1, name: 'Created Event 1' },
-          { id: 2, name: 'Created Event 2' },
-          { id: 3, name: 'Received Event 1' }
+          { id: 1, userId: 1, name: 'Created Event 1' },
+          { id: 2, userId: 1, name: 'Created Event 2' },
+          { id: 3, recipientId: 1, name: 'Received Event 1' }
         ]);
       });
 
+      it('should load the events of several users with one query per relation', async () => {
+        const context = {};
+        eventService.findByCreators.mockResolvedValue([{ id: 1, userId: 2 }]);
+        eventService.findByRecipients.mockResolvedValue([{ id: 1, recipientId: 1 }]);
+
+        const [first, second] = await Promise.all([
+          userResolvers.User.events({ id: 1 }, {}, context),
+          userResolvers.User.events({ id: 2 }, {}, context)
+        ]);
+
+        expect(eventService.findByCreators).toHaveBeenCalledTimes(1);
+        expect(eventService.findByCreators).toHaveBeenCalledWith([1, 2]);
+        expect(eventService.findByRecipients).toHaveBeenCalledTimes(1);
+        expect(first).toEqual([{ id: 1, recipientId: 1 }]);
+        expect(second).toEqual([{ id: 1, userId: 2 }]);
+      });
+
       it('should return an empty array if there is an error fetching the user events', async () => {
-        const mockUser = {
-          id: 1,
-          getCreatedEvents: jest.fn().mockRejectedValue(new Error('Database error')),
-          getReceivedEvents: jest.fn()
-        };
+        const mockUser = { id: 1 };
+        eventService.findByCreators.mockRejectedValue(new Error('Database error'));
+        eventService.findByRecipients.mockResolvedValue([]);
 
-        const result = await userResolvers.User.events(mockUser);
+        const result = await userResolvers.User.events(mockUser, {}, {});
 
         expect(result).toEqual([]);
         expect(console.error).toHaveBeenCalledWith('Error fetching user events:', expect.any(Error));
@@ -325,30 +388,26 @@ describe('userResolvers', () => {
 
     describe('User.createdEvents', () => {
       it('should return the created events of the user', async () => {
-        const mockUser = {
-          id: 1,
-          getCreatedEvents: jest.fn().mockResolvedValue([
-            { id: 1, name: 'Created Event 1' },
-            { id: 2, name: 'Created Event 2' }
-          ])
-        };
+        const mockUser = { id: 1 };
+        eventService.findByCreators.mockResolvedValue([
+          { id: 1, userId: 1, name: 'Created Event 1' },
+          { id: 2, userId: 1, name: 'Created Event 2' }
+        ]);
 
-        const result = await userResolvers.User.createdEvents(mockUser);
+        const result = await userResolvers.User.createdEvents(mockUser, {}, {});
 
-        expect(mockUser.getCreatedEvents).toHaveBeenCalled();
+        expect(eventService.findByCreators).toHaveBeenCalledWith([1]);
         expect(result).toEqual([
-          { id: 1, name: 'Created Event 1' },
-          { id: 2, name: 'Created Event 2' }
+          { id: 1, userId: 1, name: 'Created Event 1' },
+          { id: 2, userId: 1, name: 'Created Event 2' }
         ]);
       });
 
       it('should return an empty array if there is an error fetching the user created events', async () => {
-        const mockUser = {
-          id: 1,
-          getCreatedEvents: jest.fn().mockRejectedValue(new Error('Database error'))
-        };
+        const mockUser = { id: 1 };
+        eventService.findByCreators.mockRejectedValue(new Error('Database error'));
 
-        const result = await userResolvers.User.createdEvents(mockUser);
+        const result = await userResolvers.User.createdEvents(mockUser, {}, {});
 
         expect(result).toEqual([]);
         expect(console.error).toHaveBeenCalledWith('Error fetching user created events:', expect.any(Error));
@@ -357,30 +416,26 @@ describe('userResolvers', () => {
 
     describe('User.receivedEvents', () => {
       it('should return the received events of the user', async () => {
-        const mockUser = {
-          id: 1,
-          getReceivedEvents: jest.fn().mockResolvedValue([
-            { id: 3, name: 'Received Event 1' },
-            { id: 4, name: 'Received Event 2' }
-          ])
-        };
+        const mockUser = { id: 1 };
+        eventService.findByRecipients.mockResolvedValue([
+          { id: 3, recipientId: 1, name: 'Received Event 1' },
+          { id: 4, recipientId: 1, name: 'Received Event 2' }
+        ]);
 
-        const result = await userResolvers.User.receivedEvents(mockUser);
+        const result = await userResolvers.User.receivedEvents(mockUser, {}, {});
 
-        expect(mockUser.getReceivedEvents).toHaveBeenCalled();
+        expect(eventService.findByRecipients).toHaveBeenCalledWith([1]);
         expect(result).toEqual([
-          { id: 3, name: 'Received Event 1' },
-          { id: 4, name: 'Received Event 2' }
+          { id: 3, recipientId: 1, name: 'Received Event 1' },
+          { id: 4, recipientId: 1, name: 'Received Event 2' }
         ]);
       });
 
       it('should return an empty array if there is an error fetching the user received events', async () => {
-        const mockUser = {
-          id: 1,
-          getReceivedEvents: jest.fn().mockRejectedValue(new Error('Database error'))
-        };
+        const mockUser = { id: 1 };
+        eventService.findByRecipients.mockRejectedValue(new Error('Database error'));
 
-        const result = await userResolvers.User.receivedEvents(mockUser);
+        const result = await userResolvers.User.receivedEvents(mockUser, {}, {});
 
         expect(result).toEqual([]);
         expect(console.error).toHaveBeenCalledWith('Error fetching user received events:', expect.any(Error));
@@ -395,17 +450,17 @@ describe('userResolvers', () => {
           { id: 2, userId: 1, eventId: 2, deposit: 200 }
         ];
 
-        participationService.findByUser.mockResolvedValue(mockParticipations);
+        participationService.findByUsers.mockResolvedValue(mockParticipations);
 
         const result = await userResolvers.User.participations(mockUser);
 
-        expect(participationService.findByUser).toHaveBeenCalledWith(1);
+        expect(participationService.findByUsers).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockParticipations);
       });
 
       it('should return an empty array if there is an error fetching the user participations', async () => {
         const mockUser = { id: 1 };
-        participationService.findByUser.mockRejectedValue(new Error('Database error'));
+        participationService.findByUsers.mockRejectedValue(new Error('Database error'));
 
         const result = await userResolvers.User.participations(mockUser);
 
@@ -422,17 +477,17 @@ describe('userResolvers', () => {
           { id: 2, userId: 1, provider: 'google', providerUsername: 'googleuser' }
         ];
 
-        userService.findAccounts.mockResolvedValue(mockAccounts);
+        userService.findAccountsByUsers.mockResolvedValue(mockAccounts);
 
         const result = await userResolvers.User.accounts(mockUser);
 
-        expect(userService.findAccounts).toHaveBeenCalledWith(1);
+        expect(userService.findAccountsByUsers).toHaveBeenCalledWith([1]);
         expect(result).toEqual(mockAccounts);
       });
 
       it('should return an empty array if there is an error fetching the user accounts', async () => {
         const mockUser = { id: 1 };
-        userService.findAccounts.mockRejectedValue(new Error('Database error'));
+        userService.findAccountsByUsers.mockRejectedValue(new Error('Database error'));
 
         const result = await userResolvers.User.accounts(mockUser);
 
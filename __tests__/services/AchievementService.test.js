@@ -3,12 +3,17 @@ jest.mock('../../repository', () => ({
     AchievementRepository: {
         create: jest.fn(),
         findAllWithCriteria: jest.fn(),
-        findByPk: jest.fn()
+        findByPk: jest.fn(),
+        update: jest.fn(),
+        transaction: jest.fn(callback => callback())
+    },
+    AchievementCriterionRepository: {
+        create: jest.fn()
     }
 }));
 
 const AchievementService = require('../../service/AchievementService');
-const { AchievementRepository } = require('../../repository');
+const { AchievementRepository, AchievementCriterionRepository } = require('../../repository');
 const ApiError = require('../../exception/ApiError');
 
 describe('AchievementService', () => {
@@ -44,6 +49,26 @@ describe('AchievementService', () => {
             expect(result).toEqual(mockAchievement);
         });
 
+        it('should create the criteria of the achievement in the same transaction', async () => {
+            AchievementRepository.transaction.mockImplementation(callback => callback());
+            AchievementRepository.create.mockResolvedValue({ id: 7 });
+
+            await AchievementService.create(validAchievementData);
+
+            expect(AchievementRepository.transaction).toHaveBeenCalled();
+            expect(AchievementCriterionRepository.create).toHaveBeenCalledTimes(2);
+            expect(AchievementCriterionRepository.create).toHaveBeenCalledWith({
+                achievementId: 7,
+                type: 'EVENT_COUNT',
+                value: 5
+            });
+            expect(AchievementCriterionRepository.create).toHaveBeenCalledWith({
+                achievementId: 7,
+                type: 'BANK_AMOUNT',
+                value: 1000
+            });
+        });
+
         it('should throw a validation error if the data is invalid', async () => {
             const invalidData = {
                 name: '', // empty name
@@ -78,6 +103,38 @@ describe('AchievementService', () => {
         });
     });
 
+    describe('update', () => {
+        it('should update the name and icon of an achievement', async () => {
+            const mockAchievement = { id: 1, name: 'Renamed', iconUrl: 'https://example.com/new.png' };
+            AchievementRepository.update.mockResolvedValue([1]);
+            AchievementRepository.findByPk.mockResolvedValue(mockAchievement);
+
+            const result = await AchievementService.update(1, { name: 'Renamed', iconUrl: 'https://example.com/new.png' });
+
+            expect(AchievementRepository.update).toHaveBeenCalledWith(1, {
+                name: 'Renamed',
+                iconUrl: 'https://example.com/new.png'
+            });
+            expect(result).toEqual(mockAchievement);
+        });
+
+        it('should throw if there is nothing to update', async () => {
+            await expect(AchievementService.update(1, {}))
+                .rejects
+                .toThrow('Nothing to update');
+
+            expect(AchievementRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('should handle database errors', async () => {
+            AchievementRepository.update.mockRejectedValue(new Error('Database error'));
+
+            await expect(AchievementService.update(1, { name: 'Renamed' }))
+                .rejects
+                .toThrow('Error updating achievement');
+        });
+    });
+
     describe('getAllWithCriteria', () => {
         it('should get all achievements with criteria', async () => {
             const mockAchievements = [
@@ -0,0 +1,111 @@
+const ConditionLogService = require('../../service/ConditionLogService');
+const { ConditionLogRepository } = require('../../repository');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    ConditionLogRepository: {
+        create: jest.fn(),
+        findByEventId: jest.fn()
+    }
+}));
+
+describe('ConditionLogService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2030-01-01T00:00:00.000Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('record', () => {
+        it('should store a condition check with its observed and target value', async () => {
+            ConditionLogRepository.create.mockResolvedValue({ id: 1 });
+
+            const result = await ConditionLogService.record({
+                eventId: 10,
+                type: 'CONDITION_CHECKED',
+                trigger: 'PARTICIPATION',
+                condition: { id: 3, name: 'BANK', value: '100', endConditionId: 5 },
+                observedValue: 40,
+                met: false
+            });
+
+            expect(ConditionLogRepository.create).toHaveBeenCalledWith({
+                eventId: 10,
+                type: 'CONDITION_CHECKED',
+                trigger: 'PARTICIPATION',
+                eventEndConditionId: 5,
+                conditionId: 3,
+                conditionName: 'BANK',
+                observedValue: '40',
+                targetValue: '100',
+                met: false,
+                fromStatus: null,
+                toStatus: null,
+                message: null,
+                evaluatedAt: new Date('2030-01-01T00:00:00.000Z')
+            });
+            expect(result).toEqual({ id: 1 });
+        });
+
+        it('should store deadlines in ISO format and status changes without a condition', async () => {
+            await ConditionLogService.record({
+                eventId: 10,
+                type: 'CONDITION_CHECKED',
+                trigger: 'CRON',
+                condition: { id: 4, name: 'DURATION', value: '24', endConditionId: 5 },
+                observedValue: new Date('2030-01-02T00:00:00.000Z'),
+                met: false
+            });
+            await ConditionLogService.record({
+                eventId: 10,
+                type: 'STATUS_CHANGED',
+                trigger: 'MANUAL',
+                fromStatus: 'IN_PROGRESS',
+                toStatus: 'FAILED'
+            });
+
+            expect(ConditionLogRepository.create.mock.calls[0][0].observedValue).toBe('2030-01-02T00:00:00.000Z');
+            expect(ConditionLogRepository.create.mock.calls[1][0]).toMatchObject({
+                eventEndConditionId: null,
+                conditionId: null,
+                observedValue: null,
+                targetValue: null,
+                fromStatus: 'IN_PROGRESS',
+                toStatus: 'FAILED'
+            });
+        });
+
+        it('should not interrupt the evaluation when the entry cannot be stored', async () => {
+            ConditionLogRepository.create.mockRejectedValue(new Error('Database error'));
+
+            const result = await ConditionLogService.record({ eventId: 10, type: 'GROUP_COMPLETED', trigger: 'CRON' });
+
+            expect(result).toBeNull();
+        });
+    });
+
+    describe('findByEventId', () => {
+        it('should return the log of an event', async () => {
+            const entries = [{ id: 1 }, { id: 2 }];
+            ConditionLogRepository.findByEventId.mockResolvedValue(entries);
+
+            const result = await ConditionLogService.findByEventId(10);
+
+            expect(ConditionLogRepository.findByEventId).toHaveBeenCalledWith(10);
+            expect(result).toEqual(entries);
+        });
+
+        it('should wrap lookup errors', async () => {
+            ConditionLogRepository.findByEventId.mockRejectedValue(new Error('Database error'));
+
+            await expect(ConditionLogService.findByEventId(10))
+                .rejects
+                .toThrow(ApiError);
+        });
+    });
+});
@@ -2,6 +2,7 @@
 jest.mock('../../repository', () => ({
     EventEndConditionRepository: {
         create: jest.fn(),
+        update: jest.fn(),
         findByEventWithConditions: jest.fn(),
         findByPk: jest.fn(),
         updateCompletion: jest.fn(),
@@ -10,10 +11,12 @@ jest.mock('../../repository', () => ({
     }
 }));
 jest.mock('../../service/EndConditionService');
+jest.mock('../../service/ScheduledJobService');
 
 const EventEndConditionService = require('../../service/EventEndConditionService');
 const { EventEndConditionRepository } = require('../../repository');
 const EndConditionService = require('../../service/EndConditionService');
+const ScheduledJobService = require('../../service/ScheduledJobService');
 const ApiError = require('../../exception/ApiError');
 
 describe('EventEndConditionService', () => {
@@ -84,9 +87,11 @@ describe('EventEndConditionService', () => {
             expect(EndConditionService.create).toHaveBeenNthCalledWith(2, {
                 name: 'TIME',
                 operator: 'LESS_EQUALS',
-                value: '2024-12-31T23:59:59Z',
+                value: '2024-12-31T23:59:59.000Z',
                 endConditionId: 1
             });
+            expect(ScheduledJobService.scheduleTimeCondition).toHaveBeenCalledTimes(1);
+            expect(ScheduledJobService.scheduleTimeCondition).toHaveBeenCalledWith(mockEndCondition2, 1);
             expect(result).toEqual(mockEventEndCondition);
         });
 
@@ -126,6 +131,7 @@ describe('EventEndConditionService', () => {
                 eventId: 2
             });
             expect(EndConditionService.create).toHaveBeenCalledTimes(1);
+            expect(ScheduledJobService.scheduleTimeCondition).not.toHaveBeenCalled();
             expect(result).toEqual(mockEventEndCondition);
         });
 
@@ -178,6 +184,60 @@ describe('EventEndConditionService', () => {
             expect(EndConditionService.create).not.toHaveBeenCalled();
             expect(result).toEqual(mockEventEndCondition);
         });
+
+        it('should store TIME deadlines as UTC ISO strings', async () => {
+            EventEndConditionRepository.create.mockResolvedValue({ id: 6, eventId: 7 });
+            EndConditionService.create.mockResolvedValue({ id: 13, name: 'TIME' });
+
+            await EventEndConditionService.create({
+                eventId: 7,
+                conditions: [{ name: 'TIME', operator: 'LESS', value: '2030-01-01T02:00:00+02:00' }]
+            });
+
+            expect(EndConditionService.create).toHaveBeenCalledWith({
+                name: 'TIME',
+                operator: 'LESS',
+                value: '2030-01-01T00:00:00.000Z',
+                endConditionId: 6
+            });
+        });
+
+        it('should create the conditions of an expression and store it with their IDs', async () => {
+            const deadline = { name: 'TIME', operator: 'LESS', value: '2999-01-01T00:00:00Z' };
+            const expression = {
+                operator: 'OR',
+                operands: [
+                    { condition: { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' } },
+                    {
+                        operator: 'NOT',
+                        operands: [{ condition: deadline }]
+                    }
+                ]
+            };
+            const mockEventEndCondition = { id: 4, eventId: 5 };
+            const mockDeadline = { id: 12, ...deadline, endConditionId: 4 };
+
+            EventEndConditionRepository.create.mockResolvedValue(mockEventEndCondition);
+            EndConditionService.create
+                .mockResolvedValueOnce({ id: 11, name: 'BANK', endConditionId: 4 })
+                .mockResolvedValueOnce(mockDeadline);
+
+            const result = await EventEndConditionService.create({ eventId: 5, expression });
+
+            expect(EndConditionService.create).toHaveBeenCalledTimes(2);
+            expect(EndConditionService.create).toHaveBeenNthCalledWith(2, { ...deadline, value: '2999-01-01T00:00:00.000Z', endConditionId: 4 });
+            expect(ScheduledJobService.scheduleTimeCondition).toHaveBeenCalledWith(mockDeadline, 5);
+            expect(EventEndConditionRepository.update).toHaveBeenCalledWith(4, {
+                expression: {
+                    operator: 'OR',
+                    operands: [
+                        { conditionId: 11 },
+                        { operator: 'NOT', operands: [{ conditionId: 12 }] }
+                    ]
+                }
+            });
+            expect(result).toEqual(mockEventEndCondition);
+        });
     });
 
     describe('findByEventWithConditions', () => {
@@ -0,0 +1,90 @@
+const EventRevisionService = require('../../service/EventRevisionService');
+const { EventRevisionRepository } = require('../../repository');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    EventRevisionRepository: {
+        create: jest.fn(),
+        findLatest: jest.fn(),
+        findByEventId: jest.fn()
+    }
+}));
+
+describe('EventRevisionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('buildChange', () => {
+        it('should keep string values as they are', () => {
+            expect(EventRevisionService.buildChange('name', 'Old', 'New')).toEqual({
+                field: 'name',
+                conditionId: null,
+                from: 'Old',
+                to: 'New'
+            });
+        });
+
+        it('should store other values as JSON and unset values as null', () => {
+            expect(EventRevisionService.buildChange('prizeDistribution', null, [60, 40])).toEqual({
+                field: 'prizeDistribution',
+                conditionId: null,
+                from: null,
+                to: '[60,40]'
+            });
+            expect(EventRevisionService.buildChange('recipientId', 2, 3).to).toBe('3');
+        });
+
+        it('should include the condition of a deadline change', () => {
+            expect(EventRevisionService.buildChange('deadline', 'a', 'b', 50).conditionId).toBe(50);
+        });
+    });
+
+    describe('record', () => {
+        const changes = [{ field: 'name', conditionId: null, from: 'Old', to: 'New' }];
+
+        it('should store the first revision of an event', async () => {
+            EventRevisionRepository.findLatest.mockResolvedValue(null);
+            EventRevisionRepository.create.mockResolvedValue({ id: 1, revision: 1 });
+
+            await EventRevisionService.record(10, 1, changes);
+
+            expect(EventRevisionRepository.create).toHaveBeenCalledWith({
+                eventId: 10,
+                revision: 1,
+                userId: 1,
+                changes
+            });
+        });
+
+        it('should number revisions after the latest one', async () => {
+            EventRevisionRepository.findLatest.mockResolvedValue({ revision: 4 });
+
+            await EventRevisionService.record(10, 1, changes);
+
+            expect(EventRevisionRepository.findLatest).toHaveBeenCalledWith(10);
+            expect(EventRevisionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ revision: 5 }));
+        });
+    });
+
+    describe('findByEventId', () => {
+        it('should return the revisions of an event', async () => {
+            const revisions = [{ id: 2, revision: 2 }, { id: 1, revision: 1 }];
+            EventRevisionRepository.findByEventId.mockResolvedValue(revisions);
+
+            const result = await EventRevisionService.findByEventId(10);
+
+            expect(EventRevisionRepository.findByEventId).toHaveBeenCalledWith(10);
+            expect(result).toEqual(revisions);
+        });
+
+        it('should wrap lookup errors', async () => {
+            EventRevisionRepository.findByEventId.mockRejectedValue(new Error('Database error'));
+
+            await expect(EventRevisionService.findByEventId(10))
+                .rejects
+                .toThrow(ApiError);
+        });
+    });
+});
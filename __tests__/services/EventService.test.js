@@ -2,29 +2,56 @@
 jest.mock('../../repository', () => ({
     EventRepository: {
         create: jest.fn(),
+        findByPk: jest.fn(),
+        cancel: jest.fn(),
         findByIdWithParticipants: jest.fn(),
         findByUser: jest.fn(),
         updateStatus: jest.fn(),
+        markRefunded: jest.fn(),
+        transitionStatus: jest.fn(),
+        update: jest.fn(),
         findByIdWithEndConditions: jest.fn(),
-        findActiveEvents: jest.fn(),
+        findDueScheduledEvents: jest.fn(),
         findByIdWithOptionalEndConditions: jest.fn(),
         findAllWithOptionalEndConditions: jest.fn(),
+        findPage: jest.fn(),
+        search: jest.fn(),
         findCreator: jest.fn(),
-        findRecipient: jest.fn()
+        findRecipient: jest.fn(),
+        findTotals: jest.fn(),
+        findWithDriftedTotals: jest.fn(),
+        recomputeTotals: jest.fn(),
+        transaction: jest.fn(callback => callback())
     },
     ParticipationRepository: {
         findByEvent: jest.fn(),
-        findByEventForCalculation: jest.fn()
+        count: jest.fn()
+    },
+    EndConditionRepository: {
+        update: jest.fn()
     }
 }));
 jest.mock('../../service/EventEndConditionService');
+jest.mock('../../service/EventRevisionService', () => ({
+    buildChange: jest.fn((field, from, to, conditionId = null) => ({ field, conditionId, from, to })),
+    record: jest.fn()
+}));
+jest.mock('../../service/JackpotDrawService');
+jest.mock('../../service/ScheduledJobService', () => ({
+    scheduleTimeCondition: jest.fn()
+}));
+jest.mock('../../service/FeeScheduleService');
 jest.mock('../../utils/media/FirebaseStorageService');
+jest.mock('../../utils/eventCondition/EventSimulator', () => ({
+    simulateEvent: jest.fn()
+}));
 jest.mock('../../utils/achievement', () => ({
     onEventCreated: jest.fn()
 }));
 jest.mock('../../utils/eventCondition', () => ({
     onEventCreated: jest.fn(),
-    onTimeCheck: jest.fn()
+    onEventCancelled: jest.fn(),
+    onEventStarted: jest.fn()
 }));
 jest.mock('../../constants', () => ({
     FILE_LIMITS: {
@@ -35,19 +62,56 @@ jest.mock('../../constants', () => ({
         FUNDRAISING: 'FUNDRAISING',
         JACKPOT: 'JACKPOT'
     },
+    EVENT_STATUSES: {
+        DRAFT: 'DRAFT',
+        SCHEDULED: 'SCHEDULED',
+        IN_PROGRESS: 'IN_PROGRESS',
+        FINISHED: 'FINISHED',
+        CANCELLED: 'CANCELLED'
+    },
+    OPEN_EVENT_STATUSES: ['DRAFT', 'SCHEDULED', 'IN_PROGRESS'],
     CONDITION_TYPES: {
         TIME: 'TIME'
+    },
+    CONDITION_ERROR_CODES: {
+        DEADLINE_NOT_AFTER_START: 'DEADLINE_NOT_AFTER_START'
+    },
+    JACKPOT_CONFIG: {
+        MAX_PRIZE_TIERS: 10
+    },
+    USER_ROLES: {
+        USER: 'USER',
+        ADMIN: 'ADMIN'
+    },
+    VALIDATION_LIMITS: {
+        CANCELLATION_REASON_MAX_LENGTH: 255
+    },
+    PAGINATION: {
+        DEFAULT_LIMIT: 30,
+        MAX_LIMIT: 100
+    },
+    EVENT_SORT_ORDERS: {
+        NEWEST: 'NEWEST'
+    },
+    SEARCH_CONFIG: {
+        MIN_QUERY_LENGTH: 2,
+        MAX_QUERY_LENGTH: 200
     }
 }));
 
 // Import after mocks are set up
 const EventService = require('../../service/EventService');
-const { EventRepository, ParticipationRepository } = require('../../repository');
+const { EventRepository, ParticipationRepository, EndConditionRepository } = require('../../repository');
 const ApiError = require('../../exception/ApiError');
 const EventEndConditionService = require('../../service/EventEndConditionService');
+const JackpotDrawService = require('../../service/JackpotDrawService');
+const FeeScheduleService = require('../../service/FeeScheduleService');
+const EventRevisionService = require('../../service/EventRevisionService');
+const ScheduledJobService = require('../../service/ScheduledJobService');
 const { firebaseStorageService } = require('../../utils/media/FirebaseStorageService');
 const { onEventCreated } = require('../../utils/achievement');
 const eventConditions = require('../../utils/eventCondition');
+const { simulateEvent } = require('../../utils/eventCondition/EventSimulator');
 
 describe('EventService', () => {
     beforeEach(() => {
@@ -65,7 +129,7 @@ describe('EventService', () => {
             eventEndConditionGroups: [
                 {
                     conditions: [
-                        { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                        { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                     ]
                 }
             ]
@@ -82,7 +146,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -110,7 +174,9 @@ describe('EventService', () => {
                 type: eventDataWithRequiredImage.type,
                 imageUrl: 'https://firebase.com/uploaded-image.jpg',
                 userId: eventDataWithRequiredImage.userId,
-                recipientId: eventDataWithRequiredImage.recipientId
+                recipientId: eventDataWithRequiredImage.recipientId,
+                status: 'IN_PROGRESS',
+                startsAt: expect.any(Date)
             });
 
             expect(EventEndConditionService.create).toHaveBeenCalledWith({
@@ -119,6 +185,135 @@ describe('EventService', () => {
             });
 
             expect(result).toEqual(mockEvent);
+            expect(JackpotDrawService.commit).not.toHaveBeenCalled();
+        });
+
+        it('should commit to a draw seed when creating a JACKPOT event', async () => {
+            const jackpotData = { ...validEventData, type: 'JACKPOT', recipientId: undefined, imageFile: undefined };
+            const mockEvent = { id: 3, ...jackpotData };
+
+            EventRepository.create.mockResolvedValue(mockEvent);
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 3 });
+            JackpotDrawService.commit.mockResolvedValue({ id: 9, eventId: 3 });
+
+            const result = await EventService.create(jackpotData);
+
+            expect(EventRepository.transaction).toHaveBeenCalled();
+            expect(JackpotDrawService.commit).toHaveBeenCalledWith(3);
+            expect(result).toEqual(mockEvent);
+        });
+
+        it('should snapshot the fee schedule in force when the event is created', async () => {
+            const feeSnapshot = { feeScheduleId: 4, eventType: 'FUNDRAISING', payoutPercentage: 0.97, commissionRate: 0.03 };
+            FeeScheduleService.getEffective.mockResolvedValueOnce(feeSnapshot);
+            EventRepository.create.mockResolvedValue({ id: 3, ...validEventData });
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 3 });
+            firebaseStorageService.uploadImage.mockResolvedValue('https://firebase.com/image.jpg');
+
+            await EventService.create(validEventData);
+
+            expect(FeeScheduleService.getEffective).toHaveBeenCalledWith('FUNDRAISING');
+            expect(EventRepository.create).toHaveBeenCalledWith(expect.objectContaining({ feeSnapshot }));
+        });
+
+        it('should save a draft without tracking its conditions', async () => {
+            const draftData = { ...validEventData, imageFile: undefined, draft: true };
+            EventRepository.create.mockResolvedValue({ id: 3, ...draftData, status: 'DRAFT' });
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 3 });
+
+            await EventService.create(draftData);
+
+            expect(EventRepository.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'DRAFT', startsAt: null }));
+            expect(eventConditions.onEventCreated).not.toHaveBeenCalled();
+        });
+
+        it('should schedule an event with a future start time', async () => {
+            const startsAt = new Date(Date.now() + 60 * 60 * 1000);
+            const scheduledData = { ...validEventData, imageFile: undefined, startsAt: startsAt.toISOString() };
+            EventRepository.create.mockResolvedValue({ id: 3, ...scheduledData, status: 'SCHEDULED' });
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 3 });
+
+            await EventService.create(scheduledData);
+
+            expect(EventRepository.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'SCHEDULED', startsAt }));
+            expect(eventConditions.onEventCreated).not.toHaveBeenCalled();
+        });
+
+        it('should reject a start time in the past', async () => {
+            await expect(EventService.create({ ...validEventData, startsAt: '2020-01-01T00:00:00.000Z' }))
+                .rejects
+                .toThrow('Start time must be in the future');
+
+            expect(EventRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject deadlines that pass before the start time', async () => {
+            const startsAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+            const deadline = new Date(Date.now() + 60 * 60 * 1000);
+            const scheduledData = {
+                ...validEventData,
+                startsAt: startsAt.toISOString(),
+                eventEndConditionGroups: [{ conditions: [{ name: 'TIME', operator: 'GREATER_EQUALS', value: deadline.toISOString() }] }]
+            };
+
+            await expect(EventService.create(scheduledData))
+                .rejects
+                .toThrow('Deadlines must be after the start time');
+        });
+
+        it('should store the prize distribution of a multi-winner JACKPOT', async () => {
+            const jackpotData = { ...validEventData, type: 'JACKPOT', imageFile: undefined, prizeDistribution: [60, 25, 15] };
+
+            EventRepository.create.mockResolvedValue({ id: 3, ...jackpotData });
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 3 });
+
+            await EventService.create(jackpotData);
+
+            expect(EventRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                prizeDistribution: [60, 25, 15]
+            }));
+        });
+
+        it('should reject a prize distribution that does not add up to 100%', async () => {
+            const jackpotData = { ...validEventData, type: 'JACKPOT', imageFile: undefined, prizeDistribution: [60, 25, 10] };
+
+            await expect(EventService.create(jackpotData)).rejects.toThrow('Prize distribution must add up to 100%');
+            expect(EventRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject a prize distribution for non-JACKPOT events', async () => {
+            const fundraisingData = { ...validEventData, imageFile: undefined, prizeDistribution: [100] };
+
+            await expect(EventService.create(fundraisingData))
+                .rejects
+                .toThrow('Prize distribution is only supported for JACKPOT events');
+        });
+
+        it('should reject prize shares with more than 2 decimal places', async () => {
+            const jackpotData = { ...validEventData, type: 'JACKPOT', imageFile: undefined, prizeDistribution: [33.333, 33.333, 33.334] };
+
+            await expect(EventService.create(jackpotData))
+                .rejects
+                .toThrow('Prize shares must be positive percentages with at most 2 decimal places');
+        });
+
+        it('should reject more prize places than allowed', async () => {
+            const jackpotData = { ...validEventData, type: 'JACKPOT', imageFile: undefined, prizeDistribution: new Array(11).fill(10) };
+
+            await expect(EventService.create(jackpotData))
+                .rejects
+                .toThrow('Prize distribution must have between 1 and 10 places');
+        });
+
+        it('should fail event creation when the jackpot seed cannot be committed', async () => {
+            const jackpotData = { ...validEventData, type: 'JACKPOT', imageFile: undefined };
+
+            EventRepository.create.mockResolvedValue({ id: 3, ...jackpotData });
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 3 });
+            JackpotDrawService.commit.mockRejectedValue(new Error('Duplicate entry'));
+
+            await expect(EventService.create(jackpotData)).rejects.toThrow('Duplicate entry');
+            expect(onEventCreated).not.toHaveBeenCalled();
         });
 
         it('should successfully create an event with an image', async () => {
@@ -149,7 +344,9 @@ describe('EventService', () => {
                 type: eventDataWithImage.type,
                 imageUrl: 'https://firebase.com/image.jpg',
                 userId: eventDataWithImage.userId,
-                recipientId: eventDataWithImage.recipientId
+                recipientId: eventDataWithImage.recipientId,
+                status: 'IN_PROGRESS',
+                startsAt: expect.any(Date)
             });
             expect(result).toEqual(mockEvent);
         });
@@ -170,6 +367,112 @@ describe('EventService', () => {
                 .toThrow('Event end condition groups are required');
         });
 
+        it('should pass condition expressions on to the condition groups', async () => {
+            const expression = {
+                operator: 'OR',
+                operands: [
+                    { condition: { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' } },
+                    { condition: { name: 'PARTICIPATION', operator: 'GREATER_EQUALS', value: '10' } }
+                ]
+            };
+            const eventData = { ...validEventData, eventEndConditionGroups: [{ expression }] };
+
+            EventRepository.create.mockResolvedValue({ id: 1, ...eventData });
+            EventEndConditionService.create.mockResolvedValue({ id: 1, eventId: 1 });
+            firebaseStorageService.uploadImage.mockResolvedValue('https://firebase.com/uploaded-image.jpg');
+
+            await EventService.create(eventData);
+
+            expect(EventEndConditionService.create).toHaveBeenCalledWith({
+                eventId: 1,
+                conditions: undefined,
+                expression
+            });
+        });
+
+        it('should reject malformed condition expressions', async () => {
+            const eventData = {
+                ...validEventData,
+                eventEndConditionGroups: [{
+                    expression: {
+                        operator: 'AND',
+                        operands: [{ condition: { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' } }]
+                    }
+                }]
+            };
+
+            await expect(EventService.create(eventData))
+                .rejects
+                .toThrow('AND takes at least two operands');
+            expect(EventRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject condition groups without conditions', async () => {
+            const eventData = { ...validEventData, eventEndConditionGroups: [{ conditions: [] }] };
+
+            await expect(EventService.create(eventData))
+                .rejects
+                .toThrow('Every end condition group needs at least one condition');
+        });
+
+        it('should reject deadlines inside expressions that pass before the event starts', async () => {
+            const eventData = {
+                ...validEventData,
+                startsAt: '2999-01-01T00:00:00.000Z',
+                eventEndConditionGroups: [{
+                    expression: {
+                        operator: 'OR',
+                        operands: [
+                            { condition: { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' } },
+                            { condition: { name: 'TIME', operator: 'GREATER_EQUALS', value: '2998-01-01T00:00:00.000Z' } }
+                        ]
+                    }
+                }]
+            };
+
+            await expect(EventService.create(eventData)).rejects.toThrow('Deadlines must be after the start time');
+            expect(EventRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject conditions that do not fit their type with error codes', async () => {
+            const eventData = {
+                ...validEventData,
+                eventEndConditionGroups: [{
+                    conditions: [
+                        { name: 'TIME', operator: 'EQUALS', value: 'next week' },
+                        { name: 'BANK', operator: 'LESS', value: '0' },
+                        { name: 'PARTICIPATION', operator: 'GREATER_EQUALS', value: '10' }
+                    ]
+                }]
+            };
+
+            const error = await EventService.create(eventData).catch(e => e);
+
+            expect(error).toBeInstanceOf(ApiError);
+            expect(error.status).toBe(422);
+            expect(error.errors).toEqual([
+                { code: 'INVALID_CONDITION_VALUE', path: 'eventEndConditionGroups[0].conditions[0]', message: '"TIME value" must be in iso format' },
+                { code: 'OPERATOR_NOT_ALLOWED', path: 'eventEndConditionGroups[0].conditions[1]', message: 'BANK conditions cannot use LESS' },
+                { code: 'CONDITION_VALUE_NOT_POSITIVE', path: 'eventEndConditionGroups[0].conditions[1]', message: 'BANK value must be greater than 0' }
+            ]);
+            expect(EventRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject deadlines that have already passed for events starting now', async () => {
+            const eventData = {
+                ...validEventData,
+                eventEndConditionGroups: [{ conditions: [{ name: 'TIME', operator: 'GREATER_EQUALS', value: '2020-01-01T00:00:00.000Z' }] }]
+            };
+
+            const error = await EventService.create(eventData).catch(e => e);
+
+            expect(error.errors).toEqual([{
+                code: 'DEADLINE_NOT_AFTER_START',
+                path: 'eventEndConditionGroups[0].conditions[0]',
+                message: 'Deadlines must be after the start time'
+            }]);
+        });
+
         it('should automatically set the recipientId for FUNDRAISING', async () => {
             const fundraisingEvent = {
                 name: 'Test Event',
@@ -180,7 +483,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -205,7 +508,9 @@ describe('EventService', () => {
                 type: fundraisingEvent.type,
                 imageUrl: 'https://firebase.com/image.jpg',
                 userId: fundraisingEvent.userId,
-                recipientId: fundraisingEvent.userId // should be set as userId for FUNDRAISING
+                recipientId: fundraisingEvent.userId, // should be set as userId for FUNDRAISING
+                status: 'IN_PROGRESS',
+                startsAt: expect.any(Date)
             });
         });
 
@@ -219,7 +524,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -244,7 +549,9 @@ describe('EventService', () => {
                 type: donationEvent.type,
                 imageUrl: 'https://firebase.com/image.jpg',
                 userId: donationEvent.userId,
-                recipientId: donationEvent.userId // should be set as userId for DONATION
+                recipientId: donationEvent.userId, // should be set as userId for DONATION
+                status: 'IN_PROGRESS',
+                startsAt: expect.any(Date)
             });
         });
 
@@ -258,7 +565,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -285,7 +592,9 @@ describe('EventService', () => {
                 type: dataWithoutImage.type,
                 imageUrl: null,
                 userId: dataWithoutImage.userId,
-                recipientId: dataWithoutImage.recipientId
+                recipientId: dataWithoutImage.recipientId,
+                status: 'IN_PROGRESS',
+                startsAt: expect.any(Date)
             });
             expect(result).toEqual(mockEvent);
         });
@@ -301,7 +610,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -323,7 +632,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -349,7 +658,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -375,7 +684,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -400,7 +709,7 @@ describe('EventService', () => {
                 eventEndConditionGroups: [
                     {
                         conditions: [
-                            { name: 'AMOUNT', operator: 'GREATER_EQUALS', value: '1000' }
+                            { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000' }
                         ]
                     }
                 ]
@@ -422,6 +731,77 @@ describe('EventService', () => {
         });
     });
 
+    describe('simulateConditions', () => {
+        const definition = {
+            name: 'Test Event',
+            description: 'Test event description',
+            type: 'DONATION',
+            userId: 1,
+            eventEndConditionGroups: [
+                { conditions: [{ name: 'BANK', operator: 'GREATER_EQUALS', value: '100' }] }
+            ]
+        };
+        const scenario = {
+            startsAt: '2030-01-01T00:00:00.000Z',
+            steps: [{ type: 'PARTICIPATION', userId: 2, deposit: 100 }]
+        };
+        const fees = { eventType: 'DONATION', payoutPercentage: 0.96 };
+
+        it('should play the scenario with the current fees without creating anything', async () => {
+            const simulation = { steps: [], finalStatus: 'FINISHED' };
+            FeeScheduleService.getEffective.mockResolvedValue(fees);
+            simulateEvent.mockResolvedValue(simulation);
+
+            const result = await EventService.simulateConditions(definition, scenario);
+
+            expect(result).toBe(simulation);
+            expect(FeeScheduleService.getEffective).toHaveBeenCalledWith('DONATION');
+            expect(simulateEvent).toHaveBeenCalledWith(
+                { ...definition, recipientId: 1 },
+                { ...scenario, startsAt: new Date('2030-01-01T00:00:00.000Z') },
+                fees
+            );
+            expect(EventRepository.create).not.toHaveBeenCalled();
+            expect(EventEndConditionService.create).not.toHaveBeenCalled();
+        });
+
+        it('should start at the planned start of the definition when the scenario has none', async () => {
+            FeeScheduleService.getEffective.mockResolvedValue(fees);
+            simulateEvent.mockResolvedValue({ steps: [], finalStatus: 'IN_PROGRESS' });
+
+            await EventService.simulateConditions(
+                { ...definition, recipientId: 5, startsAt: '2030-02-01T00:00:00.000Z' },
+                { steps: scenario.steps }
+            );
+
+            expect(simulateEvent.mock.calls[0][0].recipientId).toBe(5);
+            expect(simulateEvent.mock.calls[0][1].startsAt).toEqual(new Date('2030-02-01T00:00:00.000Z'));
+        });
+
+        it('should validate the definition like create', async () => {
+            await expect(EventService.simulateConditions({ ...definition, eventEndConditionGroups: [{ conditions: [] }] }, scenario))
+                .rejects.toThrow('Every end condition group needs at least one condition');
+            await expect(EventService.simulateConditions({ ...definition, prizeDistribution: [100] }, scenario))
+                .rejects.toThrow('Prize distribution is only supported for JACKPOT events');
+            await expect(EventService.simulateConditions({
+                ...definition,
+                eventEndConditionGroups: [{ conditions: [{ name: 'TIME', operator: 'GREATER', value: '2029-12-31T00:00:00.000Z' }] }]
+            }, scenario)).rejects.toThrow('Deadlines must be after the start time');
+            expect(simulateEvent).not.toHaveBeenCalled();
+        });
+
+        it('should report invalid scenarios as bad requests', async () => {
+            FeeScheduleService.getEffective.mockResolvedValue(fees);
+            simulateEvent.mockRejectedValue(new Error('Step 2 happens before the previous step'));
+
+            const error = await EventService.simulateConditions(definition, scenario).catch(e => e);
+
+            expect(error).toBeInstanceOf(ApiError);
+            expect(error.status).toBe(400);
+            expect(error.message).toBe('Step 2 happens before the previous step');
+        });
+    });
+
     describe('findById', () => {
         it('should find an event by ID with end conditions', async () => {
             const mockEvent = {
@@ -431,7 +811,7 @@ describe('EventService', () => {
                     {
                         id: 1,
                         conditions: [
-                            { id: 1, name: 'AMOUNT', operator: 'gte', value: 1000 }
+                            { id: 1, name: 'BANK', operator: 'gte', value: 1000 }
                         ]
                     }
                 ]
@@ -523,50 +903,57 @@ describe('EventService', () => {
         });
     });
 
-    describe('calculateBankAmount', () => {
-        it('should calculate the total bank amount of an event', async () => {
-            const mockParticipations = [
-                { deposit: 100 },
-                { deposit: 200 },
-                { deposit: 150 }
-            ];
-
-            ParticipationRepository.findByEventForCalculation.mockResolvedValue(mockParticipations);
+    describe('findTotals', () => {
+        it('should return the stored totals of the event', async () => {
+            const totals = { id: 1, bankAmount: 450, participantCount: 3 };
+            EventRepository.findTotals.mockResolvedValue(totals);
 
-            const result = await EventService.calculateBankAmount(1);
+            const result = await EventService.findTotals(1);
 
-            expect(ParticipationRepository.findByEventForCalculation).toHaveBeenCalledWith(1);
-            expect(result).toBe(450);
+            expect(EventRepository.findTotals).toHaveBeenCalledWith(1);
+            expect(result).toBe(totals);
         });
 
-        it('should return 0 if no participations exist', async () => {
-            ParticipationRepository.findByEventForCalculation.mockResolvedValue([]);
+        it('should keep not found errors', async () => {
+            EventRepository.findTotals.mockRejectedValue(ApiError.notFound('Event not found'));
+
+            await expect(EventService.findTotals(999)).rejects.toThrow('Event not found');
+        });
 
-            const result = await EventService.calculateBankAmount(1);
+        it('should handle database errors', async () => {
+            EventRepository.findTotals.mockRejectedValue(new Error('Database error'));
 
-            expect(result).toBe(0);
+            await expect(EventService.findTotals(1)).rejects.toThrow('Error finding event totals');
         });
+    });
 
-        it('should handle null deposit values', async () => {
-            const mockParticipations = [
-                { deposit: 100 },
-                { deposit: null },
-                { deposit: 200 }
-            ];
+    describe('repairTotals', () => {
+        it('should recompute the totals of drifted events', async () => {
+            EventRepository.findWithDriftedTotals.mockResolvedValue([
+                { id: 2, bankAmount: 0, participantCount: 0 },
+                { id: 5, bankAmount: 100, participantCount: 1 }
+            ]);
+            EventRepository.recomputeTotals.mockResolvedValue([2]);
+
+            const result = await EventService.repairTotals();
 
-            ParticipationRepository.findByEventForCalculation.mockResolvedValue(mockParticipations);
+            expect(EventRepository.recomputeTotals).toHaveBeenCalledWith([2, 5]);
+            expect(result).toEqual([2, 5]);
+        });
 
-            const result = await EventService.calculateBankAmount(1);
+        it('should not update anything when no totals drifted', async () => {
+            EventRepository.findWithDriftedTotals.mockResolvedValue([]);
 
-            expect(result).toBe(300);
+            const result = await EventService.repairTotals();
+
+            expect(EventRepository.recomputeTotals).not.toHaveBeenCalled();
+            expect(result).toEqual([]);
         });
 
-        it('should handle database errors in calculateBankAmount', async () => {
-            ParticipationRepository.findByEventForCalculation.mockRejectedValue(new Error('Database error'));
+        it('should handle database errors', async () => {
+            EventRepository.findWithDriftedTotals.mockRejectedValue(new Error('Database error'));
 
-            await expect(EventService.calculateBankAmount(1))
-                .rejects
-                .toThrow('Error calculating bank amount');
+            await expect(EventService.repairTotals()).rejects.toThrow('Error repairing event totals');
         });
     });
 
@@ -589,106 +976,514 @@ describe('EventService', () => {
         });
     });
 
-    describe('findByUser', () => {
-        it('should find events of a user with a limit', async () => {
-            const mockEvents = [
-                { id: 1, name: 'Event 1', userId: 1 },
-                { id: 2, name: 'Event 2', userId: 1 }
-            ];
+    describe('markRefunded', () => {
+        it('should return the result of the refund claim', async () => {
+            EventRepository.markRefunded.mockResolvedValue(true);
 
-            EventRepository.findByUser.mockResolvedValue(mockEvents);
+            const result = await EventService.markRefunded(1);
 
-            const result = await EventService.findByUser(1, 10);
+            expect(EventRepository.markRefunded).toHaveBeenCalledWith(1);
+            expect(result).toBe(true);
+        });
 
-            expect(EventRepository.findByUser).toHaveBeenCalledWith(1, 10);
-            expect(result).toEqual(mockEvents);
+        it('should handle database errors in markRefunded', async () => {
+            EventRepository.markRefunded.mockRejectedValue(new Error('Database error'));
+
+            await expect(EventService.markRefunded(1))
+                .rejects
+                .toThrow('Error marking event as refunded');
         });
+    });
 
-        it('should use the default limit', async () => {
-            EventRepository.findByUser.mockResolvedValue([]);
+    describe('transitionStatus', () => {
+        it('should return the result of the conditional status change', async () => {
+            EventRepository.transitionStatus.mockResolvedValue(true);
 
-            await EventService.findByUser(1);
+            const result = await EventService.transitionStatus(1, 'IN_PROGRESS', 'FINISHED');
 
-            expect(EventRepository.findByUser).toHaveBeenCalledWith(1, 30);
+            expect(EventRepository.transitionStatus).toHaveBeenCalledWith(1, 'IN_PROGRESS', 'FINISHED');
+            expect(result).toBe(true);
         });
 
-        it('should handle database errors in findByUser', async () => {
-            EventRepository.findByUser.mockRejectedValue(new Error('Database error'));
+        it('should handle database errors in transitionStatus', async () => {
+            EventRepository.transitionStatus.mockRejectedValue(new Error('Database error'));
 
-            await expect(EventService.findByUser(1))
+            await expect(EventService.transitionStatus(1, 'IN_PROGRESS', 'FAILED'))
                 .rejects
-                .toThrow('Error finding events by user');
+                .toThrow('Error changing event status');
         });
     });
 
-    describe('checkTimeConditions', () => {
-        it('should check time conditions for active events', async () => {
-            const mockEvents = [
-                {
-                    id: 1,
-                    status: 'IN_PROGRESS',
-                    endConditions: [
-                        {
-                            conditions: [
-                                { name: 'TIME', value: '2024-01-01' }
-                            ]
-                        }
-                    ]
-                }
-            ];
+    describe('moderate', () => {
+        it('should update only the moderated content', async () => {
+            const mockEvent = { id: 1, name: 'Clean name', description: '', imageUrl: null };
+            EventRepository.findByPk.mockResolvedValueOnce({ id: 1, name: 'Bad name', description: 'Spam', imageUrl: 'https://img' });
+            EventRepository.update.mockResolvedValue([1]);
+            EventRepository.findByIdWithOptionalEndConditions.mockResolvedValue(mockEvent);
 
-            EventRepository.findActiveEvents.mockResolvedValue(mockEvents);
+            const result = await EventService.moderate(1, { name: '  Clean name ', description: '', removeImage: true }, 3);
 
-            await EventService.checkTimeConditions();
+            expect(EventRepository.update).toHaveBeenCalledWith(1, {
+                name: 'Clean name',
+                description: '',
+                imageUrl: null
+            });
+            expect(EventRepository.findByIdWithOptionalEndConditions).toHaveBeenCalledWith(1, false);
+            expect(result).toEqual(mockEvent);
+        });
+
+        it('should record the moderation as a revision', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ id: 1, description: 'Spam' });
+            EventRepository.update.mockResolvedValue([1]);
+
+            await EventService.moderate(1, { description: '' }, 3);
 
-            expect(EventRepository.findActiveEvents).toHaveBeenCalled();
-            expect(eventConditions.onTimeCheck).toHaveBeenCalledWith(1);
+            expect(EventRepository.findByPk).toHaveBeenCalledWith(1, { lock: true });
+            expect(EventRevisionService.record).toHaveBeenCalledWith(1, 3, [
+                { field: 'description', conditionId: null, from: 'Spam', to: '' }
+            ]);
         });
 
-        it('should skip events without time conditions', async () => {
-            const mockEvents = [
-                {
-                    id: 1,
-                    status: 'IN_PROGRESS',
-                    endConditions: [
-                        {
-                            conditions: [
-                                { name: 'BANK', value: '1000' }
-                            ]
-                        }
-                    ]
-                }
-            ];
+        it('should reject an empty name', async () => {
+            await expect(EventService.moderate(1, { name: '   ' }))
+                .rejects
+                .toThrow('Event name cannot be empty');
+
+            expect(EventRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('should reject a request without changes', async () => {
+            await expect(EventService.moderate(1, { removeImage: false }))
+                .rejects
+                .toThrow('Nothing to moderate');
+        });
+
+        it('should handle database errors in moderate', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ id: 1, description: 'Spam' });
+            EventRepository.update.mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(EventService.moderate(1, { description: 'x' }))
+                .rejects
+                .toThrow('Error moderating event');
+        });
+    });
+
+    describe('update', () => {
+        const creator = { id: 1, role: 'USER' };
+        const deadline = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const event = {
+            id: 10,
+            userId: 1,
+            type: 'JACKPOT',
+            status: 'IN_PROGRESS',
+            name: 'Old name',
+            description: 'Old description for the event',
+            imageUrl: 'https://firebase.com/old.jpg',
+            recipientId: null,
+            prizeDistribution: [100],
+            endConditions: [{
+                id: 5,
+                isCompleted: false,
+                isFailed: false,
+                conditions: [
+                    { id: 50, name: 'TIME', operator: 'GREATER_EQUALS', value: deadline.toISOString(), isCompleted: false },
+                    { id: 51, name: 'BANK', operator: 'GREATER_EQUALS', value: '1000', isCompleted: false }
+                ]
+            }]
+        };
+
+        const mockLoad = (loadedEvent = event, participationCount = 0) => {
+            EventRepository.findByPk.mockResolvedValue(loadedEvent);
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce(loadedEvent);
+            ParticipationRepository.count.mockResolvedValueOnce(participationCount);
+        };
+
+        afterEach(() => {
+            EventRepository.findByPk.mockReset();
+        });
+
+        it('should update changed fields and record a revision', async () => {
+            mockLoad();
+            EventRepository.findByIdWithOptionalEndConditions.mockResolvedValueOnce({ ...event, name: 'New name' });
+
+            const result = await EventService.update(10, { name: ' New name ', description: event.description }, creator);
+
+            expect(EventRepository.findByPk).toHaveBeenCalledWith(10, { lock: true });
+            expect(EventRepository.update).toHaveBeenCalledWith(10, { name: 'New name' });
+            expect(EventRevisionService.record).toHaveBeenCalledWith(10, 1, [
+                { field: 'name', conditionId: null, from: 'Old name', to: 'New name' }
+            ]);
+            expect(result.name).toBe('New name');
+        });
+
+        it('should replace the image', async () => {
+            mockLoad();
+            firebaseStorageService.uploadImage.mockResolvedValueOnce('https://firebase.com/new.jpg');
+
+            await EventService.update(10, { imageFile: 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAA' }, creator);
+
+            expect(firebaseStorageService.uploadImage).toHaveBeenCalledWith(expect.any(Object), expect.stringMatching(/^events\/1\//));
+            expect(EventRepository.update).toHaveBeenCalledWith(10, { imageUrl: 'https://firebase.com/new.jpg' });
+        });
+
+        it('should extend a deadline after the first participation', async () => {
+            mockLoad(event, 3);
+            const extended = new Date(deadline.getTime() + 60 * 60 * 1000);
+
+            await EventService.update(10, { deadlines: [{ conditionId: 50, value: extended.toISOString() }] }, creator);
+
+            expect(EndConditionRepository.update).toHaveBeenCalledWith(50, { value: extended.toISOString() });
+            expect(ScheduledJobService.scheduleTimeCondition).toHaveBeenCalledWith({ id: 50, value: extended.toISOString() }, 10);
+            expect(EventRepository.update).not.toHaveBeenCalled();
+            expect(EventRevisionService.record).toHaveBeenCalledWith(10, 1, [
+                { field: 'deadline', conditionId: 50, from: deadline.toISOString(), to: extended.toISOString() }
+            ]);
+        });
+
+        it('should not shorten a deadline after the first participation', async () => {
+            mockLoad(event, 3);
+            const shortened = new Date(deadline.getTime() - 60 * 60 * 1000);
+
+            await expect(EventService.update(10, { deadlines: [{ conditionId: 50, value: shortened.toISOString() }] }, creator))
+                .rejects
+                .toThrow('Deadlines can only be extended after the first participation');
+
+            expect(EndConditionRepository.update).not.toHaveBeenCalled();
+            expect(ScheduledJobService.scheduleTimeCondition).not.toHaveBeenCalled();
+        });
+
+        it('should shorten a deadline before the first participation', async () => {
+            mockLoad();
+            const shortened = new Date(deadline.getTime() - 60 * 60 * 1000);
+
+            await EventService.update(10, { deadlines: [{ conditionId: 50, value: shortened.toISOString() }] }, creator);
+
+            expect(EndConditionRepository.update).toHaveBeenCalledWith(50, { value: shortened.toISOString() });
+        });
+
+        it('should reject deadlines before the scheduled start', async () => {
+            mockLoad({ ...event, status: 'SCHEDULED', startsAt: new Date(deadline.getTime() + 60 * 60 * 1000) });
+
+            await expect(EventService.update(10, { deadlines: [{ conditionId: 50, value: new Date(deadline.getTime() + 1000).toISOString() }] }, creator))
+                .rejects
+                .toThrow('Deadlines must be after the start time');
+        });
+
+        it('should reject deadlines in the past', async () => {
+            mockLoad();
+
+            await expect(EventService.update(10, { deadlines: [{ conditionId: 50, value: '2020-01-01T00:00:00.000Z' }] }, creator))
+                .rejects
+                .toThrow('Deadline must be in the future');
+        });
+
+        it('should only change TIME conditions of the event', async () => {
+            mockLoad();
+            const value = new Date(deadline.getTime() + 1000).toISOString();
+
+            await expect(EventService.update(10, { deadlines: [{ conditionId: 51, value }] }, creator))
+                .rejects
+                .toThrow('Condition 51 is not a TIME condition of this event');
+        });
+
+        it('should lock the prize distribution after the first participation', async () => {
+            mockLoad(event, 1);
+
+            await expect(EventService.update(10, { prizeDistribution: [60, 40] }, creator))
+                .rejects
+                .toThrow('prizeDistribution cannot be changed after the first participation');
+
+            expect(EventRepository.update).not.toHaveBeenCalled();
+            expect(EventRevisionService.record).not.toHaveBeenCalled();
+        });
+
+        it('should change the prize distribution before the first participation', async () => {
+            mockLoad();
+
+            await EventService.update(10, { prizeDistribution: [60, 40] }, creator);
+
+            expect(EventRepository.update).toHaveBeenCalledWith(10, { prizeDistribution: [60, 40] });
+        });
+
+        it('should reject an edit that changes nothing', async () => {
+            mockLoad();
+
+            await expect(EventService.update(10, { name: 'Old name' }, creator))
+                .rejects
+                .toThrow('Nothing to update');
+        });
+
+        it('should reject users other than the creator', async () => {
+            EventRepository.findByPk.mockResolvedValue(event);
+
+            await expect(EventService.update(10, { name: 'Mine now' }, { id: 2, role: 'USER' }))
+                .rejects
+                .toThrow('Only the event creator or an admin can edit the event');
+
+            expect(EventRepository.transaction).not.toHaveBeenCalled();
+        });
+
+        it('should reject events that are no longer in progress', async () => {
+            EventRepository.findByPk.mockResolvedValue({ ...event, status: 'CANCELLED' });
+
+            await expect(EventService.update(10, { name: 'Too late' }, creator))
+                .rejects
+                .toThrow('Cannot edit an event with status CANCELLED');
+        });
+    });
+
+    describe('isVisibleTo', () => {
+        const draft = { id: 1, status: 'DRAFT', userId: 1 };
+
+        it('should show published events to everyone', () => {
+            expect(EventService.isVisibleTo({ ...draft, status: 'SCHEDULED' }, null)).toBe(true);
+        });
+
+        it('should only show drafts to their creator and admins', () => {
+            expect(EventService.isVisibleTo(draft, { id: 1, role: 'USER' })).toBe(true);
+            expect(EventService.isVisibleTo(draft, { id: 9, role: 'ADMIN' })).toBe(true);
+            expect(EventService.isVisibleTo(draft, { id: 2, role: 'USER' })).toBe(false);
+            expect(EventService.isVisibleTo(draft, null)).toBe(false);
+        });
+    });
+
+    describe('publish', () => {
+        const creator = { id: 1, role: 'USER' };
+        const draft = { id: 10, userId: 1, status: 'DRAFT', startsAt: null, endConditions: [] };
+
+        it('should start a draft right away', async () => {
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce(draft);
+            EventRepository.transitionStatus.mockResolvedValueOnce(true);
+
+            await EventService.publish(10, undefined, creator);
+
+            expect(EventRepository.transitionStatus).toHaveBeenCalledWith(10, 'DRAFT', 'IN_PROGRESS', { startsAt: expect.any(Date) });
+            expect(eventConditions.onEventStarted).toHaveBeenCalledWith(10);
+        });
+
+        it('should schedule a draft for a future start time', async () => {
+            const startsAt = new Date(Date.now() + 60 * 60 * 1000);
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce(draft);
+            EventRepository.transitionStatus.mockResolvedValueOnce(true);
+
+            await EventService.publish(10, startsAt.toISOString(), creator);
+
+            expect(EventRepository.transitionStatus).toHaveBeenCalledWith(10, 'DRAFT', 'SCHEDULED', { startsAt });
+            expect(eventConditions.onEventStarted).not.toHaveBeenCalled();
+        });
+
+        it('should use the start time saved with the draft', async () => {
+            const startsAt = new Date(Date.now() + 60 * 60 * 1000);
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce({ ...draft, startsAt });
+            EventRepository.transitionStatus.mockResolvedValueOnce(true);
+
+            await EventService.publish(10, undefined, creator);
+
+            expect(EventRepository.transitionStatus).toHaveBeenCalledWith(10, 'DRAFT', 'SCHEDULED', { startsAt });
+        });
+
+        it('should reject events that are not drafts', async () => {
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce({ ...draft, status: 'IN_PROGRESS' });
+
+            await expect(EventService.publish(10, undefined, creator))
+                .rejects
+                .toThrow('Cannot publish an event with status IN_PROGRESS');
+
+            expect(EventRepository.transitionStatus).not.toHaveBeenCalled();
+        });
+
+        it('should reject users other than the creator', async () => {
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce(draft);
+
+            await expect(EventService.publish(10, undefined, { id: 2, role: 'USER' }))
+                .rejects
+                .toThrow('Only the event creator or an admin can publish the event');
+        });
+
+        it('should reject deadlines that pass before the start time', async () => {
+            const startsAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+            const deadline = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            EventRepository.findByIdWithEndConditions.mockResolvedValueOnce({
+                ...draft,
+                endConditions: [{ conditions: [{ id: 50, name: 'TIME', value: deadline }] }]
+            });
+
+            const error = await EventService.publish(10, startsAt.toISOString(), creator).catch(e => e);
+
+            expect(error).toBeInstanceOf(ApiError);
+            expect(error.status).toBe(422);
+            expect(error.errors).toEqual([{
+                code: 'DEADLINE_NOT_AFTER_START',
+                path: 'endConditions[0].conditions[0]',
+                message: 'Deadlines must be after the start time'
+            }]);
+            expect(EventRepository.transitionStatus).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('startScheduledEvents', () => {
+        it('should start every due scheduled event', async () => {
+            EventRepository.findDueScheduledEvents.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]);
+            EventRepository.transitionStatus.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            const result = await EventService.startScheduledEvents();
+
+            expect(EventRepository.findDueScheduledEvents).toHaveBeenCalledWith(expect.any(Date));
+            expect(EventRepository.transitionStatus).toHaveBeenCalledWith(1, 'SCHEDULED', 'IN_PROGRESS');
+            expect(eventConditions.onEventStarted).toHaveBeenCalledTimes(1);
+            expect(eventConditions.onEventStarted).toHaveBeenCalledWith(1);
+            expect(result).toBe(1);
+        });
+
+        it('should handle errors', async () => {
+            EventRepository.findDueScheduledEvents.mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(EventService.startScheduledEvents())
+                .rejects
+                .toThrow('Error starting scheduled events');
+        });
+    });
 
-            EventRepository.findActiveEvents.mockResolvedValue(mockEvents);
+    describe('cancel', () => {
+        const creator = { id: 1, role: 'USER' };
+        const inProgressEvent = { id: 10, userId: 1, status: 'IN_PROGRESS' };
 
-            await EventService.checkTimeConditions();
+        it('should cancel the event and refund its participants', async () => {
+            const cancelledEvent = { ...inProgressEvent, status: 'CANCELLED' };
+            EventRepository.findByPk.mockResolvedValueOnce(inProgressEvent);
+            EventRepository.cancel.mockResolvedValueOnce(true);
+            EventRepository.findByIdWithOptionalEndConditions.mockResolvedValueOnce(cancelledEvent);
 
-            expect(eventConditions.onTimeCheck).not.toHaveBeenCalled();
+            const result = await EventService.cancel(10, '  Venue closed ', creator);
+
+            expect(EventRepository.transaction).toHaveBeenCalled();
+            expect(EventRepository.findByPk).toHaveBeenCalledWith(10, { lock: true });
+            expect(EventRepository.cancel).toHaveBeenCalledWith(10, { reason: 'Venue closed', cancelledBy: 1 });
+            expect(eventConditions.onEventCancelled).toHaveBeenCalledWith(10, 'IN_PROGRESS');
+            expect(result).toEqual(cancelledEvent);
+        });
+
+        it('should let an admin cancel any event', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce(inProgressEvent);
+            EventRepository.cancel.mockResolvedValueOnce(true);
+
+            await EventService.cancel(10, 'Fraud report', { id: 99, role: 'ADMIN' });
+
+            expect(EventRepository.cancel).toHaveBeenCalledWith(10, { reason: 'Fraud report', cancelledBy: 99 });
+        });
+
+        it('should reject users other than the creator', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce(inProgressEvent);
+
+            await expect(EventService.cancel(10, 'Not mine', { id: 2, role: 'USER' }))
+                .rejects
+                .toThrow('Only the event creator or an admin can cancel the event');
+
+            expect(EventRepository.cancel).not.toHaveBeenCalled();
+        });
+
+        it('should require a reason', async () => {
+            await expect(EventService.cancel(10, '   ', creator))
+                .rejects
+                .toThrow('Cancellation reason is required');
+
+            expect(EventRepository.findByPk).not.toHaveBeenCalled();
         });
 
-        it('should skip events without endConditions', async () => {
+        it('should reject a reason that is too long', async () => {
+            await expect(EventService.cancel(10, 'x'.repeat(256), creator))
+                .rejects
+                .toThrow('Cancellation reason must not exceed 255 characters');
+        });
+
+        it('should cancel a scheduled event', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ ...inProgressEvent, status: 'SCHEDULED' });
+            EventRepository.cancel.mockResolvedValueOnce(true);
+
+            await EventService.cancel(10, 'Venue closed', creator);
+
+            expect(EventRepository.cancel).toHaveBeenCalled();
+            expect(eventConditions.onEventCancelled).toHaveBeenCalledWith(10, 'SCHEDULED');
+        });
+
+        it('should cancel a draft', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ ...inProgressEvent, status: 'DRAFT' });
+            EventRepository.cancel.mockResolvedValueOnce(true);
+
+            await EventService.cancel(10, 'Changed my mind', creator);
+
+            expect(eventConditions.onEventCancelled).toHaveBeenCalledWith(10, 'DRAFT');
+        });
+
+        it('should reject events that are already resolved', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ ...inProgressEvent, status: 'FINISHED' });
+
+            await expect(EventService.cancel(10, 'Too late', creator))
+                .rejects
+                .toThrow('Cannot cancel an event with status FINISHED');
+
+            expect(EventRepository.cancel).not.toHaveBeenCalled();
+        });
+
+        it('should not refund an event resolved since it was loaded', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce(inProgressEvent);
+            EventRepository.cancel.mockResolvedValueOnce(false);
+
+            await expect(EventService.cancel(10, 'Race', creator))
+                .rejects
+                .toThrow('Event is already resolved');
+
+            expect(eventConditions.onEventCancelled).not.toHaveBeenCalled();
+        });
+
+        it('should pass through not found errors', async () => {
+            EventRepository.findByPk.mockRejectedValueOnce(ApiError.notFound('Event not found'));
+
+            await expect(EventService.cancel(404, 'Gone', creator))
+                .rejects
+                .toThrow('Event not found');
+        });
+
+        it('should wrap refund errors', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce(inProgressEvent);
+            EventRepository.cancel.mockResolvedValueOnce(true);
+            eventConditions.onEventCancelled.mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(EventService.cancel(10, 'Venue closed', creator))
+                .rejects
+                .toThrow('Error cancelling event');
+        });
+    });
+
+    describe('findByUser', () => {
+        it('should find events of a user with a limit', async () => {
             const mockEvents = [
-                {
-                    id: 1,
-                    status: 'IN_PROGRESS',
-                    endConditions: []
-                }
+                { id: 1, name: 'Event 1', userId: 1 },
+                { id: 2, name: 'Event 2', userId: 1 }
             ];
 
-            EventRepository.findActiveEvents.mockResolvedValue(mockEvents);
+            EventRepository.findByUser.mockResolvedValue(mockEvents);
 
-            await EventService.checkTimeConditions();
+            const result = await EventService.findByUser(1, 10);
 
-            expect(eventConditions.onTimeCheck).not.toHaveBeenCalled();
+            expect(EventRepository.findByUser).toHaveBeenCalledWith(1, 10);
+            expect(result).toEqual(mockEvents);
         });
 
-        it('should handle database errors in checkTimeConditions', async () => {
-            EventRepository.findActiveEvents.mockRejectedValue(new Error('Database error'));
+        it('should use the default limit', async () => {
+            EventRepository.findByUser.mockResolvedValue([]);
+
+            await EventService.findByUser(1);
+
+            expect(EventRepository.findByUser).toHaveBeenCalledWith(1, 30);
+        });
+
+        it('should handle database errors in findByUser', async () => {
+            EventRepository.findByUser.mockRejectedValue(new Error('Database error'));
 
-            await expect(EventService.checkTimeConditions())
+            await expect(EventService.findByUser(1))
                 .rejects
-                .toThrow('Error checking time conditions');
+                .toThrow('Error finding events by user');
         });
     });
 
@@ -753,6 +1548,112 @@ describe('EventService', () => {
         });
     });
 
+    describe('findPage', () => {
+        const event = (id, sortValue) => ({ id, get: jest.fn(() => sortValue) });
+
+        it('should return the first page of the newest events for anonymous users', async () => {
+            EventRepository.findPage.mockResolvedValue([event(3, new Date('2030-01-03T00:00:00.000Z')), event(2, new Date('2030-01-02T00:00:00.000Z'))]);
+
+            const result = await EventService.findPage({});
+
+            expect(EventRepository.findPage).toHaveBeenCalledWith({
+                filter: {},
+                orderBy: 'NEWEST',
+                after: null,
+                limit: 31,
+                viewerId: null,
+                allDrafts: false
+            });
+            expect(result.edges.map(edge => edge.node.id)).toEqual([3, 2]);
+            expect(result.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: false });
+        });
+
+        it('should continue after a cursor and report the next page', async () => {
+            EventRepository.findPage.mockResolvedValueOnce([event(3, 300), event(2, 200), event(1, 100)]);
+            const first = await EventService.findPage({ first: 2, orderBy: 'BIGGEST_BANK' }, { id: 7, role: 'USER' });
+
+            expect(first.pageInfo.hasNextPage).toBe(true);
+            expect(first.edges).toHaveLength(2);
+
+            EventRepository.findPage.mockResolvedValueOnce([event(1, 100)]);
+            const second = await EventService.findPage({ first: 2, after: first.pageInfo.endCursor, orderBy: 'BIGGEST_BANK' }, { id: 1, role: 'ADMIN' });
+
+            expect(EventRepository.findPage).toHaveBeenLastCalledWith(expect.objectContaining({
+                orderBy: 'BIGGEST_BANK',
+                after: { value: 200, id: 2 },
+                limit: 3,
+                viewerId: 1,
+                allDrafts: true
+            }));
+            expect(second.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true });
+        });
+
+        it('should limit the page size', async () => {
+            await expect(EventService.findPage({ first: 101 })).rejects.toThrow('Page size must be between 1 and 100');
+            await expect(EventService.findPage({ first: 0 })).rejects.toThrow(ApiError);
+            expect(EventRepository.findPage).not.toHaveBeenCalled();
+        });
+
+        it('should reject cursors of another order', async () => {
+            EventRepository.findPage.mockResolvedValueOnce([event(3, 300)]);
+            const { pageInfo } = await EventService.findPage({ orderBy: 'BIGGEST_BANK' });
+
+            await expect(EventService.findPage({ after: pageInfo.endCursor }))
+                .rejects
+                .toThrow('Cursor does not belong to the NEWEST order');
+        });
+
+        it('should wrap lookup errors', async () => {
+            EventRepository.findPage.mockRejectedValue(new Error('Database error'));
+
+            await expect(EventService.findPage({})).rejects.toThrow('Error finding events');
+        });
+    });
+
+    describe('search', () => {
+        const event = (id, name, description, relevance) => ({ id, name, description, get: jest.fn(() => relevance) });
+
+        it('should search for the words of the query and hide the drafts of others', async () => {
+            EventRepository.search.mockResolvedValue([event(2, 'Charity run', 'Run for the shelter', '1.5')]);
+
+            const result = await EventService.search('  Charity RUN, charity ', {}, { id: 7, role: 'USER' });
+
+            expect(EventRepository.search).toHaveBeenCalledWith(['charity', 'run'], {
+                filter: {},
+                limit: 30,
+                viewerId: 7,
+                allDrafts: false
+            });
+            expect(result).toEqual([{ event: expect.objectContaining({ id: 2 }), relevance: 1.5, highlights: null }]);
+        });
+
+        it('should highlight the matched words of each field when requested', async () => {
+            EventRepository.search.mockResolvedValue([event(2, 'Charity run', null, 2)]);
+
+            const [result] = await EventService.search('run', { filter: { type: 'DONATION' }, limit: 5, highlight: true }, { id: 1, role: 'ADMIN' });
+
+            expect(EventRepository.search).toHaveBeenCalledWith(['run'], expect.objectContaining({
+                filter: { type: 'DONATION' },
+                limit: 5,
+                allDrafts: true
+            }));
+            expect(result.highlights).toEqual([{ field: 'name', snippet: 'Charity run', matches: [{ start: 8, length: 3 }] }]);
+        });
+
+        it('should validate the query and the limit', async () => {
+            await expect(EventService.search('a')).rejects.toThrow('Search query must be between 2 and 200 characters');
+            await expect(EventService.search('--')).rejects.toThrow('Search query must contain letters or digits');
+            await expect(EventService.search('charity', { limit: 101 })).rejects.toThrow('Limit must be between 1 and 100');
+            expect(EventRepository.search).not.toHaveBeenCalled();
+        });
+
+        it('should wrap search errors', async () => {
+            EventRepository.search.mockRejectedValue(new Error('Database error'));
+
+            await expect(EventService.search('charity')).rejects.toThrow('Error searching events');
+        });
+    });
+
     describe('findCreator', () => {
         it('should find event creator', async () => {
             const mockCreator = { id: 1, username: 'test' };
@@ -0,0 +1,188 @@
+const FeeScheduleService = require('../../service/FeeScheduleService');
+const { FeeScheduleRepository } = require('../../repository');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    FeeScheduleRepository: {
+        findEffective: jest.fn(),
+        findHistory: jest.fn(),
+        create: jest.fn()
+    }
+}));
+
+describe('FeeScheduleService', () => {
+    const storedJackpotSchedule = {
+        id: 5,
+        eventType: 'JACKPOT',
+        commissionRate: 0.12,
+        randomnessCoefficient: 0.25,
+        minimumBaseTickets: 10,
+        effectiveFrom: new Date('2025-03-01T00:00:00Z')
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        FeeScheduleRepository.findEffective.mockResolvedValue(null);
+        FeeScheduleRepository.create.mockImplementation(async data => ({ id: 9, ...data }));
+    });
+
+    describe('getEffective', () => {
+        it('should fall back to the built-in defaults when no schedule is stored', async () => {
+            const result = await FeeScheduleService.getEffective('JACKPOT');
+
+            expect(result).toEqual({
+                feeScheduleId: null,
+                eventType: 'JACKPOT',
+                payoutPercentage: 0.9,
+                commissionRate: 0.1,
+                randomnessCoefficient: 0.2,
+                minimumBaseTickets: 5,
+                effectiveFrom: null
+            });
+        });
+
+        it('should leave jackpot terms empty for other event types', async () => {
+            const result = await FeeScheduleService.getEffective('DONATION');
+
+            expect(result).toEqual(expect.objectContaining({
+                payoutPercentage: 0.96,
+                commissionRate: 0.04,
+                randomnessCoefficient: null,
+                minimumBaseTickets: null
+            }));
+        });
+
+        it('should pay out everything for unknown event types', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const result = await FeeScheduleService.getEffective('UNKNOWN_TYPE');
+
+            expect(result.payoutPercentage).toBe(1);
+            expect(result.commissionRate).toBe(0);
+            console.warn.mockRestore();
+        });
+
+        it('should use the stored schedule in force at the given time', async () => {
+            const at = new Date('2025-04-01T00:00:00Z');
+            FeeScheduleRepository.findEffective.mockResolvedValue(storedJackpotSchedule);
+
+            const result = await FeeScheduleService.getEffective('JACKPOT', at);
+
+            expect(FeeScheduleRepository.findEffective).toHaveBeenCalledWith('JACKPOT', at);
+            expect(result).toEqual({
+                feeScheduleId: 5,
+                eventType: 'JACKPOT',
+                payoutPercentage: 0.88,
+                commissionRate: 0.12,
+                randomnessCoefficient: 0.25,
+                minimumBaseTickets: 10,
+                effectiveFrom: '2025-03-01T00:00:00.000Z'
+            });
+        });
+    });
+
+    describe('getCurrent', () => {
+        it('should return the terms of every event type', async () => {
+            const result = await FeeScheduleService.getCurrent();
+
+            expect(result.map(terms => terms.eventType)).toEqual(['DONATION', 'FUNDRAISING', 'JACKPOT']);
+        });
+    });
+
+    describe('findHistory', () => {
+        it('should convert stored schedules to fee terms', async () => {
+            FeeScheduleRepository.findHistory.mockResolvedValue([storedJackpotSchedule]);
+
+            const result = await FeeScheduleService.findHistory('JACKPOT');
+
+            expect(FeeScheduleRepository.findHistory).toHaveBeenCalledWith('JACKPOT');
+            expect(result[0]).toEqual(expect.objectContaining({ feeScheduleId: 5, payoutPercentage: 0.88 }));
+        });
+    });
+
+    describe('resolveForEvent', () => {
+        it('should use the snapshot taken when the event was created', async () => {
+            const feeSnapshot = { feeScheduleId: 2, payoutPercentage: 0.95, commissionRate: 0.05 };
+
+            const result = await FeeScheduleService.resolveForEvent({ type: 'FUNDRAISING', feeSnapshot });
+
+            expect(result).toBe(feeSnapshot);
+            expect(FeeScheduleRepository.findEffective).not.toHaveBeenCalled();
+        });
+
+        it('should use the schedule in force at creation for events without a snapshot', async () => {
+            const createdAt = new Date('2024-06-01T00:00:00Z');
+
+            await FeeScheduleService.resolveForEvent({ type: 'FUNDRAISING', feeSnapshot: null, createdAt });
+
+            expect(FeeScheduleRepository.findEffective).toHaveBeenCalledWith('FUNDRAISING', createdAt);
+        });
+    });
+
+    describe('update', () => {
+        it('should store a new schedule taking effect now', async () => {
+            const result = await FeeScheduleService.update({ eventType: 'DONATION', commissionRate: 0.05 }, 1);
+
+            expect(FeeScheduleRepository.create).toHaveBeenCalledWith({
+                eventType: 'DONATION',
+                commissionRate: 0.05,
+                randomnessCoefficient: null,
+                minimumBaseTickets: null,
+                effectiveFrom: expect.any(Date),
+                createdBy: 1
+            });
+            expect(result).toEqual(expect.objectContaining({ feeScheduleId: 9, payoutPercentage: 0.95 }));
+        });
+
+        it('should carry over jackpot terms that are not given', async () => {
+            FeeScheduleRepository.findEffective.mockResolvedValue(storedJackpotSchedule);
+
+            await FeeScheduleService.update({ eventType: 'JACKPOT', commissionRate: 0.08, minimumBaseTickets: 6 }, 1);
+
+            expect(FeeScheduleRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                commissionRate: 0.08,
+                randomnessCoefficient: 0.25,
+                minimumBaseTickets: 6
+            }));
+        });
+
+        it('should accept a schedule that takes effect in the future', async () => {
+            const effectiveFrom = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+            await FeeScheduleService.update({ eventType: 'FUNDRAISING', commissionRate: 0.03, effectiveFrom }, 1);
+
+            expect(FeeScheduleRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                effectiveFrom: new Date(effectiveFrom)
+            }));
+        });
+
+        it('should reject back-dated schedules', async () => {
+            await expect(FeeScheduleService.update({ eventType: 'FUNDRAISING', commissionRate: 0.03, effectiveFrom: '2020-01-01T00:00:00Z' }, 1))
+                .rejects
+                .toThrow('Effective from cannot be in the past');
+            expect(FeeScheduleRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject invalid commission rates', async () => {
+            await expect(FeeScheduleService.update({ eventType: 'DONATION', commissionRate: 1 }, 1))
+                .rejects
+                .toThrow(ApiError);
+            await expect(FeeScheduleService.update({ eventType: 'DONATION', commissionRate: 0.12345 }, 1))
+                .rejects
+                .toThrow('Commission rate must be between 0 and 1 with at most 4 decimal places');
+        });
+
+        it('should reject jackpot terms for other event types', async () => {
+            await expect(FeeScheduleService.update({ eventType: 'DONATION', commissionRate: 0.05, minimumBaseTickets: 3 }, 1))
+                .rejects
+                .toThrow('Jackpot terms can only be set for JACKPOT events');
+        });
+
+        it('should reject unknown event types', async () => {
+            await expect(FeeScheduleService.update({ eventType: 'RAFFLE', commissionRate: 0.05 }, 1))
+                .rejects
+                .toThrow('Unknown event type: RAFFLE');
+        });
+    });
+});
@@ -0,0 +1,233 @@
+const IdempotencyService = require('../../service/IdempotencyService');
+const { IdempotencyKeyRepository } = require('../../repository');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    IdempotencyKeyRepository: {
+        findByUserAndKeyForUpdate: jest.fn(),
+        create: jest.fn(),
+        update: jest.fn(),
+        destroy: jest.fn(),
+        deleteExpired: jest.fn(),
+        transaction: jest.fn(callback => callback())
+    }
+}));
+
+describe('IdempotencyService', () => {
+    const scope = {
+        userId: 1,
+        key: 'deposit-123',
+        operation: 'createTransaction',
+        payload: { amount: 50, type: 'EVENT_OUTCOME', eventId: 7 }
+    };
+    const codec = {
+        toResponse: jest.fn(transaction => ({ transactionId: transaction.id })),
+        fromResponse: jest.fn(async response => ({ id: response.transactionId, restored: true }))
+    };
+    const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue(null);
+        IdempotencyKeyRepository.create.mockResolvedValue({ id: 10 });
+    });
+
+    describe('execute', () => {
+        it('should run the action without touching keys when no key is given', async () => {
+            const action = jest.fn().mockResolvedValue({ id: 5 });
+
+            const result = await IdempotencyService.execute({ ...scope, key: undefined }, action, codec);
+
+            expect(result).toEqual({ result: { id: 5 }, replayed: false });
+            expect(IdempotencyKeyRepository.transaction).not.toHaveBeenCalled();
+        });
+
+        it('should claim the key, run the action and store its result', async () => {
+            const action = jest.fn().mockResolvedValue({ id: 5 });
+
+            const result = await IdempotencyService.execute(scope, action, codec);
+
+            expect(IdempotencyKeyRepository.create).toHaveBeenCalledWith({
+                userId: 1,
+                key: 'deposit-123',
+                operation: 'createTransaction',
+                requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                expiresAt: expect.any(Date)
+            });
+            expect(IdempotencyKeyRepository.update).toHaveBeenCalledWith(10, { response: { transactionId: 5 } });
+            expect(result).toEqual({ result: { id: 5 }, replayed: false });
+        });
+
+        it('should return the original result for a retry without running the action again', async () => {
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue({
+                id: 10,
+                operation: 'createTransaction',
+                requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                response: { transactionId: 5 },
+                expiresAt: inOneHour()
+            });
+            const action = jest.fn();
+
+            const result = await IdempotencyService.execute(scope, action, codec);
+
+            expect(action).not.toHaveBeenCalled();
+            expect(IdempotencyKeyRepository.create).not.toHaveBeenCalled();
+            expect(result).toEqual({ result: { id: 5, restored: true }, replayed: true });
+        });
+
+        it('should treat payloads with the same values in a different order as equal', async () => {
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue({
+                operation: 'createTransaction',
+                requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                response: { transactionId: 5 },
+                expiresAt: inOneHour()
+            });
+
+            const result = await IdempotencyService.execute(
+                { ...scope, payload: { eventId: 7, type: 'EVENT_OUTCOME', amount: 50 } },
+                jest.fn(),
+                codec
+            );
+
+            expect(result.replayed).toBe(true);
+        });
+
+        it('should reject a reused key with a different payload', async () => {
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue({
+                operation: 'createTransaction',
+                requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                response: { transactionId: 5 },
+                expiresAt: inOneHour()
+            });
+            const action = jest.fn();
+
+            await expect(IdempotencyService.execute({ ...scope, payload: { ...scope.payload, amount: 60 } }, action, codec))
+                .rejects
+                .toThrow('Idempotency key was already used for a different request');
+            expect(action).not.toHaveBeenCalled();
+        });
+
+        it('should reject a key reused for another operation', async () => {
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue({
+                operation: 'upsertParticipation',
+                requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                response: { participationId: 3 },
+                expiresAt: inOneHour()
+            });
+
+            await expect(IdempotencyService.execute(scope, jest.fn(), codec))
+                .rejects
+                .toThrow(ApiError);
+        });
+
+        it('should replace an expired key and run the action again', async () => {
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue({
+                id: 4,
+                operation: 'createTransaction',
+                requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                response: { transactionId: 5 },
+                expiresAt: new Date(Date.now() - 1000)
+            });
+            const action = jest.fn().mockResolvedValue({ id: 6 });
+
+            const result = await IdempotencyService.execute(scope, action, codec);
+
+            expect(IdempotencyKeyRepository.destroy).toHaveBeenCalledWith(4);
+            expect(action).toHaveBeenCalled();
+            expect(result).toEqual({ result: { id: 6 }, replayed: false });
+        });
+
+        it('should rethrow action errors when no other request holds the key', async () => {
+            const action = jest.fn().mockRejectedValue(new Error('Insufficient balance'));
+
+            await expect(IdempotencyService.execute(scope, action, codec))
+                .rejects
+                .toThrow('Insufficient balance');
+        });
+
+        it('should replay the winner when a concurrent request claimed the key first', async () => {
+            const action = jest.fn();
+            IdempotencyKeyRepository.create.mockRejectedValueOnce(new Error('Duplicate entry'));
+            // The second locking read returns the winner's row once it has committed
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({
+                    operation: 'createTransaction',
+                    requestPayload: '{"amount":50,"eventId":7,"type":"EVENT_OUTCOME"}',
+                    response: { transactionId: 5 },
+                    expiresAt: inOneHour()
+                });
+
+            const result = await IdempotencyService.execute(scope, action, codec);
+
+            expect(IdempotencyKeyRepository.transaction).toHaveBeenCalledTimes(2);
+            expect(action).not.toHaveBeenCalled();
+            expect(result).toEqual({ result: { id: 5, restored: true }, replayed: true });
+        });
+
+        it('should run the action when the concurrent request rolled back', async () => {
+            const action = jest.fn().mockResolvedValue({ id: 5 });
+            IdempotencyKeyRepository.create.mockRejectedValueOnce(new Error('Deadlock found'));
+
+            const result = await IdempotencyService.execute(scope, action, codec);
+
+            expect(IdempotencyKeyRepository.create).toHaveBeenCalledTimes(2);
+            expect(action).toHaveBeenCalledTimes(1);
+            expect(result).toEqual({ result: { id: 5 }, replayed: false });
+        });
+
+        it('should reject a concurrent request that used the key for a different request', async () => {
+            IdempotencyKeyRepository.create.mockRejectedValueOnce(new Error('Duplicate entry'));
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({
+                    operation: 'createTransaction',
+                    requestPayload: '{"amount":75,"eventId":7,"type":"EVENT_OUTCOME"}',
+                    response: { transactionId: 5 },
+                    expiresAt: inOneHour()
+                });
+
+            await expect(IdempotencyService.execute(scope, jest.fn(), codec))
+                .rejects
+                .toThrow('Idempotency key was already used for a different request');
+        });
+
+        it('should give up with the original error when the key can not be claimed twice', async () => {
+            IdempotencyKeyRepository.create.mockRejectedValue(new Error('Duplicate entry'));
+
+            await expect(IdempotencyService.execute(scope, jest.fn(), codec))
+                .rejects
+                .toThrow('Duplicate entry');
+            expect(IdempotencyKeyRepository.create).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not claim the key again when the action fails', async () => {
+            const action = jest.fn().mockRejectedValue(new Error('Insufficient balance'));
+
+            await expect(IdempotencyService.execute(scope, action, codec))
+                .rejects
+                .toThrow('Insufficient balance');
+            expect(IdempotencyKeyRepository.transaction).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject keys that are empty or too long', async () => {
+            await expect(IdempotencyService.execute({ ...scope, key: '' }, jest.fn(), codec))
+                .rejects
+                .toThrow('Idempotency key must be between 1 and 255 characters');
+            await expect(IdempotencyService.execute({ ...scope, key: 'x'.repeat(256) }, jest.fn(), codec))
+                .rejects
+                .toThrow('Idempotency key must be between 1 and 255 characters');
+        });
+    });
+
+    describe('deleteExpired', () => {
+        it('should delete expired keys', async () => {
+            IdempotencyKeyRepository.deleteExpired.mockResolvedValue(3);
+
+            const result = await IdempotencyService.deleteExpired();
+
+            expect(result).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,180 @@
+const JackpotDrawService = require('../../service/JackpotDrawService');
+const { JackpotDrawRepository } = require('../../repository');
+const provablyFair = require('../../utils/jackpot/provablyFair');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    JackpotDrawRepository: {
+        create: jest.fn(),
+        findByEventId: jest.fn(),
+        findByPk: jest.fn(),
+        update: jest.fn(),
+        transaction: jest.fn(callback => callback())
+    }
+}));
+jest.mock('../../utils/jackpot/provablyFair');
+
+describe('JackpotDrawService', () => {
+    const event = {
+        id: 7,
+        participations: [
+            { userId: 1, deposit: 100 },
+            { userId: 2, deposit: 200 }
+        ]
+    };
+    const drawResult = {
+        clientSeed: '1:10000|2:20000',
+        entries: [{ userId: 1, weight: 160 }, { userId: 2, weight: 260 }],
+        totalWeight: 420,
+        roll: 300,
+        winnerId: 2,
+        winners: [{ userId: 2, roll: 300, totalWeight: 420 }]
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        provablyFair.generateServerSeed.mockReturnValue('seed');
+        provablyFair.hashSeed.mockReturnValue('hash');
+        provablyFair.draw.mockReturnValue(drawResult);
+    });
+
+    describe('commit', () => {
+        it('should store a new seed with its hash', async () => {
+            JackpotDrawRepository.create.mockResolvedValue({ id: 1, eventId: 7 });
+
+            const result = await JackpotDrawService.commit(7);
+
+            expect(JackpotDrawRepository.create).toHaveBeenCalledWith({
+                eventId: 7,
+                serverSeed: 'seed',
+                seedHash: 'hash'
+            });
+            expect(result).toEqual({ id: 1, eventId: 7 });
+        });
+    });
+
+    describe('reveal', () => {
+        it('should draw the winner from the committed seed and store the result', async () => {
+            JackpotDrawRepository.findByEventId.mockResolvedValue({ id: 1, eventId: 7, serverSeed: 'committed', revealedAt: null });
+            JackpotDrawRepository.findByPk.mockResolvedValue({ id: 1, ...drawResult });
+
+            const result = await JackpotDrawService.reveal(event);
+
+            expect(JackpotDrawRepository.findByEventId).toHaveBeenCalledWith(7, { lock: true });
+            expect(provablyFair.draw).toHaveBeenCalledWith('committed', event.participations, 1, {});
+            expect(JackpotDrawRepository.update).toHaveBeenCalledWith(1, {
+                ...drawResult,
+                revealedAt: expect.any(Date)
+            });
+            expect(result.winnerId).toBe(2);
+        });
+
+        it('should draw one winner per prize place', async () => {
+            JackpotDrawRepository.findByEventId.mockResolvedValue({ id: 1, eventId: 7, serverSeed: 'committed', revealedAt: null });
+            JackpotDrawRepository.findByPk.mockResolvedValue({ id: 1, ...drawResult });
+
+            await JackpotDrawService.reveal({ ...event, prizeDistribution: [60, 25, 15] });
+
+            expect(provablyFair.draw).toHaveBeenCalledWith('committed', event.participations, 3, {});
+        });
+
+        it('should build the entries with the ticket terms of the event', async () => {
+            JackpotDrawRepository.findByEventId.mockResolvedValue({ id: 1, eventId: 7, serverSeed: 'committed', revealedAt: null });
+            JackpotDrawRepository.findByPk.mockResolvedValue({ id: 1, ...drawResult });
+            const ticketConfig = { randomnessCoefficient: 0.3, minimumBaseTickets: 8 };
+
+            await JackpotDrawService.reveal(event, ticketConfig);
+
+            expect(provablyFair.draw).toHaveBeenCalledWith('committed', event.participations, 1, ticketConfig);
+        });
+
+        it('should return an already revealed draw without drawing again', async () => {
+            const revealed = { id: 1, eventId: 7, winnerId: 1, revealedAt: new Date() };
+            JackpotDrawRepository.findByEventId.mockResolvedValue(revealed);
+
+            const result = await JackpotDrawService.reveal(event);
+
+            expect(provablyFair.draw).not.toHaveBeenCalled();
+            expect(JackpotDrawRepository.update).not.toHaveBeenCalled();
+            expect(result).toBe(revealed);
+        });
+
+        it('should commit a seed for events created without one', async () => {
+            JackpotDrawRepository.findByEventId.mockResolvedValue(null);
+            JackpotDrawRepository.create.mockResolvedValue({ id: 3, eventId: 7, serverSeed: 'seed' });
+            JackpotDrawRepository.findByPk.mockResolvedValue({ id: 3, ...drawResult });
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            await JackpotDrawService.reveal(event);
+
+            expect(JackpotDrawRepository.create).toHaveBeenCalled();
+            expect(provablyFair.draw).toHaveBeenCalledWith('seed', event.participations, 1, {});
+            expect(JackpotDrawRepository.update).toHaveBeenCalledWith(3, expect.objectContaining({ winnerId: 2 }));
+            console.warn.mockRestore();
+        });
+
+        it('should reject events without participants', async () => {
+            await expect(JackpotDrawService.reveal({ id: 7, participations: [] }))
+                .rejects
+                .toThrow(ApiError);
+            expect(JackpotDrawRepository.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('findPublicByEventId', () => {
+        const stored = {
+            eventId: 7,
+            seedHash: 'hash',
+            serverSeed: 'secret',
+            clientSeed: null,
+            entries: null,
+            totalWeight: null,
+            roll: null,
+            winnerId: null,
+            winners: null,
+            createdAt: new Date('2025-01-01T00:00:00Z'),
+            revealedAt: null
+        };
+
+        it('should hide the server seed until the draw is revealed', async () => {
+            JackpotDrawRepository.findByEventId.mockResolvedValue(stored);
+
+            const result = await JackpotDrawService.findPublicByEventId(7);
+
+            expect(result.serverSeed).toBeNull();
+            expect(result.seedHash).toBe('hash');
+            expect(result.committedAt).toEqual(stored.createdAt);
+        });
+
+        it('should include the server seed once the draw is revealed', async () => {
+            const revealedAt = new Date('2025-01-02T00:00:00Z');
+            JackpotDrawRepository.findByEventId.mockResolvedValue({ ...stored, ...drawResult, revealedAt });
+
+            const result = await JackpotDrawService.findPublicByEventId(7);
+
+            expect(result).toEqual({
+                eventId: 7,
+                seedHash: 'hash',
+                serverSeed: 'secret',
+                ...drawResult,
+                committedAt: stored.createdAt,
+                revealedAt
+            });
+        });
+
+        it('should return null for events without a draw', async () => {
+            JackpotDrawRepository.findByEventId.mockResolvedValue(null);
+
+            expect(await JackpotDrawService.findPublicByEventId(7)).toBeNull();
+        });
+
+        it('should wrap lookup errors', async () => {
+            JackpotDrawRepository.findByEventId.mockRejectedValue(new Error('Database error'));
+
+            await expect(JackpotDrawService.findPublicByEventId(7))
+                .rejects
+                .toThrow(ApiError);
+        });
+    });
+});
@@ -0,0 +1,200 @@
+const LedgerService = require('../../service/LedgerService');
+const { LedgerAccountRepository, LedgerEntryRepository, UserRepository, ParticipationRepository } = require('../../repository');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    LedgerAccountRepository: {
+        findOrCreateAccount: jest.fn(),
+        findAll: jest.fn()
+    },
+    LedgerEntryRepository: {
+        create: jest.fn(),
+        sumByAccount: jest.fn(),
+        findOpenedAccountIds: jest.fn(),
+        transaction: jest.fn(callback => callback())
+    },
+    UserRepository: {
+        sumBalances: jest.fn(),
+        findBalances: jest.fn()
+    },
+    ParticipationRepository: {
+        sumHeldDepositsByEvent: jest.fn()
+    }
+}));
+
+describe('LedgerService', () => {
+    const accountIds = {
+        'USER_WALLET:1': 11,
+        'USER_WALLET:5': 15,
+        'EVENT_ESCROW:9': 90,
+        'PLATFORM_REVENUE:0': 2,
+        'PLATFORM_MINT:0': 1
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        LedgerAccountRepository.findOrCreateAccount.mockImplementation(async (type, referenceId = 0) => ({
+            id: accountIds[`${type}:${referenceId}`],
+            type,
+            referenceId
+        }));
+        LedgerEntryRepository.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+    });
+
+    describe('record', () => {
+        it.each([
+            ['BALANCE_INCOME', { userId: 1 }, 1, 11],
+            ['GIFT', { userId: 1 }, 1, 11],
+            ['BALANCE_OUTCOME', { userId: 1 }, 11, 1],
+            ['EVENT_OUTCOME', { userId: 1, eventId: 9 }, 11, 90],
+            ['EVENT_INCOME', { userId: 5, eventId: 9 }, 90, 15],
+            ['EVENT_REFUND', { userId: 1, eventId: 9 }, 90, 11],
+            ['COMMISSION', { eventId: 9 }, 90, 2]
+        ])('should post %s from the right debit account to the right credit account', async (type, refs, debitAccountId, creditAccountId) => {
+            await LedgerService.record({ id: 42, amount: 10.5, type, ...refs });
+
+            expect(LedgerEntryRepository.create).toHaveBeenCalledWith({
+                transactionId: 42,
+                debitAccountId,
+                creditAccountId,
+                amount: 10.5
+            });
+        });
+
+        it('should require an event for event-related types', async () => {
+            await expect(LedgerService.record({ id: 1, amount: 10, type: 'EVENT_OUTCOME', userId: 1 }))
+                .rejects
+                .toThrow('Transaction type EVENT_OUTCOME requires an eventId');
+            expect(LedgerEntryRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should require a user for user-facing types', async () => {
+            await expect(LedgerService.record({ id: 1, amount: 10, type: 'GIFT' }))
+                .rejects
+                .toThrow('Transaction type GIFT requires a userId');
+        });
+
+        it('should reject unknown transaction types', async () => {
+            await expect(LedgerService.record({ id: 1, amount: 10, type: 'INVALID', userId: 1 }))
+                .rejects
+                .toThrow(ApiError);
+        });
+    });
+
+    describe('reconcile', () => {
+        beforeEach(() => {
+            LedgerAccountRepository.findAll.mockResolvedValue([
+                { id: 1, type: 'PLATFORM_MINT', referenceId: 0 },
+                { id: 2, type: 'PLATFORM_REVENUE', referenceId: 0 },
+                { id: 11, type: 'USER_WALLET', referenceId: 1 },
+                { id: 15, type: 'USER_WALLET', referenceId: 5 },
+                { id: 90, type: 'EVENT_ESCROW', referenceId: 9 }
+            ]);
+            // Mint 100.10 to user 1, who deposits 50 into event 9, paid out as 49 to user 5 plus 1 commission
+            LedgerEntryRepository.sumByAccount.mockResolvedValue({
+                debits: [
+                    { accountId: 1, total: '100.10' },
+                    { accountId: 11, total: 50 },
+                    { accountId: 90, total: 50 }
+                ],
+                credits: [
+                    { accountId: 11, total: '100.10' },
+                    { accountId: 90, total: 50 },
+                    { accountId: 15, total: 49 },
+                    { accountId: 2, total: 1 }
+                ]
+            });
+        });
+
+        it('should report a balanced ledger', async () => {
+            UserRepository.sumBalances.mockResolvedValue(99.1);
+
+            const result = await LedgerService.reconcile();
+
+            expect(result).toEqual({
+                totalMinted: 100.1,
+                userBalances: 99.1,
+                escrowBalance: 0,
+                revenueBalance: 1,
+                storedUserBalances: 99.1,
+                difference: 0,
+                storedDifference: 0,
+                isBalanced: true
+            });
+        });
+
+        it('should flag stored balances that drifted from the ledger', async () => {
+            UserRepository.sumBalances.mockResolvedValue(120);
+
+            const result = await LedgerService.reconcile();
+
+            expect(result.storedDifference).toBe(20.9);
+            expect(result.isBalanced).toBe(false);
+        });
+
+        it('should wrap unexpected errors as database errors', async () => {
+            LedgerEntryRepository.sumByAccount.mockRejectedValue(new Error('Connection lost'));
+
+            await expect(LedgerService.reconcile()).rejects.toThrow('Error reconciling ledger');
+        });
+    });
+
+    describe('postOpeningBalances', () => {
+        beforeEach(() => {
+            LedgerAccountRepository.findAll.mockResolvedValue([
+                { id: 1, type: 'PLATFORM_MINT', referenceId: 0 },
+                { id: 11, type: 'USER_WALLET', referenceId: 1 },
+                { id: 90, type: 'EVENT_ESCROW', referenceId: 9 }
+            ]);
+            // Since the ledger exists, user 1 got 30 and deposited 10 into event 9
+            LedgerEntryRepository.sumByAccount.mockResolvedValue({
+                debits: [{ accountId: 1, total: 30 }, { accountId: 11, total: 10 }],
+                credits: [{ accountId: 11, total: 30 }, { accountId: 90, total: 10 }]
+            });
+            LedgerEntryRepository.findOpenedAccountIds.mockResolvedValue([]);
+            ParticipationRepository.sumHeldDepositsByEvent.mockResolvedValue([{ eventId: 9, total: '25.00' }]);
+            UserRepository.findBalances.mockResolvedValue([{ id: 1, balance: '70.00' }, { id: 5, balance: 40 }]);
+        });
+
+        it('should open wallets and escrow with the money that existed before the ledger', async () => {
+            const result = await LedgerService.postOpeningBalances();
+
+            expect(LedgerEntryRepository.transaction).toHaveBeenCalled();
+            expect(LedgerEntryRepository.create.mock.calls.map(([entry]) => entry)).toEqual([
+                { transactionId: null, debitAccountId: 1, creditAccountId: 90, amount: 15 },
+                { transactionId: null, debitAccountId: 1, creditAccountId: 11, amount: 50 },
+                { transactionId: null, debitAccountId: 1, creditAccountId: 15, amount: 40 }
+            ]);
+            expect(result).toHaveLength(3);
+        });
+
+        it('should bring accounts holding more than their target back down', async () => {
+            ParticipationRepository.sumHeldDepositsByEvent.mockResolvedValue([]);
+            UserRepository.findBalances.mockResolvedValue([{ id: 1, balance: 15 }]);
+
+            await LedgerService.postOpeningBalances();
+
+            expect(LedgerEntryRepository.create.mock.calls.map(([entry]) => entry)).toEqual([
+                { transactionId: null, debitAccountId: 90, creditAccountId: 1, amount: 10 },
+                { transactionId: null, debitAccountId: 11, creditAccountId: 1, amount: 5 }
+            ]);
+        });
+
+        it('should not open an account twice', async () => {
+            LedgerEntryRepository.findOpenedAccountIds.mockResolvedValue([1, 90, 1, 11]);
+
+            await LedgerService.postOpeningBalances();
+
+            expect(LedgerEntryRepository.create.mock.calls.map(([entry]) => entry)).toEqual([
+                { transactionId: null, debitAccountId: 1, creditAccountId: 15, amount: 40 }
+            ]);
+        });
+
+        it('should wrap unexpected errors as database errors', async () => {
+            UserRepository.findBalances.mockRejectedValue(new Error('Connection lost'));
+
+            await expect(LedgerService.postOpeningBalances()).rejects.toThrow('Error posting opening balances');
+        });
+    });
+});
@@ -1,19 +1,37 @@
 const ParticipationService = require('../../service/ParticipationService');
-const { ParticipationRepository } = require('../../repository');
+const { ParticipationRepository, IdempotencyKeyRepository, EventRepository } = require('../../repository');
 const ApiError = require('../../exception/ApiError');
 const EventCompletionTracker = require('../../utils/achievement/EventCompletionTracker');
+const TransactionService = require('../../service/TransactionService');
 
 // Mock dependencies
 jest.mock('../../repository', () => ({
+    EventRepository: {
+        findByPk: jest.fn().mockResolvedValue({ id: 1, status: 'IN_PROGRESS' }),
+        addToTotals: jest.fn()
+    },
     ParticipationRepository: {
         create: jest.fn(),
+        findByPk: jest.fn(),
         findByUserAndEvent: jest.fn(),
         findByIdWithAssociations: jest.fn(),
         findByUser: jest.fn(),
         findByEvent: jest.fn(),
-        update: jest.fn()
+        update: jest.fn(),
+        transaction: jest.fn(callback => callback())
+    },
+    IdempotencyKeyRepository: {
+        findByUserAndKeyForUpdate: jest.fn(),
+        findOne: jest.fn(),
+        create: jest.fn(),
+        update: jest.fn(),
+        transaction: jest.fn(callback => callback())
     }
 }));
+jest.mock('../../service/TransactionService', () => ({
+    create: jest.fn(),
+    findById: jest.fn()
+}));
 jest.mock('../../utils/achievement/EventCompletionTracker');
 jest.mock('../../utils/eventCondition', () => ({
     onParticipationAdded: jest.fn().mockResolvedValue(),
@@ -69,6 +87,173 @@ describe('ParticipationService', () => {
             expect(result).toEqual(mockParticipation);
         });
 
+        it('should add the deposit and the participant to the event totals in the same transaction', async () => {
+            ParticipationRepository.create.mockResolvedValue({ id: 1, ...validParticipationData });
+
+            await ParticipationService.create(validParticipationData);
+
+            expect(ParticipationRepository.transaction).toHaveBeenCalled();
+            expect(EventRepository.addToTotals).toHaveBeenCalledWith(1, { bankAmount: 100, participantCount: 1 });
+            expect(EventRepository.addToTotals.mock.invocationCallOrder[0])
+                .toBeLessThan(eventConditions.onParticipationAdded.mock.invocationCallOrder[0]);
+        });
+
+        it('should not update the event totals if the participation cannot be created', async () => {
+            ParticipationRepository.create.mockRejectedValue(new Error('Database error'));
+
+            await expect(ParticipationService.create(validParticipationData)).rejects.toThrow(ApiError);
+            expect(EventRepository.addToTotals).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('upsert', () => {
+        const upsertData = {
+            deposit: 200,
+            userId: 1,
+            eventId: 1
+        };
+
+        const mockTransaction = {
+            id: 1,
+            amount: 200,
+            type: 'EVENT_OUTCOME',
+            userId: 1
+        };
+
+        beforeEach(() => {
+            ParticipationRepository.transaction.mockImplementation(callback => callback());
+            TransactionService.create.mockResolvedValue(mockTransaction);
+        });
+
+        it('should add the deposit to an existing participation', async () => {
+            const existingParticipation = { id: 1, userId: 1, eventId: 1, deposit: 300 };
+            const updatedParticipation = { ...existingParticipation, deposit: 500 };
+
+            ParticipationRepository.findByUserAndEvent.mockResolvedValue(existingParticipation);
+            ParticipationRepository.update.mockResolvedValue(updatedParticipation);
+            ParticipationRepository.findByIdWithAssociations.mockResolvedValue(updatedParticipation);
+
+            const result = await ParticipationService.upsert(upsertData);
+
+            expect(ParticipationRepository.transaction).toHaveBeenCalled();
+            expect(EventRepository.findByPk).toHaveBeenCalledWith(1, { lock: true });
+            expect(TransactionService.create).toHaveBeenCalledWith({
+                amount: 200,
+                type: 'EVENT_OUTCOME',
+                userId: 1,
+                eventId: 1
+            });
+            expect(ParticipationRepository.update).toHaveBeenCalledWith(1, { deposit: 500 });
+            expect(EventRepository.addToTotals).toHaveBeenCalledWith(1, { bankAmount: 200 });
+            expect(eventConditions.onParticipationUpdated).toHaveBeenCalledWith(1, 1, 500);
+            expect(ParticipationRepository.create).not.toHaveBeenCalled();
+            expect(result).toEqual({
+                participation: updatedParticipation,
+                isNewParticipation: false,
+                transaction: mockTransaction,
+                replayed: false
+            });
+        });
+
+        it('should create a new participation if none exists', async () => {
+            const newParticipation = { id: 2, ...upsertData };
+
+            ParticipationRepository.findByUserAndEvent.mockResolvedValue(null);
+            ParticipationRepository.create.mockResolvedValue(newParticipation);
+            ParticipationRepository.findByIdWithAssociations.mockResolvedValue(newParticipation);
+            EventCompletionTracker.handleEventParticipation.mockResolvedValue();
+
+            const result = await ParticipationService.upsert(upsertData);
+
+            expect(ParticipationRepository.create).toHaveBeenCalledWith(upsertData);
+            expect(eventConditions.onParticipationAdded).toHaveBeenCalledWith(1, 1, 200);
+            expect(ParticipationRepository.findByIdWithAssociations).toHaveBeenCalledWith(2);
+            expect(result).toEqual({
+                participation: newParticipation,
+                isNewParticipation: true,
+                transaction: mockTransaction,
+                replayed: false
+            });
+        });
+
+        it('should not write the participation if the debit fails', async () => {
+            TransactionService.create.mockRejectedValue(ApiError.badRequest('Insufficient balance'));
+
+            await expect(ParticipationService.upsert(upsertData))
+                .rejects
+                .toThrow('Insufficient balance');
+
+            expect(ParticipationRepository.findByUserAndEvent).not.toHaveBeenCalled();
+            expect(ParticipationRepository.create).not.toHaveBeenCalled();
+            expect(ParticipationRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('should reject deposits to an event that has not started', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ id: 1, status: 'SCHEDULED' });
+
+            await expect(ParticipationService.upsert(upsertData))
+                .rejects
+                .toThrow('Event 1 has not started yet');
+
+            expect(TransactionService.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject deposits to an event that is no longer in progress', async () => {
+            EventRepository.findByPk.mockResolvedValueOnce({ id: 1, status: 'CANCELLED' });
+
+            await expect(ParticipationService.upsert(upsertData))
+                .rejects
+                .toThrow('Event 1 is not accepting deposits');
+
+            expect(TransactionService.create).not.toHaveBeenCalled();
+            expect(ParticipationRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should wrap unexpected errors as bad request', async () => {
+            ParticipationRepository.transaction.mockRejectedValue(new Error('Deadlock found'));
+
+            await expect(ParticipationService.upsert(upsertData))
+                .rejects
+                .toThrow(ApiError);
+        });
+
+        it('should replay a retried request without debiting again', async () => {
+            const participation = { id: 4, userId: 1, eventId: 1, deposit: 200 };
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue({
+                operation: 'upsertParticipation',
+                requestPayload: '{"deposit":200,"eventId":1}',
+                response: { participationId: 4, transactionId: 1, isNewParticipation: true },
+                expiresAt: new Date(Date.now() + 60000)
+            });
+            ParticipationRepository.findByIdWithAssociations.mockResolvedValue(participation);
+            TransactionService.findById.mockResolvedValue(mockTransaction);
+
+            const result = await ParticipationService.upsert(upsertData, 'retry-key');
+
+            expect(TransactionService.create).not.toHaveBeenCalled();
+            expect(ParticipationRepository.findByIdWithAssociations).toHaveBeenCalledWith(4);
+            expect(TransactionService.findById).toHaveBeenCalledWith(1);
+            expect(result).toEqual({
+                participation,
+                isNewParticipation: true,
+                transaction: mockTransaction,
+                replayed: true
+            });
+        });
+
+        it('should store references to the result under the idempotency key', async () => {
+            IdempotencyKeyRepository.findByUserAndKeyForUpdate.mockResolvedValue(null);
+            IdempotencyKeyRepository.create.mockResolvedValue({ id: 12 });
+            ParticipationRepository.findByUserAndEvent.mockResolvedValue(null);
+            ParticipationRepository.create.mockResolvedValue({ id: 5 });
+            ParticipationRepository.findByIdWithAssociations.mockResolvedValue({ id: 5 });
+
+            await ParticipationService.upsert(upsertData, 'first-key');
+
+            expect(IdempotencyKeyRepository.update).toHaveBeenCalledWith(12, {
+                response: { participationId: 5, transactionId: 1, isNewParticipation: true }
+            });
+        });
     });
 
     describe('findByUserAndEvent', () => {
@@ -215,6 +400,7 @@ describe('ParticipationService', () => {
                 event: { id: 1, name: 'Test Event' }
             };
 
+            ParticipationRepository.findByPk.mockResolvedValue({ id: 1, eventId: 1, deposit: 100 });
             ParticipationRepository.update.mockResolvedValue([1]); // number of updated records
             // Mock the findById method that's called inside update
             const findByIdSpy = jest.spyOn(ParticipationService, 'findById')
@@ -222,12 +408,37 @@ describe('ParticipationService', () => {
 
             const result = await ParticipationService.update(1, updateData);
 
+            expect(ParticipationRepository.findByPk).toHaveBeenCalledWith(1, { lock: true });
             expect(ParticipationRepository.update).toHaveBeenCalledWith(1, updateData);
             expect(result).toEqual(updatedParticipation);
 
             findByIdSpy.mockRestore();
         });
 
+        it('should apply a changed deposit to the bank of the event', async () => {
+            ParticipationRepository.findByPk.mockResolvedValue({ id: 1, eventId: 3, deposit: '100.00' });
+            ParticipationRepository.update.mockResolvedValue([1]);
+            const findByIdSpy = jest.spyOn(ParticipationService, 'findById').mockResolvedValue({ id: 1 });
+
+            await ParticipationService.update(1, { deposit: 60.5 });
+
+            expect(EventRepository.addToTotals).toHaveBeenCalledWith(3, { bankAmount: -39.5 });
+
+            findByIdSpy.mockRestore();
+        });
+
+        it('should leave the event totals unchanged when the deposit is not updated', async () => {
+            ParticipationRepository.findByPk.mockResolvedValue({ id: 1, eventId: 3, deposit: 100 });
+            ParticipationRepository.update.mockResolvedValue([1]);
+            const findByIdSpy = jest.spyOn(ParticipationService, 'findById').mockResolvedValue({ id: 1 });
+
+            await ParticipationService.update(1, { userId: 2 });
+
+            expect(EventRepository.addToTotals).not.toHaveBeenCalled();
+
+            findByIdSpy.mockRestore();
+        });
+
         it('should handle database errors when updating', async () => {
             const dbError = new Error('Database error');
             ParticipationRepository.update.mockRejectedValue(dbError);
@@ -0,0 +1,277 @@
+const ScheduledJobService = require('../../service/ScheduledJobService');
+const { ScheduledJobRepository, EventRepository } = require('../../repository');
+const eventConditions = require('../../utils/eventCondition');
+const ApiError = require('../../exception/ApiError');
+
+// Mock dependencies
+jest.mock('../../repository', () => ({
+    ScheduledJobRepository: {
+        create: jest.fn(),
+        update: jest.fn(),
+        findByPk: jest.fn(),
+        findByCondition: jest.fn(),
+        findPendingByEvent: jest.fn(),
+        findDueForUpdate: jest.fn(),
+        updateIfLockedBy: jest.fn(),
+        transaction: jest.fn(callback => callback())
+    },
+    EventRepository: {
+        findActiveEvents: jest.fn()
+    }
+}));
+jest.mock('../../utils/eventCondition', () => ({
+    onDeadlineReached: jest.fn()
+}));
+
+describe('ScheduledJobService', () => {
+    const deadline = '2030-01-01T00:00:00.000Z';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    describe('scheduleTimeCondition', () => {
+        it('should enqueue a job due at the deadline', async () => {
+            ScheduledJobRepository.findByCondition.mockResolvedValueOnce(null);
+            ScheduledJobRepository.create.mockResolvedValueOnce({ id: 1 });
+
+            const result = await ScheduledJobService.scheduleTimeCondition({ id: 5, value: deadline }, 10);
+
+            expect(ScheduledJobRepository.findByCondition).toHaveBeenCalledWith('TIME_CONDITION', 5);
+            expect(ScheduledJobRepository.create).toHaveBeenCalledWith({
+                type: 'TIME_CONDITION',
+                conditionId: 5,
+                eventId: 10,
+                runAt: new Date(deadline),
+                status: 'PENDING',
+                attempts: 0,
+                lockedBy: null,
+                lockedAt: null,
+                lastError: null,
+                completedAt: null
+            });
+            expect(result).toEqual({ id: 1 });
+        });
+
+        it('should move the existing job to the new deadline', async () => {
+            ScheduledJobRepository.findByCondition.mockResolvedValueOnce({ id: 3, status: 'COMPLETED', attempts: 2 });
+            ScheduledJobRepository.findByPk.mockResolvedValueOnce({ id: 3, status: 'PENDING' });
+
+            const result = await ScheduledJobService.scheduleTimeCondition({ id: 5, value: deadline }, 10);
+
+            expect(ScheduledJobRepository.update).toHaveBeenCalledWith(3, expect.objectContaining({
+                runAt: new Date(deadline),
+                status: 'PENDING',
+                attempts: 0,
+                lockedBy: null
+            }));
+            expect(ScheduledJobRepository.create).not.toHaveBeenCalled();
+            expect(result).toEqual({ id: 3, status: 'PENDING' });
+        });
+
+        it('should reject invalid deadlines', async () => {
+            await expect(ScheduledJobService.scheduleTimeCondition({ id: 5, value: 'soon' }, 10))
+                .rejects
+                .toThrow(ApiError);
+
+            expect(ScheduledJobRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('ensureDeadline', () => {
+        it('should enqueue a job once the deadline is known', async () => {
+            ScheduledJobRepository.findByCondition
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(null);
+            ScheduledJobRepository.create.mockResolvedValueOnce({ id: 2 });
+
+            const result = await ScheduledJobService.ensureDeadline({ id: 6, name: 'DURATION' }, 10, new Date(deadline));
+
+            expect(ScheduledJobRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'TIME_CONDITION',
+                conditionId: 6,
+                eventId: 10,
+                runAt: new Date(deadline)
+            }));
+            expect(result).toEqual({ id: 2 });
+        });
+
+        it('should keep a job already scheduled for the deadline', async () => {
+            const job = { id: 2, runAt: new Date(deadline), status: 'COMPLETED' };
+            ScheduledJobRepository.findByCondition.mockResolvedValueOnce(job);
+
+            const result = await ScheduledJobService.ensureDeadline({ id: 6, name: 'DURATION' }, 10, new Date(deadline));
+
+            expect(ScheduledJobRepository.update).not.toHaveBeenCalled();
+            expect(ScheduledJobRepository.create).not.toHaveBeenCalled();
+            expect(result).toBe(job);
+        });
+    });
+
+    describe('scheduleResolution', () => {
+        it('should enqueue a resolution job due now', async () => {
+            ScheduledJobRepository.findPendingByEvent.mockResolvedValueOnce(null);
+            ScheduledJobRepository.create.mockResolvedValueOnce({ id: 3 });
+
+            const result = await ScheduledJobService.scheduleResolution(10);
+
+            expect(ScheduledJobRepository.findPendingByEvent).toHaveBeenCalledWith('EVENT_RESOLUTION', 10);
+            expect(ScheduledJobRepository.create).toHaveBeenCalledWith({
+                type: 'EVENT_RESOLUTION',
+                eventId: 10,
+                runAt: expect.any(Date),
+                status: 'PENDING',
+                attempts: 0
+            });
+            expect(result).toEqual({ id: 3 });
+        });
+
+        it('should keep a resolution job that is still pending', async () => {
+            const job = { id: 3, status: 'PENDING' };
+            ScheduledJobRepository.findPendingByEvent.mockResolvedValueOnce(job);
+
+            const result = await ScheduledJobService.scheduleResolution(10);
+
+            expect(ScheduledJobRepository.create).not.toHaveBeenCalled();
+            expect(result).toBe(job);
+        });
+    });
+
+    describe('scheduleMissingTimeConditions', () => {
+        it('should enqueue jobs for open TIME conditions without one', async () => {
+            EventRepository.findActiveEvents.mockResolvedValueOnce([
+                {
+                    id: 10,
+                    endConditions: [{
+                        conditions: [
+                            { id: 1, name: 'TIME', value: deadline, isCompleted: false },
+                            { id: 2, name: 'TIME', value: deadline, isCompleted: true },
+                            { id: 3, name: 'TIME', value: deadline, isCompleted: false }
+                        ]
+                    }]
+                },
+                { id: 11, endConditions: [] }
+            ]);
+            ScheduledJobRepository.findByCondition
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ id: 7 })
+                .mockResolvedValueOnce({ id: 7 });
+            ScheduledJobRepository.create.mockResolvedValueOnce({ id: 8 });
+
+            const result = await ScheduledJobService.scheduleMissingTimeConditions();
+
+            expect(EventRepository.findActiveEvents).toHaveBeenCalledWith(['DRAFT', 'SCHEDULED', 'IN_PROGRESS']);
+            expect(ScheduledJobRepository.create).toHaveBeenCalledTimes(1);
+            expect(ScheduledJobRepository.create).toHaveBeenCalledWith(expect.objectContaining({ conditionId: 1, eventId: 10 }));
+            expect(result).toBe(1);
+        });
+    });
+
+    describe('claimDueJobs', () => {
+        it('should mark the due jobs as running for the worker', async () => {
+            const now = new Date('2025-01-01T12:00:00Z');
+            ScheduledJobRepository.findDueForUpdate.mockResolvedValueOnce([
+                { id: 1, type: 'TIME_CONDITION', eventId: 10, conditionId: 5, attempts: 0 },
+                { id: 2, type: 'TIME_CONDITION', eventId: 11, conditionId: 6, attempts: 2 }
+            ]);
+
+            const result = await ScheduledJobService.claimDueJobs('worker-1', now);
+
+            expect(ScheduledJobRepository.transaction).toHaveBeenCalled();
+            expect(ScheduledJobRepository.findDueForUpdate).toHaveBeenCalledWith(now, new Date('2025-01-01T11:55:00Z'), 20);
+            expect(ScheduledJobRepository.update).toHaveBeenCalledWith(1, {
+                status: 'RUNNING',
+                lockedBy: 'worker-1',
+                lockedAt: now,
+                attempts: 1
+            });
+            expect(ScheduledJobRepository.update).toHaveBeenCalledWith(2, expect.objectContaining({ attempts: 3 }));
+            expect(result).toEqual([
+                { id: 1, type: 'TIME_CONDITION', eventId: 10, conditionId: 5, attempts: 1 },
+                { id: 2, type: 'TIME_CONDITION', eventId: 11, conditionId: 6, attempts: 3 }
+            ]);
+        });
+    });
+
+    describe('retryDelay', () => {
+        it('should double the delay on every attempt up to the maximum', () => {
+            expect(ScheduledJobService.retryDelay(1)).toBe(15 * 1000);
+            expect(ScheduledJobService.retryDelay(3)).toBe(60 * 1000);
+            expect(ScheduledJobService.retryDelay(20)).toBe(15 * 60 * 1000);
+        });
+    });
+
+    describe('runJob', () => {
+        const job = { id: 1, type: 'TIME_CONDITION', eventId: 10, conditionId: 5, attempts: 1 };
+
+        it('should run the handler and complete the job', async () => {
+            const result = await ScheduledJobService.runJob(job, 'worker-1');
+
+            expect(eventConditions.onDeadlineReached).toHaveBeenCalledWith(10);
+            expect(ScheduledJobRepository.updateIfLockedBy).toHaveBeenCalledWith(1, 'worker-1', expect.objectContaining({
+                status: 'COMPLETED',
+                completedAt: expect.any(Date),
+                lockedBy: null
+            }));
+            expect(result).toBe(true);
+        });
+
+        it('should resolve the event again for resolution jobs', async () => {
+            const result = await ScheduledJobService.runJob({ id: 2, type: 'EVENT_RESOLUTION', eventId: 10, attempts: 1 }, 'worker-1');
+
+            expect(eventConditions.onDeadlineReached).toHaveBeenCalledWith(10);
+            expect(result).toBe(true);
+        });
+
+        it('should reschedule a failed job with backoff', async () => {
+            eventConditions.onDeadlineReached.mockRejectedValueOnce(new Error('Connection lost'));
+            const before = Date.now();
+
+            const result = await ScheduledJobService.runJob({ ...job, attempts: 2 }, 'worker-1');
+
+            const [, , data] = ScheduledJobRepository.updateIfLockedBy.mock.calls[0];
+            expect(data).toMatchObject({ status: 'PENDING', lockedBy: null, lastError: 'Connection lost' });
+            expect(data.runAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 1000);
+            expect(result).toBe(false);
+        });
+
+        it('should mark the job as failed after the last attempt', async () => {
+            eventConditions.onDeadlineReached.mockRejectedValueOnce(new Error('Connection lost'));
+
+            await ScheduledJobService.runJob({ ...job, attempts: 5 }, 'worker-1');
+
+            const [, , data] = ScheduledJobRepository.updateIfLockedBy.mock.calls[0];
+            expect(data).toMatchObject({ status: 'FAILED', lastError: 'Connection lost' });
+            expect(data.runAt).toBeUndefined();
+        });
+
+        it('should fail jobs of an unknown type', async () => {
+            await ScheduledJobService.runJob({ ...job, type: 'UNKNOWN' }, 'worker-1');
+
+            expect(ScheduledJobRepository.updateIfLockedBy).toHaveBeenCalledWith(1, 'worker-1', expect.objectContaining({
+                lastError: 'Unknown job type: UNKNOWN'
+            }));
+        });
+    });
+
+    describe('runDueJobs', () => {
+        it('should run every claimed job and return the batch size', async () => {
+            ScheduledJobRepository.findDueForUpdate.mockResolvedValueOnce([
+                { id: 1, type: 'TIME_CONDITION', eventId: 10, attempts: 0 },
+                { id: 2, type: 'TIME_CONDITION', eventId: 11, attempts: 0 }
+            ]);
+
+            const result = await ScheduledJobService.runDueJobs('worker-1');
+
+            expect(eventConditions.onDeadlineReached).toHaveBeenCalledWith(10);
+            expect(eventConditions.onDeadlineReached).toHaveBeenCalledWith(11);
+            expect(result).toBe(2);
+        });
+    });
+});
@@ -1,14 +1,19 @@
 // Mock dependencies
 jest.mock('../../repository', () => ({
     TransactionRepository: {
-        create: jest.fn()
+        create: jest.fn(),
+        findMaxDepositByEvent: jest.fn(),
+        findMaxDepositsByEvents: jest.fn(),
+        transaction: jest.fn(callback => callback())
     }
 }));
 jest.mock('../../service/UserService');
+jest.mock('../../service/LedgerService');
 
 const TransactionService = require('../../service/TransactionService');
 const { TransactionRepository } = require('../../repository');
 const userService = require('../../service/UserService');
+const ledgerService = require('../../service/LedgerService');
 const ApiError = require('../../exception/ApiError');
 
 describe('TransactionService', () => {
@@ -126,6 +131,15 @@ describe('TransactionService', () => {
                 .toThrow('Insufficient balance');
         });
 
+        it('should pass ApiErrors through unchanged', async () => {
+            const conflict = ApiError.conflict('Idempotency key was already used for a different request');
+            TransactionRepository.create.mockRejectedValue(conflict);
+
+            await expect(TransactionService.create(validTransactionData))
+                .rejects
+                .toBe(conflict);
+        });
+
         it('should create a BALANCE_INCOME transaction', async () => {
             const incomeTransactionData = {
                 amount: 200,
@@ -255,6 +269,45 @@ describe('TransactionService', () => {
         });
     });
 
+    describe('ledger', () => {
+        it('should record every transaction in the ledger within one database transaction', async () => {
+            const mockTransaction = { id: 6, amount: 40, type: 'EVENT_OUTCOME', userId: 1, eventId: 9 };
+            TransactionRepository.create.mockResolvedValue(mockTransaction);
+            userService.updateBalance.mockResolvedValue({ newBalance: 60 });
+
+            await TransactionService.create({ amount: 40, type: 'EVENT_OUTCOME', userId: 1, eventId: 9 });
+
+            expect(TransactionRepository.transaction).toHaveBeenCalled();
+            expect(TransactionRepository.create).toHaveBeenCalledWith({
+                amount: 40,
+                type: 'EVENT_OUTCOME',
+                userId: 1,
+                eventId: 9
+            });
+            expect(ledgerService.record).toHaveBeenCalledWith(mockTransaction);
+        });
+
+        it('should not touch user balances for commission', async () => {
+            const mockTransaction = { id: 7, amount: 2, type: 'COMMISSION', eventId: 9 };
+            TransactionRepository.create.mockResolvedValue(mockTransaction);
+
+            await TransactionService.create({ amount: 2, type: 'COMMISSION', eventId: 9 });
+
+            expect(userService.updateBalance).not.toHaveBeenCalled();
+            expect(ledgerService.record).toHaveBeenCalledWith(mockTransaction);
+        });
+
+        it('should fail when the ledger rejects the transaction', async () => {
+            TransactionRepository.create.mockResolvedValue({ id: 8, amount: 10, type: 'EVENT_OUTCOME', userId: 1 });
+            userService.updateBalance.mockResolvedValue({ newBalance: 90 });
+            ledgerService.record.mockRejectedValueOnce(new Error('Transaction type EVENT_OUTCOME requires an eventId'));
+
+            await expect(TransactionService.create({ amount: 10, type: 'EVENT_OUTCOME', userId: 1 }))
+                .rejects
+                .toThrow('requires an eventId');
+        });
+    });
+
     describe('data validation', () => {
         it('should handle zero amount', async () => {
             const zeroAmountData = {
@@ -336,4 +389,26 @@ describe('TransactionService', () => {
             expect(result).toEqual(mockTransaction);
         });
     });
-}); 
\ No newline at end of file
+
+    describe('findLargestEventDeposit', () => {
+        it('should look up the largest EVENT_OUTCOME transaction of the event', async () => {
+            TransactionRepository.findMaxDepositByEvent.mockResolvedValueOnce(120);
+
+            const result = await TransactionService.findLargestEventDeposit(4);
+
+            expect(TransactionRepository.findMaxDepositByEvent).toHaveBeenCalledWith(4);
+            expect(result).toBe(120);
+        });
+    });
+
+    describe('findLargestEventDeposits', () => {
+        it('should map the largest EVENT_OUTCOME transaction to each event', async () => {
+            TransactionRepository.findMaxDepositsByEvents.mockResolvedValueOnce([{ eventId: 4, amount: 120 }]);
+
+            const result = await TransactionService.findLargestEventDeposits([4, 5]);
+
+            expect(TransactionRepository.findMaxDepositsByEvents).toHaveBeenCalledWith([4, 5]);
+            expect(result).toEqual(new Map([[4, 120]]));
+        });
+    });
+});
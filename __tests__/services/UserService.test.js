@@ -17,6 +17,7 @@ jest.mock('../../repository', () => ({
         findByEmail: jest.fn(),
         updateActivationLink: jest.fn(),
         findByIdWithBalance: jest.fn(),
+        findByIdWithBalanceForUpdate: jest.fn(),
         updateBalance: jest.fn(),
         findAllMinimal: jest.fn(),
         findByPk: jest.fn(),
@@ -419,7 +420,7 @@ describe('UserService', () => {
         };
 
         beforeEach(() => {
-            UserRepository.findByIdWithBalance.mockResolvedValue(mockUser);
+            UserRepository.findByIdWithBalanceForUpdate.mockResolvedValue(mockUser);
             UserRepository.updateBalance.mockResolvedValue([1]);
             onUserBankUpdated.mockResolvedValue(true);
         });
@@ -432,6 +433,7 @@ describe('UserService', () => {
                     userId: 1
                 });
 
+                expect(UserRepository.findByIdWithBalanceForUpdate).toHaveBeenCalledWith(1);
                 expect(UserRepository.updateBalance).toHaveBeenCalledWith(1, 150);
                 expect(onUserBankUpdated).toHaveBeenCalledWith(1, 150);
                 expect(result.newBalance).toBe(150);
@@ -458,6 +460,17 @@ describe('UserService', () => {
                 expect(UserRepository.updateBalance).toHaveBeenCalledWith(1, 175);
                 expect(result.newBalance).toBe(175);
             });
+
+            it('should increase balance for EVENT_REFUND', async () => {
+                const result = await UserService.updateBalance({
+                    amount: 40,
+                    type: 'EVENT_REFUND',
+                    userId: 1
+                });
+
+                expect(UserRepository.updateBalance).toHaveBeenCalledWith(1, 140);
+                expect(result.newBalance).toBe(140);
+            });
         });
 
         describe('outcome operations', () => {
@@ -482,6 +495,19 @@ describe('UserService', () => {
                 expect(UserRepository.updateBalance).toHaveBeenCalledWith(1, 80);
                 expect(result.newBalance).toBe(80);
             });
+
+            it('should keep cents exact for fractional amounts', async () => {
+                UserRepository.findByIdWithBalanceForUpdate.mockResolvedValue({ id: 1, balance: 0.3 });
+
+                const result = await UserService.updateBalance({
+                    amount: 0.1,
+                    type: 'BALANCE_OUTCOME',
+                    userId: 1
+                });
+
+                expect(UserRepository.updateBalance).toHaveBeenCalledWith(1, 0.2);
+                expect(result.newBalance).toBe(0.2);
+            });
         });
 
         describe('error cases', () => {
@@ -501,8 +527,17 @@ describe('UserService', () => {
                 })).rejects.toThrow('Amount must be positive');
             });
 
+            it('should throw error for amounts with more than two decimals', async () => {
+                await expect(UserService.updateBalance({
+                    amount: 10.005,
+                    type: 'BALANCE_INCOME',
+                    userId: 1
+                })).rejects.toThrow('Invalid amount');
+                expect(UserRepository.updateBalance).not.toHaveBeenCalled();
+            });
+
             it('should throw error if user not found', async () => {
-                UserRepository.findByIdWithBalance.mockResolvedValue(null);
+                UserRepository.findByIdWithBalanceForUpdate.mockResolvedValue(null);
 
                 await expect(UserService.updateBalance({
                     amount: 50,
@@ -591,6 +626,36 @@ describe('UserService', () => {
         });
     });
 
+    describe('updateRole', () => {
+        it('should update the role and return the user', async () => {
+            const mockUser = { id: 2, role: 'MODERATOR' };
+            UserRepository.update.mockResolvedValue([1]);
+            UserRepository.findByIdWithAssociations.mockResolvedValue(mockUser);
+
+            const result = await UserService.updateRole(2, 'MODERATOR');
+
+            expect(UserRepository.update).toHaveBeenCalledWith(2, { role: 'MODERATOR' });
+            expect(UserRepository.findByIdWithAssociations).toHaveBeenCalledWith(2, false);
+            expect(result).toEqual(mockUser);
+        });
+
+        it('should reject unknown roles', async () => {
+            await expect(UserService.updateRole(2, 'OWNER'))
+                .rejects
+                .toThrow('Unknown role: OWNER');
+
+            expect(UserRepository.update).not.toHaveBeenCalled();
+        });
+
+        it('should handle database errors', async () => {
+            UserRepository.update.mockRejectedValue(new Error('Database error'));
+
+            await expect(UserService.updateRole(2, 'ADMIN'))
+                .rejects
+                .toThrow('Error updating user role');
+        });
+    });
+
     describe('update', () => {
         const mockUser = {
             id: 1,
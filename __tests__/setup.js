@@ -39,36 +39,81 @@ jest.mock('../service', () => ({
     verifyPassword: jest.fn(),
     activate: jest.fn(),
     resendActivationEmail: jest.fn(),
-    findAccounts: jest.fn()
+    findAccounts: jest.fn(),
+    findByIds: jest.fn(),
+    findAccountsByUsers: jest.fn(),
+    updateRole: jest.fn()
   },
   achievementService: {
-    findById: jest.fn()
+    findById: jest.fn(),
+    findByIds: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn()
   },
   userAchievementService: {
     findByUserWithDetails: jest.fn()
   },
   userCriterionProgressService: {
-    findByUserAchievementWithCriteria: jest.fn()
+    findByUserAchievementWithCriteria: jest.fn(),
+    findByUserAchievementsWithCriteria: jest.fn()
   },
   achievementCriterionService: {
-    findById: jest.fn()
+    findById: jest.fn(),
+    findByIds: jest.fn()
   },
   eventService: {
     findById: jest.fn(),
+    findByIds: jest.fn(),
+    findByCreators: jest.fn(),
+    findByRecipients: jest.fn(),
     findAll: jest.fn(),
+    findPage: jest.fn(),
+    search: jest.fn(),
     create: jest.fn(),
-    calculateBankAmount: jest.fn()
+    simulateConditions: jest.fn(),
+    findTotals: jest.fn(),
+    repairTotals: jest.fn(),
+    moderate: jest.fn(),
+    cancel: jest.fn(),
+    update: jest.fn(),
+    publish: jest.fn(),
+    isVisibleTo: jest.fn().mockReturnValue(true)
+  },
+  jackpotDrawService: {
+    findPublicByEventId: jest.fn()
+  },
+  eventRevisionService: {
+    findByEventId: jest.fn()
+  },
+  conditionLogService: {
+    findByEventId: jest.fn()
   },
   participationService: {
     findByUserAndEvent: jest.fn(),
     findByEvent: jest.fn(),
     findByUser: jest.fn(),
+    findByEvents: jest.fn(),
+    findByUsers: jest.fn(),
     findById: jest.fn(),
     create: jest.fn(),
-    update: jest.fn()
+    update: jest.fn(),
+    upsert: jest.fn()
   },
   transactionService: {
-    create: jest.fn()
+    create: jest.fn(),
+    findLargestEventDeposits: jest.fn()
+  },
+  ledgerService: {
+    reconcile: jest.fn()
+  },
+  feeScheduleService: {
+    getCurrent: jest.fn(),
+    findHistory: jest.fn(),
+    update: jest.fn()
+  },
+  idempotencyService: {
+    execute: jest.fn(),
+    deleteExpired: jest.fn()
   },
   tokenService: {
     saveToken: jest.fn(),
@@ -82,10 +127,13 @@ jest.mock('../service', () => ({
     create: jest.fn()
   },
   eventEndConditionService: {
-    findByEventId: jest.fn()
+    findByEventId: jest.fn(),
+    findByEventIds: jest.fn(),
+    findByIds: jest.fn()
   },
   endConditionService: {
-    findByEventEndCondition: jest.fn()
+    findByEventEndCondition: jest.fn(),
+    findByEventEndConditions: jest.fn()
   }
 }));
 
@@ -111,8 +159,11 @@ jest.mock('crypto', () => ({
 jest.mock('../utils/eventCondition', () => ({
   onParticipationUpdated: jest.fn().mockResolvedValue(),
   onParticipationAdded: jest.fn().mockResolvedValue(),
+  getConditionProgress: jest.fn().mockResolvedValue(null),
   onEventCreated: jest.fn().mockResolvedValue(),
-  onTimeCheck: jest.fn().mockResolvedValue()
+  onTimeCheck: jest.fn().mockResolvedValue(),
+  forceFinishEvent: jest.fn().mockResolvedValue(true),
+  forceFailEvent: jest.fn().mockResolvedValue(true)
 }));
 
 // mock Achievement utils
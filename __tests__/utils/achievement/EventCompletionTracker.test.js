@@ -17,21 +17,6 @@ jest.mock('../../../utils/achievement', () => ({
     onUserActivityUpdated: jest.fn(),
     onUserBankUpdated: jest.fn()
 }));
-jest.mock('../../../constants/eventPayouts', () => ({
-    PAYOUT_PERCENTAGES: {
-        JACKPOT: 0.9,
-        DONATION: 1.0,
-        FUNDRAISING: 1.0,
-        DEFAULT: 0.8
-    }
-}));
-jest.mock('../../../constants/application', () => ({
-    EVENT_TYPES: {
-        JACKPOT: 'JACKPOT',
-        DONATION: 'DONATION',
-        FUNDRAISING: 'FUNDRAISING'
-    }
-}));
 
 const { eventService, userService } = require('../../../service');
 const { onEventCompleted, onEventParticipated, onUserActivityUpdated, onUserBankUpdated } = require('../../../utils/achievement');
@@ -112,24 +97,36 @@ describe('EventCompletionTracker', () => {
             );
         });
 
-        it('should calculate payout for JACKPOT events correctly', async () => {
+        it('should credit JACKPOT participants only with the prize they actually won', async () => {
             const jackpotEvent = { ...mockEvent, type: 'JACKPOT' };
             eventService.findByIdWithParticipants.mockResolvedValue(jackpotEvent);
 
-            await EventCompletionTracker.handleEventCompletion(mockEventId);
-
-            const expectedTotalPayout = Math.floor(1500 * 0.9); // 1350
+            await EventCompletionTracker.handleEventCompletion(mockEventId, { [mockUserId]: 810 });
 
-            // Participants should get potential to win full payout in JACKPOT
             expect(onEventCompleted).toHaveBeenCalledWith(
                 mockUserId,
                 mockEventId,
                 expect.objectContaining({
-                    userIncome: expectedTotalPayout
+                    userIncome: 810
+                })
+            );
+            expect(onEventCompleted).toHaveBeenCalledWith(
+                999,
+                mockEventId,
+                expect.objectContaining({
+                    userIncome: 0
                 })
             );
         });
 
+        it('should credit no income when no incomes are given', async () => {
+            await EventCompletionTracker.handleEventCompletion(mockEventId);
+
+            onEventCompleted.mock.calls.forEach(([, , eventData]) => {
+                expect(eventData.userIncome).toBe(0);
+            });
+        });
+
         it('should handle DONATION events correctly', async () => {
             const donationEvent = { ...mockEvent, type: 'DONATION' };
             eventService.findByIdWithParticipants.mockResolvedValue(donationEvent);
@@ -169,13 +166,13 @@ describe('EventCompletionTracker', () => {
         });
 
         it('should track achievements for recipient when different from creator and participants', async () => {
-            await EventCompletionTracker.handleEventCompletion(mockEventId);
+            await EventCompletionTracker.handleEventCompletion(mockEventId, { [mockRecipientId]: 1350 });
 
             expect(onEventCompleted).toHaveBeenCalledWith(
                 mockRecipientId,
                 mockEventId,
                 expect.objectContaining({
-                    userIncome: Math.floor(1500 * 0.9) // Recipient gets the payout
+                    userIncome: 1350 // Recipient gets the payout
                 })
             );
         });
@@ -428,7 +425,7 @@ describe('EventCompletionTracker', () => {
             };
             eventService.findByIdWithParticipants.mockResolvedValue(complexEvent);
 
-            await EventCompletionTracker.handleEventCompletion(mockEventId);
+            await EventCompletionTracker.handleEventCompletion(mockEventId, { 200: 2250 });
 
             // Should track for 3 participants + recipient (creator already tracked as participant)
             expect(onEventCompleted).toHaveBeenCalledTimes(4);
@@ -438,7 +435,7 @@ describe('EventCompletionTracker', () => {
                 200, // recipient
                 mockEventId,
                 expect.objectContaining({
-                    userIncome: 2250 // Full bank amount for FUNDRAISING (1.0 payout)
+                    userIncome: 2250 // Full bank amount paid to the recipient
                 })
             );
         });
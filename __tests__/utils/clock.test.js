@@ -0,0 +1,48 @@
+const { Clock, resolveMode, clock } = require('../../utils/clock');
+
+describe('clock', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2030-01-01T00:00:00.000Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should follow the system time by default', () => {
+        expect(clock.mode).toBe('SYSTEM');
+        expect(clock.now()).toEqual(new Date('2030-01-01T00:00:00.000Z'));
+        expect(clock.timestamp()).toBe(Date.now());
+        expect(() => clock.advance(1000)).toThrow('The clock can only be advanced in TIME_TRAVEL mode');
+    });
+
+    it('should keep running from the advanced time', () => {
+        const timeTravel = new Clock('TIME_TRAVEL');
+
+        expect(timeTravel.advance(2 * 60 * 60 * 1000)).toEqual(new Date('2030-01-01T02:00:00.000Z'));
+        jest.advanceTimersByTime(30 * 1000);
+
+        expect(timeTravel.now()).toEqual(new Date('2030-01-01T02:00:30.000Z'));
+        expect(timeTravel.getState()).toEqual({
+            mode: 'TIME_TRAVEL',
+            now: new Date('2030-01-01T02:00:30.000Z'),
+            offsetSeconds: 7200
+        });
+    });
+
+    it('should only move forward', () => {
+        const timeTravel = new Clock('TIME_TRAVEL');
+
+        expect(() => timeTravel.advance(-1000)).toThrow('The clock can only be moved forward');
+        expect(() => timeTravel.advance(NaN)).toThrow('The clock can only be moved forward');
+        expect(timeTravel.getState().offsetSeconds).toBe(0);
+    });
+
+    it('should never time travel in production', () => {
+        expect(resolveMode({ NODE_ENV: 'development', CLOCK_MODE: 'TIME_TRAVEL' })).toBe('TIME_TRAVEL');
+        expect(resolveMode({ NODE_ENV: 'test', CLOCK_MODE: 'TIME_TRAVEL' })).toBe('TIME_TRAVEL');
+        expect(resolveMode({ NODE_ENV: 'production', CLOCK_MODE: 'TIME_TRAVEL' })).toBe('SYSTEM');
+        expect(resolveMode({ NODE_ENV: 'development' })).toBe('SYSTEM');
+    });
+});
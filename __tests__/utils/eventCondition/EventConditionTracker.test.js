@@ -1,11 +1,16 @@
 const EventConditionTracker = require('../../../utils/eventCondition/EventConditionTracker');
+const { clock } = require('../../../utils/clock');
 
 // Mock services
 const mockServices = {
     eventService: {
         findByIdWithParticipants: jest.fn(),
+        findTotals: jest.fn(),
         findByIdWithEndConditions: jest.fn(),
-        updateStatus: jest.fn()
+        updateStatus: jest.fn(),
+        markRefunded: jest.fn(),
+        findParticipations: jest.fn(),
+        transitionStatus: jest.fn()
     },
     eventEndConditionService: {
         findById: jest.fn(),
@@ -22,7 +27,21 @@ const mockServices = {
         findByEvent: jest.fn()
     },
     transactionService: {
-        create: jest.fn()
+        create: jest.fn(),
+        findLargestEventDeposit: jest.fn()
+    },
+    scheduledJobService: {
+        ensureDeadline: jest.fn(),
+        scheduleResolution: jest.fn()
+    },
+    jackpotDrawService: {
+        reveal: jest.fn()
+    },
+    feeScheduleService: {
+        resolveForEvent: jest.fn()
+    },
+    conditionLogService: {
+        record: jest.fn()
     }
 };
 
@@ -40,11 +59,17 @@ const mockPubsub = {
 // Mock modules
 jest.mock('../../../service', () => mockServices);
 jest.mock('../../../graphql/pubsub', () => mockPubsub);
+jest.mock('../../../repository', () => ({
+    TransactionRepository: {
+        transaction: jest.fn(callback => callback())
+    }
+}));
 jest.mock('../../../utils/achievement/EventCompletionTracker', () => ({
     handleEventCompletion: jest.fn().mockResolvedValue()
 }));
 
 const EventCompletionTracker = require('../../../utils/achievement/EventCompletionTracker');
+const { PAYOUT_PERCENTAGES, JACKPOT_CONFIG } = require('../../../constants/eventPayouts');
 
 describe('EventConditionTracker', () => {
     let eventConditionTracker;
@@ -106,26 +131,18 @@ describe('EventConditionTracker', () => {
     });
 
     describe('getPeopleCount', () => {
-        it('should return the number of participants', async () => {
-            const mockEvent = {
-                participations: [
-                    { userId: 1, deposit: 100 },
-                    { userId: 2, deposit: 200 },
-                    { userId: 3, deposit: 150 }
-                ]
-            };
-
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+        it('should return the stored number of participants', async () => {
+            mockServices.eventService.findTotals.mockResolvedValue({ id: 1, bankAmount: 450, participantCount: 3 });
 
             const result = await eventConditionTracker.getPeopleCount(1);
 
-            expect(mockServices.eventService.findByIdWithParticipants).toHaveBeenCalledWith(1);
+            expect(mockServices.eventService.findTotals).toHaveBeenCalledWith(1);
+            expect(mockServices.eventService.findByIdWithParticipants).not.toHaveBeenCalled();
             expect(result).toBe(3);
         });
 
         it('should return 0 when there are no participants', async () => {
-            const mockEvent = { participations: [] };
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+            mockServices.eventService.findTotals.mockResolvedValue({ id: 1, bankAmount: 0, participantCount: 0 });
 
             const result = await eventConditionTracker.getPeopleCount(1);
 
@@ -133,88 +150,211 @@ describe('EventConditionTracker', () => {
         });
 
         it('should return 0 when event is not found', async () => {
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(null);
+            mockServices.eventService.findTotals.mockResolvedValue(null);
 
             const result = await eventConditionTracker.getPeopleCount(999);
 
             expect(result).toBe(0);
         });
 
-        it('should return 0 when participations is null', async () => {
-            const mockEvent = { participations: null };
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+        it('should handle errors gracefully', async () => {
+            mockServices.eventService.findTotals.mockRejectedValue(new Error('Database error'));
 
             const result = await eventConditionTracker.getPeopleCount(1);
 
             expect(result).toBe(0);
         });
+    });
+
+    describe('getBankAmount', () => {
+        it('should return the stored bank amount', async () => {
+            mockServices.eventService.findTotals.mockResolvedValue({ id: 1, bankAmount: 450, participantCount: 3 });
+
+            const result = await eventConditionTracker.getBankAmount(1);
+
+            expect(mockServices.eventService.findTotals).toHaveBeenCalledWith(1);
+            expect(mockServices.eventService.findByIdWithParticipants).not.toHaveBeenCalled();
+            expect(result).toBe(450);
+        });
+
+        it('should convert a DECIMAL string to a number', async () => {
+            mockServices.eventService.findTotals.mockResolvedValue({ id: 1, bankAmount: '300.50', participantCount: 2 });
+
+            const result = await eventConditionTracker.getBankAmount(1);
+
+            expect(result).toBe(300.5);
+        });
+
+        it('should return 0 when event is not found', async () => {
+            mockServices.eventService.findTotals.mockResolvedValue(null);
+
+            const result = await eventConditionTracker.getBankAmount(999);
+
+            expect(result).toBe(0);
+        });
 
         it('should handle errors gracefully', async () => {
-            mockServices.eventService.findByIdWithParticipants.mockRejectedValue(new Error('Database error'));
+            mockServices.eventService.findTotals.mockRejectedValue(new Error('Database error'));
 
-            const result = await eventConditionTracker.getPeopleCount(1);
+            const result = await eventConditionTracker.getBankAmount(1);
 
             expect(result).toBe(0);
         });
     });
 
-    describe('getBankAmount', () => {
-        it('should calculate total deposit amount from all participants', async () => {
-            const mockEvent = {
+    describe('getUniqueDonorCount', () => {
+        it('should count distinct participants other than the creator', async () => {
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValueOnce({
+                userId: 1,
                 participations: [
-                    { userId: 1, deposit: 100 },
-                    { userId: 2, deposit: 200 },
-                    { userId: 3, deposit: 150 }
+                    { userId: 1, deposit: 500 },
+                    { userId: 2, deposit: 100 },
+                    { userId: 3, deposit: 100 }
                 ]
-            };
+            });
 
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+            const result = await eventConditionTracker.getUniqueDonorCount(7);
 
-            const result = await eventConditionTracker.getBankAmount(1);
+            expect(mockServices.eventService.findByIdWithParticipants).toHaveBeenCalledWith(7);
+            expect(result).toBe(2);
+        });
 
-            expect(mockServices.eventService.findByIdWithParticipants).toHaveBeenCalledWith(1);
-            expect(result).toBe(450);
+        it('should return 0 when event is not found', async () => {
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValueOnce(null);
+
+            expect(await eventConditionTracker.getUniqueDonorCount(7)).toBe(0);
         });
+    });
 
-        it('should handle null deposit values', async () => {
-            const mockEvent = {
+    describe('getLargestDeposit', () => {
+        it('should return the largest single deposit', async () => {
+            mockServices.transactionService.findLargestEventDeposit.mockResolvedValueOnce(300);
+
+            const result = await eventConditionTracker.getLargestDeposit(7);
+
+            expect(mockServices.transactionService.findLargestEventDeposit).toHaveBeenCalledWith(7);
+            expect(result).toBe(300);
+        });
+
+        it('should handle errors gracefully', async () => {
+            mockServices.transactionService.findLargestEventDeposit.mockRejectedValueOnce(new Error('Database error'));
+
+            expect(await eventConditionTracker.getLargestDeposit(7)).toBe(0);
+        });
+    });
+
+    describe('getAverageDeposit', () => {
+        it('should return the average deposit rounded to cents', async () => {
+            mockServices.eventService.findTotals.mockResolvedValueOnce({ id: 7, bankAmount: '40.00', participantCount: 3 });
+
+            expect(await eventConditionTracker.getAverageDeposit(7)).toBe(13.33);
+        });
+
+        it('should return 0 when there are no participants', async () => {
+            mockServices.eventService.findTotals.mockResolvedValueOnce({ id: 7, bankAmount: 0, participantCount: 0 });
+
+            expect(await eventConditionTracker.getAverageDeposit(7)).toBe(0);
+        });
+    });
+
+    describe('getFirstParticipationAt', () => {
+        it('should return the time of the earliest participation', async () => {
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValueOnce({
                 participations: [
-                    { userId: 1, deposit: 100 },
-                    { userId: 2, deposit: null },
-                    { userId: 3, deposit: 200 }
+                    { userId: 2, createdAt: '2030-01-02T00:00:00.000Z' },
+                    { userId: 3, createdAt: '2030-01-01T12:00:00.000Z' }
                 ]
-            };
+            });
 
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+            expect(await eventConditionTracker.getFirstParticipationAt(7)).toEqual(new Date('2030-01-01T12:00:00.000Z'));
+        });
 
-            const result = await eventConditionTracker.getBankAmount(1);
+        it('should return null when nobody has participated yet', async () => {
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValueOnce({ participations: [] });
 
-            expect(result).toBe(300);
+            expect(await eventConditionTracker.getFirstParticipationAt(7)).toBeNull();
+        });
+    });
+
+    describe('getConditionProgress', () => {
+        const now = new Date('2030-01-02T00:00:00.000Z');
+
+        it('should report the share of a target that has been reached', async () => {
+            jest.spyOn(eventConditionTracker, 'getBankAmount').mockResolvedValue(250);
+
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'BANK', operator: 'GREATER_EQUALS', value: '1000', isCompleted: false }, 7, now);
+
+            expect(eventConditionTracker.getBankAmount).toHaveBeenCalledWith(7);
+            expect(result).toEqual({ currentValue: 250, progressPercent: 25, remainingSeconds: null });
         });
 
-        it('should return 0 when there are no participants', async () => {
-            const mockEvent = { participations: [] };
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+        it('should report completed conditions as 100 percent', async () => {
+            jest.spyOn(eventConditionTracker, 'getPeopleCount').mockResolvedValue(3);
 
-            const result = await eventConditionTracker.getBankAmount(1);
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'PARTICIPATION', operator: 'GREATER_EQUALS', value: '10', isCompleted: true }, 7, now);
 
-            expect(result).toBe(0);
+            expect(result.progressPercent).toBe(100);
         });
 
-        it('should return 0 when event is not found', async () => {
-            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(null);
+        it('should report no progress for conditions that stay below a value', async () => {
+            jest.spyOn(eventConditionTracker, 'getAverageDeposit').mockResolvedValue(80);
 
-            const result = await eventConditionTracker.getBankAmount(999);
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'AVERAGE_DEPOSIT', operator: 'LESS', value: '50', isCompleted: false }, 7, now);
 
-            expect(result).toBe(0);
+            expect(result.progressPercent).toBe(0);
         });
 
-        it('should handle errors gracefully', async () => {
-            mockServices.eventService.findByIdWithParticipants.mockRejectedValue(new Error('Database error'));
+        it('should report the time left and elapsed for TIME conditions', async () => {
+            jest.spyOn(eventConditionTracker, 'getEventStartedAt').mockResolvedValue(new Date('2030-01-01T00:00:00.000Z'));
 
-            const result = await eventConditionTracker.getBankAmount(1);
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'TIME', operator: 'GREATER_EQUALS', value: '2030-01-05T00:00:00.000Z' }, 7, now);
 
-            expect(result).toBe(0);
+            expect(result).toEqual({ currentValue: 0, progressPercent: 25, remainingSeconds: 3 * 24 * 60 * 60 });
+        });
+
+        it('should report passed deadlines as complete', async () => {
+            jest.spyOn(eventConditionTracker, 'getEventStartedAt').mockResolvedValue(new Date('2029-12-01T00:00:00.000Z'));
+
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'TIME', operator: 'GREATER_EQUALS', value: '2030-01-01T00:00:00.000Z' }, 7, now);
+
+            expect(result).toEqual({ currentValue: 1, progressPercent: 100, remainingSeconds: 0 });
+        });
+
+        it('should have no time left for DURATION conditions before the first participation', async () => {
+            jest.spyOn(eventConditionTracker, 'getFirstParticipationAt').mockResolvedValue(null);
+
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'DURATION', operator: 'GREATER_EQUALS', value: '48' }, 7, now);
+
+            expect(result).toEqual({ currentValue: 0, progressPercent: 0, remainingSeconds: null });
+        });
+
+        it('should look up the event through the condition group', async () => {
+            mockServices.eventEndConditionService.findById.mockResolvedValueOnce({ id: 10, eventId: 7 });
+            jest.spyOn(eventConditionTracker, 'getUniqueDonorCount').mockResolvedValue(1);
+
+            const result = await eventConditionTracker.getConditionProgress(
+                { name: 'UNIQUE_DONORS', operator: 'GREATER_EQUALS', value: '4', endConditionId: 10 });
+
+            expect(mockServices.eventEndConditionService.findById).toHaveBeenCalledWith(10);
+            expect(eventConditionTracker.getUniqueDonorCount).toHaveBeenCalledWith(7);
+            expect(result.progressPercent).toBe(25);
+        });
+    });
+
+    describe('getEventStartedAt', () => {
+        it('should return the scheduled start, or the creation time', async () => {
+            mockServices.eventService.findByIdWithParticipants
+                .mockResolvedValueOnce({ startsAt: '2030-01-01T00:00:00.000Z', createdAt: '2029-01-01T00:00:00.000Z' })
+                .mockResolvedValueOnce({ startsAt: null, createdAt: '2029-01-01T00:00:00.000Z' });
+
+            expect(await eventConditionTracker.getEventStartedAt(7)).toEqual(new Date('2030-01-01T00:00:00.000Z'));
+            expect(await eventConditionTracker.getEventStartedAt(7)).toEqual(new Date('2029-01-01T00:00:00.000Z'));
         });
     });
 
@@ -252,6 +392,15 @@ describe('EventConditionTracker', () => {
             const result = await eventConditionTracker.getTimeCondition(1, invalidTime);
             expect(result).toBe(false);
         });
+
+        it('should read the time from the clock', async () => {
+            const nowSpy = jest.spyOn(clock, 'now').mockReturnValue(new Date('2024-01-25T12:00:00Z'));
+
+            const result = await eventConditionTracker.getTimeCondition(1, '2024-01-20T12:00:00Z');
+
+            expect(result).toBe(true);
+            nowSpy.mockRestore();
+        });
     });
 
     describe('getCurrentValue', () => {
@@ -302,6 +451,34 @@ describe('EventConditionTracker', () => {
             
             expect(result).toBe(0);
         });
+
+        it('should measure the new condition types with their evaluators', async () => {
+            jest.spyOn(eventConditionTracker, 'getUniqueDonorCount').mockResolvedValue(4);
+            jest.spyOn(eventConditionTracker, 'getLargestDeposit').mockResolvedValue(250);
+            jest.spyOn(eventConditionTracker, 'getAverageDeposit').mockResolvedValue(62.5);
+
+            expect(await eventConditionTracker.getCurrentValue({ name: 'UNIQUE_DONORS' }, 1)).toBe(4);
+            expect(await eventConditionTracker.getCurrentValue({ name: 'MAX_SINGLE_DEPOSIT' }, 1)).toBe(250);
+            expect(await eventConditionTracker.getCurrentValue({ name: 'AVERAGE_DEPOSIT' }, 1)).toBe(62.5);
+        });
+
+        it('should read DURATION conditions from the first participation', async () => {
+            jest.spyOn(eventConditionTracker, 'getFirstParticipationAt').mockResolvedValue(new Date('2030-01-01T00:00:00.000Z'));
+
+            const result = await eventConditionTracker.getCurrentValue({ name: 'DURATION', value: '48' }, 1);
+
+            expect(eventConditionTracker.getTimeCondition).toHaveBeenCalledWith(1, new Date('2030-01-03T00:00:00.000Z'));
+            expect(result).toBe(1);
+        });
+
+        it('should return 0 for DURATION conditions before the first participation', async () => {
+            jest.spyOn(eventConditionTracker, 'getFirstParticipationAt').mockResolvedValue(null);
+
+            const result = await eventConditionTracker.getCurrentValue({ name: 'DURATION', value: '48' }, 1);
+
+            expect(eventConditionTracker.getTimeCondition).not.toHaveBeenCalled();
+            expect(result).toBe(0);
+        });
     });
 
     describe('checkAndUpdateEndCondition', () => {
@@ -323,7 +500,7 @@ describe('EventConditionTracker', () => {
 
             expect(mockServices.endConditionService.findById).toHaveBeenCalledWith(1);
             expect(mockServices.endConditionService.updateCompletion).toHaveBeenCalledWith(1, true);
-            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledWith(10, 100);
+            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledWith(10, 100, 'MANUAL');
         });
 
         it('should not update condition when already completed', async () => {
@@ -359,7 +536,56 @@ describe('EventConditionTracker', () => {
             expect(mockServices.endConditionService.updateCompletion).not.toHaveBeenCalled();
         });
 
-        it('should handle time condition deadline failure', async () => {
+        it('should log the observed and target value with the trigger', async () => {
+            const mockEndCondition = {
+                id: 1,
+                name: 'BANK',
+                operator: 'GREATER_EQUALS',
+                value: '100',
+                isCompleted: false,
+                endConditionId: 10
+            };
+
+            mockServices.endConditionService.findById.mockResolvedValue(mockEndCondition);
+            jest.spyOn(eventConditionTracker, 'getCurrentValue').mockResolvedValue(40);
+
+            await eventConditionTracker.checkAndUpdateEndCondition(1, 100, 'PARTICIPATION');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'PARTICIPATION',
+                type: 'CONDITION_CHECKED',
+                condition: mockEndCondition,
+                observedValue: 40,
+                met: false
+            });
+        });
+
+        it('should log the deadline of deadline conditions', async () => {
+            const mockEndCondition = {
+                id: 1,
+                name: 'TIME',
+                operator: 'GREATER',
+                value: '2020-01-01T00:00:00.000Z',
+                isCompleted: false,
+                endConditionId: 10
+            };
+
+            mockServices.endConditionService.findById.mockResolvedValue(mockEndCondition);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEventEndCondition').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEndCondition(1, 100, 'CRON');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith(expect.objectContaining({
+                trigger: 'CRON',
+                type: 'CONDITION_CHECKED',
+                observedValue: '2020-01-01T00:00:00.000Z',
+                met: true
+            }));
+            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledWith(10, 100, 'CRON');
+        });
+
+        it('should re-evaluate the group for time conditions', async () => {
             const mockEndCondition = {
                 id: 1,
                 name: 'TIME',
@@ -370,13 +596,50 @@ describe('EventConditionTracker', () => {
             };
 
             mockServices.endConditionService.findById.mockResolvedValue(mockEndCondition);
-            jest.spyOn(eventConditionTracker, 'getCurrentValue').mockResolvedValue(0);
-            jest.spyOn(eventConditionTracker, 'getTimeCondition').mockResolvedValue(true);
-            jest.spyOn(eventConditionTracker, 'checkGroupFailureOnTimeDeadline').mockResolvedValue();
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEventEndCondition').mockResolvedValue();
 
             await eventConditionTracker.checkAndUpdateEndCondition(1, 100);
 
-            expect(eventConditionTracker.checkGroupFailureOnTimeDeadline).toHaveBeenCalledWith(10, 100);
+            expect(mockServices.endConditionService.updateCompletion).not.toHaveBeenCalled();
+            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledWith(10, 100, 'MANUAL');
+        });
+
+        it('should schedule the deadline of a DURATION condition once it is known', async () => {
+            const mockEndCondition = {
+                id: 4,
+                name: 'DURATION',
+                operator: 'GREATER_EQUALS',
+                value: '24',
+                isCompleted: false,
+                endConditionId: 10
+            };
+
+            mockServices.endConditionService.findById.mockResolvedValue(mockEndCondition);
+            jest.spyOn(eventConditionTracker, 'getFirstParticipationAt').mockResolvedValue(new Date('2030-01-01T00:00:00.000Z'));
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEventEndCondition').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEndCondition(4, 100);
+
+            expect(mockServices.scheduledJobService.ensureDeadline)
+                .toHaveBeenCalledWith(mockEndCondition, 100, new Date('2030-01-02T00:00:00.000Z'));
+            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledWith(10, 100, 'MANUAL');
+        });
+
+        it('should not schedule a DURATION condition before the first participation', async () => {
+            mockServices.endConditionService.findById.mockResolvedValue({
+                id: 4,
+                name: 'DURATION',
+                operator: 'GREATER_EQUALS',
+                value: '24',
+                isCompleted: false,
+                endConditionId: 10
+            });
+            jest.spyOn(eventConditionTracker, 'getFirstParticipationAt').mockResolvedValue(null);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEventEndCondition').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEndCondition(4, 100);
+
+            expect(mockServices.scheduledJobService.ensureDeadline).not.toHaveBeenCalled();
         });
 
         it('should handle condition not found gracefully', async () => {
@@ -417,7 +680,7 @@ describe('EventConditionTracker', () => {
             expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_CONDITIONS_UPDATED', {
                 eventConditionsUpdated: { eventId: 100 }
             });
-            expect(eventConditionTracker.checkAndUpdateEvent).toHaveBeenCalledWith(100);
+            expect(eventConditionTracker.checkAndUpdateEvent).toHaveBeenCalledWith(100, 'MANUAL');
         });
 
         it('should not complete group when some conditions are not met', async () => {
@@ -482,82 +745,430 @@ describe('EventConditionTracker', () => {
 
             expect(mockServices.eventEndConditionService.updateCompletion).not.toHaveBeenCalled();
         });
-    });
 
-    describe('checkAndUpdateEvent', () => {
-        it('should mark event as FINISHED when at least one group is completed', async () => {
-            const mockEvent = {
-                id: 100,
-                status: 'IN_PROGRESS',
-                endConditions: [
-                    { id: 1, isCompleted: true, isFailed: false },
-                    { id: 2, isCompleted: false, isFailed: false }
-                ]
-            };
+        it('should fail group when the deadline passed before the other conditions were met', async () => {
+            const mockConditions = [
+                { id: 1, name: 'TIME', operator: 'EQUALS', value: '2020-01-01T00:00:00.000Z', isCompleted: false },
+                { id: 2, name: 'PARTICIPATION', isCompleted: false }
+            ];
 
-            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
-            jest.spyOn(eventConditionTracker, 'onEventCompleted').mockResolvedValue();
+            mockServices.eventEndConditionService.findById.mockResolvedValue({ id: 10, isCompleted: false, isFailed: false });
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue(mockConditions);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
 
-            await eventConditionTracker.checkAndUpdateEvent(100);
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
 
-            expect(mockServices.eventService.updateStatus).toHaveBeenCalledWith(100, 'FINISHED');
-            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
-                eventUpdated: { id: 100 }
+            expect(mockServices.eventEndConditionService.updateFailure).toHaveBeenCalledWith(10, true);
+            expect(mockServices.eventEndConditionService.updateCompletion).not.toHaveBeenCalled();
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_CONDITIONS_UPDATED', {
+                eventConditionsUpdated: { eventId: 100 }
+            });
+            expect(eventConditionTracker.checkAndUpdateEvent).toHaveBeenCalledWith(100, 'MANUAL');
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'MANUAL',
+                type: 'GROUP_FAILED',
+                eventEndConditionId: 10,
+                message: 'The group can no longer be met'
             });
-            expect(eventConditionTracker.onEventCompleted).toHaveBeenCalledWith(100);
         });
 
-        it('should mark event as FAILED when all groups have failed', async () => {
-            const mockEvent = {
-                id: 100,
-                status: 'IN_PROGRESS',
-                endConditions: [
-                    { id: 1, isCompleted: false, isFailed: true },
-                    { id: 2, isCompleted: false, isFailed: true }
-                ]
-            };
+        it('should complete group when the other conditions are met before the deadline', async () => {
+            const mockConditions = [
+                { id: 1, name: 'TIME', operator: 'EQUALS', value: '2999-01-01T00:00:00.000Z', isCompleted: false },
+                { id: 2, name: 'PARTICIPATION', isCompleted: true }
+            ];
 
-            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
-            jest.spyOn(eventConditionTracker, 'onEventFailed').mockResolvedValue();
+            mockServices.eventEndConditionService.findById.mockResolvedValue({ id: 10, isCompleted: false, isFailed: false });
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue(mockConditions);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
 
-            await eventConditionTracker.checkAndUpdateEvent(100);
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
 
-            expect(mockServices.eventService.updateStatus).toHaveBeenCalledWith(100, 'FAILED');
-            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
-                eventUpdated: { id: 100 }
-            });
-            expect(eventConditionTracker.onEventFailed).toHaveBeenCalledWith(100);
+            expect(mockServices.eventEndConditionService.updateCompletion).toHaveBeenCalledWith(10, true);
+            expect(mockServices.eventEndConditionService.updateFailure).not.toHaveBeenCalled();
         });
 
-        it('should not update status when event is already finished', async () => {
-            const mockEvent = {
-                id: 100,
-                status: 'FINISHED',
-                endConditions: []
-            };
+        it('should complete a deadline-only group once the deadline has passed', async () => {
+            const mockConditions = [
+                { id: 1, name: 'TIME', operator: 'EQUALS', value: '2020-01-01T00:00:00.000Z', isCompleted: false }
+            ];
 
-            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
+            mockServices.eventEndConditionService.findById.mockResolvedValue({ id: 10, isCompleted: false, isFailed: false });
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue(mockConditions);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
 
-            await eventConditionTracker.checkAndUpdateEvent(100);
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
 
-            expect(mockServices.eventService.updateStatus).not.toHaveBeenCalled();
+            expect(mockServices.eventEndConditionService.updateCompletion).toHaveBeenCalledWith(10, true);
         });
 
-        it('should not update status when some groups are still in progress', async () => {
-            const mockEvent = {
-                id: 100,
-                status: 'IN_PROGRESS',
-                endConditions: [
-                    { id: 1, isCompleted: false, isFailed: false },
-                    { id: 2, isCompleted: false, isFailed: true }
-                ]
-            };
-
+        it('should complete group when one branch of its OR expression is met', async () => {
+            const mockEventEndCondition = {
+                id: 10,
+                isCompleted: false,
+                isFailed: false,
+                expression: {
+                    operator: 'OR',
+                    operands: [{ conditionId: 1 }, { conditionId: 2 }]
+                }
+            };
+
+            mockServices.eventEndConditionService.findById.mockResolvedValue(mockEventEndCondition);
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue([
+                { id: 1, name: 'BANK', isCompleted: false },
+                { id: 2, name: 'PARTICIPATION', isCompleted: true }
+            ]);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
+
+            expect(mockServices.eventEndConditionService.updateCompletion).toHaveBeenCalledWith(10, true);
+        });
+
+        it('should fail group when a negated condition has been met', async () => {
+            const mockEventEndCondition = {
+                id: 10,
+                isCompleted: false,
+                isFailed: false,
+                expression: {
+                    operator: 'AND',
+                    operands: [
+                        { conditionId: 1 },
+                        { operator: 'NOT', operands: [{ conditionId: 2 }] }
+                    ]
+                }
+            };
+
+            mockServices.eventEndConditionService.findById.mockResolvedValue(mockEventEndCondition);
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue([
+                { id: 1, name: 'BANK', isCompleted: false },
+                { id: 2, name: 'PARTICIPATION', isCompleted: true }
+            ]);
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
+
+            expect(mockServices.eventEndConditionService.updateFailure).toHaveBeenCalledWith(10, true);
+        });
+
+        it('should fail group when a DURATION deadline passed before its target was met', async () => {
+            mockServices.eventEndConditionService.findById.mockResolvedValue({ id: 10, isCompleted: false, isFailed: false });
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue([
+                { id: 1, name: 'DURATION', operator: 'GREATER_EQUALS', value: '48', isCompleted: false },
+                { id: 2, name: 'UNIQUE_DONORS', isCompleted: false }
+            ]);
+            jest.spyOn(eventConditionTracker, 'getFirstParticipationAt').mockResolvedValue(new Date('2020-01-01T00:00:00.000Z'));
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
+
+            expect(mockServices.eventEndConditionService.updateFailure).toHaveBeenCalledWith(10, true);
+        });
+
+        it('should leave group open while its expression can still be met', async () => {
+            const mockEventEndCondition = {
+                id: 10,
+                isCompleted: false,
+                isFailed: false,
+                expression: {
+                    operator: 'OR',
+                    operands: [{ conditionId: 1 }, { conditionId: 2 }]
+                }
+            };
+
+            mockServices.eventEndConditionService.findById.mockResolvedValue(mockEventEndCondition);
+            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue([
+                { id: 1, name: 'TIME', operator: 'LESS', value: '2020-01-01T00:00:00.000Z', isCompleted: false },
+                { id: 2, name: 'PARTICIPATION', isCompleted: false }
+            ]);
+
+            await eventConditionTracker.checkAndUpdateEventEndCondition(10, 100);
+
+            expect(mockServices.eventEndConditionService.updateCompletion).not.toHaveBeenCalled();
+            expect(mockServices.eventEndConditionService.updateFailure).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('checkAndUpdateEvent', () => {
+        it('should mark event as FINISHED when at least one group is completed', async () => {
+            const mockEvent = {
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [
+                    { id: 1, isCompleted: true, isFailed: false },
+                    { id: 2, isCompleted: false, isFailed: false }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
+            mockServices.eventService.transitionStatus.mockResolvedValueOnce(true);
+            jest.spyOn(eventConditionTracker, 'onEventCompleted').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEvent(100);
+
+            expect(mockServices.eventService.transitionStatus).toHaveBeenCalledWith(100, 'IN_PROGRESS', 'FINISHED');
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
+                eventUpdated: { id: 100 }
+            });
+            expect(eventConditionTracker.onEventCompleted).toHaveBeenCalledWith(100);
+        });
+
+        it('should mark event as FAILED when all groups have failed', async () => {
+            const mockEvent = {
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [
+                    { id: 1, isCompleted: false, isFailed: true },
+                    { id: 2, isCompleted: false, isFailed: true }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
+            mockServices.eventService.transitionStatus.mockResolvedValueOnce(true);
+            jest.spyOn(eventConditionTracker, 'onEventFailed').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEvent(100);
+
+            expect(mockServices.eventService.transitionStatus).toHaveBeenCalledWith(100, 'IN_PROGRESS', 'FAILED');
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
+                eventUpdated: { id: 100 }
+            });
+            expect(eventConditionTracker.onEventFailed).toHaveBeenCalledWith(100);
+        });
+
+        it('should not update status when event is already finished', async () => {
+            const mockEvent = {
+                id: 100,
+                status: 'FINISHED',
+                endConditions: []
+            };
+
             mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
 
             await eventConditionTracker.checkAndUpdateEvent(100);
 
-            expect(mockServices.eventService.updateStatus).not.toHaveBeenCalled();
+            expect(mockServices.eventService.transitionStatus).not.toHaveBeenCalled();
+        });
+
+        it('should stop evaluating a cancelled event', async () => {
+            const mockEvent = {
+                id: 100,
+                status: 'CANCELLED',
+                endConditions: [
+                    { id: 1, isCompleted: true, isFailed: false }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
+            const completedSpy = jest.spyOn(eventConditionTracker, 'onEventCompleted');
+
+            await eventConditionTracker.checkAndUpdateEvent(100);
+
+            expect(mockServices.eventService.transitionStatus).not.toHaveBeenCalled();
+            expect(completedSpy).not.toHaveBeenCalled();
+        });
+
+        it('should not pay out an event cancelled since it was loaded', async () => {
+            const mockEvent = {
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [
+                    { id: 1, isCompleted: true, isFailed: false }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
+            mockServices.eventService.transitionStatus.mockResolvedValueOnce(false);
+            const completedSpy = jest.spyOn(eventConditionTracker, 'onEventCompleted');
+
+            await eventConditionTracker.checkAndUpdateEvent(100);
+
+            expect(completedSpy).not.toHaveBeenCalled();
+            expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+        });
+
+        it('should not update status when some groups are still in progress', async () => {
+            const mockEvent = {
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [
+                    { id: 1, isCompleted: false, isFailed: false },
+                    { id: 2, isCompleted: false, isFailed: true }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue(mockEvent);
+
+            await eventConditionTracker.checkAndUpdateEvent(100);
+
+            expect(mockServices.eventService.transitionStatus).not.toHaveBeenCalled();
+        });
+
+        it('should log the status change with the trigger', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue({
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [{ id: 1, isCompleted: false, isFailed: true }]
+            });
+            mockServices.eventService.transitionStatus.mockResolvedValueOnce(true);
+            jest.spyOn(eventConditionTracker, 'onEventFailed').mockResolvedValue();
+
+            await eventConditionTracker.checkAndUpdateEvent(100, 'CRON');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'CRON',
+                type: 'STATUS_CHANGED',
+                fromStatus: 'IN_PROGRESS',
+                toStatus: 'FAILED'
+            });
+        });
+
+        it('should log evaluation errors', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockRejectedValue(new Error('Database error'));
+
+            await eventConditionTracker.checkAndUpdateEvent(100, 'PARTICIPATION');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'PARTICIPATION',
+                type: 'EVALUATION_ERROR',
+                message: 'Checking the event failed: Database error'
+            });
+        });
+
+        it('should resolve the event and run the payout in one transaction', async () => {
+            const { TransactionRepository } = require('../../../repository');
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue({
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [{ id: 1, isCompleted: true, isFailed: false }]
+            });
+            mockServices.eventService.transitionStatus.mockResolvedValueOnce(true);
+            let inTransaction = false;
+            TransactionRepository.transaction.mockImplementationOnce(async (callback) => {
+                inTransaction = true;
+                try {
+                    return await callback();
+                } finally {
+                    inTransaction = false;
+                }
+            });
+            let paidOutInTransaction = false;
+            jest.spyOn(eventConditionTracker, 'onEventCompleted').mockImplementation(async () => {
+                paidOutInTransaction = inTransaction;
+            });
+
+            await eventConditionTracker.checkAndUpdateEvent(100);
+
+            expect(paidOutInTransaction).toBe(true);
+        });
+
+        it('should propagate payout errors of scheduled evaluations so the job is retried', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValue({
+                id: 100,
+                status: 'IN_PROGRESS',
+                endConditions: [{ id: 1, isCompleted: true, isFailed: false }]
+            });
+            mockServices.eventService.transitionStatus.mockResolvedValueOnce(true);
+            mockServices.eventService.findByIdWithParticipants.mockRejectedValueOnce(new Error('Payout failed'));
+
+            await expect(eventConditionTracker.checkAndUpdateEvent(100, 'CRON')).rejects.toThrow('Payout failed');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'CRON',
+                type: 'EVALUATION_ERROR',
+                message: 'Checking the event failed: Payout failed'
+            });
+            expect(mockServices.conditionLogService.record).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'STATUS_CHANGED' }));
+            expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+        });
+
+        describe('when a deposit completes the event and a prize write fails', () => {
+            const model = require('../../../model');
+            let transactionSpy;
+            let rolledBack;
+
+            beforeEach(() => {
+                const { TransactionRepository } = require('../../../repository');
+                mockServices.eventService.findByIdWithEndConditions.mockResolvedValue({
+                    id: 100,
+                    status: 'IN_PROGRESS',
+                    endConditions: [{ id: 1, isCompleted: true, isFailed: false }]
+                });
+                mockServices.eventService.transitionStatus.mockResolvedValueOnce(true);
+                mockServices.eventService.findByIdWithParticipants.mockResolvedValue({
+                    id: 100,
+                    type: 'JACKPOT',
+                    participations: [{ userId: 1, deposit: 100 }, { userId: 2, deposit: 100 }]
+                });
+                mockServices.feeScheduleService.resolveForEvent.mockResolvedValue({ payoutPercentage: 0.9 });
+                jest.spyOn(eventConditionTracker, 'selectPayouts').mockResolvedValue([
+                    { userId: 1, amount: 120 },
+                    { userId: 2, amount: 60 }
+                ]);
+                mockServices.transactionService.create
+                    .mockResolvedValueOnce({ id: 1 })
+                    .mockRejectedValueOnce(new Error('Second prize failed'));
+
+                // The resolution transaction rolls back when its callback throws
+                rolledBack = false;
+                TransactionRepository.transaction.mockImplementationOnce(async (callback) => {
+                    try {
+                        return await callback();
+                    } catch (error) {
+                        rolledBack = true;
+                        throw error;
+                    }
+                });
+            });
+
+            afterEach(() => {
+                if (transactionSpy) {
+                    transactionSpy.mockRestore();
+                    transactionSpy = null;
+                }
+            });
+
+            it('should fail the deposit, so its transaction rolls back the resolution with it', async () => {
+                transactionSpy = jest.spyOn(model, 'getCurrentTransaction').mockReturnValue({ id: 'deposit' });
+
+                await expect(eventConditionTracker.checkAndUpdateEvent(100, 'PARTICIPATION')).rejects.toThrow('Second prize failed');
+
+                expect(rolledBack).toBe(true);
+                expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                    eventId: 100,
+                    trigger: 'PARTICIPATION',
+                    type: 'EVALUATION_ERROR',
+                    message: 'Checking the event failed: Second prize failed'
+                });
+                expect(mockServices.conditionLogService.record).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'STATUS_CHANGED' }));
+                expect(mockServices.scheduledJobService.scheduleResolution).not.toHaveBeenCalled();
+                expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+            });
+
+            it('should roll back and enqueue a resolution job when there is no caller transaction', async () => {
+                await eventConditionTracker.checkAndUpdateEvent(100, 'PARTICIPATION');
+
+                expect(rolledBack).toBe(true);
+                expect(mockServices.scheduledJobService.scheduleResolution).toHaveBeenCalledWith(100);
+                expect(mockServices.conditionLogService.record).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'STATUS_CHANGED' }));
+                expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+            });
+
+            it('should fail the deposit when the error comes up through the condition checks', async () => {
+                transactionSpy = jest.spyOn(model, 'getCurrentTransaction').mockReturnValue({ id: 'deposit' });
+                mockServices.eventEndConditionService.findById.mockResolvedValue({ id: 1, eventId: 100, isCompleted: false, isFailed: false });
+                jest.spyOn(eventConditionTracker, 'evaluateConditionGroup').mockResolvedValue({ value: true, canBeTrue: true });
+                mockServices.endConditionService.findByEventEndCondition.mockResolvedValue([{ id: 11 }]);
+
+                await expect(eventConditionTracker.checkAndUpdateEventEndCondition(1, 100, 'PARTICIPATION'))
+                    .rejects.toThrow('Second prize failed');
+
+                expect(rolledBack).toBe(true);
+            });
         });
     });
 
@@ -566,6 +1177,67 @@ describe('EventConditionTracker', () => {
             // Clear all mocks and reset achievement tracker
             jest.clearAllMocks();
             EventCompletionTracker.handleEventCompletion.mockResolvedValue();
+            // Events without a snapshot are paid with the default fees
+            mockServices.feeScheduleService.resolveForEvent.mockImplementation(async event => event.feeSnapshot || {
+                payoutPercentage: PAYOUT_PERCENTAGES[event.type] || PAYOUT_PERCENTAGES.DEFAULT,
+                randomnessCoefficient: JACKPOT_CONFIG.RANDOMNESS_COEFFICIENT,
+                minimumBaseTickets: JACKPOT_CONFIG.MINIMUM_BASE_TICKETS
+            });
+        });
+
+        it('should pay out with the fees snapshotted when the event was created', async () => {
+            const mockEvent = {
+                id: 100,
+                type: 'FUNDRAISING',
+                recipientId: 5,
+                feeSnapshot: { feeScheduleId: 3, payoutPercentage: 0.95, commissionRate: 0.05 },
+                participations: [
+                    { userId: 1, deposit: 100 },
+                    { userId: 2, deposit: 200 }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+
+            await eventConditionTracker.onEventCompleted(100);
+
+            expect(mockServices.feeScheduleService.resolveForEvent).toHaveBeenCalledWith(mockEvent);
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 285, type: 'EVENT_INCOME', userId: 5, eventId: 100
+            });
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 15, type: 'COMMISSION', eventId: 100
+            });
+        });
+
+        it('should write the payouts and the commission in one database transaction', async () => {
+            const { TransactionRepository } = require('../../../repository');
+            const written = [];
+            let inTransaction = false;
+            TransactionRepository.transaction.mockImplementationOnce(async (callback) => {
+                inTransaction = true;
+                await callback();
+                inTransaction = false;
+            });
+            mockServices.transactionService.create.mockImplementation(async (data) => {
+                written.push({ type: data.type, inTransaction });
+            });
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValue({
+                id: 100,
+                type: 'FUNDRAISING',
+                recipientId: 5,
+                feeSnapshot: { feeScheduleId: 3, payoutPercentage: 0.95, commissionRate: 0.05 },
+                participations: [{ userId: 1, deposit: 100 }]
+            });
+
+            await eventConditionTracker.onEventCompleted(100);
+
+            expect(TransactionRepository.transaction).toHaveBeenCalledTimes(1);
+            expect(written).toEqual([
+                { type: 'EVENT_INCOME', inTransaction: true },
+                { type: 'COMMISSION', inTransaction: true }
+            ]);
+            mockServices.transactionService.create.mockReset();
         });
 
         it('should process FUNDRAISING event payout correctly', async () => {
@@ -583,11 +1255,17 @@ describe('EventConditionTracker', () => {
 
             await eventConditionTracker.onEventCompleted(100);
 
-            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100);
+            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100, { 5: 294 });
             expect(mockServices.transactionService.create).toHaveBeenCalledWith({
                 amount: 294, // 300 * 0.98
                 type: 'EVENT_INCOME',
-                userId: 5
+                userId: 5,
+                eventId: 100
+            });
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 6,
+                type: 'COMMISSION',
+                eventId: 100
             });
             expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('BALANCE_UPDATED', {
                 balanceUpdated: { id: 5 }
@@ -612,11 +1290,12 @@ describe('EventConditionTracker', () => {
             expect(mockServices.transactionService.create).toHaveBeenCalledWith({
                 amount: 288, // 300 * 0.96
                 type: 'EVENT_INCOME',
-                userId: 5
+                userId: 5,
+                eventId: 100
             });
         });
 
-        it('should process JACKPOT event with random winner selection', async () => {
+        it('should pay the JACKPOT winner revealed by the committed draw', async () => {
             const mockEvent = {
                 id: 100,
                 type: 'JACKPOT',
@@ -627,20 +1306,60 @@ describe('EventConditionTracker', () => {
                 ]
             };
 
-            // Mock Math.random to return predictable value
-            const mockRandom = jest.spyOn(Math, 'random').mockReturnValue(0.5);
             mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+            mockServices.jackpotDrawService.reveal.mockResolvedValue({ eventId: 100, winnerId: 2 });
 
             await eventConditionTracker.onEventCompleted(100);
 
-            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100);
+            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100, { 2: 315 });
+            expect(mockServices.jackpotDrawService.reveal).toHaveBeenCalledWith(mockEvent, {
+                randomnessCoefficient: JACKPOT_CONFIG.RANDOMNESS_COEFFICIENT,
+                minimumBaseTickets: JACKPOT_CONFIG.MINIMUM_BASE_TICKETS
+            });
             expect(mockServices.transactionService.create).toHaveBeenCalledWith({
                 amount: 315, // 350 * 0.90
                 type: 'EVENT_INCOME',
-                userId: expect.any(Number) // Winner should be one of the participants
+                userId: 2,
+                eventId: 100
+            });
+        });
+
+        it('should split a multi-winner JACKPOT by its prize distribution', async () => {
+            const mockEvent = {
+                id: 100,
+                type: 'JACKPOT',
+                prizeDistribution: [60, 25, 15],
+                participations: [
+                    { userId: 1, deposit: 100 },
+                    { userId: 2, deposit: 200 },
+                    { userId: 3, deposit: 50 }
+                ]
+            };
+
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
+            mockServices.jackpotDrawService.reveal.mockResolvedValue({
+                eventId: 100,
+                winnerId: 2,
+                winners: [{ userId: 2 }, { userId: 3 }, { userId: 1 }]
             });
 
-            mockRandom.mockRestore();
+            await eventConditionTracker.onEventCompleted(100);
+
+            // 315 payout: 189 / 78.75 / 47.25
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 189, type: 'EVENT_INCOME', userId: 2, eventId: 100
+            });
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 78.75, type: 'EVENT_INCOME', userId: 3, eventId: 100
+            });
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 47.25, type: 'EVENT_INCOME', userId: 1, eventId: 100
+            });
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 35, type: 'COMMISSION', eventId: 100
+            });
+            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100, { 1: 47.25, 2: 189, 3: 78.75 });
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('BALANCE_UPDATED', { balanceUpdated: { id: 3 } });
         });
 
         it('should skip payout when event has no funds', async () => {
@@ -655,7 +1374,7 @@ describe('EventConditionTracker', () => {
 
             await eventConditionTracker.onEventCompleted(100);
 
-            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100);
+            expect(EventCompletionTracker.handleEventCompletion).toHaveBeenCalledWith(100, {});
             expect(mockServices.transactionService.create).not.toHaveBeenCalled();
         });
 
@@ -694,7 +1413,8 @@ describe('EventConditionTracker', () => {
             expect(mockServices.transactionService.create).toHaveBeenCalledWith({
                 amount: 98, // 100 * 0.98
                 type: 'EVENT_INCOME',
-                userId: 5
+                userId: 5,
+                eventId: 100
             });
         });
 
@@ -715,75 +1435,52 @@ describe('EventConditionTracker', () => {
             expect(mockServices.transactionService.create).toHaveBeenCalledWith({
                 amount: 100, // 100 * 1.0 (DEFAULT)
                 type: 'EVENT_INCOME',
-                userId: 5
+                userId: 5,
+                eventId: 100
             });
         });
 
-        it('should handle errors gracefully', async () => {
-            mockServices.eventService.findByIdWithParticipants.mockRejectedValue(new Error('Database error'));
-
-            await expect(eventConditionTracker.onEventCompleted(100)).resolves.not.toThrow();
-        });
-    });
-
-    describe('checkGroupFailureOnTimeDeadline', () => {
-        it('should mark group as failed when time deadline is reached and other conditions are not met', async () => {
-            const mockEventEndCondition = {
-                id: 10,
-                isCompleted: false,
-                isFailed: false
+        it('should pay out fractional banks to the cent', async () => {
+            const mockEvent = {
+                id: 100,
+                type: 'FUNDRAISING',
+                recipientId: 5,
+                participations: [
+                    { userId: 1, deposit: 0.1 },
+                    { userId: 2, deposit: 0.2 },
+                    { userId: 3, deposit: 10.05 }
+                ]
             };
 
-            const mockConditions = [
-                { id: 1, name: 'TIME', isCompleted: false },
-                { id: 2, name: 'PARTICIPATION', isCompleted: false }
-            ];
-
-            mockServices.eventEndConditionService.findById.mockResolvedValue(mockEventEndCondition);
-            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue(mockConditions);
-            jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
+            mockServices.eventService.findByIdWithParticipants.mockResolvedValue(mockEvent);
 
-            await eventConditionTracker.checkGroupFailureOnTimeDeadline(10, 100);
+            await eventConditionTracker.onEventCompleted(100);
 
-            expect(mockServices.eventEndConditionService.updateFailure).toHaveBeenCalledWith(10, true);
-            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_CONDITIONS_UPDATED', {
-                eventConditionsUpdated: { eventId: 100 }
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 10.14, // 10.35 * 0.98 = 10.143, rounded down to the cent
+                type: 'EVENT_INCOME',
+                userId: 5,
+                eventId: 100
             });
-            expect(eventConditionTracker.checkAndUpdateEvent).toHaveBeenCalledWith(100);
         });
 
-        it('should not mark group as failed when all non-time conditions are completed', async () => {
-            const mockEventEndCondition = {
-                id: 10,
-                isCompleted: false,
-                isFailed: false
-            };
-
-            const mockConditions = [
-                { id: 1, name: 'TIME', isCompleted: false },
-                { id: 2, name: 'PARTICIPATION', isCompleted: true }
-            ];
-
-            mockServices.eventEndConditionService.findById.mockResolvedValue(mockEventEndCondition);
-            mockServices.endConditionService.findByEventEndCondition.mockResolvedValue(mockConditions);
-
-            await eventConditionTracker.checkGroupFailureOnTimeDeadline(10, 100);
+        it('should propagate errors so the status change is rolled back with the payouts', async () => {
+            mockServices.eventService.findByIdWithParticipants.mockRejectedValue(new Error('Database error'));
 
-            expect(mockServices.eventEndConditionService.updateFailure).not.toHaveBeenCalled();
+            await expect(eventConditionTracker.onEventCompleted(100)).rejects.toThrow('Database error');
         });
+    });
 
-        it('should not update already completed or failed group', async () => {
-            const mockEventEndCondition = {
-                id: 10,
-                isCompleted: true,
-                isFailed: false
-            };
-
-            mockServices.eventEndConditionService.findById.mockResolvedValue(mockEventEndCondition);
+    describe('onParticipationChanged', () => {
+        it('should check the conditions and push the new progress', async () => {
+            jest.spyOn(eventConditionTracker, 'checkAllEventConditions').mockResolvedValue();
 
-            await eventConditionTracker.checkGroupFailureOnTimeDeadline(10, 100);
+            await eventConditionTracker.onParticipationChanged(100);
 
-            expect(mockServices.endConditionService.findByEventEndCondition).not.toHaveBeenCalled();
+            expect(eventConditionTracker.checkAllEventConditions).toHaveBeenCalledWith(100, 'PARTICIPATION');
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_CONDITIONS_UPDATED', {
+                eventConditionsUpdated: { eventId: 100 }
+            });
         });
     });
 
@@ -811,12 +1508,15 @@ describe('EventConditionTracker', () => {
 
             mockServices.eventEndConditionService.findByEventWithConditions.mockResolvedValue(mockEventEndConditions);
             jest.spyOn(eventConditionTracker, 'checkAndUpdateEndCondition').mockResolvedValue();
+            jest.spyOn(eventConditionTracker, 'checkAndUpdateEventEndCondition').mockResolvedValue();
 
             await eventConditionTracker.checkAllEventConditions(100);
 
             expect(mockServices.eventEndConditionService.findByEventWithConditions).toHaveBeenCalledWith(100);
             expect(eventConditionTracker.checkAndUpdateEndCondition).toHaveBeenCalledTimes(1);
-            expect(eventConditionTracker.checkAndUpdateEndCondition).toHaveBeenCalledWith(1, 100);
+            expect(eventConditionTracker.checkAndUpdateEndCondition).toHaveBeenCalledWith(1, 100, 'MANUAL');
+            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledTimes(1);
+            expect(eventConditionTracker.checkAndUpdateEventEndCondition).toHaveBeenCalledWith(1, 100, 'MANUAL');
         });
 
         it('should handle errors gracefully', async () => {
@@ -826,9 +1526,302 @@ describe('EventConditionTracker', () => {
         });
     });
 
+    describe('forceResolveEvent', () => {
+        it('should finish an in-progress event and pay it out', async () => {
+            mockServices.eventService.transitionStatus.mockResolvedValue(true);
+            const completedSpy = jest.spyOn(eventConditionTracker, 'onEventCompleted').mockResolvedValue();
+
+            const result = await eventConditionTracker.forceResolveEvent(1, 'FINISHED');
+
+            expect(mockServices.eventService.transitionStatus).toHaveBeenCalledWith(1, 'IN_PROGRESS', 'FINISHED');
+            expect(completedSpy).toHaveBeenCalledWith(1);
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
+                eventUpdated: { id: 1 }
+            });
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith(expect.objectContaining({
+                eventId: 1,
+                trigger: 'MANUAL',
+                type: 'STATUS_CHANGED',
+                toStatus: 'FINISHED'
+            }));
+            expect(result).toBe(true);
+        });
+
+        it('should fail an in-progress event and refund it', async () => {
+            mockServices.eventService.transitionStatus.mockResolvedValue(true);
+            const failedSpy = jest.spyOn(eventConditionTracker, 'onEventFailed').mockResolvedValue();
+
+            const result = await eventConditionTracker.forceResolveEvent(1, 'FAILED');
+
+            expect(mockServices.eventService.transitionStatus).toHaveBeenCalledWith(1, 'IN_PROGRESS', 'FAILED');
+            expect(failedSpy).toHaveBeenCalledWith(1);
+            expect(result).toBe(true);
+        });
+
+        it('should do nothing if the event is no longer in progress', async () => {
+            mockServices.eventService.transitionStatus.mockResolvedValue(false);
+            const completedSpy = jest.spyOn(eventConditionTracker, 'onEventCompleted');
+
+            const result = await eventConditionTracker.forceResolveEvent(1, 'FINISHED');
+
+            expect(completedSpy).not.toHaveBeenCalled();
+            expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+            expect(result).toBe(false);
+        });
+
+        it('should roll back the status change and report a failed payout', async () => {
+            const { TransactionRepository } = require('../../../repository');
+            let rolledBack = false;
+            TransactionRepository.transaction.mockImplementationOnce(async (callback) => {
+                try {
+                    return await callback();
+                } catch (error) {
+                    rolledBack = true;
+                    throw error;
+                }
+            });
+            mockServices.eventService.transitionStatus.mockResolvedValue(true);
+            mockServices.eventService.findByIdWithParticipants.mockRejectedValueOnce(new Error('Payout failed'));
+
+            await expect(eventConditionTracker.forceResolveEvent(1, 'FINISHED')).rejects.toThrow('Payout failed');
+
+            expect(mockServices.eventService.transitionStatus).toHaveBeenCalledWith(1, 'IN_PROGRESS', 'FINISHED');
+            expect(rolledBack).toBe(true);
+            expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+        });
+
+        it('should roll back the status change and report a failed refund', async () => {
+            mockServices.eventService.transitionStatus.mockResolvedValue(true);
+            mockServices.eventService.markRefunded.mockRejectedValueOnce(new Error('Refund failed'));
+
+            await expect(eventConditionTracker.forceResolveEvent(1, 'FAILED')).rejects.toThrow('Refund failed');
+
+            expect(mockPubsub.pubsub.publish).not.toHaveBeenCalled();
+        });
+
+        it('should reject statuses other than FINISHED and FAILED', async () => {
+            await expect(eventConditionTracker.forceResolveEvent(1, 'IN_PROGRESS'))
+                .rejects
+                .toThrow('Cannot force event into status IN_PROGRESS');
+
+            expect(mockServices.eventService.transitionStatus).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('onDeadlineReached', () => {
+        it('should check the conditions of an event in progress', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValueOnce({ id: 100, status: 'IN_PROGRESS' });
+            const checkSpy = jest.spyOn(eventConditionTracker, 'checkAllEventConditions').mockResolvedValue();
+            const eventSpy = jest.spyOn(eventConditionTracker, 'checkAndUpdateEvent').mockResolvedValue();
+
+            await eventConditionTracker.onDeadlineReached(100);
+
+            expect(checkSpy).toHaveBeenCalledWith(100, 'CRON');
+            // Resolves an event whose groups were settled by an earlier attempt
+            expect(eventSpy).toHaveBeenCalledWith(100, 'CRON');
+        });
+
+        it('should skip events that are not in progress', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValueOnce({ id: 100, status: 'CANCELLED' });
+            const checkSpy = jest.spyOn(eventConditionTracker, 'checkAllEventConditions').mockResolvedValue();
+
+            await eventConditionTracker.onDeadlineReached(100);
+
+            expect(checkSpy).not.toHaveBeenCalled();
+        });
+
+        it('should propagate errors loading the event so the job is retried', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(eventConditionTracker.onDeadlineReached(100)).rejects.toThrow('Database error');
+        });
+
+        it('should propagate evaluation errors so the job is retried, logging them once', async () => {
+            mockServices.eventService.findByIdWithEndConditions.mockResolvedValueOnce({ id: 100, status: 'IN_PROGRESS' });
+            mockServices.eventEndConditionService.findByEventWithConditions.mockResolvedValueOnce([
+                { id: 10, isCompleted: false, isFailed: false, conditions: [{ id: 1, isCompleted: false }] }
+            ]);
+            mockServices.endConditionService.findById.mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(eventConditionTracker.onDeadlineReached(100)).rejects.toThrow('Database error');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledTimes(1);
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'CRON',
+                type: 'EVALUATION_ERROR',
+                message: 'Checking condition 1 failed: Database error'
+            });
+        });
+    });
+
+    describe('onEventStarted', () => {
+        it('should check the conditions and publish the event update', async () => {
+            const checkSpy = jest.spyOn(eventConditionTracker, 'checkAllEventConditions').mockResolvedValue();
+
+            await eventConditionTracker.onEventStarted(100);
+
+            expect(checkSpy).toHaveBeenCalledWith(100, 'EVENT_START');
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
+                eventUpdated: { id: 100 }
+            });
+        });
+    });
+
+    describe('onEventCancelled', () => {
+        it('should refund participants and publish the event update', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(true);
+            mockServices.eventService.findParticipations.mockResolvedValue([
+                { userId: 1, deposit: 100 }
+            ]);
+
+            await eventConditionTracker.onEventCancelled(100, 'IN_PROGRESS');
+
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 100,
+                type: 'EVENT_REFUND',
+                userId: 1,
+                eventId: 100
+            });
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('EVENT_UPDATED', {
+                eventUpdated: { id: 100 }
+            });
+        });
+
+        it('should propagate refund errors so the cancellation is rolled back', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(true);
+            mockServices.eventService.findParticipations.mockResolvedValue([
+                { userId: 1, deposit: 100 }
+            ]);
+            mockServices.transactionService.create.mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(eventConditionTracker.onEventCancelled(100, 'IN_PROGRESS')).rejects.toThrow('Database error');
+
+            expect(mockPubsub.pubsub.publish).not.toHaveBeenCalledWith('EVENT_UPDATED', expect.anything());
+        });
+
+        it('should log the status the event was cancelled from', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(true);
+            mockServices.eventService.findParticipations.mockResolvedValue([]);
+
+            await eventConditionTracker.onEventCancelled(100, 'SCHEDULED');
+
+            expect(mockServices.conditionLogService.record).toHaveBeenCalledWith({
+                eventId: 100,
+                trigger: 'MANUAL',
+                type: 'STATUS_CHANGED',
+                fromStatus: 'SCHEDULED',
+                toStatus: 'CANCELLED'
+            });
+        });
+    });
+
     describe('onEventFailed', () => {
-        it('should handle event failure without errors', async () => {
-            await expect(eventConditionTracker.onEventFailed(100)).resolves.not.toThrow();
+        it('should refund every participant deposit', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(true);
+            mockServices.eventService.findParticipations.mockResolvedValue([
+                { userId: 1, deposit: 100 },
+                { userId: 2, deposit: 250 }
+            ]);
+
+            await eventConditionTracker.onEventFailed(100);
+
+            expect(mockServices.eventService.markRefunded).toHaveBeenCalledWith(100);
+            expect(mockServices.transactionService.create).toHaveBeenCalledTimes(2);
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 100,
+                type: 'EVENT_REFUND',
+                userId: 1,
+                eventId: 100
+            });
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 250,
+                type: 'EVENT_REFUND',
+                userId: 2,
+                eventId: 100
+            });
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('BALANCE_UPDATED', {
+                balanceUpdated: { id: 1 }
+            });
+            expect(mockPubsub.pubsub.publish).toHaveBeenCalledWith('BALANCE_UPDATED', {
+                balanceUpdated: { id: 2 }
+            });
+        });
+
+        it('should claim the refund and write every refund in one database transaction', async () => {
+            const { TransactionRepository } = require('../../../repository');
+            const calls = [];
+            let inTransaction = false;
+            TransactionRepository.transaction.mockImplementationOnce(async (callback) => {
+                inTransaction = true;
+                try {
+                    return await callback();
+                } finally {
+                    inTransaction = false;
+                }
+            });
+            mockServices.eventService.markRefunded.mockImplementationOnce(async () => {
+                calls.push({ call: 'markRefunded', inTransaction });
+                return true;
+            });
+            mockServices.eventService.findParticipations.mockResolvedValue([{ userId: 1, deposit: 100 }]);
+            mockServices.transactionService.create.mockImplementationOnce(async () => {
+                calls.push({ call: 'create', inTransaction });
+            });
+
+            const refundedCount = await eventConditionTracker.refundParticipants(100);
+
+            expect(refundedCount).toBe(1);
+            expect(calls).toEqual([
+                { call: 'markRefunded', inTransaction: true },
+                { call: 'create', inTransaction: true }
+            ]);
+        });
+
+        it('should fail the refund as a whole when one of the refunds fails', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(true);
+            mockServices.eventService.findParticipations.mockResolvedValue([
+                { userId: 1, deposit: 100 },
+                { userId: 2, deposit: 250 }
+            ]);
+            mockServices.transactionService.create
+                .mockResolvedValueOnce({ id: 1 })
+                .mockRejectedValueOnce(new Error('Database error'));
+
+            await expect(eventConditionTracker.refundParticipants(100)).rejects.toThrow('Database error');
+        });
+
+        it('should not refund an event twice', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(false);
+
+            await eventConditionTracker.onEventFailed(100);
+
+            expect(mockServices.eventService.findParticipations).not.toHaveBeenCalled();
+            expect(mockServices.transactionService.create).not.toHaveBeenCalled();
+        });
+
+        it('should skip participations without a deposit', async () => {
+            mockServices.eventService.markRefunded.mockResolvedValue(true);
+            mockServices.eventService.findParticipations.mockResolvedValue([
+                { userId: 1, deposit: 0 },
+                { userId: 2, deposit: 50 }
+            ]);
+
+            await eventConditionTracker.onEventFailed(100);
+
+            expect(mockServices.transactionService.create).toHaveBeenCalledTimes(1);
+            expect(mockServices.transactionService.create).toHaveBeenCalledWith({
+                amount: 50,
+                type: 'EVENT_REFUND',
+                userId: 2,
+                eventId: 100
+            });
+        });
+
+        it('should propagate errors so the status change is rolled back with the refunds', async () => {
+            mockServices.eventService.markRefunded.mockRejectedValue(new Error('Database error'));
+
+            await expect(eventConditionTracker.onEventFailed(100)).rejects.toThrow('Database error');
         });
     });
 }); 
\ No newline at end of file
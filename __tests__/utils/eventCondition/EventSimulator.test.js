@@ -0,0 +1,160 @@
+const { simulateEvent, SimulatedConditionTracker } = require('../../../utils/eventCondition/EventSimulator');
+
+describe('EventSimulator', () => {
+    const startsAt = new Date('2030-01-01T00:00:00.000Z');
+    const fees = { payoutPercentage: 0.9 };
+
+    const bankGroup = (value) => ({ conditions: [{ name: 'BANK', operator: 'GREATER_EQUALS', value }] });
+    const deposit = (userId, amount, at) => ({ type: 'PARTICIPATION', userId, deposit: amount, at });
+
+    describe('SimulatedConditionTracker', () => {
+        it('should read the in-memory event and the simulated clock', async () => {
+            const event = {
+                participations: [{ userId: 2, deposit: 30 }, { userId: 3, deposit: 20 }],
+                deposits: [10, 20, 20]
+            };
+            const tracker = new SimulatedConditionTracker(event, startsAt);
+
+            expect(await tracker.getBankAmount(0)).toBe(50);
+            expect(await tracker.getPeopleCount(0)).toBe(2);
+            expect(await tracker.getAverageDeposit(0)).toBe(25);
+            expect(await tracker.getLargestDeposit(0)).toBe(20);
+            expect(await tracker.getTimeCondition(0, '2029-12-31T00:00:00.000Z')).toBe(true);
+            expect(await tracker.getTimeCondition(0, '2030-01-02T00:00:00.000Z')).toBe(false);
+        });
+    });
+
+    describe('simulateEvent', () => {
+        it('should finish the event once a group is met and pay the recipient', async () => {
+            const definition = { type: 'DONATION', userId: 1, recipientId: 1, eventEndConditionGroups: [bankGroup('100')] };
+
+            const result = await simulateEvent(definition, {
+                startsAt,
+                steps: [deposit(2, 60, '2030-01-01T01:00:00.000Z'), deposit(3, 40, '2030-01-01T02:00:00.000Z')]
+            }, fees);
+
+            expect(result.finalStatus).toBe('FINISHED');
+            expect(result.steps[0]).toMatchObject({ index: 1, at: '2030-01-01T01:00:00.000Z', accepted: true, status: 'IN_PROGRESS' });
+            expect(result.steps[0].groups[0].conditions[0]).toMatchObject({ id: 1, isCompleted: false, currentValue: 60, progressPercent: 60 });
+            expect(result.steps[1].groups[0]).toMatchObject({ id: 1, isCompleted: true, isFailed: false });
+            expect(result.steps[1].payout).toEqual({
+                bankAmount: 100,
+                payoutAmount: 90,
+                commissionAmount: 10,
+                prizes: [{ place: 1, userId: 1, amount: 90 }],
+                refunds: []
+            });
+        });
+
+        it('should add up the deposits of a user like participations do', async () => {
+            const definition = {
+                type: 'DONATION',
+                userId: 1,
+                eventEndConditionGroups: [
+                    { conditions: [{ name: 'PARTICIPATION', operator: 'GREATER_EQUALS', value: '2' }] },
+                    { conditions: [{ name: 'MAX_SINGLE_DEPOSIT', operator: 'GREATER_EQUALS', value: '50' }] }
+                ]
+            };
+
+            const result = await simulateEvent(definition, {
+                startsAt,
+                steps: [deposit(2, 30), deposit(2, 30)]
+            }, fees);
+
+            const [participants, largestDeposit] = result.steps[1].groups;
+            expect(participants.conditions[0]).toMatchObject({ id: 1, currentValue: 1, isCompleted: false });
+            expect(largestDeposit.conditions[0]).toMatchObject({ id: 2, currentValue: 30, isCompleted: false });
+            expect(result.steps[1].payout.bankAmount).toBe(60);
+            expect(result.finalStatus).toBe('IN_PROGRESS');
+        });
+
+        it('should fail the event when the deadline passes and refund the participants', async () => {
+            const definition = {
+                type: 'FUNDRAISING',
+                userId: 1,
+                eventEndConditionGroups: [{
+                    conditions: [
+                        { name: 'BANK', operator: 'GREATER_EQUALS', value: '100' },
+                        { name: 'TIME', operator: 'GREATER', value: '2030-01-02T00:00:00.000Z' }
+                    ]
+                }]
+            };
+
+            const result = await simulateEvent(definition, {
+                startsAt,
+                steps: [
+                    deposit(2, 40, '2030-01-01T12:00:00.000Z'),
+                    { type: 'TICK', at: '2030-01-02T00:00:00.000Z' },
+                    deposit(3, 80)
+                ]
+            }, fees);
+
+            expect(result.steps[0].groups[0].conditions[1]).toMatchObject({ progressPercent: 50, remainingSeconds: 12 * 60 * 60 });
+            expect(result.steps[1]).toMatchObject({ type: 'TICK', status: 'FAILED' });
+            expect(result.steps[1].payout.refunds).toEqual([{ userId: 2, amount: 40 }]);
+            expect(result.steps[1].payout.prizes).toEqual([]);
+            expect(result.steps[2]).toMatchObject({ accepted: false, status: 'FAILED' });
+            expect(result.steps[2].payout.bankAmount).toBe(40);
+            expect(result.finalStatus).toBe('FAILED');
+        });
+
+        it('should evaluate expressions and DURATION deadlines', async () => {
+            const definition = {
+                type: 'DONATION',
+                userId: 1,
+                eventEndConditionGroups: [{
+                    expression: {
+                        operator: 'AND',
+                        operands: [
+                            { condition: { name: 'UNIQUE_DONORS', operator: 'GREATER_EQUALS', value: '2' } },
+                            { condition: { name: 'DURATION', operator: 'LESS', value: '2' } }
+                        ]
+                    }
+                }]
+            };
+
+            const result = await simulateEvent(definition, {
+                startsAt,
+                steps: [
+                    deposit(2, 10, '2030-01-01T01:00:00.000Z'),
+                    { type: 'TICK', at: '2030-01-01T03:00:00.000Z' }
+                ]
+            }, fees);
+
+            expect(result.steps[0].groups[0].expression).toEqual({
+                operator: 'AND',
+                operands: [{ conditionId: 1 }, { conditionId: 2 }]
+            });
+            expect(result.steps[0].groups[0].conditions[1]).toMatchObject({ name: 'DURATION', remainingSeconds: 2 * 60 * 60 });
+            expect(result.steps[1].groups[0].isFailed).toBe(true);
+            expect(result.finalStatus).toBe('FAILED');
+        });
+
+        it('should split a jackpot between the places that can be filled', async () => {
+            const definition = { type: 'JACKPOT', userId: 1, prizeDistribution: [60, 30, 10], eventEndConditionGroups: [bankGroup('100')] };
+
+            const result = await simulateEvent(definition, {
+                startsAt,
+                steps: [deposit(2, 50), deposit(3, 50)]
+            }, fees);
+
+            expect(result.steps[1].payout.prizes).toEqual([
+                { place: 1, userId: null, amount: 63 },
+                { place: 2, userId: null, amount: 27 }
+            ]);
+        });
+
+        it('should reject steps that go back in time', async () => {
+            const definition = { type: 'DONATION', userId: 1, eventEndConditionGroups: [bankGroup('100')] };
+
+            await expect(simulateEvent(definition, {
+                startsAt,
+                steps: [{ type: 'TICK', at: '2029-12-31T00:00:00.000Z' }]
+            }, fees)).rejects.toThrow('Step 1 happens before the previous step');
+            await expect(simulateEvent(definition, {
+                startsAt,
+                steps: [{ type: 'TICK', at: 'soon' }]
+            }, fees)).rejects.toThrow('Step 1 has an invalid time');
+        });
+    });
+});
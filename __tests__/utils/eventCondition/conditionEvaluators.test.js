@@ -0,0 +1,85 @@
+const { conditionEvaluators, ConditionEvaluatorRegistry, EVALUATOR_KINDS } = require('../../../utils/eventCondition/conditionEvaluators');
+
+describe('conditionEvaluators', () => {
+    it('should register every condition type', () => {
+        expect(conditionEvaluators.types()).toEqual([
+            'TIME',
+            'BANK',
+            'PARTICIPATION',
+            'UNIQUE_DONORS',
+            'MAX_SINGLE_DEPOSIT',
+            'AVERAGE_DEPOSIT',
+            'DURATION'
+        ]);
+    });
+
+    it('should tell deadline conditions from targets', () => {
+        expect(conditionEvaluators.isDeadline('TIME')).toBe(true);
+        expect(conditionEvaluators.isDeadline('DURATION')).toBe(true);
+        expect(conditionEvaluators.isDeadline('BANK')).toBe(false);
+        expect(conditionEvaluators.isDeadline('UNKNOWN')).toBe(false);
+        expect(conditionEvaluators.get('UNKNOWN')).toBeNull();
+    });
+
+    it('should resolve DURATION deadlines from the first participation', async () => {
+        const tracker = {
+            getFirstParticipationAt: jest.fn().mockResolvedValue(new Date('2030-01-01T00:00:00.000Z'))
+        };
+        const evaluator = conditionEvaluators.get('DURATION');
+
+        expect(await evaluator.deadline(tracker, 3, { value: '36' })).toEqual(new Date('2030-01-02T12:00:00.000Z'));
+        expect(tracker.getFirstParticipationAt).toHaveBeenCalledWith(3);
+
+        tracker.getFirstParticipationAt.mockResolvedValueOnce(null);
+        expect(await evaluator.deadline(tracker, 3, { value: '36' })).toBeNull();
+    });
+
+    it('should check condition values by type', () => {
+        const validate = (type, value) => conditionEvaluators.get(type).value.validate(value).error;
+
+        expect(validate('TIME', '2030-01-01T00:00:00.000Z')).toBeUndefined();
+        expect(validate('TIME', 'tomorrow')).toBeDefined();
+        expect(validate('BANK', '100.50')).toBeUndefined();
+        expect(validate('MAX_SINGLE_DEPOSIT', '-5')).toBeDefined();
+        expect(validate('UNIQUE_DONORS', '10')).toBeUndefined();
+        expect(validate('UNIQUE_DONORS', '2.5')).toBeDefined();
+        expect(validate('DURATION', '48')).toBeUndefined();
+        expect(validate('DURATION', '0')).toBeDefined();
+        expect(validate('DURATION', '9000').message).toBe('"value" must be at most 8760 hours');
+    });
+
+    it('should validate conditions with error codes', () => {
+        expect(conditionEvaluators.validate({ name: 'BANK', operator: 'GREATER_EQUALS', value: '100' })).toEqual([]);
+        expect(conditionEvaluators.validate({ name: 'AVERAGE_DEPOSIT', operator: 'LESS', value: '20' })).toEqual([]);
+        expect(conditionEvaluators.validate({ name: 'TIME', operator: 'LESS', value: '2030-01-01T00:00:00.000Z' })).toEqual([]);
+
+        expect(conditionEvaluators.validate({ name: 'AMOUNT', operator: 'GREATER', value: '1' })).toEqual([
+            { code: 'UNKNOWN_CONDITION_TYPE', message: 'Unknown condition type: AMOUNT' }
+        ]);
+        expect(conditionEvaluators.validate({ name: 'MAX_SINGLE_DEPOSIT', operator: 'EQUALS', value: '50' })).toEqual([
+            { code: 'OPERATOR_NOT_ALLOWED', message: 'MAX_SINGLE_DEPOSIT conditions cannot use EQUALS' }
+        ]);
+        expect(conditionEvaluators.validate({ name: 'UNIQUE_DONORS', operator: 'EQUALS', value: '0' })).toEqual([
+            { code: 'CONDITION_VALUE_NOT_POSITIVE', message: 'UNIQUE_DONORS value must be greater than 0' }
+        ]);
+        expect(conditionEvaluators.validate({ name: 'DURATION', operator: 'GREATER', value: 'soon' })).toEqual([
+            { code: 'INVALID_CONDITION_VALUE', message: '"DURATION value" with value "soon" fails to match the number of hours pattern' }
+        ]);
+    });
+
+    describe('ConditionEvaluatorRegistry', () => {
+        it('should reject duplicate and incomplete evaluators', () => {
+            const registry = new ConditionEvaluatorRegistry();
+            registry.register('CUSTOM', { kind: EVALUATOR_KINDS.TARGET, measure: () => 1 });
+
+            expect(() => registry.register('CUSTOM', { kind: EVALUATOR_KINDS.TARGET, measure: () => 1 }))
+                .toThrow('Condition type CUSTOM is already registered');
+            expect(() => registry.register('OTHER', { kind: EVALUATOR_KINDS.TARGET }))
+                .toThrow('Condition type OTHER needs a measure function');
+            expect(() => registry.register('LATER', { kind: EVALUATOR_KINDS.DEADLINE }))
+                .toThrow('Condition type LATER needs a deadline function');
+            expect(() => registry.register('ODD', { kind: 'SOMETIMES' }))
+                .toThrow('Unknown evaluator kind: SOMETIMES');
+        });
+    });
+});
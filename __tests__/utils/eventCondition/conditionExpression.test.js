@@ -0,0 +1,164 @@
+const conditionExpression = require('../../../utils/eventCondition/conditionExpression');
+
+const PAST = '2020-01-01T00:00:00.000Z';
+const FUTURE = '2999-01-01T00:00:00.000Z';
+
+describe('conditionExpression', () => {
+    describe('evaluateGroup', () => {
+        it('should require all conditions of a plain group', () => {
+            const conditions = [
+                { id: 1, name: 'BANK', isCompleted: true },
+                { id: 2, name: 'PARTICIPATION', isCompleted: false }
+            ];
+
+            expect(conditionExpression.evaluateGroup({ id: 10 }, conditions)).toEqual({
+                value: false,
+                canBeTrue: true,
+                canBeFalse: true
+            });
+        });
+
+        it('should treat a deadline in a plain group as a limit for the other conditions', () => {
+            const before = [
+                { id: 1, name: 'TIME', operator: 'EQUALS', value: FUTURE },
+                { id: 2, name: 'BANK', isCompleted: true }
+            ];
+            const after = [
+                { id: 1, name: 'TIME', operator: 'EQUALS', value: PAST },
+                { id: 2, name: 'BANK', isCompleted: false }
+            ];
+
+            expect(conditionExpression.evaluateGroup({ id: 10 }, before).value).toBe(true);
+            expect(conditionExpression.evaluateGroup({ id: 10 }, after).canBeTrue).toBe(false);
+        });
+
+        it('should meet a deadline-only group once the deadline has passed', () => {
+            const conditions = [{ id: 1, name: 'TIME', operator: 'LESS', value: PAST }];
+
+            expect(conditionExpression.evaluateGroup({ id: 10 }, conditions).value).toBe(true);
+        });
+
+        it('should evaluate TIME leaves of an expression by their operator', () => {
+            const group = {
+                id: 10,
+                expression: {
+                    operator: 'AND',
+                    operands: [{ conditionId: 1 }, { conditionId: 2 }]
+                }
+            };
+            const conditions = [
+                { id: 1, name: 'TIME', operator: 'GREATER', value: PAST },
+                { id: 2, name: 'TIME', operator: 'LESS', value: FUTURE }
+            ];
+
+            expect(conditionExpression.evaluateGroup(group, conditions).value).toBe(true);
+            expect(conditionExpression.evaluateGroup(group, conditions, new Date('3000-01-01')).canBeTrue).toBe(false);
+        });
+
+        it('should report a NOT of a met condition as impossible', () => {
+            const group = {
+                id: 10,
+                expression: { operator: 'NOT', operands: [{ conditionId: 1 }] }
+            };
+
+            expect(conditionExpression.evaluateGroup(group, [{ id: 1, name: 'BANK', isCompleted: true }]))
+                .toEqual({ value: false, canBeTrue: false, canBeFalse: true });
+            expect(conditionExpression.evaluateGroup(group, [{ id: 1, name: 'BANK', isCompleted: false }]).value)
+                .toBe(true);
+        });
+
+        it('should keep an OR possible while one operand can still be met', () => {
+            const group = {
+                id: 10,
+                expression: {
+                    operator: 'OR',
+                    operands: [{ conditionId: 1 }, { conditionId: 2 }]
+                }
+            };
+            const conditions = [
+                { id: 1, name: 'TIME', operator: 'LESS', value: PAST },
+                { id: 2, name: 'PARTICIPATION', isCompleted: false }
+            ];
+
+            expect(conditionExpression.evaluateGroup(group, conditions)).toEqual({
+                value: false,
+                canBeTrue: true,
+                canBeFalse: true
+            });
+        });
+
+        it('should read DURATION conditions from the resolved deadlines', () => {
+            const conditions = [
+                { id: 1, name: 'DURATION', operator: 'GREATER_EQUALS', value: '48' },
+                { id: 2, name: 'BANK', isCompleted: false }
+            ];
+
+            expect(conditionExpression.evaluateGroup({ id: 10 }, conditions, new Date(), new Map([[1, null]])))
+                .toEqual({ value: false, canBeTrue: true, canBeFalse: true });
+            expect(conditionExpression.evaluateGroup({ id: 10 }, conditions, new Date(), new Map([[1, new Date(PAST)]])).canBeTrue)
+                .toBe(false);
+        });
+
+        it('should throw for conditions outside the group', () => {
+            const group = { id: 10, expression: { operator: 'NOT', operands: [{ conditionId: 99 }] } };
+
+            expect(() => conditionExpression.evaluateGroup(group, [])).toThrow('Condition 99 is not part of group 10');
+        });
+    });
+
+    describe('validate', () => {
+        const leaf = { condition: { name: 'BANK', operator: 'GREATER_EQUALS', value: '100' } };
+
+        it('should return the number of conditions', () => {
+            const expression = {
+                operator: 'OR',
+                operands: [leaf, { operator: 'NOT', operands: [leaf] }]
+            };
+
+            expect(conditionExpression.validate(expression)).toBe(2);
+        });
+
+        it('should check the number of operands', () => {
+            expect(() => conditionExpression.validate({ operator: 'NOT', operands: [leaf, leaf] }))
+                .toThrow('NOT takes exactly one operand');
+            expect(() => conditionExpression.validate({ operator: 'OR', operands: [leaf] }))
+                .toThrow('OR takes at least two operands');
+        });
+
+        it('should reject unknown operators and mixed nodes', () => {
+            expect(() => conditionExpression.validate({ operator: 'XOR', operands: [leaf, leaf] }))
+                .toThrow('Unknown logical operator: XOR');
+            expect(() => conditionExpression.validate({ ...leaf, operator: 'AND' }))
+                .toThrow('An expression node is either a condition or an operator with operands');
+        });
+
+        it('should limit the nesting depth', () => {
+            let expression = leaf;
+            for (let i = 0; i < 5; i++) {
+                expression = { operator: 'NOT', operands: [expression] };
+            }
+
+            expect(() => conditionExpression.validate(expression))
+                .toThrow('Condition expressions can be nested at most 5 levels deep');
+        });
+
+        it('should limit the number of conditions', () => {
+            const expression = { operator: 'AND', operands: Array(21).fill(leaf) };
+
+            expect(() => conditionExpression.validate(expression))
+                .toThrow('Condition expressions can have at most 20 conditions');
+        });
+    });
+
+    describe('listConditions', () => {
+        it('should list the conditions of an expression in order', () => {
+            const first = { name: 'BANK', operator: 'GREATER', value: '1' };
+            const second = { name: 'TIME', operator: 'LESS', value: FUTURE };
+
+            expect(conditionExpression.listConditions({
+                operator: 'AND',
+                operands: [{ condition: first }, { operator: 'NOT', operands: [{ condition: second }] }]
+            })).toEqual([first, second]);
+        });
+    });
+});
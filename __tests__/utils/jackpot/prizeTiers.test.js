@@ -0,0 +1,38 @@
+const { allocatePrizes } = require('../../../utils/jackpot/prizeTiers');
+
+describe('prizeTiers', () => {
+    describe('allocatePrizes', () => {
+        it('should pay the whole payout to a single winner without a distribution', () => {
+            expect(allocatePrizes(315, null, [2])).toEqual([
+                { place: 1, userId: 2, amount: 315 }
+            ]);
+        });
+
+        it('should split the payout between the winners in place order', () => {
+            expect(allocatePrizes(1000, [60, 25, 15], [4, 2, 9])).toEqual([
+                { place: 1, userId: 4, amount: 600 },
+                { place: 2, userId: 2, amount: 250 },
+                { place: 3, userId: 9, amount: 150 }
+            ]);
+        });
+
+        it('should give cents lost to rounding to the first place', () => {
+            const prizes = allocatePrizes(100, [33.34, 33.33, 33.33], [1, 2, 3]);
+
+            expect(prizes.map(prize => prize.amount)).toEqual([33.34, 33.33, 33.33]);
+
+            const uneven = allocatePrizes(0.1, [50, 50], [1, 2]);
+            expect(uneven.map(prize => prize.amount)).toEqual([0.05, 0.05]);
+
+            const odd = allocatePrizes(0.11, [50, 50], [1, 2]);
+            expect(odd.map(prize => prize.amount)).toEqual([0.06, 0.05]);
+        });
+
+        it('should give the shares of unfilled places to the first place', () => {
+            expect(allocatePrizes(1000, [60, 25, 15], [7, 8])).toEqual([
+                { place: 1, userId: 7, amount: 750 },
+                { place: 2, userId: 8, amount: 250 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,162 @@
+jest.unmock('crypto');
+
+const crypto = require('crypto');
+const provablyFair = require('../../../utils/jackpot/provablyFair');
+
+describe('provablyFair', () => {
+    const serverSeed = 'a'.repeat(64);
+    const participations = [
+        { userId: 3, deposit: 50 },
+        { userId: 1, deposit: 100 },
+        { userId: 2, deposit: 200.5 }
+    ];
+
+    describe('generateServerSeed / hashSeed', () => {
+        it('should generate 32 random bytes as hex', () => {
+            const seed = provablyFair.generateServerSeed();
+
+            expect(seed).toMatch(/^[0-9a-f]{64}$/);
+            expect(provablyFair.generateServerSeed()).not.toBe(seed);
+        });
+
+        it('should hash the seed with SHA-256', () => {
+            expect(provablyFair.hashSeed(serverSeed))
+                .toBe(crypto.createHash('sha256').update(serverSeed).digest('hex'));
+        });
+    });
+
+    describe('buildEntries', () => {
+        it('should give every participant the bank-proportional base tickets plus their deposit, ordered by user ID', () => {
+            // Bank 350.5 -> 70 base tickets
+            expect(provablyFair.buildEntries(participations)).toEqual([
+                { userId: 1, weight: 170 },
+                { userId: 2, weight: 270 },
+                { userId: 3, weight: 120 }
+            ]);
+        });
+
+        it('should use the ticket terms of the event when given', () => {
+            // Bank 350.5 -> 35 base tickets at 0.1
+            expect(provablyFair.buildEntries(participations, { randomnessCoefficient: 0.1, minimumBaseTickets: 5 })).toEqual([
+                { userId: 1, weight: 135 },
+                { userId: 2, weight: 235 },
+                { userId: 3, weight: 85 }
+            ]);
+            expect(provablyFair.buildEntries([{ userId: 1, deposit: 1 }], { randomnessCoefficient: 0.1, minimumBaseTickets: 20 })).toEqual([
+                { userId: 1, weight: 21 }
+            ]);
+        });
+
+        it('should use the minimum base tickets for small banks', () => {
+            expect(provablyFair.buildEntries([{ userId: 1, deposit: 0.5 }])).toEqual([
+                { userId: 1, weight: 6 }
+            ]);
+        });
+    });
+
+    describe('buildClientSeed', () => {
+        it('should join user IDs and deposits in cents ordered by user ID', () => {
+            expect(provablyFair.buildClientSeed(participations)).toBe('1:10000|2:20050|3:5000');
+        });
+    });
+
+    describe('calculateRoll', () => {
+        it('should read the HMAC of the client seed as an integer modulo the total weight', () => {
+            const digest = crypto.createHmac('sha256', serverSeed).update('1:100').digest('hex');
+
+            expect(provablyFair.calculateRoll(serverSeed, '1:100', 560))
+                .toBe(Number(BigInt(`0x${digest}`) % 560n));
+        });
+    });
+
+    describe('findWinner', () => {
+        const entries = [{ userId: 1, weight: 10 }, { userId: 2, weight: 5 }];
+
+        it('should pick the first entry whose cumulative weight exceeds the roll', () => {
+            expect(provablyFair.findWinner(entries, 0)).toBe(1);
+            expect(provablyFair.findWinner(entries, 9)).toBe(1);
+            expect(provablyFair.findWinner(entries, 10)).toBe(2);
+            expect(provablyFair.findWinner(entries, 14)).toBe(2);
+        });
+
+        it('should throw for a roll outside of the total weight', () => {
+            expect(() => provablyFair.findWinner(entries, 15)).toThrow('Roll is outside of the total weight');
+        });
+    });
+
+    describe('draw / verifyDraw', () => {
+        it('should be deterministic for the same seed and participations', () => {
+            const first = provablyFair.draw(serverSeed, participations);
+            const second = provablyFair.draw(serverSeed, [...participations].reverse());
+
+            expect(second).toEqual(first);
+            expect(first.totalWeight).toBe(560);
+            expect(first.roll).toBeGreaterThanOrEqual(0);
+            expect(first.roll).toBeLessThan(560);
+            expect([1, 2, 3]).toContain(first.winnerId);
+        });
+
+        it('should draw several winners without replacement', () => {
+            const result = provablyFair.draw(serverSeed, participations, 3);
+
+            expect(result.winners).toHaveLength(3);
+            expect(new Set(result.winners.map(winner => winner.userId))).toEqual(new Set([1, 2, 3]));
+            expect(result.winnerId).toBe(result.winners[0].userId);
+            expect(result.winners[0].totalWeight).toBe(560);
+
+            const firstWeight = result.entries.find(entry => entry.userId === result.winnerId).weight;
+            expect(result.winners[1].totalWeight).toBe(560 - firstWeight);
+        });
+
+        it('should roll later places with the place appended to the client seed', () => {
+            const result = provablyFair.draw(serverSeed, participations, 2);
+
+            expect(result.winners[1].roll)
+                .toBe(provablyFair.calculateRoll(serverSeed, result.clientSeed, result.winners[1].totalWeight, 1));
+            expect(provablyFair.calculateRoll(serverSeed, 'seed', 1000, 1))
+                .toBe(provablyFair.calculateRoll(serverSeed, 'seed#2', 1000));
+        });
+
+        it('should draw no more winners than participants', () => {
+            const result = provablyFair.draw(serverSeed, participations.slice(0, 2), 5);
+
+            expect(result.winners).toHaveLength(2);
+        });
+
+        it('should throw without participants', () => {
+            expect(() => provablyFair.draw(serverSeed, [])).toThrow('Cannot draw a winner without participants');
+        });
+
+        it('should verify a published draw', () => {
+            const result = provablyFair.draw(serverSeed, participations);
+            const published = { ...result, seedHash: provablyFair.hashSeed(serverSeed), serverSeed };
+
+            expect(provablyFair.verifyDraw(published)).toBe(true);
+        });
+
+        it('should verify every place of a multi-winner draw', () => {
+            const result = provablyFair.draw(serverSeed, participations, 3);
+            const published = { ...result, seedHash: provablyFair.hashSeed(serverSeed), serverSeed };
+
+            expect(provablyFair.verifyDraw(published)).toBe(true);
+
+            const swapped = [result.winners[1], result.winners[0], result.winners[2]];
+            expect(provablyFair.verifyDraw({ ...published, winners: swapped })).toBe(false);
+        });
+
+        it('should reject a draw whose seed does not match the published hash', () => {
+            const result = provablyFair.draw(serverSeed, participations);
+            const published = { ...result, seedHash: provablyFair.hashSeed('b'.repeat(64)), serverSeed };
+
+            expect(provablyFair.verifyDraw(published)).toBe(false);
+        });
+
+        it('should reject a draw with a different winner', () => {
+            const result = provablyFair.draw(serverSeed, participations);
+            const otherWinner = result.winnerId === 1 ? 2 : 1;
+            const published = { ...result, winnerId: otherWinner, seedHash: provablyFair.hashSeed(serverSeed), serverSeed };
+
+            expect(provablyFair.verifyDraw(published)).toBe(false);
+        });
+    });
+});
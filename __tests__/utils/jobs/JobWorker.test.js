@@ -0,0 +1,73 @@
+jest.mock('../../../service', () => ({
+    scheduledJobService: {
+        runDueJobs: jest.fn()
+    }
+}));
+
+const jobWorker = require('../../../utils/jobs/JobWorker');
+const { scheduledJobService } = require('../../../service');
+
+describe('JobWorker', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jobWorker.stop();
+        jest.useRealTimers();
+        console.error.mockRestore();
+    });
+
+    it('should identify itself by host and process', () => {
+        expect(jobWorker.workerId).toContain(`:${process.pid}`);
+    });
+
+    it('should keep claiming while batches come back full', async () => {
+        scheduledJobService.runDueJobs
+            .mockResolvedValueOnce(20)
+            .mockResolvedValueOnce(3);
+        jobWorker.running = true;
+
+        await jobWorker.poll();
+
+        expect(scheduledJobService.runDueJobs).toHaveBeenCalledTimes(2);
+        expect(scheduledJobService.runDueJobs).toHaveBeenCalledWith(jobWorker.workerId);
+    });
+
+    it('should poll again after the poll interval', async () => {
+        scheduledJobService.runDueJobs.mockResolvedValue(0);
+
+        jobWorker.start();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(scheduledJobService.runDueJobs).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(scheduledJobService.runDueJobs).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep polling after an error', async () => {
+        scheduledJobService.runDueJobs
+            .mockRejectedValueOnce(new Error('Database unavailable'))
+            .mockResolvedValue(0);
+
+        jobWorker.start();
+        await jest.advanceTimersByTimeAsync(0);
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(console.error).toHaveBeenCalledWith('Error in scheduled job worker:', expect.any(Error));
+        expect(scheduledJobService.runDueJobs).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop polling when stopped', async () => {
+        scheduledJobService.runDueJobs.mockResolvedValue(0);
+
+        jobWorker.start();
+        await jest.advanceTimersByTimeAsync(0);
+        jobWorker.stop();
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(scheduledJobService.runDueJobs).toHaveBeenCalledTimes(1);
+    });
+});
@@ -49,7 +49,8 @@ describe('jwtUtils', () => {
                 {
                     id: mockUser.id,
                     email: mockUser.email,
-                    username: mockUser.username
+                    username: mockUser.username,
+                    role: 'USER'
                 },
                 'test-jwt-secret',
                 { expiresIn: '30m' }
@@ -79,7 +80,8 @@ describe('jwtUtils', () => {
             const expectedPayload = {
                 id: mockUser.id,
                 email: mockUser.email,
-                username: mockUser.username
+                username: mockUser.username,
+                role: 'USER'
             };
 
             expect(jwt.sign).toHaveBeenCalledWith(
@@ -88,6 +90,18 @@ describe('jwtUtils', () => {
                 expect.any(Object)
             );
         });
+
+        it('should carry the user role in the payload', () => {
+            jwt.sign.mockReturnValue('mock-access-token');
+
+            jwtUtils.generateToken({ ...mockUser, role: 'ADMIN' });
+
+            expect(jwt.sign).toHaveBeenCalledWith(
+                expect.objectContaining({ role: 'ADMIN' }),
+                expect.any(String),
+                expect.any(Object)
+            );
+        });
     });
 
     describe('generateRefreshToken', () => {
@@ -288,7 +302,8 @@ describe('jwtUtils', () => {
                 {
                     id: undefined,
                     email: undefined,
-                    username: undefined
+                    username: undefined,
+                    role: 'USER'
                 },
                 'test-jwt-secret',
                 { expiresIn: '30m' }
@@ -441,7 +456,8 @@ describe('jwtUtils', () => {
                 {
                     id: null,
                     email: null,
-                    username: null
+                    username: null,
+                    role: 'USER'
                 },
                 'test-jwt-secret',
                 { expiresIn: '30m' }
@@ -513,7 +529,8 @@ describe('jwtUtils', () => {
                 {
                     id: 42,
                     email: null,
-                    username: undefined
+                    username: undefined,
+                    role: 'USER'
                 },
                 'test-jwt-secret',
                 { expiresIn: '30m' }
@@ -0,0 +1,64 @@
+const money = require('../../utils/money');
+
+describe('money', () => {
+    describe('toCents / fromCents', () => {
+        it('should convert amounts to integer cents', () => {
+            expect(money.toCents(10.05)).toBe(1005);
+            expect(money.toCents('19.99')).toBe(1999);
+            expect(money.toCents(null)).toBe(0);
+        });
+
+        it('should convert cents back to units', () => {
+            expect(money.fromCents(1005)).toBe(10.05);
+        });
+    });
+
+    describe('arithmetic', () => {
+        it('should add without floating point drift', () => {
+            expect(money.add(0.1, 0.2)).toBe(0.3);
+        });
+
+        it('should subtract without floating point drift', () => {
+            expect(money.subtract(0.3, 0.1)).toBe(0.2);
+            expect(money.subtract(1, 1.5)).toBe(-0.5);
+        });
+
+        it('should sum a list of amounts', () => {
+            expect(money.sum([0.1, 0.2, '10.05'])).toBe(10.35);
+            expect(money.sum([])).toBe(0);
+        });
+
+        it('should normalize amounts to whole cents', () => {
+            expect(money.normalize('12.50')).toBe(12.5);
+        });
+    });
+
+    describe('percentageOf', () => {
+        it('should round the share down to the cent', () => {
+            expect(money.percentageOf(10.35, 0.98)).toBe(10.14);
+            expect(money.percentageOf(300, 0.96)).toBe(288);
+        });
+
+        it('should leave the remainder for the commission', () => {
+            const total = 33.33;
+            const payout = money.percentageOf(total, 0.9);
+
+            expect(payout).toBe(29.99);
+            expect(money.subtract(total, payout)).toBe(3.34);
+        });
+    });
+
+    describe('hasValidPrecision', () => {
+        it('should accept amounts with up to two decimals', () => {
+            expect(money.hasValidPrecision(10)).toBe(true);
+            expect(money.hasValidPrecision(10.5)).toBe(true);
+            expect(money.hasValidPrecision(0.29)).toBe(true);
+        });
+
+        it('should reject finer amounts and non-numbers', () => {
+            expect(money.hasValidPrecision(10.005)).toBe(false);
+            expect(money.hasValidPrecision(NaN)).toBe(false);
+            expect(money.hasValidPrecision('10')).toBe(false);
+        });
+    });
+});
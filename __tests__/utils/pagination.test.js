@@ -0,0 +1,55 @@
+const { encodeCursor, decodeCursor, buildConnection } = require('../../utils/pagination');
+
+describe('pagination', () => {
+    describe('encodeCursor / decodeCursor', () => {
+        it('should round-trip the sort value and ID of an item', () => {
+            const cursor = encodeCursor('BIGGEST_BANK', 150.5, 7);
+
+            expect(decodeCursor(cursor, 'BIGGEST_BANK')).toEqual({ value: 150.5, id: 7 });
+        });
+
+        it('should store dates in ISO format', () => {
+            const cursor = encodeCursor('NEWEST', new Date('2030-01-01T00:00:00.000Z'), 3);
+
+            expect(decodeCursor(cursor, 'NEWEST')).toEqual({ value: '2030-01-01T00:00:00.000Z', id: 3 });
+        });
+
+        it('should reject malformed cursors and cursors of another order', () => {
+            expect(() => decodeCursor('not a cursor', 'NEWEST')).toThrow('Invalid cursor');
+            expect(() => decodeCursor(Buffer.from('{"id":1}').toString('base64'), 'NEWEST')).toThrow('Invalid cursor');
+            expect(() => decodeCursor(encodeCursor('NEWEST', 1, 1), 'BIGGEST_BANK'))
+                .toThrow('Cursor does not belong to the BIGGEST_BANK order');
+        });
+    });
+
+    describe('buildConnection', () => {
+        const toCursor = item => `cursor-${item.id}`;
+
+        it('should drop the extra item and report a next page', () => {
+            const connection = buildConnection([{ id: 1 }, { id: 2 }, { id: 3 }], 2, toCursor);
+
+            expect(connection).toEqual({
+                edges: [
+                    { cursor: 'cursor-1', node: { id: 1 } },
+                    { cursor: 'cursor-2', node: { id: 2 } }
+                ],
+                pageInfo: { hasNextPage: true, hasPreviousPage: false, startCursor: 'cursor-1', endCursor: 'cursor-2' }
+            });
+        });
+
+        it('should describe the last page', () => {
+            const connection = buildConnection([{ id: 4 }], 2, toCursor, true);
+
+            expect(connection.pageInfo).toEqual({ hasNextPage: false, hasPreviousPage: true, startCursor: 'cursor-4', endCursor: 'cursor-4' });
+        });
+
+        it('should describe an empty page', () => {
+            expect(buildConnection([], 2, toCursor).pageInfo).toEqual({
+                hasNextPage: false,
+                hasPreviousPage: false,
+                startCursor: null,
+                endCursor: null
+            });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { tokenize, highlight } = require('../../utils/search');
+
+describe('search', () => {
+    describe('tokenize', () => {
+        it('should split the query into unique lowercase words', () => {
+            expect(tokenize('Help the Shelter, help!')).toEqual(['help', 'the', 'shelter']);
+            expect(tokenize('Café 2030')).toEqual(['café', '2030']);
+            expect(tokenize('  -- ')).toEqual([]);
+        });
+
+        it('should keep at most ten words', () => {
+            expect(tokenize('a b c d e f g h i j k l')).toHaveLength(10);
+        });
+    });
+
+    describe('highlight', () => {
+        it('should return the matched ranges of a short text', () => {
+            expect(highlight('Charity run for the shelter', ['run', 'shelter'])).toEqual({
+                snippet: 'Charity run for the shelter',
+                matches: [{ start: 8, length: 3 }, { start: 20, length: 7 }]
+            });
+        });
+
+        it('should merge overlapping matches', () => {
+            expect(highlight('Fundraiser', ['fund', 'fundraiser']).matches).toEqual([{ start: 0, length: 10 }]);
+        });
+
+        it('should only match the start of words', () => {
+            expect(highlight('Brunch run, running', ['run']).matches).toEqual([{ start: 7, length: 3 }, { start: 12, length: 3 }]);
+            expect(highlight('Brunch', ['run'])).toBeNull();
+        });
+
+        it('should match case-insensitively at the positions of the original text', () => {
+            // 'İ' becomes two characters when lowercased
+            const { snippet, matches } = highlight('İİ SHELTER', ['shelter']);
+
+            expect(matches).toEqual([{ start: 3, length: 7 }]);
+            expect(snippet.substr(matches[0].start, matches[0].length)).toBe('SHELTER');
+        });
+
+        it('should cut long texts around the first match', () => {
+            const text = `${'a'.repeat(100)} shelter ${'b'.repeat(100)}`;
+
+            const { snippet, matches } = highlight(text, ['shelter'], 40);
+
+            expect(snippet).toBe(`…${'a'.repeat(9)} shelter ${'b'.repeat(22)}…`);
+            expect(matches).toEqual([{ start: 11, length: 7 }]);
+            expect(snippet.substr(matches[0].start, matches[0].length)).toBe('shelter');
+        });
+
+        it('should return null when nothing matches', () => {
+            expect(highlight('Charity run', ['shelter'])).toBeNull();
+            expect(highlight(null, ['run'])).toBeNull();
+        });
+    });
+});
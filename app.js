@@ -5,7 +5,8 @@ const cron = require('node-cron');
 const errorMiddleware = require('./middleware/ErrorMiddleware');
 const { graphqlAuthMiddleware } = require('./middleware/authMiddleware');
 const { syncDatabase } = require('./model');
-const { eventService } = require('./service');
+const { eventService, idempotencyService, scheduledJobService } = require('./service');
+const jobWorker = require('./utils/jobs/JobWorker');
 const { createGraphQLHandler, setupWebSocketServer } = require('./graphql/server');
 const authRoutes = require('./routes/authRoutes');
 
@@ -71,6 +72,10 @@ const start = async () => {
 
         // Run seeders with some test data & achievements
         await runAllSeeders();
+
+        // Enqueue deadline jobs for TIME conditions that don't have one yet (e.g. seeded events)
+        const scheduledJobs = await scheduledJobService.scheduleMissingTimeConditions();
+        console.log(`Scheduled ${scheduledJobs} missing deadline jobs`);
     
         // Create HTTP server
         const server = createServer(app);
@@ -86,12 +91,36 @@ const start = async () => {
             console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
             console.log(`Port: ${PORT}`);
 
-            // Setup cron job for checking time conditions every minute
+            // Run deadline jobs of TIME conditions as they become due
+            jobWorker.start();
+
+            // Setup cron job for starting scheduled events every minute
             cron.schedule('* * * * *', async () => {
                 try {
-                    await eventService.checkTimeConditions();
+                    await eventService.startScheduledEvents();
+                } catch (error) {
+                    console.error('Error in cron job for scheduled events:', error);
+                }
+            });
+
+            // Remove idempotency keys past their retry window every hour
+            cron.schedule('0 * * * *', async () => {
+                try {
+                    await idempotencyService.deleteExpired();
+                } catch (error) {
+                    console.error('Error in cron job for idempotency keys:', error);
+                }
+            });
+
+            // Recompute event totals that drifted from their participations every night
+            cron.schedule('0 3 * * *', async () => {
+                try {
+                    const repairedEventIds = await eventService.repairTotals();
+                    if (repairedEventIds.length > 0) {
+                        console.warn(`Repaired totals of events ${repairedEventIds.join(', ')}`);
+                    }
                 } catch (error) {
-                    console.error('Error in cron job for time conditions:', error);
+                    console.error('Error in cron job for event totals:', error);
                 }
             });
             //console.log('Cron job for time conditions is active (runs every minute)');
@@ -24,7 +24,42 @@ const VALIDATION_LIMITS = {
     EVENT_NAME_MIN_LENGTH: 3,
     EVENT_NAME_MAX_LENGTH: 100,
     EVENT_DESCRIPTION_MIN_LENGTH: 15,
-    EVENT_DESCRIPTION_MAX_LENGTH: 1000
+    EVENT_DESCRIPTION_MAX_LENGTH: 1000,
+    CANCELLATION_REASON_MAX_LENGTH: 255,
+    CONDITION_EXPRESSION_MAX_DEPTH: 5,       // Nesting levels of an end condition expression
+    CONDITION_EXPRESSION_MAX_CONDITIONS: 20, // Conditions in one expression
+    CONDITION_DURATION_MAX_HOURS: 8760,      // Longest DURATION condition (one year)
+    SIMULATION_MAX_STEPS: 500                // Steps in one simulated scenario
+};
+
+// Event search (see EventRepository.search)
+const SEARCH_CONFIG = {
+    MIN_QUERY_LENGTH: 2,
+    MAX_QUERY_LENGTH: 200,
+    MAX_TERMS: 10,         // Words of a query that are searched for
+    SNIPPET_LENGTH: 160    // Characters of a description shown around the first match
+};
+
+// Idempotency keys for money-moving mutations
+const IDEMPOTENCY_CONFIG = {
+    KEY_TTL_HOURS: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24, // How long a key can be retried
+    MAX_KEY_LENGTH: 255
+};
+
+// Background jobs stored in the database (see ScheduledJobService)
+const JOB_CONFIG = {
+    POLL_INTERVAL_MS: Number(process.env.JOB_POLL_INTERVAL_MS) || 1000, // How often each worker looks for due jobs
+    BATCH_SIZE: 20,                  // Jobs claimed per poll
+    MAX_ATTEMPTS: 5,                 // Attempts before a job is marked FAILED
+    RETRY_BASE_DELAY_SECONDS: 15,    // Delay before the first retry, doubled on every further attempt
+    RETRY_MAX_DELAY_SECONDS: 15 * 60,
+    LOCK_TIMEOUT_SECONDS: 5 * 60     // A RUNNING job not finished by then is reclaimed (e.g. after a crash)
+};
+
+// Clock modes (see utils/clock)
+const CLOCK_MODES = {
+    SYSTEM: 'SYSTEM',           // System time
+    TIME_TRAVEL: 'TIME_TRAVEL'  // System time plus an offset admins can advance, outside production only
 };
 
 // Database pagination
@@ -33,6 +68,14 @@ const PAGINATION = {
     MAX_LIMIT: 100
 };
 
+// Sort orders of the paginated events feed (see EventRepository.findPage)
+const EVENT_SORT_ORDERS = {
+    NEWEST: 'NEWEST',                       // Latest created first
+    ENDING_SOONEST: 'ENDING_SOONEST',       // Earliest open TIME deadline first, events without one last
+    BIGGEST_BANK: 'BIGGEST_BANK',
+    MOST_PARTICIPANTS: 'MOST_PARTICIPANTS'
+};
+
 // Event types
 const EVENT_TYPES = {
     DONATION: 'DONATION',
@@ -42,25 +85,83 @@ const EVENT_TYPES = {
 
 // Event statuses
 const EVENT_STATUSES = {
+    DRAFT: 'DRAFT',             // Only visible to its creator, not accepting participations
+    SCHEDULED: 'SCHEDULED',     // Published, starts accepting participations at startsAt
     IN_PROGRESS: 'IN_PROGRESS',
     FINISHED: 'FINISHED',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED'
+};
+
+// Statuses of events that are not resolved yet and can still be edited or cancelled
+const OPEN_EVENT_STATUSES = [EVENT_STATUSES.DRAFT, EVENT_STATUSES.SCHEDULED, EVENT_STATUSES.IN_PROGRESS];
+
+// Background job types
+const JOB_TYPES = {
+    TIME_CONDITION: 'TIME_CONDITION',  // Evaluates an event when one of its TIME deadlines is reached
+    EVENT_RESOLUTION: 'EVENT_RESOLUTION'  // Resolves an event again after its payout or refund failed
+};
+
+// Background job statuses
+const JOB_STATUSES = {
+    PENDING: 'PENDING',
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
     FAILED: 'FAILED'
 };
 
+// Entries of the end condition evaluation log (see ConditionLogService)
+const CONDITION_LOG_TYPES = {
+    CONDITION_CHECKED: 'CONDITION_CHECKED', // A condition was compared with its target
+    GROUP_COMPLETED: 'GROUP_COMPLETED',
+    GROUP_FAILED: 'GROUP_FAILED',
+    STATUS_CHANGED: 'STATUS_CHANGED',       // The event was finished, failed or cancelled
+    EVALUATION_ERROR: 'EVALUATION_ERROR'    // An evaluation could not be completed
+};
+
+// What started an evaluation of end conditions
+const CONDITION_TRIGGERS = {
+    PARTICIPATION: 'PARTICIPATION', // A deposit was made or changed
+    CRON: 'CRON',                   // A background job, e.g. a deadline being reached
+    EVENT_START: 'EVENT_START',     // The event was created, published or reached its scheduled start
+    MANUAL: 'MANUAL'                // An admin or the creator acted on the event
+};
+
 // Transaction types
 const TRANSACTION_TYPES = {
     BALANCE_INCOME: 'BALANCE_INCOME',
     BALANCE_OUTCOME: 'BALANCE_OUTCOME',
     EVENT_INCOME: 'EVENT_INCOME',
     EVENT_OUTCOME: 'EVENT_OUTCOME',
-    GIFT: 'GIFT'
+    EVENT_REFUND: 'EVENT_REFUND',
+    GIFT: 'GIFT',
+    COMMISSION: 'COMMISSION'
+};
+
+// Ledger account types
+const LEDGER_ACCOUNT_TYPES = {
+    USER_WALLET: 'USER_WALLET',           // Spendable balance of a user
+    EVENT_ESCROW: 'EVENT_ESCROW',         // Deposits held until an event is paid out or refunded
+    PLATFORM_REVENUE: 'PLATFORM_REVENUE', // Commission earned by the platform
+    PLATFORM_MINT: 'PLATFORM_MINT'        // Counterpart of money entering or leaving the system
+};
+
+// User roles carried in the access token
+const USER_ROLES = {
+    USER: 'USER',
+    MODERATOR: 'MODERATOR',
+    ADMIN: 'ADMIN'
 };
 
 // Condition types and operators
 const CONDITION_TYPES = {
-    TIME: 'TIME',
-    BANK: 'BANK',
-    PARTICIPATION: 'PARTICIPATION'
+    TIME: 'TIME',                             // Absolute deadline (ISO date)
+    BANK: 'BANK',                             // Total of all deposits
+    PARTICIPATION: 'PARTICIPATION',           // Number of participants
+    UNIQUE_DONORS: 'UNIQUE_DONORS',           // Distinct participants other than the creator
+    MAX_SINGLE_DEPOSIT: 'MAX_SINGLE_DEPOSIT', // Largest single deposit
+    AVERAGE_DEPOSIT: 'AVERAGE_DEPOSIT',       // Average deposit per participant
+    DURATION: 'DURATION'                      // Deadline in hours after the first participation
 };
 
 const CONDITION_OPERATORS = {
@@ -71,14 +172,51 @@ const CONDITION_OPERATORS = {
     LESS_EQUALS: 'LESS_EQUALS'
 };
 
+// Codes of rejected end conditions, returned with each problem in the GraphQL error extensions
+const CONDITION_ERROR_CODES = {
+    UNKNOWN_CONDITION_TYPE: 'UNKNOWN_CONDITION_TYPE',
+    INVALID_CONDITION_VALUE: 'INVALID_CONDITION_VALUE',           // The value has the wrong format for the type
+    CONDITION_VALUE_NOT_POSITIVE: 'CONDITION_VALUE_NOT_POSITIVE', // Targets must be greater than 0
+    OPERATOR_NOT_ALLOWED: 'OPERATOR_NOT_ALLOWED',                 // E.g. LESS on BANK, which would hold right away
+    DEADLINE_NOT_AFTER_START: 'DEADLINE_NOT_AFTER_START'          // TIME deadline before the event starts
+};
+
+// Steps of a simulated event timeline (see EventSimulator)
+const SIMULATION_STEP_TYPES = {
+    PARTICIPATION: 'PARTICIPATION', // A user deposits into the event
+    TICK: 'TICK'                    // The clock moves forward
+};
+
+// Operators of end condition expressions
+const LOGICAL_OPERATORS = {
+    AND: 'AND',
+    OR: 'OR',
+    NOT: 'NOT'
+};
+
 module.exports = {
     FILE_LIMITS,
     AUTH_CONFIG,
     VALIDATION_LIMITS,
+    SEARCH_CONFIG,
+    IDEMPOTENCY_CONFIG,
+    JOB_CONFIG,
+    CLOCK_MODES,
     PAGINATION,
+    EVENT_SORT_ORDERS,
     EVENT_TYPES,
     EVENT_STATUSES,
+    OPEN_EVENT_STATUSES,
+    JOB_TYPES,
+    JOB_STATUSES,
+    CONDITION_LOG_TYPES,
+    CONDITION_TRIGGERS,
     TRANSACTION_TYPES,
+    LEDGER_ACCOUNT_TYPES,
+    USER_ROLES,
     CONDITION_TYPES,
-    CONDITION_OPERATORS
+    CONDITION_OPERATORS,
+    CONDITION_ERROR_CODES,
+    LOGICAL_OPERATORS,
+    SIMULATION_STEP_TYPES
 }; 
@@ -1,5 +1,6 @@
 /**
  * Event payout constants and configuration
+ * These are the defaults; fee schedules stored in the database take precedence (see FeeScheduleService)
  */
 
 // Payout percentages for different event types (after commission)
@@ -21,7 +22,8 @@ const COMMISSION_RATES = {
 // Jackpot randomness configuration
 const JACKPOT_CONFIG = {
     RANDOMNESS_COEFFICIENT: 0.2,  // 20% of the bank as base 'tickets'
-    MINIMUM_BASE_TICKETS: 5       // Minimum 5 'tickets' for fair selection
+    MINIMUM_BASE_TICKETS: 5,      // Minimum 5 'tickets' for fair selection
+    MAX_PRIZE_TIERS: 10           // Maximum number of winners per jackpot
 };
 
 module.exports = {
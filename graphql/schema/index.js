@@ -7,6 +7,8 @@ const participationResolvers = require('./resolvers/participationResolvers');
 const subscriptionResolvers = require('./resolvers/subscriptionResolvers');
 const achievementResolvers = require('./resolvers/achievementResolvers');
 const authResolvers = require('./resolvers/authResolvers');
+const permissions = require('./permissions');
+const { applyPermissions } = require('../utils/authorization');
 
 const { merge } = require('lodash');
 
@@ -25,6 +27,39 @@ const typeDefs = gql`
         """
         events: [Event]
         
+        """
+        Page through events with filters and sorting (Relay connection, at most 100 events per page)
+        Drafts are only listed for their creator and admins
+        """
+        eventsConnection(first: Int, after: String, filter: EventFilterInput, orderBy: EventOrder): EventConnection!
+        
+        """
+        Search event names and descriptions, most relevant first, then newest first (at most 100 results)
+        Every word of the query must appear; drafts are only found for their creator and admins
+        """
+        searchEvents(query: String!, filter: EventFilterInput, limit: Int, highlight: Boolean): [EventSearchResult!]!
+        
+        """
+        Get the provably fair draw of a JACKPOT event (server seed is revealed once the winner is drawn)
+        """
+        jackpotDraw(eventId: Int!): JackpotDraw
+        
+        """
+        Get the change history of an event, newest first
+        """
+        eventRevisions(eventId: Int!): [EventRevision!]!
+        
+        """
+        Get the evaluation log of the end conditions of an event, oldest first
+        """
+        eventConditionHistory(eventId: Int!): [ConditionLogEntry!]!
+        
+        """
+        Play a timeline of hypothetical participations and clock ticks through an event definition
+        and return the condition status and payout after every step; nothing is created or paid
+        """
+        simulateEventConditions(input: CreateEventInput!, scenario: SimulationScenarioInput!): EventSimulation!
+        
         """
         Retrieve a specific user by their unique identifier
         """
@@ -69,6 +104,21 @@ const typeDefs = gql`
         Get users ranked by their EVENT_OUTCOME transaction sum after specified date (not older than)
         """
         usersByEventOutcome(afterDate: String, limit: Int): [UserRanking!]!
+
+        """
+        Check that user wallets, event escrow and platform revenue add up to the money minted (admin only)
+        """
+        ledgerReconciliation: LedgerReconciliation!
+
+        """
+        Fee terms currently in force for every event type (admin only)
+        """
+        currentFeeSchedules: [FeeSchedule!]!
+
+        """
+        Stored fee schedules, newest first, including ones that have not taken effect yet (admin only)
+        """
+        feeSchedules(eventType: String): [FeeSchedule!]!
     }
 
     """
@@ -124,26 +174,94 @@ const typeDefs = gql`
         # Event mutations
         """
         Create a new event with specified parameters and end conditions
+        Rejected end conditions are listed in extensions.errors as { code, path, message }
+        (codes: UNKNOWN_CONDITION_TYPE, INVALID_CONDITION_VALUE, CONDITION_VALUE_NOT_POSITIVE, OPERATOR_NOT_ALLOWED,
+        DEADLINE_NOT_AFTER_START)
         """
         createEvent(input: CreateEventInput!): Event
         
+        """
+        Cancel an event that is not resolved yet and refund every participant (event creator or admin)
+        """
+        cancelEvent(eventId: Int!, reason: String!): Event
+        
+        """
+        Edit an event that is not resolved yet (event creator or admin); every edit is recorded as a revision
+        """
+        updateEvent(id: Int!, input: UpdateEventInput!): Event
+        
+        """
+        Publish a DRAFT event (event creator or admin), right away or at a future start time
+        Without startsAt the start time saved with the draft is used if it is still in the future
+        """
+        publishEvent(id: Int!, startsAt: String): Event
+        
         # User mutations
         """
-        Update existing user information including password change
+        Update existing user information including password change (own account only)
         """
         updateUser(id: Int!, input: UpdateUserInput!): User
         
         # Participation mutations
         """
         Create or update user participation in an event
+        Retries with the same idempotencyKey return the original result without debiting again
         """
-        upsertParticipation(input: UpsertParticipationInput!): ParticipationResult
+        upsertParticipation(input: UpsertParticipationInput!, idempotencyKey: String): ParticipationResult
         
         # Transaction mutations
         """
-        Create a new financial transaction for a user
+        Create a new financial transaction for a user (balance-increasing types are admin-only)
+        Retries with the same idempotencyKey return the original transaction without writing again
+        """
+        createTransaction(input: CreateTransactionInput!, idempotencyKey: String): Transaction
+
+        # Moderation mutations (MODERATOR or ADMIN role)
+        """
+        Edit or remove the name, description or image of an event
+        """
+        moderateEvent(id: Int!, input: ModerateEventInput!): Event
+
+        # Admin mutations (ADMIN role)
+        """
+        Add money to a user's balance
+        """
+        creditBalance(userId: Int!, amount: Float!): User
+
+        """
+        Change the role of a user
+        """
+        setUserRole(userId: Int!, role: UserRole!): User
+
+        """
+        Finish an in-progress event immediately and pay it out
         """
-        createTransaction(input: CreateTransactionInput!): Transaction
+        forceFinishEvent(id: Int!): Event
+
+        """
+        Fail an in-progress event immediately and refund its participants
+        """
+        forceFailEvent(id: Int!): Event
+
+        """
+        Move the clock forward, e.g. past a deadline (only when the server runs with CLOCK_MODE=TIME_TRAVEL outside production)
+        """
+        advanceClock(seconds: Int!): ClockState!
+
+        """
+        Create an achievement with its completion criteria
+        """
+        createAchievement(input: CreateAchievementInput!): Achievement
+
+        """
+        Update the name or icon of an achievement
+        """
+        updateAchievement(id: Int!, input: UpdateAchievementInput!): Achievement
+
+        """
+        Store a new fee schedule for an event type; events created before it takes effect keep their fees
+        """
+        updateFeeSchedule(input: FeeScheduleInput!): FeeSchedule!
     }
 
     """
@@ -222,29 +340,128 @@ const typeDefs = gql`
         imageFile: String
         
         """
-        ID of the user creating the event
+        ID of the user creating the event (defaults to the authenticated user)
         """
-        userId: Int!
+        userId: Int
         
         """
         ID of the user who will receive rewards (optional)
         """
         recipientId: Int
         
+        """
+        JACKPOT only: percentage of the payout for each place, e.g. [60, 25, 15] for three winners (must add up to 100)
+        """
+        prizeDistribution: [Float!]
+        
+        """
+        Save the event as a DRAFT that only the creator can see until it is published
+        """
+        draft: Boolean
+        
+        """
+        Future start time in ISO format; the event is SCHEDULED until then (planned start for drafts)
+        """
+        startsAt: String
+        
         """
         Groups of end conditions that determine when the event completes
         """
         eventEndConditionGroups: [EventEndConditionGroupInput!]!
     }
 
+    """
+    Input for editing an event; omitted fields are left unchanged
+    The type can't be changed. Recipient and prize distribution are fixed once someone has participated,
+    and TIME deadlines can then only be extended
+    """
+    input UpdateEventInput {
+        """
+        New event name
+        """
+        name: String
+        
+        """
+        New description
+        """
+        description: String
+        
+        """
+        Base64 encoded replacement image
+        """
+        imageFile: String
+        
+        """
+        Remove the event image
+        """
+        removeImage: Boolean
+        
+        """
+        New recipient (before the first participation only)
+        """
+        recipientId: Int
+        
+        """
+        JACKPOT only: new prize distribution (before the first participation only)
+        """
+        prizeDistribution: [Float!]
+        
+        """
+        New values for TIME end conditions
+        """
+        deadlines: [DeadlineInput!]
+    }
+
+    """
+    New deadline of a TIME end condition
+    """
+    input DeadlineInput {
+        """
+        ID of the TIME condition
+        """
+        conditionId: Int!
+        
+        """
+        New deadline in ISO format, must be in the future
+        """
+        value: String!
+    }
+
     """
     Group of related end conditions
+    Either a list of conditions that must all be met, or an expression combining them
     """
     input EventEndConditionGroupInput {
         """
         List of conditions in this group
         """
-        conditions: [EndConditionInput!]!
+        conditions: [EndConditionInput!]
+        
+        """
+        AND/OR/NOT expression over the conditions of this group
+        """
+        expression: ConditionExpressionInput
+    }
+
+    """
+    Node of an end condition expression
+    Either a condition, or a logical operator with its operands
+    """
+    input ConditionExpressionInput {
+        """
+        Logical operator of this node
+        """
+        operator: LogicalOperator
+        
+        """
+        Operands of the operator (exactly one for NOT, at least two for AND and OR)
+        """
+        operands: [ConditionExpressionInput!]
+        
+        """
+        Condition of a leaf node
+        """
+        condition: EndConditionInput
     }
 
     """
@@ -252,7 +469,7 @@ const typeDefs = gql`
     """
     input EndConditionInput {
         """
-        Type of condition (TIME, BANK, PARTICIPATION)
+        Type of condition (see ConditionType)
         """
         name: ConditionType!
         
@@ -262,11 +479,67 @@ const typeDefs = gql`
         operator: Operator!
         
         """
-        Target value for the condition
+        Target value for the condition: an ISO-8601 date after the start for TIME, hours for DURATION,
+        a positive amount or whole number for the other types
         """
         value: String!
     }
 
+    """
+    Timeline played through an event definition by simulateEventConditions
+    """
+    input SimulationScenarioInput {
+        """
+        Start of the simulated event in ISO format (defaults to the startsAt of the definition, then to now)
+        """
+        startsAt: String
+        
+        """
+        Steps in time order
+        """
+        steps: [SimulationStepInput!]!
+    }
+
+    """
+    Step of a simulated timeline
+    """
+    input SimulationStepInput {
+        """
+        What happens in this step
+        """
+        type: SimulationStepType!
+        
+        """
+        Time of the step in ISO format (required for TICK, defaults to the time of the previous step)
+        """
+        at: String
+        
+        """
+        PARTICIPATION only: depositing user
+        """
+        userId: Int
+        
+        """
+        PARTICIPATION only: deposited amount
+        """
+        deposit: Float
+    }
+
+    """
+    Kinds of simulated steps
+    """
+    enum SimulationStepType {
+        """
+        A user deposits into the event
+        """
+        PARTICIPATION
+        
+        """
+        The clock moves forward
+        """
+        TICK
+    }
+
     """
     Input for updating user information
     """
@@ -317,9 +590,9 @@ const typeDefs = gql`
     """
     input UpsertParticipationInput {
         """
-        ID of the participating user
+        ID of the participating user (defaults to the authenticated user)
         """
-        userId: Int!
+        userId: Int
         
         """
         ID of the event to participate in
@@ -367,9 +640,14 @@ const typeDefs = gql`
         type: TransactionType!
         
         """
-        ID of the user associated with this transaction
+        ID of the user associated with this transaction (defaults to the authenticated user)
         """
-        userId: Int!
+        userId: Int
+
+        """
+        ID of the event whose escrow the money moves through (required for event-related types)
+        """
+        eventId: Int
     }
 
     """
@@ -395,6 +673,11 @@ const typeDefs = gql`
         ID of the associated user
         """
         userId: Int!
+
+        """
+        ID of the associated event, if any
+        """
+        eventId: Int
         
         """
         When the transaction was created
@@ -431,123 +714,662 @@ const typeDefs = gql`
         """
         EVENT_OUTCOME
         
+        """
+        Deposit returned after an event failed
+        """
+        EVENT_REFUND
+        
         """
         Money received as a gift
         """
         GIFT
+
+        """
+        Platform commission taken from an event bank
+        """
+        COMMISSION
     }
 
     """
-    Current status of an event
+    Payout and commission terms of an event type
     """
-    enum EventStatus {
+    type FeeSchedule {
         """
-        Event is currently active and accepting participations
+        ID of the stored schedule (null for the built-in defaults)
         """
-        IN_PROGRESS
-        
+        feeScheduleId: Int
+
+        eventType: String!
+
         """
-        Event has completed successfully
+        Share of the bank paid out as a fraction
         """
-        FINISHED
-        
+        payoutPercentage: Float!
+
         """
-        Event has failed to meet its conditions
+        Share of the bank kept by the platform as a fraction
         """
-        FAILED
-    }
+        commissionRate: Float!
 
-    """
-    User account information
-    """
-    type User {
         """
-        Unique user identifier
+        JACKPOT only: base tickets per unit of bank
         """
-        id: Int!
-        
+        randomnessCoefficient: Float
+
         """
-        User's display name
+        JACKPOT only: minimum base tickets per participant
         """
-        username: String!
-        
+        minimumBaseTickets: Int
+
         """
-        User's email address
+        ISO date the schedule took effect (null for the built-in defaults)
         """
-        email: String!
-        
+        effectiveFrom: String
+    }
+
+    """
+    One edit of an event
+    """
+    type EventRevision {
         """
-        Current account balance
+        Unique revision identifier
         """
-        balance: Float!
+        id: Int!
         
         """
-        URL to user's profile image
+        ID of the edited event
         """
-        image: String
+        eventId: Int!
         
         """
-        Whether the user account is activated
+        Sequence number of the edit within the event, starting at 1
         """
-        isActivated: Boolean!
+        revision: Int!
         
         """
-        When the user account was created
+        ID of the user who made the edit
         """
-        createdAt: String!
+        userId: Int
         
         """
-        All events the user is involved in (created or received)
+        User who made the edit
         """
-        events: [Event!]
+        editor: User
         
         """
-        Events created by this user
+        Changed fields with their old and new values
         """
-        createdEvents: [Event!]
+        changes: [EventChange!]!
         
         """
-        Events where this user is the recipient
+        When the edit was made
         """
-        receivedEvents: [Event!]
-        
+        createdAt: String
+    }
+
+    """
+    Old and new value of one field in an event revision
+    """
+    type EventChange {
         """
-        User's participations in events
+        Changed field (name, description, imageUrl, recipientId, prizeDistribution or deadline)
         """
-        participations: [Participation]
+        field: String!
         
         """
-        Associated accounts
+        ID of the TIME condition, for deadline changes
         """
-        accounts: [Account!]
+        conditionId: Int
         
         """
-        User's transactions
+        Previous value (lists as JSON)
         """
-        transactions: [Transaction!]
+        from: String
         
         """
-        User's achievements
+        New value (lists as JSON)
         """
-        achievements: [UserAchievement!]
+        to: String
     }
 
     """
-    Event or challenge that users can participate in
+    One entry in the evaluation log of an event's end conditions
     """
-    type Event {
+    type ConditionLogEntry {
+        id: Int!
+        eventId: Int!
+        type: ConditionLogType!
+
         """
-        Unique event identifier
+        What started the evaluation
         """
-        id: Int!
-        
+        trigger: ConditionTrigger!
+
         """
-        Event name/title
+        ID of the condition group
         """
-        name: String!
-        
+        eventEndConditionId: Int
+
         """
-        Detailed description of the event
+        ID of the checked condition
+        """
+        conditionId: Int
+
+        """
+        Type of the checked condition
+        """
+        conditionName: String
+
+        """
+        Value measured when the condition was checked (resolved deadline in ISO format for deadline conditions)
+        """
+        observedValue: String
+
+        """
+        Target value of the condition
+        """
+        targetValue: String
+
+        """
+        Whether the condition was met
+        """
+        met: Boolean
+
+        """
+        Previous event status, for status changes
+        """
+        fromStatus: String
+
+        """
+        New event status, for status changes
+        """
+        toStatus: String
+
+        """
+        Error message or other details
+        """
+        message: String
+
+        """
+        When the evaluation happened, in ISO format
+        """
+        evaluatedAt: String!
+    }
+
+    """
+    Kinds of condition log entries
+    """
+    enum ConditionLogType {
+        """
+        A condition was checked against its target
+        """
+        CONDITION_CHECKED
+
+        """
+        A group of conditions was met
+        """
+        GROUP_COMPLETED
+
+        """
+        A group of conditions can no longer be met
+        """
+        GROUP_FAILED
+
+        """
+        The event changed status
+        """
+        STATUS_CHANGED
+
+        """
+        The evaluation failed with an error
+        """
+        EVALUATION_ERROR
+    }
+
+    """
+    What started a condition evaluation
+    """
+    enum ConditionTrigger {
+        """
+        A participation was added or changed
+        """
+        PARTICIPATION
+
+        """
+        A scheduled job, such as a deadline being reached
+        """
+        CRON
+
+        """
+        The event was created or started
+        """
+        EVENT_START
+
+        """
+        An admin or the creator acted on the event
+        """
+        MANUAL
+    }
+
+    """
+    Commit-reveal draw of a JACKPOT event
+    Verify with: sha256(serverSeed) == seedHash, roll == HMAC-SHA256(serverSeed, clientSeed) mod totalWeight,
+    and the winner is the first entry whose cumulative weight exceeds the roll.
+    Further places remove the previous winners' entries and use the message "clientSeed#place" (place 2, 3, ...)
+    """
+    type JackpotDraw {
+        eventId: Int!
+
+        """
+        SHA-256 hash of the server seed, published when the event was created
+        """
+        seedHash: String!
+
+        """
+        Secret server seed (null until the winner is drawn)
+        """
+        serverSeed: String
+
+        """
+        Participation data the roll is derived from ("userId:depositInCents" joined with "|")
+        """
+        clientSeed: String
+
+        """
+        Draw entries ordered by user ID
+        """
+        entries: [JackpotDrawEntry!]
+
+        """
+        Sum of all entry weights
+        """
+        totalWeight: Float
+
+        """
+        Winning position in the range [0, totalWeight)
+        """
+        roll: Float
+
+        """
+        ID of the winning user (first place)
+        """
+        winnerId: Int
+
+        """
+        Winners of every place in order
+        """
+        winners: [JackpotDrawWinner!]
+
+        committedAt: String!
+        revealedAt: String
+    }
+
+    """
+    Weighted entry of a participant in a jackpot draw
+    """
+    type JackpotDrawEntry {
+        userId: Int!
+        weight: Float!
+    }
+
+    """
+    Winner of one place in a jackpot draw
+    """
+    type JackpotDrawWinner {
+        userId: Int!
+
+        """
+        Winning position in the range [0, totalWeight) of the entries left for this place
+        """
+        roll: Float!
+
+        """
+        Sum of the weights of the entries left for this place
+        """
+        totalWeight: Float!
+    }
+
+    """
+    Clock that deadlines and scheduled starts are read from
+    """
+    type ClockState {
+        mode: ClockMode!
+
+        """
+        Current time in ISO format
+        """
+        now: String!
+
+        """
+        How far the clock is ahead of the system time
+        """
+        offsetSeconds: Int!
+    }
+
+    """
+    Clock modes
+    """
+    enum ClockMode {
+        """
+        System time
+        """
+        SYSTEM
+
+        """
+        System time plus an offset that admins can advance
+        """
+        TIME_TRAVEL
+    }
+
+    """
+    Ledger reconciliation report
+    """
+    type LedgerReconciliation {
+        """
+        Net amount of money that entered the system (credits and gifts minus withdrawals)
+        """
+        totalMinted: Float!
+
+        """
+        Sum of all user wallet accounts
+        """
+        userBalances: Float!
+
+        """
+        Deposits held in event escrow accounts
+        """
+        escrowBalance: Float!
+
+        """
+        Commission collected by the platform
+        """
+        revenueBalance: Float!
+
+        """
+        Sum of the balances stored on users
+        """
+        storedUserBalances: Float!
+
+        """
+        Total minted minus wallets, escrow and revenue (0 when balanced)
+        """
+        difference: Float!
+
+        """
+        Stored user balances minus wallet accounts (0 when balanced)
+        """
+        storedDifference: Float!
+
+        """
+        True when both differences are 0
+        """
+        isBalanced: Boolean!
+    }
+
+    """
+    Current status of an event
+    """
+    enum EventStatus {
+        """
+        Event is saved but not published; only its creator can see it
+        """
+        DRAFT
+        
+        """
+        Event is published and starts accepting participations at startsAt
+        """
+        SCHEDULED
+        
+        """
+        Event is currently active and accepting participations
+        """
+        IN_PROGRESS
+        
+        """
+        Event has completed successfully
+        """
+        FINISHED
+        
+        """
+        Event has failed to meet its conditions
+        """
+        FAILED
+        
+        """
+        Event was cancelled by its creator or an admin and participants were refunded
+        """
+        CANCELLED
+    }
+
+    """
+    Type of an event
+    """
+    enum EventType {
+        DONATION
+        FUNDRAISING
+        JACKPOT
+    }
+
+    """
+    Filters of the events feed
+    """
+    input EventFilterInput {
+        type: EventType
+        status: EventStatus
+
+        """
+        ID of the user who created the events
+        """
+        creatorId: Int
+        recipientId: Int
+
+        """
+        Only events with a deadline still open that passes within this many hours
+        """
+        endingWithinHours: Int
+        minBank: Float
+        maxBank: Float
+    }
+
+    """
+    Sort orders of the events feed
+    """
+    enum EventOrder {
+        """
+        Latest created first (default)
+        """
+        NEWEST
+
+        """
+        Earliest open deadline (TIME, or DURATION once someone participated) first; events without one come last
+        """
+        ENDING_SOONEST
+
+        """
+        Largest total of deposits first
+        """
+        BIGGEST_BANK
+
+        """
+        Most participants first
+        """
+        MOST_PARTICIPANTS
+    }
+
+    """
+    Page of events
+    """
+    type EventConnection {
+        edges: [EventEdge!]!
+        pageInfo: PageInfo!
+    }
+
+    """
+    Event with its position in the feed
+    """
+    type EventEdge {
+        """
+        Pass as after to continue after this event
+        """
+        cursor: String!
+        node: Event!
+    }
+
+    """
+    Position of a page in a connection
+    """
+    type PageInfo {
+        hasNextPage: Boolean!
+
+        """
+        True when the page starts after a cursor
+        """
+        hasPreviousPage: Boolean!
+        startCursor: String
+        endCursor: String
+    }
+
+    """
+    Event found by a search
+    """
+    type EventSearchResult {
+        event: Event!
+
+        """
+        Score of the match; only comparable between results of the same search
+        """
+        relevance: Float!
+
+        """
+        Matched text per field, when requested with highlight
+        """
+        highlights: [SearchHighlight!]
+    }
+
+    """
+    Text of an event field around the words of a search
+    """
+    type SearchHighlight {
+        """
+        name or description
+        """
+        field: String!
+
+        """
+        Part of the field around the first match; cut text starts or ends with an ellipsis
+        """
+        snippet: String!
+
+        """
+        Matched ranges within the snippet
+        """
+        matches: [TextRange!]!
+    }
+
+    """
+    Range of characters in a text
+    """
+    type TextRange {
+        start: Int!
+        length: Int!
+    }
+
+    """
+    User account information
+    """
+    type User {
+        """
+        Unique user identifier
+        """
+        id: Int!
+        
+        """
+        User's display name
+        """
+        username: String!
+        
+        """
+        User's email address
+        """
+        email: String!
+        
+        """
+        Current account balance
+        """
+        balance: Float!
+        
+        """
+        URL to user's profile image
+        """
+        image: String
+        
+        """
+        Whether the user account is activated
+        """
+        isActivated: Boolean!
+        
+        """
+        Access role of the user
+        """
+        role: UserRole!
+        
+        """
+        When the user account was created
+        """
+        createdAt: String!
+        
+        """
+        All events the user is involved in (created or received)
+        """
+        events: [Event!]
+        
+        """
+        Events created by this user
+        """
+        createdEvents: [Event!]
+        
+        """
+        Events where this user is the recipient
+        """
+        receivedEvents: [Event!]
+        
+        """
+        User's participations in events
+        """
+        participations: [Participation]
+        
+        """
+        Associated accounts
+        """
+        accounts: [Account!]
+        
+        """
+        User's transactions
+        """
+        transactions: [Transaction!]
+        
+        """
+        User's achievements
+        """
+        achievements: [UserAchievement!]
+    }
+
+    """
+    Event or challenge that users can participate in
+    """
+    type Event {
+        """
+        Unique event identifier
+        """
+        id: Int!
+        
+        """
+        Event name/title
+        """
+        name: String!
+        
+        """
+        Detailed description of the event
         """
         description: String
         
@@ -556,6 +1378,11 @@ const typeDefs = gql`
         """
         bankAmount: Float
         
+        """
+        Number of users participating in the event
+        """
+        participantCount: Int!
+        
         """
         Current status of the event
         """
@@ -581,6 +1408,36 @@ const typeDefs = gql`
         """
         recipientId: Int
         
+        """
+        Percentage of the payout for each place of a multi-winner JACKPOT (null for a single winner)
+        """
+        prizeDistribution: [Float!]
+        
+        """
+        When the event starts (or started) accepting participations
+        """
+        startsAt: String
+        
+        """
+        Fee terms in force when the event was created, used for its payout
+        """
+        feeSnapshot: FeeSchedule
+        
+        """
+        Why the event was cancelled (CANCELLED events only)
+        """
+        cancellationReason: String
+        
+        """
+        When the event was cancelled (CANCELLED events only)
+        """
+        cancelledAt: String
+        
+        """
+        ID of the user who cancelled the event (CANCELLED events only)
+        """
+        cancelledBy: Int
+        
         """
         User who created this event
         """
@@ -670,6 +1527,31 @@ const typeDefs = gql`
         Individual conditions in this group
         """
         conditions: [EndCondition]
+        
+        """
+        Expression combining the conditions; null when all conditions must be met
+        """
+        expression: ConditionExpression
+    }
+
+    """
+    Node of a stored end condition expression
+    """
+    type ConditionExpression {
+        """
+        Logical operator of this node, null for leaves
+        """
+        operator: LogicalOperator
+        
+        """
+        Operands of the operator
+        """
+        operands: [ConditionExpression!]
+        
+        """
+        ID of the condition referenced by a leaf node
+        """
+        conditionId: Int
     }
 
     """
@@ -682,7 +1564,7 @@ const typeDefs = gql`
         id: Int!
         
         """
-        Type of condition (TIME, BANK, PARTICIPATION)
+        Type of condition (see ConditionType)
         """
         name: ConditionType!
         
@@ -700,6 +1582,21 @@ const typeDefs = gql`
         Whether this specific condition is completed
         """
         isCompleted: Boolean!
+        
+        """
+        Current value of the condition (1 once a deadline has passed, 0 before)
+        """
+        currentValue: Float
+        
+        """
+        Progress towards the target, or share of the time to the deadline that has passed (0-100)
+        """
+        progressPercent: Float
+        
+        """
+        Seconds left until the deadline (TIME and DURATION conditions whose deadline is known)
+        """
+        remainingSeconds: Int
     }
 
     """
@@ -720,6 +1617,26 @@ const typeDefs = gql`
         Participation count condition (user target)
         """
         PARTICIPATION
+        
+        """
+        Number of distinct participants other than the creator
+        """
+        UNIQUE_DONORS
+        
+        """
+        Largest single deposit made to the event
+        """
+        MAX_SINGLE_DEPOSIT
+        
+        """
+        Average deposit per participant
+        """
+        AVERAGE_DEPOSIT
+        
+        """
+        Deadline relative to the first participation (value in hours)
+        """
+        DURATION
     }
 
     """
@@ -752,6 +1669,182 @@ const typeDefs = gql`
         LESS_EQUALS
     }
 
+    """
+    Logical operators for combining end conditions
+    """
+    enum LogicalOperator {
+        """
+        All operands must be met
+        """
+        AND
+        
+        """
+        At least one operand must be met
+        """
+        OR
+        
+        """
+        The operand must not be met
+        """
+        NOT
+    }
+
+    """
+    Result of simulateEventConditions
+    """
+    type EventSimulation {
+        """
+        State after every step
+        """
+        steps: [SimulationStep!]!
+        
+        """
+        Status of the event after the last step
+        """
+        finalStatus: EventStatus!
+    }
+
+    """
+    State of a simulated event after a step
+    """
+    type SimulationStep {
+        """
+        Position of the step in the scenario, starting at 1
+        """
+        index: Int!
+        
+        type: SimulationStepType!
+        
+        """
+        Time of the step in ISO format
+        """
+        at: String!
+        
+        """
+        Whether the step was applied; participations are rejected once the event is resolved
+        """
+        accepted: Boolean!
+        
+        """
+        Status of the event after the step
+        """
+        status: EventStatus!
+        
+        """
+        Condition groups in the order of the definition
+        """
+        groups: [SimulatedConditionGroup!]!
+        
+        """
+        What the event pays out at this point
+        """
+        payout: SimulatedPayout!
+    }
+
+    """
+    Condition group of a simulated event
+    """
+    type SimulatedConditionGroup {
+        """
+        Position of the group in the definition, starting at 1
+        """
+        id: Int!
+        
+        isCompleted: Boolean!
+        
+        isFailed: Boolean!
+        
+        """
+        Conditions of the group, numbered from 1 across the definition
+        """
+        conditions: [SimulatedCondition!]!
+        
+        """
+        Expression combining the conditions; null when all conditions must be met
+        """
+        expression: ConditionExpression
+    }
+
+    """
+    Condition of a simulated event with its progress
+    """
+    type SimulatedCondition {
+        id: Int!
+        
+        name: ConditionType!
+        
+        operator: Operator!
+        
+        value: String!
+        
+        isCompleted: Boolean!
+        
+        """
+        Current value of the condition (1 once a deadline has passed, 0 before)
+        """
+        currentValue: Float
+        
+        """
+        Progress towards the target, or share of the time to the deadline that has passed (0-100)
+        """
+        progressPercent: Float
+        
+        """
+        Seconds left until the deadline at the time of the step
+        """
+        remainingSeconds: Int
+    }
+
+    """
+    Payout of a simulated event, using the fee terms currently in force
+    """
+    type SimulatedPayout {
+        """
+        Sum of all deposits
+        """
+        bankAmount: Float!
+        
+        """
+        Share of the bank paid out once the event finishes
+        """
+        payoutAmount: Float!
+        
+        """
+        Share of the bank kept by the platform
+        """
+        commissionAmount: Float!
+        
+        """
+        Prizes of a FINISHED event; jackpot winners are drawn at random, so their userId is null
+        """
+        prizes: [SimulatedPrize!]!
+        
+        """
+        Refunds of a FAILED event
+        """
+        refunds: [SimulatedRefund!]!
+    }
+
+    """
+    Prize paid to a place of a simulated event
+    """
+    type SimulatedPrize {
+        place: Int!
+        
+        userId: Int
+        
+        amount: Float!
+    }
+
+    """
+    Deposit refunded to a participant of a simulated event
+    """
+    type SimulatedRefund {
+        userId: Int!
+        
+        amount: Float!
+    }
+
     """
     User's progress on a specific achievement
     """
@@ -792,6 +1885,126 @@ const typeDefs = gql`
         progress: [UserCriterionProgress!]!
     }
 
+    """
+    Access role of a user
+    """
+    enum UserRole {
+        """
+        Regular user
+        """
+        USER
+        
+        """
+        Can moderate user-supplied content
+        """
+        MODERATOR
+        
+        """
+        Full administrative access
+        """
+        ADMIN
+    }
+
+    """
+    Input for moderating the content of an event
+    """
+    input ModerateEventInput {
+        """
+        Replacement event name
+        """
+        name: String
+        
+        """
+        Replacement description (empty string clears it)
+        """
+        description: String
+        
+        """
+        Remove the event image
+        """
+        removeImage: Boolean
+    }
+
+    """
+    Input for a new fee schedule
+    """
+    input FeeScheduleInput {
+        """
+        Event type the schedule applies to (DONATION, FUNDRAISING or JACKPOT)
+        """
+        eventType: String!
+
+        """
+        Share of the bank kept by the platform as a fraction (e.g. 0.1 for 10%)
+        """
+        commissionRate: Float!
+
+        """
+        JACKPOT only: base tickets per unit of bank (kept from the current schedule when omitted)
+        """
+        randomnessCoefficient: Float
+
+        """
+        JACKPOT only: minimum base tickets per participant (kept from the current schedule when omitted)
+        """
+        minimumBaseTickets: Int
+
+        """
+        ISO date the schedule takes effect (defaults to now, cannot be in the past)
+        """
+        effectiveFrom: String
+    }
+
+    """
+    Criterion required to unlock a new achievement
+    """
+    input AchievementCriterionInput {
+        """
+        Criterion type (EVENT_COUNT_ALL, USER_BANK, etc.)
+        """
+        type: String!
+        
+        """
+        Target value of the criterion
+        """
+        value: Int!
+    }
+
+    """
+    Input for creating an achievement
+    """
+    input CreateAchievementInput {
+        """
+        Achievement name/title
+        """
+        name: String!
+        
+        """
+        URL to the achievement icon
+        """
+        iconUrl: String!
+        
+        """
+        Criteria that must all be met to unlock the achievement
+        """
+        conditions: [AchievementCriterionInput!]!
+    }
+
+    """
+    Input for updating an achievement
+    """
+    input UpdateAchievementInput {
+        """
+        New achievement name/title
+        """
+        name: String
+        
+        """
+        New URL to the achievement icon
+        """
+        iconUrl: String
+    }
+
     """
     Achievement that users can unlock
     """
@@ -940,7 +2153,10 @@ const typeDefs = gql`
 
 const schema = makeExecutableSchema({
     typeDefs,
-    resolvers: merge(eventResolvers, userResolvers, participationResolvers, subscriptionResolvers, achievementResolvers, authResolvers)
+    resolvers: applyPermissions(
+        merge(eventResolvers, userResolvers, participationResolvers, subscriptionResolvers, achievementResolvers, authResolvers),
+        permissions
+    )
 });
 
 module.exports = schema; 
\ No newline at end of file
@@ -0,0 +1,53 @@
+const { requireActingUser, requireAdmin, requireAdminWhen, requireAuth, requireOwner, requireRole } = require('../utils/authorization');
+const { TRANSACTION_TYPES, USER_ROLES } = require('../../constants/application');
+
+/**
+ * Transaction types a user may create for their own account
+ * Every other type adds money to a balance or moves it through an event escrow and is reserved for admins;
+ * users pay into events with upsertParticipation, which writes the participation with the deposit
+ */
+const SELF_SERVICE_TRANSACTION_TYPES = [
+    TRANSACTION_TYPES.BALANCE_OUTCOME
+];
+
+/**
+ * Authorization rules for GraphQL operations
+ * Maps type name -> field name -> guards applied before the resolver runs
+ * Operations not listed here are public
+ */
+const permissions = {
+    Query: {
+        simulateEventConditions: [requireActingUser],
+        ledgerReconciliation: [requireAdmin],
+        currentFeeSchedules: [requireAdmin],
+        feeSchedules: [requireAdmin]
+    },
+    Mutation: {
+        createEvent: [requireActingUser],
+        // Only the creator or an admin, checked by EventService once the event is loaded
+        cancelEvent: [requireAuth],
+        updateEvent: [requireAuth],
+        publishEvent: [requireAuth],
+        updateUser: [requireOwner('id')],
+        upsertParticipation: [requireActingUser],
+        createTransaction: [
+            requireActingUser,
+            requireAdminWhen(({ input }) => !SELF_SERVICE_TRANSACTION_TYPES.includes(input.type))
+        ],
+
+        // Moderation
+        moderateEvent: [requireRole(USER_ROLES.MODERATOR, USER_ROLES.ADMIN)],
+
+        // Administration
+        creditBalance: [requireAdmin],
+        setUserRole: [requireAdmin],
+        forceFinishEvent: [requireAdmin],
+        forceFailEvent: [requireAdmin],
+        advanceClock: [requireAdmin],
+        createAchievement: [requireAdmin],
+        updateAchievement: [requireAdmin],
+        updateFeeSchedule: [requireAdmin]
+    }
+};
+
+module.exports = permissions;
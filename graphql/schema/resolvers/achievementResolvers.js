@@ -1,9 +1,10 @@
 const { 
     userAchievementService, 
-    achievementService, 
-    userCriterionProgressService, 
-    achievementCriterionService 
+    achievementService
 } = require('../../../service');
+const createAchievementSchema = require('../../../validation/schema/AchievementSchema');
+const { handleServiceError } = require('../../utils/errorHandler');
+const { getLoaders } = require('../../utils/loaders');
 
 /**
  * GraphQL resolvers for Achievement-related operations
@@ -28,6 +29,51 @@ const achievementResolvers = {
         }
     },
 
+    Mutation: {
+        /**
+         * Creates an achievement with its completion criteria (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {Object} args.input - Achievement creation data
+         * @param {string} args.input.name - Achievement name/title
+         * @param {string} args.input.iconUrl - URL of the achievement icon
+         * @param {Array} args.input.conditions - Criteria required to unlock the achievement
+         * @returns {Promise<Achievement>} Created achievement
+         * @throws {Error} If validation or creation fails
+         */
+        createAchievement: async (_, { input }) => {
+            try {
+                const { error } = createAchievementSchema.validate(input);
+                if (error) {
+                    throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+                }
+
+                return await achievementService.create(input);
+            } catch (error) {
+                console.error('Error creating achievement:', error);
+                handleServiceError(error, 'Failed to create achievement');
+            }
+        },
+
+        /**
+         * Updates the name or icon of an achievement (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.id - ID of the achievement
+         * @param {Object} args.input - Fields to update (name, iconUrl)
+         * @returns {Promise<Achievement>} Updated achievement
+         * @throws {Error} If the update fails
+         */
+        updateAchievement: async (_, { id, input }) => {
+            try {
+                return await achievementService.update(id, input);
+            } catch (error) {
+                console.error('Error updating achievement:', error);
+                handleServiceError(error, 'Failed to update achievement');
+            }
+        }
+    },
+
     /**
      * Field resolvers for UserAchievement type
      * These resolvers handle nested field resolution for UserAchievement objects
@@ -36,14 +82,16 @@ const achievementResolvers = {
         /**
          * Resolves the achievement object associated with a user achievement
          * @param {UserAchievement} userAchievement - Parent UserAchievement object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<Achievement|null>} Achievement object or null if not found
          */
-        achievement: async (userAchievement) => {
+        achievement: async (userAchievement, _, context) => {
             // Return cached achievement if already loaded
             if (userAchievement.achievement) return userAchievement.achievement;
             
             try {
-                return await achievementService.findById(userAchievement.achievementId);
+                return await getLoaders(context).achievements.load(userAchievement.achievementId);
             } catch (error) {
                 console.error('Error fetching achievement:', error);
                 return null;
@@ -54,9 +102,11 @@ const achievementResolvers = {
          * Resolves progress information for all criteria within this user achievement
          * Maps progress data and adds completion status for each criterion
          * @param {UserAchievement} userAchievement - Parent UserAchievement object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<UserCriterionProgress[]>} Array of criterion progress with completion status
          */
-        progress: async (userAchievement) => {
+        progress: async (userAchievement, _, context) => {
             // Return cached progress data if already loaded
             if (userAchievement.progresses) {
                 return userAchievement.progresses.map(progress => ({
@@ -66,7 +116,7 @@ const achievementResolvers = {
             }
             
             try {
-                const progresses = await userCriterionProgressService.findByUserAchievementWithCriteria(userAchievement.id);
+                const progresses = await getLoaders(context).progressByUserAchievement.load(userAchievement.id);
                 return progresses.map(progress => ({
                     ...progress.toJSON(),
                     isCompleted: progress.completed
@@ -86,14 +136,16 @@ const achievementResolvers = {
         /**
          * Resolves the achievement criterion associated with a progress record
          * @param {UserCriterionProgress} progress - Parent UserCriterionProgress object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<AchievementCriterion|null>} Criterion object or null if not found
          */
-        criterion: async (progress) => {
+        criterion: async (progress, _, context) => {
             // Return cached criterion if already loaded
             if (progress.criterion) return progress.criterion;
             
             try {
-                return await achievementCriterionService.findById(progress.criterionId);
+                return await getLoaders(context).achievementCriteria.load(progress.criterionId);
             } catch (error) {
                 console.error('Error fetching criterion:', error);
                 return null;
@@ -1,7 +1,46 @@
-const { eventService, userService, participationService, eventEndConditionService } = require('../../../service');
+const { eventService, jackpotDrawService, feeScheduleService, eventRevisionService, conditionLogService } = require('../../../service');
 const { pubsub, SUBSCRIPTION_EVENTS } = require('../../pubsub');
 const createEventSchema = require('../../../validation/schema/EventSchema');
+const updateEventSchema = require('../../../validation/schema/UpdateEventSchema');
+const feeScheduleSchema = require('../../../validation/schema/FeeScheduleSchema');
+const simulationSchema = require('../../../validation/schema/SimulationSchema');
+const eventFilterSchema = require('../../../validation/schema/EventFilterSchema');
 const { handleServiceError } = require('../../utils/errorHandler');
+const { getLoaders } = require('../../utils/loaders');
+const eventConditions = require('../../../utils/eventCondition');
+const { clock } = require('../../../utils/clock');
+const { EVENT_STATUSES } = require('../../../constants');
+
+/**
+ * Resolves the live progress of a condition through the request loader, so the progress fields
+ * of all conditions of a request share their queries
+ * @param {EndCondition} endCondition - Condition being resolved
+ * @param {Object} context - GraphQL context with the request loaders
+ * @returns {Promise<Object|null>} Progress or null if it cannot be computed
+ */
+const getConditionProgress = async (endCondition, context) => {
+    try {
+        return await getLoaders(context).conditionProgress.load(endCondition);
+    } catch (error) {
+        console.error('Error computing condition progress:', error);
+        return null;
+    }
+};
+
+/**
+ * Loads an event that a query is about, hiding drafts like the event query does
+ * @param {number} eventId - Event ID
+ * @param {Object|null} user - Authenticated user, if any
+ * @returns {Promise<Event>} Event visible to the user
+ * @throws {Error} If the event does not exist or is a draft the user may not see
+ */
+const findVisibleEvent = async (eventId, user) => {
+    const event = await eventService.findById(eventId, false);
+    if (!event || !eventService.isVisibleTo(event, user)) {
+        throw new Error('Event not found');
+    }
+    return event;
+};
 
 /**
  * GraphQL resolvers for Event-related operations
@@ -11,14 +50,18 @@ const eventResolvers = {
     Query: {
         /**
          * Retrieves a specific event by its ID with all related data
+         * Drafts are only returned to their creator and admins
          * @param {Object} _ - Parent object (unused)
          * @param {Object} args - Query arguments
          * @param {number} args.id - Event ID to fetch
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user, if any
          * @returns {Promise<Event|null>} Event object with end conditions or null if not found
          */
-        event: async (_, { id }) => {
+        event: async (_, { id }, { user }) => {
             try {
-                return await eventService.findById(id, true);
+                const event = await eventService.findById(id, true);
+                return event && eventService.isVisibleTo(event, user) ? event : null;
             } catch (error) {
                 console.error('Error fetching event:', error);
                 return null;
@@ -27,17 +70,191 @@ const eventResolvers = {
 
         /**
          * Retrieves all events in the system with their end conditions
+         * Drafts are only included for their creator and admins
          * @param {Object} _ - Parent object (unused)
          * @param {Object} __ - Query arguments (unused)
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user, if any
          * @returns {Promise<Event[]>} Array of all events with their end conditions
          */
-        events: async () => {
+        events: async (_, __, { user }) => {
             try {
-                return await eventService.findAll(true);
+                const events = await eventService.findAll(true);
+                return events.filter(event => eventService.isVisibleTo(event, user));
             } catch (error) {
                 console.error('Error fetching events:', error);
                 return [];
             }
+        },
+
+        /**
+         * Retrieves a page of the events feed
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {number} [args.first] - Page size
+         * @param {string} [args.after] - Cursor of the last event of the previous page
+         * @param {Object} [args.filter] - Filters
+         * @param {string} [args.orderBy] - Sort order
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user; drafts are only listed for their creator and admins
+         * @returns {Promise<Object>} Connection with the events of the page
+         * @throws {Error} If the arguments are invalid
+         */
+        eventsConnection: async (_, { first, after, filter, orderBy }, { user }) => {
+            try {
+                if (filter) {
+                    const { error } = eventFilterSchema.validate(filter);
+                    if (error) {
+                        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+                    }
+                }
+
+                return await eventService.findPage({ first, after, filter, orderBy }, user);
+            } catch (error) {
+                console.error('Error fetching events page:', error);
+                handleServiceError(error, 'Failed to fetch events');
+            }
+        },
+
+        /**
+         * Searches event names and descriptions
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {string} args.query - Search text
+         * @param {Object} [args.filter] - Filters
+         * @param {number} [args.limit] - Maximum number of results
+         * @param {boolean} [args.highlight] - Whether to return the matched text
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user; drafts are only found for their creator and admins
+         * @returns {Promise<Object[]>} Search results, most relevant first
+         * @throws {Error} If the arguments are invalid
+         */
+        searchEvents: async (_, { query, filter, limit, highlight }, { user }) => {
+            try {
+                if (filter) {
+                    const { error } = eventFilterSchema.validate(filter);
+                    if (error) {
+                        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+                    }
+                }
+
+                return await eventService.search(query, { filter, limit, highlight: Boolean(highlight) }, user);
+            } catch (error) {
+                console.error('Error searching events:', error);
+                handleServiceError(error, 'Failed to search events');
+            }
+        },
+
+        /**
+         * Retrieves the provably fair draw of a JACKPOT event
+         * The server seed is only included once the winner has been drawn; drafts are only shown to their creator and admins
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {number} args.eventId - Event ID to fetch the draw for
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user, if any
+         * @returns {Promise<Object|null>} Public draw data or null if the event has no draw
+         */
+        jackpotDraw: async (_, { eventId }, { user }) => {
+            try {
+                await findVisibleEvent(eventId, user);
+                return await jackpotDrawService.findPublicByEventId(eventId);
+            } catch (error) {
+                console.error('Error fetching jackpot draw:', error);
+                handleServiceError(error, 'Failed to fetch jackpot draw');
+            }
+        },
+
+        /**
+         * Retrieves the change history of an event
+         * Drafts are only shown to their creator and admins
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {number} args.eventId - Event ID to fetch the revisions for
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user, if any
+         * @returns {Promise<EventRevision[]>} Revisions of the event, newest first
+         */
+        eventRevisions: async (_, { eventId }, { user }) => {
+            try {
+                await findVisibleEvent(eventId, user);
+                return await eventRevisionService.findByEventId(eventId);
+            } catch (error) {
+                console.error('Error fetching event revisions:', error);
+                handleServiceError(error, 'Failed to fetch event revisions');
+            }
+        },
+
+        /**
+         * Retrieves the evaluation log of the end conditions of an event
+         * Drafts are only shown to their creator and admins
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {number} args.eventId - Event ID to fetch the log for
+         * @param {Object} context - GraphQL context
+         * @param {Object} [context.user] - Authenticated user, if any
+         * @returns {Promise<ConditionLog[]>} Log entries of the event, oldest first
+         */
+        eventConditionHistory: async (_, { eventId }, { user }) => {
+            try {
+                await findVisibleEvent(eventId, user);
+                return await conditionLogService.findByEventId(eventId);
+            } catch (error) {
+                console.error('Error fetching event condition history:', error);
+                handleServiceError(error, 'Failed to fetch event condition history');
+            }
+        },
+
+        /**
+         * Plays a scenario through an event definition without creating the event
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {Object} args.input - Event definition, as for createEvent (userId resolved from the token, see permissions)
+         * @param {Object} args.scenario - Start time and steps to play
+         * @returns {Promise<Object>} State and payout after every step with the final status
+         * @throws {Error} If the definition or scenario is invalid
+         */
+        simulateEventConditions: async (_, { input, scenario }) => {
+            try {
+                const { error } = simulationSchema.validate({ input, scenario });
+                if (error) {
+                    throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+                }
+
+                return await eventService.simulateConditions(input, scenario);
+            } catch (error) {
+                console.error('Error simulating event conditions:', error);
+                handleServiceError(error, 'Failed to simulate event conditions');
+            }
+        },
+
+        /**
+         * Retrieves the fee terms currently in force for every event type (admin only, see permissions)
+         * @returns {Promise<Object[]>} Fee terms per event type
+         */
+        currentFeeSchedules: async () => {
+            try {
+                return await feeScheduleService.getCurrent();
+            } catch (error) {
+                console.error('Error fetching current fee schedules:', error);
+                handleServiceError(error, 'Failed to fetch fee schedules');
+            }
+        },
+
+        /**
+         * Retrieves the stored fee schedule history (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Query arguments
+         * @param {string} [args.eventType] - Only return schedules of this event type
+         * @returns {Promise<Object[]>} Fee terms of every stored schedule, newest first
+         */
+        feeSchedules: async (_, { eventType }) => {
+            try {
+                return await feeScheduleService.findHistory(eventType);
+            } catch (error) {
+                console.error('Error fetching fee schedules:', error);
+                handleServiceError(error, 'Failed to fetch fee schedules');
+            }
         }
     },
 
@@ -51,7 +268,7 @@ const eventResolvers = {
          * @param {string} [args.input.description] - Event description
          * @param {string} args.input.type - Event type/category
          * @param {string} [args.input.imageFile] - Base64 encoded image
-         * @param {number} args.input.userId - ID of user creating the event
+         * @param {number} args.input.userId - ID of user creating the event (resolved from the token, see permissions)
          * @param {number} [args.input.recipientId] - ID of user who will receive rewards
          * @param {Array} args.input.eventEndConditionGroups - Groups of end conditions
          * @returns {Promise<Event>} Created event object with all related data
@@ -79,6 +296,203 @@ const eventResolvers = {
                 console.error('Error creating event:', error);
                 handleServiceError(error, 'Failed to create event');
             }
+        },
+
+        /**
+         * Cancels an in-progress event and refunds its participants (creator or admin, see EventService.cancel)
+         * The eventUpdated publish happens once the refunds are committed
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.eventId - ID of the event
+         * @param {string} args.reason - Why the event is cancelled
+         * @param {Object} context - GraphQL context
+         * @param {Object} context.user - Authenticated user
+         * @returns {Promise<Event>} Cancelled event
+         * @throws {Error} If the user may not cancel the event or it is not in progress
+         */
+        cancelEvent: async (_, { eventId, reason }, { user }) => {
+            try {
+                return await eventService.cancel(eventId, reason, user);
+            } catch (error) {
+                console.error('Error cancelling event:', error);
+                handleServiceError(error, 'Failed to cancel event');
+            }
+        },
+
+        /**
+         * Edits an in-progress event and records a revision (creator or admin, see EventService.update)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.id - ID of the event
+         * @param {Object} args.input - Fields to change (name, description, image, recipient,
+         * prize distribution, TIME deadlines)
+         * @param {Object} context - GraphQL context
+         * @param {Object} context.user - Authenticated user
+         * @returns {Promise<Event>} Updated event
+         * @throws {Error} If validation fails or the change is not allowed
+         */
+        updateEvent: async (_, { id, input }, { user }) => {
+            try {
+                const { error } = updateEventSchema.validate(input);
+                if (error) {
+                    throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+                }
+
+                const event = await eventService.update(id, input, user);
+
+                pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+                    eventUpdated: { id }
+                });
+
+                return event;
+            } catch (error) {
+                console.error('Error updating event:', error);
+                handleServiceError(error, 'Failed to update event');
+            }
+        },
+
+        /**
+         * Publishes a draft right away or at a future start time (creator or admin, see EventService.publish)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.id - ID of the draft
+         * @param {string} [args.startsAt] - Future start time in ISO format
+         * @param {Object} context - GraphQL context
+         * @param {Object} context.user - Authenticated user
+         * @returns {Promise<Event>} Published event
+         * @throws {Error} If the user may not publish the event or it is not a draft
+         */
+        publishEvent: async (_, { id, startsAt }, { user }) => {
+            try {
+                const event = await eventService.publish(id, startsAt, user);
+
+                // Events that start now were already announced by the condition tracker
+                if (event.status !== EVENT_STATUSES.IN_PROGRESS) {
+                    pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+                        eventUpdated: { id }
+                    });
+                }
+
+                return event;
+            } catch (error) {
+                console.error('Error publishing event:', error);
+                handleServiceError(error, 'Failed to publish event');
+            }
+        },
+
+        /**
+         * Finishes an in-progress event immediately and pays it out (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.id - ID of the event
+         * @returns {Promise<Event>} Finished event
+         * @throws {Error} If the event is not in progress
+         */
+        forceFinishEvent: async (_, { id }) => {
+            try {
+                const resolved = await eventConditions.forceFinishEvent(id);
+                if (!resolved) {
+                    throw new Error('Event is not in progress');
+                }
+                return await eventService.findById(id, true);
+            } catch (error) {
+                console.error('Error force finishing event:', error);
+                handleServiceError(error, 'Failed to finish event');
+            }
+        },
+
+        /**
+         * Fails an in-progress event immediately and refunds participants (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.id - ID of the event
+         * @returns {Promise<Event>} Failed event
+         * @throws {Error} If the event is not in progress
+         */
+        forceFailEvent: async (_, { id }) => {
+            try {
+                const resolved = await eventConditions.forceFailEvent(id);
+                if (!resolved) {
+                    throw new Error('Event is not in progress');
+                }
+                return await eventService.findById(id, true);
+            } catch (error) {
+                console.error('Error force failing event:', error);
+                handleServiceError(error, 'Failed to fail event');
+            }
+        },
+
+        /**
+         * Moves the time travel clock forward (admin only, see permissions and utils/clock)
+         * Deadline jobs that become due run on the next poll of the job worker
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.seconds - How far to move the clock
+         * @returns {Object} Clock mode, current time and offset from the system time
+         * @throws {Error} If the clock follows the system time or seconds is not positive
+         */
+        advanceClock: (_, { seconds }) => {
+            try {
+                clock.advance(seconds * 1000);
+                const state = clock.getState();
+                return { ...state, now: state.now.toISOString() };
+            } catch (error) {
+                console.error('Error advancing clock:', error);
+                handleServiceError(error, 'Failed to advance clock');
+            }
+        },
+
+        /**
+         * Edits or removes user-supplied content of an event (moderators and admins, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.id - ID of the event
+         * @param {Object} args.input - Moderation data
+         * @param {string} [args.input.name] - Replacement event name
+         * @param {string} [args.input.description] - Replacement description
+         * @param {boolean} [args.input.removeImage] - Whether to remove the event image
+         * @param {Object} context - GraphQL context
+         * @param {Object} context.user - Authenticated moderator
+         * @returns {Promise<Event>} Moderated event
+         * @throws {Error} If there is nothing to change or the update fails
+         */
+        moderateEvent: async (_, { id, input }, { user }) => {
+            try {
+                const event = await eventService.moderate(id, input, user.id);
+
+                pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+                    eventUpdated: { id }
+                });
+
+                return event;
+            } catch (error) {
+                console.error('Error moderating event:', error);
+                handleServiceError(error, 'Failed to moderate event');
+            }
+        },
+
+        /**
+         * Stores a new fee schedule for an event type (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {Object} args.input - Schedule data (eventType, commissionRate, jackpot terms, effectiveFrom)
+         * @param {Object} context - GraphQL context
+         * @param {Object} context.user - Authenticated admin
+         * @returns {Promise<Object>} Fee terms of the new schedule
+         * @throws {Error} If validation fails or the schedule cannot be stored
+         */
+        updateFeeSchedule: async (_, { input }, { user }) => {
+            try {
+                const { error } = feeScheduleSchema.validate(input);
+                if (error) {
+                    throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+                }
+
+                return await feeScheduleService.update(input, user.id);
+            } catch (error) {
+                console.error('Error updating fee schedule:', error);
+                handleServiceError(error, 'Failed to update fee schedule');
+            }
         }
     },
 
@@ -88,27 +502,29 @@ const eventResolvers = {
      */
     Event: {
         /**
-         * Calculates the total bank amount from all participations
+         * Resolves the total amount deposited by all participants, stored on the event
          * @param {Event} event - Parent Event object
-         * @returns {Promise<number>} Total amount deposited by all participants
+         * @returns {number} Total amount deposited by all participants
          */
-        bankAmount: async (event) => {
-            try {
-                return await eventService.calculateBankAmount(event.id);
-            } catch (error) {
-                console.error('Error calculating bank amount:', error);
-                return 0;
-            }
-        },
+        bankAmount: (event) => Number(event.bankAmount) || 0,
+
+        /**
+         * Resolves the number of participants, stored on the event
+         * @param {Event} event - Parent Event object
+         * @returns {number} Number of participants
+         */
+        participantCount: (event) => event.participantCount || 0,
 
         /**
          * Resolves all end condition groups for the event
          * @param {Event} event - Parent Event object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<EventEndCondition[]>} Array of end condition groups with their conditions
          */
-        endConditions: async (event) => {
+        endConditions: async (event, _, context) => {
             try {
-                return await eventEndConditionService.findByEventId(event.id);
+                return await getLoaders(context).conditionGroupsByEvent.load(event.id);
             } catch (error) {
                 console.error('Error fetching end conditions:', error);
                 return [];
@@ -118,12 +534,14 @@ const eventResolvers = {
         /**
          * Resolves the user who created this event
          * @param {Event} event - Parent Event object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<User|null>} Creator user object or null if no creator
          */
-        creator: async (event) => {
+        creator: async (event, _, context) => {
             if (!event.userId) return null;
             try {
-                return await userService.findById(event.userId, false);
+                return await getLoaders(context).users.load(event.userId);
             } catch (error) {
                 console.error('Error fetching event creator:', error);
                 return null;
@@ -133,12 +551,14 @@ const eventResolvers = {
         /**
          * Resolves the user who will receive rewards from this event
          * @param {Event} event - Parent Event object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<User|null>} Recipient user object or null if no recipient
          */
-        recipient: async (event) => {
+        recipient: async (event, _, context) => {
             if (!event.recipientId) return null;
             try {
-                return await userService.findById(event.recipientId, false);
+                return await getLoaders(context).users.load(event.recipientId);
             } catch (error) {
                 console.error('Error fetching event recipient:', error);
                 return null;
@@ -148,11 +568,13 @@ const eventResolvers = {
         /**
          * Resolves all user participations in this event
          * @param {Event} event - Parent Event object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<Participation[]>} Array of participations with user details
          */
-        participations: async (event) => {
+        participations: async (event, _, context) => {
             try {
-                return await participationService.findByEvent(event.id);
+                return await getLoaders(context).participationsByEvent.load(event.id);
             } catch (error) {
                 console.error('Error fetching event participations:', error);
                 return [];
@@ -160,6 +582,40 @@ const eventResolvers = {
         }
     },
 
+    /**
+     * Field resolvers for EventRevision type
+     */
+    EventRevision: {
+        /**
+         * Resolves the user who made the edit
+         * @param {EventRevision} revision - Parent EventRevision object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
+         * @returns {Promise<User|null>} Editor or null if unknown
+         */
+        editor: async (revision, _, context) => {
+            if (!revision.userId) return null;
+            try {
+                return await getLoaders(context).users.load(revision.userId);
+            } catch (error) {
+                console.error('Error fetching revision editor:', error);
+                return null;
+            }
+        }
+    },
+
+    /**
+     * Field resolvers for ConditionLogEntry type
+     */
+    ConditionLogEntry: {
+        /**
+         * Resolves the evaluation time in ISO format
+         * @param {ConditionLog} entry - Parent ConditionLog object
+         * @returns {string} Evaluation time
+         */
+        evaluatedAt: (entry) => new Date(entry.evaluatedAt).toISOString()
+    },
+
     /**
      * Field resolvers for EventEndCondition type
      * Handles resolution of individual conditions within condition groups
@@ -168,19 +624,62 @@ const eventResolvers = {
         /**
          * Resolves all individual conditions within an end condition group
          * @param {EventEndCondition} eventEndCondition - Parent EventEndCondition object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<EndCondition[]>} Array of individual conditions in this group
          */
-        conditions: async (eventEndCondition) => {
+        conditions: async (eventEndCondition, _, context) => {
             try {
                 if (eventEndCondition.conditions) return eventEndCondition.conditions;
-                
-                const { endConditionService } = require('../../../service');
-                return await endConditionService.findByEventEndCondition(eventEndCondition.id);
+
+                return await getLoaders(context).conditionsByGroup.load(eventEndCondition.id);
             } catch (error) {
                 console.error('Error fetching conditions:', error);
                 return [];
             }
         }
+    },
+
+    /**
+     * Field resolvers for EndCondition type
+     * Progress is computed live from the event, so it is always up to date
+     */
+    EndCondition: {
+        /**
+         * Resolves the current value of the condition
+         * @param {EndCondition} endCondition - Parent EndCondition object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
+         * @returns {Promise<number|null>} Current value
+         */
+        currentValue: async (endCondition, _, context) => {
+            const progress = await getConditionProgress(endCondition, context);
+            return progress ? progress.currentValue : null;
+        },
+
+        /**
+         * Resolves the progress of the condition in percent
+         * @param {EndCondition} endCondition - Parent EndCondition object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
+         * @returns {Promise<number|null>} Progress between 0 and 100
+         */
+        progressPercent: async (endCondition, _, context) => {
+            const progress = await getConditionProgress(endCondition, context);
+            return progress ? progress.progressPercent : null;
+        },
+
+        /**
+         * Resolves the seconds left until the deadline of a TIME or DURATION condition
+         * @param {EndCondition} endCondition - Parent EndCondition object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
+         * @returns {Promise<number|null>} Seconds left, null for other conditions
+         */
+        remainingSeconds: async (endCondition, _, context) => {
+            const progress = await getConditionProgress(endCondition, context);
+            return progress ? progress.remainingSeconds : null;
+        }
     }
 };
 
@@ -1,8 +1,9 @@
-const { participationService, transactionService, userService, eventService } = require('../../../service');
+const { participationService, transactionService, userService, ledgerService } = require('../../../service');
 const { pubsub, SUBSCRIPTION_EVENTS } = require('../../pubsub');
 const createParticipationSchema = require('../../../validation/schema/ParticipationSchema');
 const createTransactionSchema = require('../../../validation/schema/TransactionSchema');
 const { handleServiceError } = require('../../utils/errorHandler');
+const { getLoaders } = require('../../utils/loaders');
 
 /**
  * GraphQL resolvers for Participation-related operations
@@ -42,6 +43,20 @@ const participationResolvers = {
                 console.error('Error fetching user balance:', error);
                 return 0;
             }
+        },
+
+        /**
+         * Reconciles the ledger against the money minted into the system (admin only, see permissions)
+         * @returns {Promise<Object>} Reconciliation report with account totals and differences
+         * @throws {Error} If the report cannot be built
+         */
+        ledgerReconciliation: async () => {
+            try {
+                return await ledgerService.reconcile();
+            } catch (error) {
+                console.error('Error reconciling ledger:', error);
+                handleServiceError(error, 'Failed to reconcile ledger');
+            }
         }
     },
 
@@ -53,11 +68,13 @@ const participationResolvers = {
          * @param {Object} args.input - Transaction creation data
          * @param {number} args.input.amount - Transaction amount
          * @param {string} args.input.type - Transaction type (e.g., 'EVENT_OUTCOME')
-         * @param {number} args.input.userId - ID of the user making the transaction
+         * @param {number} args.input.userId - ID of the user making the transaction (resolved from the token, see permissions)
+         * @param {number} [args.input.eventId] - ID of the event for event-related types
+         * @param {string} [args.idempotencyKey] - Client key making retries return the original transaction
          * @returns {Promise<Transaction>} Created transaction object
          * @throws {Error} If transaction creation fails or validation errors occur
          */
-        createTransaction: async (_, { input }) => {
+        createTransaction: async (_, { input, idempotencyKey }) => {
             try {
                 // Validate transaction input data
                 const { error } = createTransactionSchema.validate(input);
@@ -65,7 +82,7 @@ const participationResolvers = {
                     throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
                 }
 
-                const transaction = await transactionService.create(input);
+                const transaction = await transactionService.create(input, idempotencyKey);
                 return transaction;
             } catch (error) {
                 console.error('Error creating transaction:', error);
@@ -79,16 +96,17 @@ const participationResolvers = {
          * @param {Object} _ - Parent object (unused)
          * @param {Object} args - Mutation arguments
          * @param {Object} args.input - Participation upsert data
-         * @param {number} args.input.userId - ID of the participating user
+         * @param {number} args.input.userId - ID of the participating user (resolved from the token, see permissions)
          * @param {number} args.input.eventId - ID of the event to participate in
          * @param {number} args.input.deposit - Amount to deposit or add to existing deposit
+         * @param {string} [args.idempotencyKey] - Client key making retries return the original result without a new debit
          * @returns {Promise<Object>} Result object with participation, transaction, and creation status
          * @returns {Participation} returns.participation - Created or updated participation
          * @returns {boolean} returns.isNewParticipation - Whether this was a new participation
          * @returns {Transaction} returns.transaction - Associated transaction record
          * @throws {Error} If participation creation/update fails or validation errors occur
          */
-        upsertParticipation: async (_, { input }) => {
+        upsertParticipation: async (_, { input, idempotencyKey }) => {
             try {
                 // Validate participation input data
                 const { error } = createParticipationSchema.validate(input);
@@ -96,62 +114,25 @@ const participationResolvers = {
                     throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
                 }
 
-                const { userId, eventId, deposit } = input;
-                
-                // Check if user already participates in this event
-                const existingParticipation = await participationService.findByUserAndEvent(userId, eventId);
-                
-                let participation;
-                let isNewParticipation;
-                let transaction;
-                
-                if (existingParticipation) {
-                    // Update existing participation by adding to current deposit
-                    const newDeposit = existingParticipation.deposit + deposit;
-                    participation = await participationService.update(existingParticipation.id, {
-                        deposit: newDeposit
-                    });
-                    
-                    // Create transaction record for the additional deposit
-                    transaction = await transactionService.create({
-                        amount: deposit,
-                        type: 'EVENT_OUTCOME',
-                        userId: userId
-                    });
-                    
-                    isNewParticipation = false;
+                const { userId, eventId } = input;
 
-                    // Trigger event condition checks for updated participation
-                    const eventConditions = require('../../../utils/eventCondition');
-                    await eventConditions.onParticipationUpdated(eventId, userId, newDeposit);
+                // Debit, participation write and condition checks run in one database transaction
+                const { participation, isNewParticipation, transaction, replayed } = await participationService.upsert(input, idempotencyKey);
 
-                    // Publish real-time update for participation change
-                    pubsub.publish(SUBSCRIPTION_EVENTS.PARTICIPATION_UPDATED, {
-                        participationUpdated: { id: existingParticipation.id, eventId }
-                    });
-                } else {
-                    // Create new participation record
-                    const newParticipation = await participationService.create({
-                        userId,
-                        eventId,
-                        deposit
-                    });
-                    
-                    // Create associated transaction record
-                    transaction = await transactionService.create({
-                        amount: deposit,
-                        type: 'EVENT_OUTCOME',
-                        userId: userId
-                    });
-                    
-                    // Retrieve full participation data with associations
-                    participation = await participationService.findById(newParticipation.id);
-                    
-                    isNewParticipation = true;
+                // A retried request changed nothing, so there is nothing to notify about
+                if (replayed) {
+                    return { participation, isNewParticipation, transaction };
+                }
 
+                if (isNewParticipation) {
                     // Publish real-time update for new participation
                     pubsub.publish(SUBSCRIPTION_EVENTS.PARTICIPATION_CREATED, {
-                        participationCreated: { id: newParticipation.id, eventId }
+                        participationCreated: { id: participation.id, eventId }
+                    });
+                } else {
+                    // Publish real-time update for participation change
+                    pubsub.publish(SUBSCRIPTION_EVENTS.PARTICIPATION_UPDATED, {
+                        participationUpdated: { id: participation.id, eventId }
                     });
                 }
 
@@ -186,13 +167,15 @@ const participationResolvers = {
         /**
          * Resolves the user associated with a participation
          * @param {Participation} participation - Parent Participation object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<User|null>} User object or null if not found
          */
-        user: async (participation) => {
+        user: async (participation, _, context) => {
             // Return cached user if already loaded
             if (participation.user) return participation.user;
             try {
-                return await userService.findById(participation.userId, false);
+                return await getLoaders(context).users.load(participation.userId);
             } catch (error) {
                 console.error('Error fetching participation user:', error);
                 return null;
@@ -202,13 +185,15 @@ const participationResolvers = {
         /**
          * Resolves the event associated with a participation
          * @param {Participation} participation - Parent Participation object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<Event|null>} Event object or null if not found
          */
-        event: async (participation) => {
+        event: async (participation, _, context) => {
             // Return cached event if already loaded
             if (participation.event) return participation.event;
             try {
-                return await eventService.findById(participation.eventId, false);
+                return await getLoaders(context).events.load(participation.eventId);
             } catch (error) {
                 console.error('Error fetching participation event:', error);
                 return null;
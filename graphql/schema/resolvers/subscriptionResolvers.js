@@ -11,10 +11,12 @@ const subscriptionResolvers = {
         /**
          * Real-time subscription for event updates
          * Notifies subscribers when an event is modified (participations, status, etc.)
+         * Drafts are only sent to the users who can see them (see EventService isVisibleTo)
          * @param {Object} payload - Subscription payload containing event data
          * @param {Object} variables - Subscription variables
          * @param {number} variables.eventId - ID of the event to subscribe to
-         * @returns {Promise<Event|null>} Updated event object with full details
+         * @param {Object} context - GraphQL context with the authenticated user
+         * @returns {Promise<Event|null>} Updated event object with full details, null for drafts the user can't see
          */
         eventUpdated: {
             // Filter subscription to only notify for specific event ID
@@ -26,10 +28,14 @@ const subscriptionResolvers = {
                 }
             ),
             // Resolve function to fetch complete event data when update occurs
-            resolve: async (payload) => {
+            resolve: async (payload, _, { user }) => {
                 try {
                     // Return complete event information with all associations
-                    return await eventService.findById(payload.eventUpdated.id, true);
+                    const event = await eventService.findById(payload.eventUpdated.id, true);
+                    if (event && !eventService.isVisibleTo(event, user)) {
+                        return null;
+                    }
+                    return event;
                 } catch (error) {
                     console.error('Error fetching event for subscription:', error);
                     return null;
@@ -130,7 +136,8 @@ const subscriptionResolvers = {
          * @param {Object} payload - Subscription payload containing event condition data
          * @param {Object} variables - Subscription variables
          * @param {number} variables.eventId - ID of the event to monitor for condition updates
-         * @returns {Promise<EventEndCondition[]>} Array of updated event end conditions
+         * @param {Object} context - GraphQL context with the authenticated user
+         * @returns {Promise<EventEndCondition[]>} Array of updated event end conditions, empty for drafts the user can't see
          */
         eventConditionsUpdated: {
             // Filter subscription to only notify for specific event's condition updates
@@ -142,8 +149,12 @@ const subscriptionResolvers = {
                 }
             ),
             // Resolve function to fetch updated event conditions
-            resolve: async (payload) => {
+            resolve: async (payload, _, { user }) => {
                 try {
+                    const event = await eventService.findById(payload.eventConditionsUpdated.eventId, false);
+                    if (!event || !eventService.isVisibleTo(event, user)) {
+                        return [];
+                    }
                     // Return updated event end conditions with all details
                     return await eventEndConditionService.findByEventId(payload.eventConditionsUpdated.eventId);
                 } catch (error) {
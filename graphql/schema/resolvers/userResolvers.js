@@ -1,5 +1,8 @@
-const { userService, participationService } = require('../../../service');
+const { userService, eventService, transactionService } = require('../../../service');
+const { pubsub, SUBSCRIPTION_EVENTS } = require('../../pubsub');
 const { handleServiceError } = require('../../utils/errorHandler');
+const { getLoaders } = require('../../utils/loaders');
+const { TRANSACTION_TYPES } = require('../../../constants');
 
 /**
  * GraphQL resolvers for User-related operations
@@ -110,7 +113,7 @@ const userResolvers = {
          * Updates an existing user's information
          * @param {Object} _ - Parent object (unused)
          * @param {Object} args - Mutation arguments
-         * @param {number} args.id - ID of user to update
+         * @param {number} args.id - ID of user to update (must be the authenticated user, see permissions)
          * @param {Object} args.input - User update data
          * @param {string} [args.input.username] - New username
          * @param {string} [args.input.email] - New email address
@@ -128,6 +131,57 @@ const userResolvers = {
                 handleServiceError(error, 'Failed to update user');
             }
         },
+
+        /**
+         * Credits money to a user's balance (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.userId - ID of the user to credit
+         * @param {number} args.amount - Positive amount to add to the balance
+         * @returns {Promise<User>} User with the updated balance
+         * @throws {Error} If amount is not positive or the transaction fails
+         */
+        creditBalance: async (_, { userId, amount }) => {
+            try {
+                if (!(amount > 0)) {
+                    throw new Error('Validation error: amount must be positive');
+                }
+
+                await transactionService.create({
+                    amount,
+                    type: TRANSACTION_TYPES.BALANCE_INCOME,
+                    userId
+                });
+
+                // Notify subscribers of user balance change
+                pubsub.publish(SUBSCRIPTION_EVENTS.BALANCE_UPDATED, {
+                    balanceUpdated: { id: userId }
+                });
+
+                return await userService.findById(userId, false);
+            } catch (error) {
+                console.error('Error crediting balance:', error);
+                handleServiceError(error, 'Failed to credit balance');
+            }
+        },
+
+        /**
+         * Changes the role of a user (admin only, see permissions)
+         * @param {Object} _ - Parent object (unused)
+         * @param {Object} args - Mutation arguments
+         * @param {number} args.userId - ID of the user
+         * @param {string} args.role - New role (USER, MODERATOR or ADMIN)
+         * @returns {Promise<User>} Updated user object
+         * @throws {Error} If the role is unknown or the update fails
+         */
+        setUserRole: async (_, { userId, role }) => {
+            try {
+                return await userService.updateRole(userId, role);
+            } catch (error) {
+                console.error('Error setting user role:', error);
+                handleServiceError(error, 'Failed to set user role');
+            }
+        },
     },
 
     /**
@@ -137,14 +191,20 @@ const userResolvers = {
     User: {
         /**
          * Resolves all events associated with a user (both created and received)
+         * Drafts are only included for their creator and admins
          * @param {User} user - Parent User object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} [context] - GraphQL context with the authenticated user, if any, and the request loaders
          * @returns {Promise<Event[]>} Combined array of created and received events
          */
-        events: async (user) => {
+        events: async (user, _, context = {}) => {
             try {
-                const createdEvents = await user.getCreatedEvents();
-                const receivedEvents = await user.getReceivedEvents();
-                return [...createdEvents, ...receivedEvents];
+                const loaders = getLoaders(context);
+                const [createdEvents, receivedEvents] = await Promise.all([
+                    loaders.eventsByCreator.load(user.id),
+                    loaders.eventsByRecipient.load(user.id)
+                ]);
+                return [...createdEvents, ...receivedEvents].filter(event => eventService.isVisibleTo(event, context.user));
             } catch (error) {
                 console.error('Error fetching user events:', error);
                 return [];
@@ -153,12 +213,16 @@ const userResolvers = {
 
         /**
          * Resolves events created by the user
+         * Drafts are only included for their creator and admins
          * @param {User} user - Parent User object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} [context] - GraphQL context with the authenticated user, if any, and the request loaders
          * @returns {Promise<Event[]>} Array of events created by this user
          */
-        createdEvents: async (user) => {
+        createdEvents: async (user, _, context = {}) => {
             try {
-                return await user.getCreatedEvents();
+                const createdEvents = await getLoaders(context).eventsByCreator.load(user.id);
+                return createdEvents.filter(event => eventService.isVisibleTo(event, context.user));
             } catch (error) {
                 console.error('Error fetching user created events:', error);
                 return [];
@@ -167,12 +231,16 @@ const userResolvers = {
 
         /**
          * Resolves events where the user is the recipient
+         * Drafts are only included for their creator and admins
          * @param {User} user - Parent User object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} [context] - GraphQL context with the authenticated user, if any, and the request loaders
          * @returns {Promise<Event[]>} Array of events where this user is the recipient
          */
-        receivedEvents: async (user) => {
+        receivedEvents: async (user, _, context = {}) => {
             try {
-                return await user.getReceivedEvents();
+                const receivedEvents = await getLoaders(context).eventsByRecipient.load(user.id);
+                return receivedEvents.filter(event => eventService.isVisibleTo(event, context.user));
             } catch (error) {
                 console.error('Error fetching user received events:', error);
                 return [];
@@ -182,20 +250,22 @@ const userResolvers = {
         /**
          * Resolves all participations for the user
          * @param {User} user - Parent User object
+         * @param {Object} _ - Field arguments (unused)
+         * @param {Object} context - GraphQL context with the request loaders
          * @returns {Promise<Participation[]>} Array of user's participations with event details
          */
-        participations: async (user) => {
+        participations: async (user, _, context) => {
             try {
-                return await participationService.findByUser(user.id);
+                return await getLoaders(context).participationsByUser.load(user.id);
             } catch (error) {
                 console.error('Error fetching user participations:', error);
                 return [];
             }
         },
 
-        accounts: async (user) => {
+        accounts: async (user, _, context) => {
             try {
-                return await userService.findAccounts(user.id);
+                return await getLoaders(context).accountsByUser.load(user.id);
             } catch (error) {
                 console.error('Error fetching user accounts:', error);
                 return [];
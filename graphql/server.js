@@ -3,10 +3,12 @@ const { useServer } = require('graphql-ws/lib/use/ws');
 const { WebSocketServer } = require('ws');
 const schema = require('./schema');
 const { createGraphQLContext, createWebSocketContext } = require('../middleware/authMiddleware');
+const { createLoaders } = require('./utils/loaders');
 const ApiError = require('../exception/ApiError');
 
 /**
  * Creates a GraphQL HTTP handler
+ * Every request gets its own loaders (see utils/loaders)
  * @returns {Function} Express middleware for handling GraphQL requests
  */
 const createGraphQLHandler = () => {
@@ -15,13 +17,13 @@ const createGraphQLHandler = () => {
         context: (request, params) => {
 
             try {
-                return createGraphQLContext(request, params);
+                return { ...createGraphQLContext(request, params), loaders: createLoaders() };
             } catch (error) {
                 // For authorization errors, close the connection with code 4500
                 if (error instanceof ApiError && error.status === 401) {
                     throw new Error('Invalid or expired token');
                 }
-                return {user: null};
+                return {user: null, loaders: createLoaders()};
             }
         },
         // Enable GraphiQL IDE
@@ -35,6 +37,7 @@ const createGraphQLHandler = () => {
 
 /**
  * Sets up WebSocket server for GraphQL subscriptions
+ * Every subscription gets its own loaders; they only batch, since the subscription outlives any cached value
  * @param {Object} server - HTTP server instance
  * @returns {WebSocketServer} Configured WebSocket server
  */
@@ -58,11 +61,11 @@ const setupWebSocketServer = (server) => {
             },
             context: (ctx) => {
                 try {
-                    return createWebSocketContext(ctx);
+                    return { ...createWebSocketContext(ctx), loaders: createLoaders({ cache: false }) };
                 } catch (error) {
                     console.error('Error creating WebSocket context:', error);
                     // Return context with null user instead of throwing error
-                    return { user: null };
+                    return { user: null, loaders: createLoaders({ cache: false }) };
                 }
             },
         },
@@ -0,0 +1,157 @@
+const ApiError = require('../../exception/ApiError');
+const { USER_ROLES } = require('../../constants/application');
+
+/**
+ * Authorization guards for GraphQL resolvers
+ * A guard wraps a resolver and runs its checks against context.user (built by createGraphQLContext from the JWT)
+ * before the resolver is called. Guards are attached centrally through applyPermissions
+ */
+
+/**
+ * Returns the authenticated user from the GraphQL context
+ * @param {Object} context - GraphQL context
+ * @returns {Object} Token payload of the authenticated user
+ * @throws {ApiError} Unauthorized if the request has no valid token
+ */
+const getAuthenticatedUser = (context) => {
+    const user = context && context.user;
+    if (!user) {
+        throw ApiError.unauthorized('Not authenticated');
+    }
+    return user;
+};
+
+/**
+ * Checks if the user has one of the given roles
+ * @param {Object|null} user - Token payload
+ * @param {string[]} roles - Accepted roles from USER_ROLES
+ * @returns {boolean} True if the user's role is accepted
+ */
+const hasRole = (user, roles) => Boolean(user && roles.includes(user.role));
+
+/**
+ * Checks if the user has the admin role
+ * @param {Object|null} user - Token payload
+ * @returns {boolean} True for admins
+ */
+const isAdmin = (user) => hasRole(user, [USER_ROLES.ADMIN]);
+
+/**
+ * Rejects unauthenticated requests
+ * @param {Function} resolver - Resolver to protect
+ * @returns {Function} Guarded resolver
+ */
+const requireAuth = (resolver) => (parent, args, context, info) => {
+    getAuthenticatedUser(context);
+    return resolver(parent, args, context, info);
+};
+
+/**
+ * Rejects requests from users without the admin role
+ * @param {Function} resolver - Resolver to protect
+ * @returns {Function} Guarded resolver
+ */
+const requireAdmin = (resolver) => (parent, args, context, info) => {
+    const user = getAuthenticatedUser(context);
+    if (!isAdmin(user)) {
+        throw ApiError.forbidden('Admin access required');
+    }
+    return resolver(parent, args, context, info);
+};
+
+/**
+ * Rejects requests from users without one of the given roles
+ * @param {...string} roles - Accepted roles from USER_ROLES
+ * @returns {Function} Guard factory
+ */
+const requireRole = (...roles) => (resolver) => (parent, args, context, info) => {
+    const user = getAuthenticatedUser(context);
+    if (!hasRole(user, roles)) {
+        throw ApiError.forbidden(`Requires one of roles: ${roles.join(', ')}`);
+    }
+    return resolver(parent, args, context, info);
+};
+
+/**
+ * Rejects non-admin requests only when the predicate matches the arguments
+ * Used for operations where some variants are self-service and others are admin-only
+ * @param {Function} predicate - Receives resolver args, returns true if admin rights are needed
+ * @returns {Function} Guard factory
+ */
+const requireAdminWhen = (predicate) => (resolver) => (parent, args, context, info) => {
+    if (predicate(args)) {
+        return requireAdmin(resolver)(parent, args, context, info);
+    }
+    return resolver(parent, args, context, info);
+};
+
+/**
+ * Derives the acting user of an input-based mutation from the token
+ * Fills input.userId with the authenticated user's ID when omitted;
+ * a different userId is only accepted from admins
+ * @param {Function} resolver - Resolver to protect
+ * @returns {Function} Guarded resolver
+ */
+const requireActingUser = (resolver) => (parent, args, context, info) => {
+    const user = getAuthenticatedUser(context);
+    const input = args.input || {};
+
+    if (input.userId !== undefined && input.userId !== null && input.userId !== user.id && !isAdmin(user)) {
+        throw ApiError.forbidden('Cannot act on behalf of another user');
+    }
+
+    const userId = input.userId !== undefined && input.userId !== null ? input.userId : user.id;
+    return resolver(parent, { ...args, input: { ...input, userId } }, context, info);
+};
+
+/**
+ * Restricts a mutation to the owner of the record identified by an argument
+ * @param {string} argName - Name of the argument holding the target user ID
+ * @returns {Function} Guard factory
+ */
+const requireOwner = (argName) => (resolver) => (parent, args, context, info) => {
+    const user = getAuthenticatedUser(context);
+    if (args[argName] !== user.id && !isAdmin(user)) {
+        throw ApiError.forbidden('Access denied');
+    }
+    return resolver(parent, args, context, info);
+};
+
+/**
+ * Wraps resolvers with the guards listed in a permission map
+ * Guards are applied so that the first one in the list runs first
+ * @param {Object} resolvers - Merged resolver map
+ * @param {Object} permissions - Map of type name -> field name -> array of guards
+ * @returns {Object} Resolver map with guarded fields
+ * @throws {Error} If a permission targets a resolver that doesn't exist
+ */
+const applyPermissions = (resolvers, permissions) => {
+    const guarded = { ...resolvers };
+
+    for (const [typeName, fields] of Object.entries(permissions)) {
+        guarded[typeName] = { ...resolvers[typeName] };
+
+        for (const [fieldName, guards] of Object.entries(fields)) {
+            const resolver = guarded[typeName][fieldName];
+            if (typeof resolver !== 'function') {
+                throw new Error(`Cannot apply permissions to missing resolver ${typeName}.${fieldName}`);
+            }
+            guarded[typeName][fieldName] = guards.reduceRight((wrapped, guard) => guard(wrapped), resolver);
+        }
+    }
+
+    return guarded;
+};
+
+module.exports = {
+    getAuthenticatedUser,
+    hasRole,
+    isAdmin,
+    requireAuth,
+    requireRole,
+    requireAdmin,
+    requireAdminWhen,
+    requireActingUser,
+    requireOwner,
+    applyPermissions
+};
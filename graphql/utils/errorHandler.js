@@ -2,16 +2,26 @@ const ApiError = require('../../exception/ApiError');
 
 /**
  * Handles errors from services and converts them into GraphQL-compatible Error
+ * Error details with a code (e.g. rejected end conditions) are returned in the extensions of the error
+ * instead of being added to the message
  * @param {Error} error - Base error
  * @param {string} fallbackMessage - Fallback message if not ApiError
  * @throws {Error} GraphQL-compatible error
  */
 function handleServiceError(error, fallbackMessage = 'Operation failed') {
     if (error instanceof ApiError) {
-        const errorMessage = error.errors && error.errors.length > 0 
-            ? `${error.message}: ${error.errors.join(', ')}`
+        const details = Array.isArray(error.errors) ? error.errors : [];
+        const codedDetails = details.filter(detail => detail && typeof detail === 'object' && detail.code);
+        const messageDetails = details.filter(detail => typeof detail === 'string');
+
+        const errorMessage = messageDetails.length > 0
+            ? `${error.message}: ${messageDetails.join(', ')}`
             : error.message;
-        throw new Error(errorMessage);
+        const graphQLError = new Error(errorMessage);
+        if (codedDetails.length > 0) {
+            graphQLError.extensions = { errors: codedDetails };
+        }
+        throw graphQLError;
     }
     
     throw new Error(error.message || fallbackMessage);
@@ -19,4 +29,4 @@ function handleServiceError(error, fallbackMessage = 'Operation failed') {
 
 module.exports = {
     handleServiceError
-}; 
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+const DataLoader = require('dataloader');
+const {
+    userService,
+    eventService,
+    participationService,
+    eventEndConditionService,
+    endConditionService,
+    transactionService,
+    achievementService,
+    achievementCriterionService,
+    userCriterionProgressService
+} = require('../../service');
+const EventConditionTracker = require('../../utils/eventCondition/EventConditionTracker');
+
+/**
+ * Per-request DataLoaders for GraphQL field resolvers
+ * Field resolvers of a list (e.g. the creator of every event of a page) ask their loader for one key each;
+ * the loader collects the keys requested in the same tick and fetches them in one query, so a request
+ * runs one query per field instead of one per item. Each request gets its own loaders, so cached
+ * records never leak between users or outlive the request
+ */
+
+/**
+ * Creates a loader of records by ID
+ * @param {Function} findByIds - (ids) => records with these IDs
+ * @param {Object} options - DataLoader options
+ * @returns {DataLoader} Loader resolving each ID to its record, or null if it doesn't exist
+ */
+const byId = (findByIds, options) => new DataLoader(async (ids) => {
+    const records = new Map((await findByIds([...ids])).map(record => [record.id, record]));
+    return ids.map(id => records.get(id) || null);
+}, options);
+
+/**
+ * Creates a loader of the records belonging to a key
+ * @param {Function} findByKeys - (keys) => records belonging to any of these keys
+ * @param {string} field - Field of the records holding the key
+ * @param {Object} options - DataLoader options
+ * @returns {DataLoader} Loader resolving each key to its records, or an empty array
+ */
+const groupedBy = (findByKeys, field, options) => new DataLoader(async (keys) => {
+    const groups = new Map(keys.map(key => [key, []]));
+    (await findByKeys([...keys])).forEach(record => {
+        const group = groups.get(record[field]);
+        if (group) {
+            group.push(record);
+        }
+    });
+    return keys.map(key => groups.get(key));
+}, options);
+
+/**
+ * Condition tracker that reads the events, participations and deposits of the progress fields through the
+ * loaders of a request, so the progress of every condition on a page takes one query per kind of data
+ */
+class LoadedConditionTracker extends EventConditionTracker {
+    /**
+     * @param {Object} loaders - Loaders of the request
+     */
+    constructor(loaders) {
+        super();
+        this.loaders = loaders;
+    }
+
+    async findConditionGroup(eventEndConditionId) {
+        return await this.loaders.conditionGroups.load(eventEndConditionId);
+    }
+
+    async findEventTotals(eventId) {
+        return await this.loaders.events.load(eventId);
+    }
+
+    async findEventWithParticipants(eventId) {
+        const [event, participations] = await Promise.all([
+            this.loaders.events.load(eventId),
+            this.loaders.participationsByEvent.load(eventId)
+        ]);
+        if (!event) {
+            return null;
+        }
+        // Fields the condition values are measured from
+        return { id: event.id, userId: event.userId, startsAt: event.startsAt, createdAt: event.createdAt, participations };
+    }
+
+    async getLargestDeposit(eventId) {
+        try {
+            return await this.loaders.largestDepositByEvent.load(eventId);
+        } catch (error) {
+            return 0;
+        }
+    }
+}
+
+/**
+ * Creates the loaders of one GraphQL request
+ * @param {Object} [options={}] - Loader options
+ * @param {boolean} [options.cache=true] - Whether loaded records are cached; subscriptions disable it,
+ * since their context lives as long as the subscription and the records change meanwhile
+ * @returns {Object} Loaders by name
+ */
+const createLoaders = ({ cache = true } = {}) => {
+    const options = { cache };
+
+    const loaders = {
+        users: byId(ids => userService.findByIds(ids), options),
+        accountsByUser: groupedBy(ids => userService.findAccountsByUsers(ids), 'userId', options),
+        events: byId(ids => eventService.findByIds(ids), options),
+        eventsByCreator: groupedBy(ids => eventService.findByCreators(ids), 'userId', options),
+        eventsByRecipient: groupedBy(ids => eventService.findByRecipients(ids), 'recipientId', options),
+        participationsByEvent: groupedBy(ids => participationService.findByEvents(ids), 'eventId', options),
+        participationsByUser: groupedBy(ids => participationService.findByUsers(ids), 'userId', options),
+        conditionGroupsByEvent: groupedBy(ids => eventEndConditionService.findByEventIds(ids), 'eventId', options),
+        conditionsByGroup: groupedBy(ids => endConditionService.findByEventEndConditions(ids), 'endConditionId', options),
+        conditionGroups: byId(ids => eventEndConditionService.findByIds(ids), options),
+        largestDepositByEvent: new DataLoader(async (ids) => {
+            const deposits = await transactionService.findLargestEventDeposits([...ids]);
+            return ids.map(id => deposits.get(id) || 0);
+        }, options),
+        achievements: byId(ids => achievementService.findByIds(ids), options),
+        achievementCriteria: byId(ids => achievementCriterionService.findByIds(ids), options),
+        progressByUserAchievement: groupedBy(ids => userCriterionProgressService.findByUserAchievementsWithCriteria(ids), 'userAchievementId', options)
+    };
+
+    // Live progress of end conditions, computed once per condition from the loaders above
+    const tracker = new LoadedConditionTracker(loaders);
+    loaders.conditionProgress = new DataLoader(
+        async (conditions) => await Promise.all(conditions.map(condition => tracker.getConditionProgress(condition).catch(error => error))),
+        { ...options, cacheKeyFn: condition => condition.id }
+    );
+
+    return loaders;
+};
+
+/**
+ * Returns the loaders of a request, creating them for callers without a GraphQL context
+ * @param {Object} [context] - GraphQL context
+ * @returns {Object} Loaders by name
+ */
+const getLoaders = (context) => {
+    if (!context) {
+        return createLoaders();
+    }
+    if (!context.loaders) {
+        context.loaders = createLoaders();
+    }
+    return context.loaders;
+};
+
+module.exports = {
+    createLoaders,
+    getLoaders
+};
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const ConditionLog = sequelize.define('ConditionLog', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        eventId: { type: DataTypes.INTEGER, allowNull: false },
+        type: {
+            type: DataTypes.ENUM('CONDITION_CHECKED', 'GROUP_COMPLETED', 'GROUP_FAILED', 'STATUS_CHANGED', 'EVALUATION_ERROR'),
+            allowNull: false
+        },
+        trigger: {
+            type: DataTypes.ENUM('PARTICIPATION', 'CRON', 'EVENT_START', 'MANUAL'),
+            allowNull: false
+        },
+        // Group and condition the entry is about, if any
+        eventEndConditionId: { type: DataTypes.INTEGER },
+        conditionId: { type: DataTypes.INTEGER },
+        conditionName: { type: DataTypes.STRING },
+        // Value measured for the condition (resolved deadline for deadline conditions) and its target, as strings
+        observedValue: { type: DataTypes.STRING },
+        targetValue: { type: DataTypes.STRING },
+        met: { type: DataTypes.BOOLEAN },
+        // Status transitions
+        fromStatus: { type: DataTypes.STRING },
+        toStatus: { type: DataTypes.STRING },
+        message: { type: DataTypes.TEXT },
+        // Time of the evaluation according to the application clock
+        evaluatedAt: { type: DataTypes.DATE, allowNull: false }
+    }, {
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ['eventId', 'evaluatedAt'] }]
+    });
+
+    ConditionLog.associate = models => {
+        ConditionLog.belongsTo(models.Event, { foreignKey: 'eventId', onDelete: 'CASCADE', as: 'event' });
+    };
+
+    return ConditionLog;
+};
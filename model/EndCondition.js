@@ -6,7 +6,7 @@ module.exports = (sequelize, DataTypes) => {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
         endConditionId: DataTypes.INTEGER,
         name: {
-            type: DataTypes.ENUM('TIME', 'BANK', 'PARTICIPATION'),
+            type: DataTypes.ENUM('TIME', 'BANK', 'PARTICIPATION', 'UNIQUE_DONORS', 'MAX_SINGLE_DEPOSIT', 'AVERAGE_DEPOSIT', 'DURATION'),
             allowNull: false,
             validate: {
                 notEmpty: true
@@ -28,7 +28,9 @@ module.exports = (sequelize, DataTypes) => {
         },
         isCompleted: { type: DataTypes.BOOLEAN, defaultValue: false }
     }, {
-        timestamps: true
+        timestamps: true,
+        // Deadline lookups of the events feed
+        indexes: [{ fields: ['endConditionId', 'name'] }]
     });
 
     EndCondition.associate = models => {
@@ -6,9 +6,12 @@ module.exports = (sequelize, DataTypes) => {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
         name: DataTypes.STRING,
         description: DataTypes.STRING,
-        bankAmount: { type: DataTypes.FLOAT, defaultValue: 0 },
+        // Totals of the participations, updated with every participation write (see ParticipationService)
+        // and recomputed by the nightly repair job (see EventService.repairTotals)
+        bankAmount: { type: DataTypes.DECIMAL(15, 2), defaultValue: 0 },
+        participantCount: { type: DataTypes.INTEGER, defaultValue: 0, allowNull: false },
         status: {
-            type: DataTypes.ENUM('IN_PROGRESS', 'FINISHED', 'FAILED'),
+            type: DataTypes.ENUM('DRAFT', 'SCHEDULED', 'IN_PROGRESS', 'FINISHED', 'FAILED', 'CANCELLED'),
             defaultValue: 'IN_PROGRESS',
             allowNull: false,
             validate: {
@@ -23,15 +26,38 @@ module.exports = (sequelize, DataTypes) => {
             }
         },
         imageUrl: DataTypes.STRING,
+        // When the event starts accepting participations; set when it is published or scheduled
+        startsAt: { type: DataTypes.DATE, allowNull: true },
         userId: DataTypes.INTEGER,
-        recipientId: DataTypes.INTEGER
+        recipientId: DataTypes.INTEGER,
+        // JACKPOT only: percentages of the payout per place (e.g. [60, 25, 15]), null for a single winner
+        prizeDistribution: { type: DataTypes.JSON, allowNull: true },
+        // Fee schedule in force when the event was created, used for its payout (see FeeScheduleService)
+        feeSnapshot: { type: DataTypes.JSON, allowNull: true },
+        // Set once deposits of a failed event have been returned to participants
+        isRefunded: { type: DataTypes.BOOLEAN, defaultValue: false },
+        // Set when the creator or an admin cancels the event (see EventService.cancel)
+        cancellationReason: { type: DataTypes.STRING, allowNull: true },
+        cancelledAt: { type: DataTypes.DATE, allowNull: true },
+        cancelledBy: { type: DataTypes.INTEGER, allowNull: true }
     }, {
-        timestamps: true
+        timestamps: true,
+        indexes: [
+            { fields: ['status', 'startsAt'] },
+            // Filters and default order of the events feed (see EventRepository.findPage)
+            { fields: ['type', 'status'] },
+            { fields: ['createdAt'] },
+            { fields: ['bankAmount'] },
+            { fields: ['participantCount'] },
+            // Event search (see EventRepository.search)
+            { type: 'FULLTEXT', fields: ['name', 'description'] }
+        ]
     });
 
     Event.associate = models => {
         Event.belongsTo(models.User, { as: 'creator', foreignKey: 'userId' });
         Event.belongsTo(models.User, { as: 'recipient', foreignKey: 'recipientId' });
+        Event.belongsTo(models.User, { as: 'canceller', foreignKey: 'cancelledBy' });
         Event.hasMany(models.Participation, { 
             foreignKey: 'eventId',
             as: 'participations'
@@ -40,6 +66,14 @@ module.exports = (sequelize, DataTypes) => {
             foreignKey: 'eventId',
             as: 'endConditions'
         });
+        Event.hasMany(models.EventRevision, {
+            foreignKey: 'eventId',
+            as: 'revisions'
+        });
+        Event.hasMany(models.ConditionLog, {
+            foreignKey: 'eventId',
+            as: 'conditionLogs'
+        });
     };
 
     return Event;
@@ -19,6 +19,12 @@ module.exports = (sequelize, DataTypes) => {
         isFailed: {
             type: DataTypes.BOOLEAN,
             defaultValue: false
+        },
+        // AND/OR/NOT tree over the group's conditions, e.g. { operator: 'AND', operands: [{ conditionId: 1 }, ...] }
+        // Null for plain groups, whose conditions must all be met
+        expression: {
+            type: DataTypes.JSON,
+            allowNull: true
         }
     }, {
         timestamps: true,
@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const EventRevision = sequelize.define('EventRevision', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        eventId: { type: DataTypes.INTEGER, allowNull: false },
+        // Sequence number of the edit within its event, starting at 1
+        revision: { type: DataTypes.INTEGER, allowNull: false },
+        // User who made the edit (creator, admin or moderator)
+        userId: { type: DataTypes.INTEGER, allowNull: true },
+        // Changed fields as [{ field, conditionId, from, to }], values stored as strings
+        changes: { type: DataTypes.JSON, allowNull: false }
+    }, {
+        timestamps: true,
+        indexes: [{ unique: true, fields: ['eventId', 'revision'] }]
+    });
+
+    EventRevision.associate = models => {
+        EventRevision.belongsTo(models.Event, {
+            foreignKey: 'eventId',
+            onDelete: 'CASCADE',
+            as: 'event'
+        });
+        EventRevision.belongsTo(models.User, { foreignKey: 'userId', as: 'editor' });
+    };
+
+    return EventRevision;
+};
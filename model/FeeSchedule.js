@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const FeeSchedule = sequelize.define('FeeSchedule', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        eventType: {
+            type: DataTypes.ENUM('DONATION', 'FUNDRAISING', 'JACKPOT'),
+            allowNull: false
+        },
+        // Share of the bank kept by the platform; the rest is paid out
+        commissionRate: { type: DataTypes.DECIMAL(5, 4), allowNull: false },
+        // JACKPOT only: bank-proportional base tickets (see JACKPOT_CONFIG)
+        randomnessCoefficient: { type: DataTypes.DECIMAL(5, 4), allowNull: true },
+        minimumBaseTickets: { type: DataTypes.INTEGER, allowNull: true },
+        // Rows are never edited: a change is a new row that takes over from this date
+        effectiveFrom: { type: DataTypes.DATE, allowNull: false },
+        createdBy: { type: DataTypes.INTEGER, allowNull: true }
+    }, {
+        timestamps: true,
+        indexes: [{ fields: ['eventType', 'effectiveFrom'] }]
+    });
+
+    FeeSchedule.associate = models => {
+        FeeSchedule.belongsTo(models.User, { foreignKey: 'createdBy', as: 'author' });
+    };
+
+    return FeeSchedule;
+};
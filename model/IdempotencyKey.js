@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const IdempotencyKey = sequelize.define('IdempotencyKey', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        userId: { type: DataTypes.INTEGER, allowNull: false },
+        key: { type: DataTypes.STRING, allowNull: false },
+        operation: { type: DataTypes.STRING, allowNull: false },
+        // Canonical JSON of the request, compared on every retry with the same key
+        requestPayload: { type: DataTypes.TEXT, allowNull: false },
+        // References needed to rebuild the original result (e.g. created record IDs)
+        response: { type: DataTypes.JSON },
+        expiresAt: { type: DataTypes.DATE, allowNull: false },
+    }, {
+        timestamps: true,
+        indexes: [
+            { unique: true, fields: ['userId', 'key'] },
+            { fields: ['expiresAt'] }
+        ]
+    });
+
+    IdempotencyKey.associate = models => {
+        IdempotencyKey.belongsTo(models.User, { foreignKey: 'userId', onDelete: 'CASCADE' });
+    };
+
+    return IdempotencyKey;
+};
@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const JackpotDraw = sequelize.define('JackpotDraw', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        eventId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+        // Published when the event is created
+        seedHash: { type: DataTypes.STRING(64), allowNull: false },
+        // Kept secret until the draw is revealed
+        serverSeed: { type: DataTypes.STRING(64), allowNull: false },
+        // Draw inputs and result, set when the event completes
+        clientSeed: { type: DataTypes.TEXT },
+        entries: { type: DataTypes.JSON },
+        totalWeight: { type: DataTypes.INTEGER },
+        roll: { type: DataTypes.INTEGER },
+        winnerId: { type: DataTypes.INTEGER },
+        // Every place of a multi-winner jackpot: [{ userId, roll, totalWeight }]
+        winners: { type: DataTypes.JSON },
+        revealedAt: { type: DataTypes.DATE },
+    }, {
+        timestamps: true
+    });
+
+    JackpotDraw.associate = models => {
+        JackpotDraw.belongsTo(models.Event, { foreignKey: 'eventId', onDelete: 'CASCADE' });
+        JackpotDraw.belongsTo(models.User, { foreignKey: 'winnerId', as: 'winner' });
+    };
+
+    return JackpotDraw;
+};
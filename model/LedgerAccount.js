@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const LedgerAccount = sequelize.define('LedgerAccount', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        type: {
+            type: DataTypes.ENUM('USER_WALLET', 'EVENT_ESCROW', 'PLATFORM_REVENUE', 'PLATFORM_MINT'),
+            allowNull: false
+        },
+        // User ID for wallets, event ID for escrow accounts, 0 for platform accounts
+        referenceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        timestamps: true,
+        indexes: [{ unique: true, fields: ['type', 'referenceId'] }]
+    });
+
+    LedgerAccount.associate = models => {
+        LedgerAccount.hasMany(models.LedgerEntry, { foreignKey: 'debitAccountId', as: 'debits' });
+        LedgerAccount.hasMany(models.LedgerEntry, { foreignKey: 'creditAccountId', as: 'credits' });
+    };
+
+    return LedgerAccount;
+};
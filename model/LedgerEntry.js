@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const LedgerEntry = sequelize.define('LedgerEntry', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        // Null for opening balances, which bring accounts of a database older than the ledger in line
+        // with the stored balances (see LedgerService.postOpeningBalances)
+        transactionId: { type: DataTypes.INTEGER, allowNull: true },
+        debitAccountId: { type: DataTypes.INTEGER, allowNull: false },
+        creditAccountId: { type: DataTypes.INTEGER, allowNull: false },
+        amount: { type: DataTypes.DECIMAL(15, 2), allowNull: false },
+    }, {
+        timestamps: true,
+        updatedAt: false
+    });
+
+    LedgerEntry.associate = models => {
+        LedgerEntry.belongsTo(models.Transaction, { foreignKey: 'transactionId', as: 'transaction' });
+        LedgerEntry.belongsTo(models.LedgerAccount, { foreignKey: 'debitAccountId', as: 'debitAccount' });
+        LedgerEntry.belongsTo(models.LedgerAccount, { foreignKey: 'creditAccountId', as: 'creditAccount' });
+    };
+
+    return LedgerEntry;
+};
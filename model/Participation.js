@@ -4,11 +4,13 @@ const { sequelize } = require('./db');
 module.exports = (sequelize, DataTypes) => {
     const Participation = sequelize.define('Participation', {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
-        deposit: DataTypes.FLOAT,
+        deposit: DataTypes.DECIMAL(15, 2),
         userId: DataTypes.INTEGER,
         eventId: DataTypes.INTEGER
     }, {
-        timestamps: true
+        timestamps: true,
+        // Covers the bank and participant subqueries of the events feed
+        indexes: [{ fields: ['eventId', 'deposit'] }]
     });
 
     Participation.associate = models => {
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('./db');
+
+module.exports = (sequelize, DataTypes) => {
+    const ScheduledJob = sequelize.define('ScheduledJob', {
+        id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+        type: {
+            type: DataTypes.ENUM('TIME_CONDITION', 'EVENT_RESOLUTION'),
+            allowNull: false
+        },
+        eventId: { type: DataTypes.INTEGER, allowNull: false },
+        // Condition the job was enqueued for; a condition has at most one job of each type
+        conditionId: { type: DataTypes.INTEGER },
+        runAt: { type: DataTypes.DATE, allowNull: false },
+        status: {
+            type: DataTypes.ENUM('PENDING', 'RUNNING', 'COMPLETED', 'FAILED'),
+            allowNull: false,
+            defaultValue: 'PENDING'
+        },
+        attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+        // Worker holding the job while it runs, and since when
+        lockedBy: { type: DataTypes.STRING },
+        lockedAt: { type: DataTypes.DATE },
+        lastError: { type: DataTypes.TEXT },
+        completedAt: { type: DataTypes.DATE },
+    }, {
+        timestamps: true,
+        indexes: [
+            { fields: ['status', 'runAt'] },
+            { unique: true, fields: ['type', 'conditionId'] }
+        ]
+    });
+
+    ScheduledJob.associate = models => {
+        ScheduledJob.belongsTo(models.Event, { foreignKey: 'eventId', onDelete: 'CASCADE' });
+        ScheduledJob.belongsTo(models.EndCondition, { foreignKey: 'conditionId', onDelete: 'CASCADE', as: 'condition' });
+    };
+
+    return ScheduledJob;
+};
@@ -4,15 +4,19 @@ const { sequelize } = require('./db');
 module.exports = (sequelize, DataTypes) => {
     const Transaction = sequelize.define('Transaction', {
         id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
-        amount: DataTypes.FLOAT,
-        type: DataTypes.ENUM('BALANCE_INCOME', 'BALANCE_OUTCOME', 'EVENT_INCOME', 'EVENT_OUTCOME', 'GIFT'),
+        amount: DataTypes.DECIMAL(15, 2),
+        type: DataTypes.ENUM('BALANCE_INCOME', 'BALANCE_OUTCOME', 'EVENT_INCOME', 'EVENT_OUTCOME', 'EVENT_REFUND', 'GIFT', 'COMMISSION'),
         userId: DataTypes.INTEGER,
+        // Event whose escrow account the money moves through (event-related types only)
+        eventId: DataTypes.INTEGER,
     }, {
         timestamps: true
     });
 
     Transaction.associate = models => {
         Transaction.belongsTo(models.User, { foreignKey: 'userId' });
+        Transaction.belongsTo(models.Event, { foreignKey: 'eventId' });
+        Transaction.hasMany(models.LedgerEntry, { foreignKey: 'transactionId', as: 'entries' });
     };
 
     return Transaction;
@@ -7,10 +7,15 @@ module.exports = (sequelize, DataTypes) => {
         email: { type: DataTypes.STRING, unique: true, allowNull: false },
         username: { type: DataTypes.STRING, unique: true, allowNull: false },
         password: { type: DataTypes.STRING },
-        balance: { type: DataTypes.FLOAT, defaultValue: 0 },
+        balance: { type: DataTypes.DECIMAL(15, 2), defaultValue: 0 },
         image: { type: DataTypes.STRING },
         isActivated: { type: DataTypes.BOOLEAN, defaultValue: false },
         activationLink: { type: DataTypes.STRING, unique: true },
+        role: {
+            type: DataTypes.ENUM('USER', 'MODERATOR', 'ADMIN'),
+            defaultValue: 'USER',
+            allowNull: false
+        },
     }, {
         timestamps: true
     });
@@ -22,6 +27,7 @@ module.exports = (sequelize, DataTypes) => {
         User.hasMany(models.Event, { as: 'receivedEvents', foreignKey: 'recipientId' });
         User.hasMany(models.Participation, { foreignKey: 'userId' });
         User.hasMany(models.UserAchievement, { foreignKey: 'userId' });
+        User.hasMany(models.IdempotencyKey, { foreignKey: 'userId' });
     };
 
     return User;
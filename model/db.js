@@ -1,4 +1,5 @@
 const { Sequelize } = require('sequelize');
+const cls = require('cls-hooked');
 
 /**
  * Database configuration and connection setup using Sequelize ORM
@@ -6,6 +7,15 @@ const { Sequelize } = require('sequelize');
  * Provides connection testing functionality for application startup validation
  */
 
+/**
+ * Namespace used by Sequelize to pass the active transaction to every query
+ * Any query issued inside sequelize.transaction(callback) joins that transaction automatically,
+ * so services called from the callback don't need to thread a transaction object around
+ * Must be registered before the Sequelize instance is created
+ */
+const namespace = cls.createNamespace('funraise-db');
+Sequelize.useCLS(namespace);
+
 /**
  * Initialize Sequelize instance with MySQL database configuration
  * Uses environment variables with fallback defaults for flexible deployment
@@ -23,7 +33,10 @@ const sequelize = new Sequelize(
     {
         host: process.env.DB_HOST || 'localhost',
         dialect: 'mysql',
-        logging: false                             // Disable SQL query logging for cleaner console output
+        logging: false,                            // Disable SQL query logging for cleaner console output
+        dialectOptions: {
+            decimalNumbers: true                   // Return DECIMAL money columns as numbers instead of strings
+        }
     }
 );
 
@@ -43,4 +56,24 @@ const testConnection = async () => {
     }
 };
 
-module.exports = { sequelize, testConnection };
\ No newline at end of file
+/**
+ * Returns the transaction bound to the current async context, if any
+ * @returns {Transaction|undefined} Active transaction or undefined outside of one
+ */
+const getCurrentTransaction = () => namespace.get('transaction');
+
+/**
+ * Runs a callback once the current transaction commits, or immediately when there is none
+ * Used for side effects (e.g. subscription notifications) that must not observe uncommitted data
+ * @param {Function} callback - Function to run after commit
+ */
+const runAfterCommit = (callback) => {
+    const transaction = getCurrentTransaction();
+    if (transaction) {
+        transaction.afterCommit(() => callback());
+    } else {
+        callback();
+    }
+};
+
+module.exports = { sequelize, testConnection, getCurrentTransaction, runAfterCommit };
\ No newline at end of file
@@ -1,13 +1,21 @@
-const { sequelize, testConnection } = require('./db');
+const { sequelize, testConnection, getCurrentTransaction, runAfterCommit } = require('./db');
 const { DataTypes } = require('sequelize');
 
 const Account = require('./Account')(sequelize, DataTypes);
 const Achievement = require('./Achievement')(sequelize, DataTypes);
 const AchievementCriterion = require('./AchievementCriterion')(sequelize, DataTypes);
+const ConditionLog = require('./ConditionLog')(sequelize, DataTypes);
 const EndCondition = require('./EndCondition')(sequelize, DataTypes);
 const Event = require('./Event')(sequelize, DataTypes);
 const EventEndCondition = require('./EventEndCondition')(sequelize, DataTypes);
+const EventRevision = require('./EventRevision')(sequelize, DataTypes);
+const FeeSchedule = require('./FeeSchedule')(sequelize, DataTypes);
+const LedgerAccount = require('./LedgerAccount')(sequelize, DataTypes);
+const LedgerEntry = require('./LedgerEntry')(sequelize, DataTypes);
+const IdempotencyKey = require('./IdempotencyKey')(sequelize, DataTypes);
+const JackpotDraw = require('./JackpotDraw')(sequelize, DataTypes);
 const Participation = require('./Participation')(sequelize, DataTypes);
+const ScheduledJob = require('./ScheduledJob')(sequelize, DataTypes);
 const Token = require('./Token')(sequelize, DataTypes);
 const Transaction = require('./Transaction')(sequelize, DataTypes);
 const User = require('./User')(sequelize, DataTypes);
@@ -18,10 +26,18 @@ const models = {
     Account,
     Achievement,
     AchievementCriterion,
+    ConditionLog,
     EndCondition,
     Event,
     EventEndCondition,
+    EventRevision,
+    FeeSchedule,
+    IdempotencyKey,
+    JackpotDraw,
+    LedgerAccount,
+    LedgerEntry,
     Participation,
+    ScheduledJob,
     Token,
     Transaction,
     User,
@@ -48,6 +64,8 @@ const syncDatabase = async () => {
 module.exports = {
     sequelize,
     testConnection,
+    getCurrentTransaction,
+    runAfterCommit,
     syncDatabase,
     ...models,
 };
\ No newline at end of file
@@ -1,3 +1,4 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('./BaseRepository');
 const { Account, User } = require('../model');
 const ApiError = require('../exception/ApiError');
@@ -82,6 +83,17 @@ class AccountRepository extends BaseRepository {
             where: { userId }
         });
     }
+
+    /**
+     * Finds the accounts of several users in one query
+     * @param {number[]} userIds - IDs of the users
+     * @returns {Promise<Account[]>} Accounts of these users
+     */
+    async findByUserIds(userIds) {
+        return await this.findAll({
+            where: { userId: { [Op.in]: userIds } }
+        });
+    }
 }
 
 module.exports = new AccountRepository(); 
\ No newline at end of file
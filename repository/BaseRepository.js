@@ -1,4 +1,6 @@
+const { Op } = require('sequelize');
 const ApiError = require('../exception/ApiError');
+const { getCurrentTransaction } = require('../model/db');
 
 /**
  * Base repository class providing common CRUD operations for all entities
@@ -78,6 +80,21 @@ class BaseRepository {
         }
     }
 
+    /**
+     * Finds the records with any of the given primary keys in one query
+     * Records are returned in database order and missing IDs are skipped
+     * @param {Array<number|string>} ids - Primary key values to search for
+     * @param {Object} options - Sequelize query options (include, attributes, etc.)
+     * @returns {Promise<Array>} Array of found model instances
+     * @throws {ApiError} Database error if query fails
+     */
+    async findByIds(ids, options = {}) {
+        return await this.findAll({
+            ...options,
+            where: { id: { [Op.in]: ids } }
+        });
+    }
+
     /**
      * Updates a record by its primary key
      * @param {number|string} id - Primary key value of record to update
@@ -186,6 +203,22 @@ class BaseRepository {
         }
     }
 
+    /**
+     * Runs a callback inside a managed database transaction
+     * Every query made while the callback runs joins the transaction automatically;
+     * it commits when the callback resolves and rolls back when it throws.
+     * When a transaction is already active the callback simply joins it, so transactional
+     * service methods can call each other without opening a second connection
+     * @param {Function} callback - Async function containing the transactional work
+     * @returns {Promise<*>} Value returned by the callback
+     */
+    async transaction(callback) {
+        if (getCurrentTransaction()) {
+            return await callback();
+        }
+        return await this.model.sequelize.transaction(() => callback());
+    }
+
     /**
      * Checks if any records exist matching the specified criteria
      * @param {Object} whereClause - Sequelize where condition object
@@ -0,0 +1,29 @@
+const BaseRepository = require('./BaseRepository');
+const { ConditionLog } = require('../model');
+
+/**
+ * Repository for the end condition evaluation log
+ * Entries are only ever added, so the log shows how an event reached its outcome
+ */
+class ConditionLogRepository extends BaseRepository {
+    /**
+     * Initializes the ConditionLog repository with the ConditionLog model
+     */
+    constructor() {
+        super(ConditionLog);
+    }
+
+    /**
+     * Finds the log entries of an event, oldest first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<ConditionLog[]>} Log entries of the event
+     */
+    async findByEventId(eventId) {
+        return await this.findAll({
+            where: { eventId },
+            order: [['evaluatedAt', 'ASC'], ['id', 'ASC']]
+        });
+    }
+}
+
+module.exports = new ConditionLogRepository();
@@ -1,3 +1,4 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('./BaseRepository');
 const { EndCondition } = require('../model');
 
@@ -25,6 +26,17 @@ class EndConditionRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Finds the conditions of several condition groups in one query
+     * @param {number[]} eventEndConditionIds - IDs of the condition groups
+     * @returns {Promise<EndCondition[]>} Array of conditions of these groups
+     */
+    async findByEventEndConditions(eventEndConditionIds) {
+        return await this.findAll({
+            where: { endConditionId: { [Op.in]: eventEndConditionIds } }
+        });
+    }
+
     /**
      * Updates the completion status of an individual end condition
      * Used when a specific condition is met (e.g., time reached, participant count achieved)
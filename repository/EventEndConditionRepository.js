@@ -1,3 +1,4 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('./BaseRepository');
 const { EventEndCondition, EndCondition } = require('../model');
 
@@ -46,6 +47,21 @@ class EventEndConditionRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Finds the condition groups of several events in one query
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<EventEndCondition[]>} Array of condition groups with their conditions
+     */
+    async findByEventIds(eventIds) {
+        return await this.findAll({
+            where: { eventId: { [Op.in]: eventIds } },
+            include: [{
+                model: EndCondition,
+                as: 'conditions'
+            }]
+        });
+    }
+
     /**
      * Updates the completion status of an event end condition group
      * Used when all conditions within a group are satisfied
@@ -1,6 +1,111 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('./BaseRepository');
+const ApiError = require('../exception/ApiError');
 const { Event, EventEndCondition, EndCondition, Participation, User } = require('../model');
-const { EVENT_STATUSES, CONDITION_TYPES } = require('../constants');
+const { sequelize } = require('../model/db');
+const { EVENT_STATUSES, OPEN_EVENT_STATUSES, CONDITION_TYPES, EVENT_SORT_ORDERS } = require('../constants');
+const { clock } = require('../utils/clock');
+
+// Totals of an event computed from its participations, which the stored bankAmount and participantCount
+// are checked against; the column holding the event ID differs between SELECT (aliased) and UPDATE
+const bankSql = (eventIdColumn) => `(SELECT COALESCE(SUM(\`p\`.\`deposit\`), 0) FROM \`Participations\` AS \`p\` WHERE \`p\`.\`eventId\` = ${eventIdColumn})`;
+const participantsSql = (eventIdColumn) => `(SELECT COUNT(*) FROM \`Participations\` AS \`p\` WHERE \`p\`.\`eventId\` = ${eventIdColumn})`;
+// Deadline of a TIME condition as a DATETIME; values are stored as UTC ISO strings ('2030-01-01T00:00:00.000Z')
+const TIME_DEADLINE_SQL = "CAST(REPLACE(REPLACE(`c`.`value`, 'T', ' '), 'Z', '') AS DATETIME(3))";
+// Deadline of a DURATION condition: its hours after the first participation, NULL while there is none
+const DURATION_DEADLINE_SQL = 'DATE_ADD((SELECT MIN(`p`.`createdAt`) FROM `Participations` AS `p` WHERE `p`.`eventId` = `Event`.`id`),'
+    + ' INTERVAL CAST(`c`.`value` AS UNSIGNED) HOUR)';
+// Earliest known deadline (TIME or DURATION) of the groups still open
+const DEADLINE_SQL = `(SELECT MIN(CASE \`c\`.\`name\` WHEN '${CONDITION_TYPES.TIME}' THEN ${TIME_DEADLINE_SQL} ELSE ${DURATION_DEADLINE_SQL} END)`
+    + ' FROM `EndConditions` AS `c`'
+    + ' INNER JOIN `EventEndConditions` AS `g` ON `g`.`id` = `c`.`endConditionId`'
+    + ' WHERE `g`.`eventId` = `Event`.`id` AND `g`.`isCompleted` = false AND `g`.`isFailed` = false'
+    + ` AND \`c\`.\`name\` IN ('${CONDITION_TYPES.TIME}', '${CONDITION_TYPES.DURATION}'))`;
+// Events without a deadline come last when sorting by deadline
+const NO_DEADLINE = "CAST('9999-12-31 23:59:59.999' AS DATETIME(3))";
+
+// Sort key and direction of each feed order; the event ID breaks ties in the same direction
+const FEED_ORDERS = {
+    [EVENT_SORT_ORDERS.NEWEST]: { sql: '`Event`.`createdAt`', direction: 'DESC', isDate: true },
+    [EVENT_SORT_ORDERS.ENDING_SOONEST]: { sql: `COALESCE(${DEADLINE_SQL}, ${NO_DEADLINE})`, direction: 'ASC', isDate: true },
+    [EVENT_SORT_ORDERS.BIGGEST_BANK]: { sql: '`Event`.`bankAmount`', direction: 'DESC' },
+    [EVENT_SORT_ORDERS.MOST_PARTICIPANTS]: { sql: '`Event`.`participantCount`', direction: 'DESC' }
+};
+
+// MySQL error raised by MATCH ... AGAINST when the FULLTEXT index on name and description is missing
+const FULLTEXT_INDEX_MISSING = 'ER_FT_MATCHING_KEY_NOT_FOUND';
+
+/**
+ * Builds the where conditions shared by the feed and the search
+ * @param {Object} filter - Filters (see findPage)
+ * @param {number|null} viewerId - ID of the user whose drafts are included
+ * @param {boolean} allDrafts - Include every draft (admins)
+ * @returns {Object[]} Conditions to combine with Op.and
+ */
+const buildFilterConditions = (filter, viewerId, allDrafts) => {
+    const conditions = [];
+
+    for (const [field, key] of [['type', 'type'], ['status', 'status'], ['userId', 'creatorId'], ['recipientId', 'recipientId']]) {
+        if (filter[key] !== undefined && filter[key] !== null) {
+            conditions.push({ [field]: filter[key] });
+        }
+    }
+    if (!allDrafts) {
+        conditions.push({
+            [Op.or]: [
+                { status: { [Op.ne]: EVENT_STATUSES.DRAFT } },
+                ...(viewerId ? [{ userId: viewerId }] : [])
+            ]
+        });
+    }
+    if (filter.endingWithinHours) {
+        const now = clock.now();
+        const until = new Date(now.getTime() + filter.endingWithinHours * 60 * 60 * 1000);
+        conditions.push(sequelize.where(sequelize.literal(DEADLINE_SQL), { [Op.gt]: now }));
+        conditions.push(sequelize.where(sequelize.literal(DEADLINE_SQL), { [Op.lte]: until }));
+    }
+    if (filter.minBank !== undefined && filter.minBank !== null) {
+        conditions.push({ bankAmount: { [Op.gte]: filter.minBank } });
+    }
+    if (filter.maxBank !== undefined && filter.maxBank !== null) {
+        conditions.push({ bankAmount: { [Op.lte]: filter.maxBank } });
+    }
+    return conditions;
+};
+
+/**
+ * Relevance of an event in the FULLTEXT index; every word must appear, as a word or the start of one
+ * @param {string[]} terms - Lowercase search words
+ * @returns {string} MATCH ... AGAINST expression
+ */
+const fullTextRelevance = (terms) => {
+    const query = terms.map(term => `+${term}*`).join(' ');
+    return `MATCH(\`Event\`.\`name\`, \`Event\`.\`description\`) AGAINST(${sequelize.escape(query)} IN BOOLEAN MODE)`;
+};
+
+/**
+ * Relevance of an event without the FULLTEXT index: 2 per word found in the name, 1 per word found in the description
+ * @param {string[]} terms - Lowercase search words
+ * @returns {string} Sum of CASE expressions
+ */
+const likeRelevance = (terms) => terms
+    .map(term => {
+        const pattern = sequelize.escape(`%${term}%`);
+        return `(CASE WHEN \`Event\`.\`name\` LIKE ${pattern} THEN 2 ELSE 0 END)`
+            + ` + (CASE WHEN \`Event\`.\`description\` LIKE ${pattern} THEN 1 ELSE 0 END)`;
+    })
+    .join(' + ');
+
+/**
+ * Tells whether a failed search was caused by a missing FULLTEXT index
+ * @param {Error} error - Error thrown by the search query
+ * @returns {boolean} True if the search can be retried without the index
+ */
+const isFullTextIndexMissing = (error) => {
+    const cause = (error && error.originalError) || error;
+    const original = cause && (cause.original || cause.parent);
+    return Boolean(original) && original.code === FULLTEXT_INDEX_MISSING;
+};
 
 /**
  * Repository for managing events and their complex relationships
@@ -54,6 +159,30 @@ class EventRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Finds the events created by any of the given users in one query
+     * Used to batch the events of several users in GraphQL requests (see graphql/utils/loaders)
+     * @param {number[]} userIds - IDs of the creators
+     * @returns {Promise<Event[]>} Events created by these users
+     */
+    async findByCreators(userIds) {
+        return await this.findAll({
+            where: { userId: { [Op.in]: userIds } }
+        });
+    }
+
+    /**
+     * Finds the events received by any of the given users in one query
+     * Used to batch the events of several users in GraphQL requests (see graphql/utils/loaders)
+     * @param {number[]} userIds - IDs of the recipients
+     * @returns {Promise<Event[]>} Events with these users as recipient
+     */
+    async findByRecipients(userIds) {
+        return await this.findAll({
+            where: { recipientId: { [Op.in]: userIds } }
+        });
+    }
+
     /**
      * Finds an event by ID with all end conditions and their criteria
      * Used for event completion evaluation and condition checking
@@ -126,6 +255,96 @@ class EventRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Finds a page of events for the feed, sorted and filtered in the database
+     * Pages are keyed by the sort value and ID of the last event seen, so they don't shift when events are added.
+     * Each event carries its sort value as the sortValue attribute, from which the next cursor is built.
+     * @param {Object} options - Page options
+     * @param {Object} [options.filter={}] - Filters
+     * @param {string} [options.filter.type] - Event type
+     * @param {string} [options.filter.status] - Event status
+     * @param {number} [options.filter.creatorId] - ID of the creator
+     * @param {number} [options.filter.recipientId] - ID of the recipient
+     * @param {number} [options.filter.endingWithinHours] - Only events with an open deadline (TIME or DURATION) within this many hours
+     * @param {number} [options.filter.minBank] - Smallest bank
+     * @param {number} [options.filter.maxBank] - Largest bank
+     * @param {string} [options.orderBy=EVENT_SORT_ORDERS.NEWEST] - EVENT_SORT_ORDERS value
+     * @param {{value: *, id: number}|null} [options.after=null] - Sort value and ID of the last event of the previous page
+     * @param {number} options.limit - Maximum number of events to return
+     * @param {number|null} [options.viewerId=null] - ID of the user whose drafts are included
+     * @param {boolean} [options.allDrafts=false] - Include every draft (admins)
+     * @returns {Promise<Event[]>} Events of the page
+     */
+    async findPage({ filter = {}, orderBy = EVENT_SORT_ORDERS.NEWEST, after = null, limit, viewerId = null, allDrafts = false }) {
+        const order = FEED_ORDERS[orderBy];
+        const conditions = buildFilterConditions(filter, viewerId, allDrafts);
+
+        if (after) {
+            const comparison = order.direction === 'DESC' ? Op.lt : Op.gt;
+            const value = order.isDate ? new Date(after.value) : after.value;
+            conditions.push({
+                [Op.or]: [
+                    sequelize.where(sequelize.literal(order.sql), { [comparison]: value }),
+                    {
+                        [Op.and]: [
+                            sequelize.where(sequelize.literal(order.sql), { [Op.eq]: value }),
+                            { id: { [comparison]: after.id } }
+                        ]
+                    }
+                ]
+            });
+        }
+
+        return await this.findAll({
+            attributes: { include: [[sequelize.literal(order.sql), 'sortValue']] },
+            where: { [Op.and]: conditions },
+            order: [[sequelize.literal(order.sql), order.direction], ['id', order.direction]],
+            limit
+        });
+    }
+
+    /**
+     * Finds the events whose name or description contains every search word, most relevant first, then newest first
+     * Uses the FULLTEXT index on MySQL and falls back to LIKE patterns when the index is unavailable
+     * (other dialects, or a database created before the index was added)
+     * Each event carries its score as the relevance attribute; scores of the two implementations are not comparable
+     * @param {string[]} terms - Lowercase search words (see utils/search tokenize)
+     * @param {Object} options - Search options
+     * @param {Object} [options.filter={}] - Filters (see findPage)
+     * @param {number} options.limit - Maximum number of events to return
+     * @param {number|null} [options.viewerId=null] - ID of the user whose drafts are included
+     * @param {boolean} [options.allDrafts=false] - Include every draft (admins)
+     * @returns {Promise<Event[]>} Matching events
+     * @throws {ApiError} Database error if the search fails
+     */
+    async search(terms, { filter = {}, limit, viewerId = null, allDrafts = false }) {
+        const conditions = buildFilterConditions(filter, viewerId, allDrafts);
+        const find = (relevanceSql, matchConditions) => this.findAll({
+            attributes: { include: [[sequelize.literal(relevanceSql), 'relevance']] },
+            where: { [Op.and]: [...conditions, ...matchConditions] },
+            order: [[sequelize.literal(relevanceSql), 'DESC'], ['createdAt', 'DESC'], ['id', 'DESC']],
+            limit
+        });
+
+        if (sequelize.getDialect() === 'mysql') {
+            const relevanceSql = fullTextRelevance(terms);
+            try {
+                return await find(relevanceSql, [sequelize.where(sequelize.literal(relevanceSql), { [Op.gt]: 0 })]);
+            } catch (e) {
+                if (!isFullTextIndexMissing(e)) {
+                    throw e;
+                }
+            }
+        }
+
+        return await find(likeRelevance(terms), terms.map(term => ({
+            [Op.or]: [
+                { name: { [Op.like]: `%${term}%` } },
+                { description: { [Op.like]: `%${term}%` } }
+            ]
+        })));
+    }
+
     /**
      * Finds the creator user of a specific event
      * Used for permission checks and event ownership validation
@@ -162,13 +381,14 @@ class EventRepository extends BaseRepository {
 
     /**
      * Finds all currently active events with time-based end conditions
-     * Used for background processing and automatic event completion checking
-     * @returns {Promise<Event[]>} Array of in-progress events with time conditions
+     * Used to enqueue deadline jobs for events that don't have them yet (see ScheduledJobService)
+     * @param {string[]} [statuses=[IN_PROGRESS]] - Event statuses to include
+     * @returns {Promise<Event[]>} Array of events with their time conditions
      */
-    async findActiveEvents() {
+    async findActiveEvents(statuses = [EVENT_STATUSES.IN_PROGRESS]) {
         return await this.findAll({
             where: { 
-                status: EVENT_STATUSES.IN_PROGRESS 
+                status: { [Op.in]: statuses }
             },
             include: [{
                 model: EventEndCondition,
@@ -197,6 +417,137 @@ class EventRepository extends BaseRepository {
     async updateStatus(eventId, status) {
         return await this.update(eventId, { status });
     }
+
+    /**
+     * Moves an event from one status to another only if it still has the expected status
+     * The conditional update guarantees a single winner when several callers resolve the same event
+     * @param {number} eventId - ID of the event to update
+     * @param {string} fromStatus - Status the event must currently have
+     * @param {string} toStatus - New status value from EVENT_STATUSES constants
+     * @param {Object} [data] - Other fields to set with the status (e.g. startsAt when publishing)
+     * @returns {Promise<boolean>} True if this call changed the status
+     * @throws {ApiError} Database error if update fails
+     */
+    async transitionStatus(eventId, fromStatus, toStatus, data = {}) {
+        const [affectedRows] = await this.updateWhere(
+            { ...data, status: toStatus },
+            { id: eventId, status: fromStatus }
+        );
+        return affectedRows > 0;
+    }
+
+    /**
+     * Finds scheduled events whose start time has arrived
+     * Used by the background job that opens events for participation
+     * @param {Date} now - Current time
+     * @returns {Promise<Event[]>} SCHEDULED events with startsAt at or before now
+     */
+    async findDueScheduledEvents(now) {
+        return await this.findAll({
+            where: {
+                status: EVENT_STATUSES.SCHEDULED,
+                startsAt: { [Op.lte]: now }
+            }
+        });
+    }
+
+    /**
+     * Cancels an event if it is not resolved yet (draft, scheduled or in progress)
+     * Like transitionStatus, the conditional update means an event can't be cancelled and resolved at the same time
+     * @param {number} eventId - ID of the event to cancel
+     * @param {Object} data - Cancellation details
+     * @param {string} data.reason - Why the event was cancelled
+     * @param {number} data.cancelledBy - ID of the user cancelling the event
+     * @returns {Promise<boolean>} True if this call cancelled the event
+     * @throws {ApiError} Database error if update fails
+     */
+    async cancel(eventId, { reason, cancelledBy }) {
+        const [affectedRows] = await this.updateWhere(
+            {
+                status: EVENT_STATUSES.CANCELLED,
+                cancellationReason: reason,
+                cancelledAt: clock.now(),
+                cancelledBy
+            },
+            { id: eventId, status: { [Op.in]: OPEN_EVENT_STATUSES } }
+        );
+        return affectedRows > 0;
+    }
+
+    /**
+     * Marks an event as refunded if it has not been refunded yet
+     * The conditional update acts as a claim, so only one caller can win the refund
+     * @param {number} eventId - ID of the event to mark
+     * @returns {Promise<boolean>} True if this call marked the event, false if it was already refunded
+     * @throws {ApiError} Database error if update fails
+     */
+    async markRefunded(eventId) {
+        const [affectedRows] = await this.updateWhere(
+            { isRefunded: true },
+            { id: eventId, isRefunded: false }
+        );
+        return affectedRows > 0;
+    }
+
+    /**
+     * Finds the stored bank and participant count of an event
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Event>} Event with only ID, bankAmount and participantCount
+     * @throws {ApiError} Not found error if event doesn't exist
+     */
+    async findTotals(eventId) {
+        return await this.findByPk(eventId, {
+            attributes: ['id', 'bankAmount', 'participantCount']
+        });
+    }
+
+    /**
+     * Adds to the stored bank and participant count of an event
+     * The addition runs in the database, so concurrent participations never overwrite each other's totals
+     * @param {number} eventId - ID of the event
+     * @param {Object} amounts - Amounts to add, negative to subtract
+     * @param {number} [amounts.bankAmount=0] - Amount added to the bank
+     * @param {number} [amounts.participantCount=0] - Number of participants added
+     * @returns {Promise<void>}
+     * @throws {ApiError} Database error if update fails
+     */
+    async addToTotals(eventId, { bankAmount = 0, participantCount = 0 }) {
+        try {
+            await this.model.increment({ bankAmount, participantCount }, { where: { id: eventId } });
+        } catch (error) {
+            throw ApiError.database('Error updating event totals', error);
+        }
+    }
+
+    /**
+     * Finds the events whose stored totals differ from the totals of their participations
+     * @returns {Promise<Event[]>} Events with only ID, bankAmount and participantCount
+     */
+    async findWithDriftedTotals() {
+        return await this.findAll({
+            attributes: ['id', 'bankAmount', 'participantCount'],
+            where: sequelize.literal(
+                `(\`Event\`.\`bankAmount\` <> ${bankSql('`Event`.`id`')}`
+                + ` OR \`Event\`.\`participantCount\` <> ${participantsSql('`Event`.`id`')})`
+            )
+        });
+    }
+
+    /**
+     * Sets the stored totals of events to the totals of their participations
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<Array>} Update result array
+     * @throws {ApiError} Database error if update fails
+     */
+    async recomputeTotals(eventIds) {
+        return await this.updateWhere(
+            {
+                bankAmount: sequelize.literal(bankSql('`Events`.`id`')),
+                participantCount: sequelize.literal(participantsSql('`Events`.`id`'))
+            },
+            { id: { [Op.in]: eventIds } }
+        );
+    }
 }
 
 module.exports = new EventRepository(); 
\ No newline at end of file
@@ -0,0 +1,41 @@
+const BaseRepository = require('./BaseRepository');
+const { EventRevision } = require('../model');
+
+/**
+ * Repository for event revisions
+ * Every edit of an event after its creation is stored as a numbered revision
+ */
+class EventRevisionRepository extends BaseRepository {
+    /**
+     * Initializes the EventRevision repository with the EventRevision model
+     */
+    constructor() {
+        super(EventRevision);
+    }
+
+    /**
+     * Finds the revisions of an event, newest first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<EventRevision[]>} Revisions of the event
+     */
+    async findByEventId(eventId) {
+        return await this.findAll({
+            where: { eventId },
+            order: [['revision', 'DESC']]
+        });
+    }
+
+    /**
+     * Finds the most recent revision of an event
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<EventRevision|null>} Latest revision or null if the event was never edited
+     */
+    async findLatest(eventId) {
+        return await this.findOne({
+            where: { eventId },
+            order: [['revision', 'DESC']]
+        });
+    }
+}
+
+module.exports = new EventRevisionRepository();
@@ -0,0 +1,46 @@
+const { Op } = require('sequelize');
+const BaseRepository = require('./BaseRepository');
+const { FeeSchedule } = require('../model');
+
+/**
+ * Repository for fee schedules
+ * Every event type has a history of schedules; the latest one that has taken effect applies
+ */
+class FeeScheduleRepository extends BaseRepository {
+    /**
+     * Initializes the FeeSchedule repository with the FeeSchedule model
+     */
+    constructor() {
+        super(FeeSchedule);
+    }
+
+    /**
+     * Finds the schedule of an event type in force at a given time
+     * @param {string} eventType - Event type from EVENT_TYPES
+     * @param {Date} at - Point in time
+     * @returns {Promise<FeeSchedule|null>} Latest schedule effective at that time, or null if none was stored
+     */
+    async findEffective(eventType, at) {
+        return await this.findOne({
+            where: {
+                eventType,
+                effectiveFrom: { [Op.lte]: at }
+            },
+            order: [['effectiveFrom', 'DESC'], ['id', 'DESC']]
+        });
+    }
+
+    /**
+     * Finds the schedule history, newest first
+     * @param {string} [eventType] - Only return schedules of this event type
+     * @returns {Promise<FeeSchedule[]>} Schedules including ones that have not taken effect yet
+     */
+    async findHistory(eventType) {
+        return await this.findAll({
+            where: eventType ? { eventType } : {},
+            order: [['effectiveFrom', 'DESC'], ['id', 'DESC']]
+        });
+    }
+}
+
+module.exports = new FeeScheduleRepository();
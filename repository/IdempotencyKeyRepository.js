@@ -0,0 +1,42 @@
+const BaseRepository = require('./BaseRepository');
+const { IdempotencyKey } = require('../model');
+const { Op } = require('sequelize');
+const { clock } = require('../utils/clock');
+
+/**
+ * Repository for idempotency keys of money-moving mutations
+ * Keys are unique per user and expire after the configured window
+ */
+class IdempotencyKeyRepository extends BaseRepository {
+    /**
+     * Initializes the IdempotencyKey repository with the IdempotencyKey model
+     */
+    constructor() {
+        super(IdempotencyKey);
+    }
+
+    /**
+     * Finds a user's key and locks it for the current transaction
+     * Expired keys are returned as well so the caller can replace them
+     * @param {number} userId - ID of the user
+     * @param {string} key - Client-provided idempotency key
+     * @returns {Promise<IdempotencyKey|null>} Key record or null if not found
+     */
+    async findByUserAndKeyForUpdate(userId, key) {
+        return await this.findOne({
+            where: { userId, key },
+            lock: true
+        });
+    }
+
+    /**
+     * Deletes all keys whose window has passed
+     * @param {Date} [now=clock.now()] - Reference time
+     * @returns {Promise<number>} Number of deleted keys
+     */
+    async deleteExpired(now = clock.now()) {
+        return await this.destroyWhere({ expiresAt: { [Op.lte]: now } });
+    }
+}
+
+module.exports = new IdempotencyKeyRepository();
@@ -0,0 +1,30 @@
+const BaseRepository = require('./BaseRepository');
+const { JackpotDraw } = require('../model');
+
+/**
+ * Repository for jackpot draws
+ * Stores the committed seed of every JACKPOT event and the inputs and result of its draw
+ */
+class JackpotDrawRepository extends BaseRepository {
+    /**
+     * Initializes the JackpotDraw repository with the JackpotDraw model
+     */
+    constructor() {
+        super(JackpotDraw);
+    }
+
+    /**
+     * Finds the draw of an event
+     * @param {number} eventId - ID of the event
+     * @param {Object} [options] - Additional query options (e.g. lock)
+     * @returns {Promise<JackpotDraw|null>} Draw or null if the event has none
+     */
+    async findByEventId(eventId, options = {}) {
+        return await this.findOne({
+            where: { eventId },
+            ...options
+        });
+    }
+}
+
+module.exports = new JackpotDrawRepository();
@@ -0,0 +1,36 @@
+const BaseRepository = require('./BaseRepository');
+const { LedgerAccount } = require('../model');
+const ApiError = require('../exception/ApiError');
+
+/**
+ * Repository for ledger accounts
+ * Accounts are identified by their type and the ID of the user or event they belong to
+ */
+class LedgerAccountRepository extends BaseRepository {
+    /**
+     * Initializes the LedgerAccount repository with the LedgerAccount model
+     */
+    constructor() {
+        super(LedgerAccount);
+    }
+
+    /**
+     * Finds a ledger account or creates it on first use
+     * @param {string} type - Account type from LEDGER_ACCOUNT_TYPES
+     * @param {number} [referenceId=0] - User ID for wallets, event ID for escrow accounts
+     * @returns {Promise<LedgerAccount>} Existing or newly created account
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findOrCreateAccount(type, referenceId = 0) {
+        try {
+            const [account] = await this.model.findOrCreate({
+                where: { type, referenceId }
+            });
+            return account;
+        } catch (error) {
+            throw ApiError.database('Error finding or creating ledger account', error);
+        }
+    }
+}
+
+module.exports = new LedgerAccountRepository();
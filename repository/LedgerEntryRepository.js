@@ -0,0 +1,70 @@
+const BaseRepository = require('./BaseRepository');
+const { LedgerEntry } = require('../model');
+const { sequelize } = require('../model/db');
+const ApiError = require('../exception/ApiError');
+
+/**
+ * Repository for ledger entries
+ * Each entry moves an amount from its debit account to its credit account,
+ * so every posting is balanced by construction
+ */
+class LedgerEntryRepository extends BaseRepository {
+    /**
+     * Initializes the LedgerEntry repository with the LedgerEntry model
+     */
+    constructor() {
+        super(LedgerEntry);
+    }
+
+    /**
+     * Sums entry amounts per account on one side of the ledger
+     * @param {string} side - Either 'debitAccountId' or 'creditAccountId'
+     * @returns {Promise<Array>} Array of objects with {accountId, total}
+     * @throws {ApiError} Database error if operation fails
+     */
+    async sumBySide(side) {
+        try {
+            const rows = await this.model.findAll({
+                attributes: [
+                    [side, 'accountId'],
+                    [sequelize.fn('SUM', sequelize.col('amount')), 'total']
+                ],
+                group: [side],
+                raw: true
+            });
+            return rows.map(row => ({ accountId: row.accountId, total: row.total }));
+        } catch (error) {
+            throw ApiError.database('Error summing ledger entries', error);
+        }
+    }
+
+    /**
+     * Finds the accounts that already have an opening balance
+     * @returns {Promise<number[]>} IDs of the accounts on either side of an opening entry
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findOpenedAccountIds() {
+        try {
+            const entries = await this.model.findAll({
+                attributes: ['debitAccountId', 'creditAccountId'],
+                where: { transactionId: null },
+                raw: true
+            });
+            return entries.flatMap(entry => [entry.debitAccountId, entry.creditAccountId]);
+        } catch (error) {
+            throw ApiError.database('Error finding opening balances', error);
+        }
+    }
+
+    /**
+     * Sums debits and credits per account
+     * @returns {Promise<{debits: Array, credits: Array}>} Per-account totals for both sides
+     */
+    async sumByAccount() {
+        const debits = await this.sumBySide('debitAccountId');
+        const credits = await this.sumBySide('creditAccountId');
+        return { debits, credits };
+    }
+}
+
+module.exports = new LedgerEntryRepository();
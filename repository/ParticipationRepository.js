@@ -1,5 +1,8 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('./BaseRepository');
 const { Participation, User, Event } = require('../model');
+const { sequelize } = require('../model/db');
+const { EVENT_STATUSES } = require('../constants');
 
 /**
  * Repository for managing user participation in events
@@ -88,6 +91,61 @@ class ParticipationRepository extends BaseRepository {
             attributes: ['deposit']
         });
     }
+
+    /**
+     * Finds the participations of several users in one query
+     * @param {number[]} userIds - IDs of the users
+     * @returns {Promise<Participation[]>} Participations with event details
+     */
+    async findByUsers(userIds) {
+        return await this.findAll({
+            where: { userId: { [Op.in]: userIds } },
+            include: [
+                { model: Event, as: 'event' }
+            ]
+        });
+    }
+
+    /**
+     * Finds the participations in several events in one query
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<Participation[]>} Participations with user details
+     */
+    async findByEvents(eventIds) {
+        return await this.findAll({
+            where: { eventId: { [Op.in]: eventIds } },
+            include: [
+                { model: User, as: 'user' }
+            ]
+        });
+    }
+
+    /**
+     * Sums the deposits of events whose money is still held in escrow:
+     * events in progress and failed or cancelled events that have not been refunded yet
+     * @returns {Promise<Array>} Array of objects with {eventId, total}
+     */
+    async sumHeldDepositsByEvent() {
+        return await this.findAll({
+            attributes: [
+                'eventId',
+                [sequelize.fn('SUM', sequelize.col('deposit')), 'total']
+            ],
+            include: [{
+                model: Event,
+                as: 'event',
+                attributes: [],
+                where: {
+                    [Op.or]: [
+                        { status: EVENT_STATUSES.IN_PROGRESS },
+                        { status: { [Op.in]: [EVENT_STATUSES.FAILED, EVENT_STATUSES.CANCELLED] }, isRefunded: false }
+                    ]
+                }
+            }],
+            group: ['Participation.eventId'],
+            raw: true
+        });
+    }
 }
 
 module.exports = new ParticipationRepository(); 
\ No newline at end of file
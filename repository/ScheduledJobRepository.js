@@ -0,0 +1,84 @@
+const { Op } = require('sequelize');
+const BaseRepository = require('./BaseRepository');
+const { ScheduledJob } = require('../model');
+const { JOB_STATUSES } = require('../constants');
+
+/**
+ * Repository for background jobs stored in the database
+ * Jobs are claimed with row locks, so several API processes can poll the same table
+ */
+class ScheduledJobRepository extends BaseRepository {
+    /**
+     * Initializes the ScheduledJob repository with the ScheduledJob model
+     */
+    constructor() {
+        super(ScheduledJob);
+    }
+
+    /**
+     * Finds the job of a given type enqueued for a condition
+     * @param {string} type - Job type from JOB_TYPES
+     * @param {number} conditionId - ID of the end condition
+     * @returns {Promise<ScheduledJob|null>} Job or null if none was enqueued
+     */
+    async findByCondition(type, conditionId) {
+        return await this.findOne({
+            where: { type, conditionId }
+        });
+    }
+
+    /**
+     * Finds the pending job of a given type enqueued for an event
+     * @param {string} type - Job type from JOB_TYPES
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<ScheduledJob|null>} Job or null if none is pending
+     */
+    async findPendingByEvent(type, eventId) {
+        return await this.findOne({
+            where: { type, eventId, status: JOB_STATUSES.PENDING }
+        });
+    }
+
+    /**
+     * Finds the jobs that are due and locks them for the current transaction
+     * Jobs locked by another worker are skipped rather than waited for
+     * RUNNING jobs whose lock has expired are included, so the jobs of a crashed worker are picked up again
+     * @param {Date} now - Reference time
+     * @param {Date} lockExpiredBefore - RUNNING jobs locked before this time are considered abandoned
+     * @param {number} limit - Maximum number of jobs to return
+     * @returns {Promise<ScheduledJob[]>} Due jobs, oldest first
+     */
+    async findDueForUpdate(now, lockExpiredBefore, limit) {
+        return await this.findAll({
+            where: {
+                [Op.or]: [
+                    { status: JOB_STATUSES.PENDING, runAt: { [Op.lte]: now } },
+                    { status: JOB_STATUSES.RUNNING, lockedAt: { [Op.lte]: lockExpiredBefore } }
+                ]
+            },
+            order: [['runAt', 'ASC'], ['id', 'ASC']],
+            limit,
+            lock: true,
+            skipLocked: true
+        });
+    }
+
+    /**
+     * Updates a job only while the given worker still holds it
+     * A job that was reclaimed or rescheduled in the meantime is left unchanged
+     * @param {number} jobId - ID of the job
+     * @param {string} workerId - ID of the worker that claimed the job
+     * @param {Object} data - Fields to update
+     * @returns {Promise<boolean>} True if the job was updated
+     */
+    async updateIfLockedBy(jobId, workerId, data) {
+        const [affectedRows] = await this.updateWhere(data, {
+            id: jobId,
+            status: JOB_STATUSES.RUNNING,
+            lockedBy: workerId
+        });
+        return affectedRows > 0;
+    }
+}
+
+module.exports = new ScheduledJobRepository();
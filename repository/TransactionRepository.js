@@ -1,5 +1,22 @@
 const BaseRepository = require('./BaseRepository');
 const { Transaction } = require('../model');
+const { sequelize } = require('../model/db');
+const { Op } = require('sequelize');
+const money = require('../utils/money');
+const { TRANSACTION_TYPES } = require('../constants');
+
+/**
+ * Conditions of the transactions that are participation deposits (see ParticipationService applyDeposit):
+ * event debits of a user who participates in the event, each within the user's deposit total.
+ * Other EVENT_OUTCOME transactions, such as ones created through the transactions API, are left out
+ * @returns {Array} Sequelize where conditions
+ */
+const depositConditions = () => [
+    { type: TRANSACTION_TYPES.EVENT_OUTCOME },
+    sequelize.literal('EXISTS (SELECT 1 FROM `Participations` AS `p`'
+        + ' WHERE `p`.`eventId` = `Transaction`.`eventId` AND `p`.`userId` = `Transaction`.`userId`'
+        + ' AND `p`.`deposit` >= `Transaction`.`amount`)')
+];
 
 /**
  * Repository for managing financial transactions
@@ -50,6 +67,34 @@ class TransactionRepository extends BaseRepository {
             where: { userId, type }
         });
     }
+
+    /**
+     * Finds the largest single deposit made to an event
+     * Used by MAX_SINGLE_DEPOSIT end conditions, since participations only keep the total per user
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<number>} Largest deposit, 0 if nobody has deposited yet
+     */
+    async findMaxDepositByEvent(eventId) {
+        const amount = await this.model.max('amount', {
+            where: { [Op.and]: [{ eventId }, ...depositConditions()] }
+        });
+        return money.normalize(amount);
+    }
+
+    /**
+     * Finds the largest single deposit made to each of several events in one query
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<Array>} Array of objects with {eventId, amount}; events nobody has deposited to are left out
+     */
+    async findMaxDepositsByEvents(eventIds) {
+        const rows = await this.findAll({
+            attributes: ['eventId', [sequelize.fn('MAX', sequelize.col('amount')), 'amount']],
+            where: { [Op.and]: [{ eventId: { [Op.in]: eventIds } }, ...depositConditions()] },
+            group: ['eventId'],
+            raw: true
+        });
+        return rows.map(row => ({ eventId: row.eventId, amount: money.normalize(row.amount) }));
+    }
 }
 
 module.exports = new TransactionRepository(); 
\ No newline at end of file
@@ -1,3 +1,4 @@
+const { Op } = require('sequelize');
 const BaseRepository = require('./BaseRepository');
 const { UserCriterionProgress, AchievementCriterion } = require('../model');
 
@@ -57,6 +58,21 @@ class UserCriterionProgressRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Finds the progress of several user achievements with criterion details in one query
+     * @param {number[]} userAchievementIds - IDs of the user achievement records
+     * @returns {Promise<UserCriterionProgress[]>} Progress records with their criteria
+     */
+    async findByUserAchievementsWithCriteria(userAchievementIds) {
+        return await this.findAll({
+            where: { userAchievementId: { [Op.in]: userAchievementIds } },
+            include: [{
+                model: AchievementCriterion,
+                as: 'criterion'
+            }]
+        });
+    }
+
     /**
      * Creates a new progress record for a user achievement criterion
      * Used when initializing achievement tracking for a user
@@ -1,6 +1,7 @@
 const BaseRepository = require('./BaseRepository');
 const { User, Account } = require('../model');
 const { Op } = require('sequelize');
+const money = require('../utils/money');
 
 /**
  * Repository for managing user accounts and authentication
@@ -125,6 +126,21 @@ class UserRepository extends BaseRepository {
         });
     }
 
+    /**
+     * Finds a user by ID with only balance information and locks the row for update
+     * Used inside a database transaction so concurrent balance changes of the same user
+     * are serialized instead of both reading the same starting balance
+     * @param {number} userId - ID of the user
+     * @returns {Promise<User>} User with only ID and balance fields
+     * @throws {ApiError} Not found error if user doesn't exist
+     */
+    async findByIdWithBalanceForUpdate(userId) {
+        return await this.findByPk(userId, {
+            attributes: ['id', 'balance'],
+            lock: true
+        });
+    }
+
     /**
      * Finds all users with optional associations
      * Used for admin user management and system overview
@@ -214,10 +230,32 @@ class UserRepository extends BaseRepository {
         return users.map(user => ({
             id: user.id,
             username: user.username,
-            amount: user.balance
+            amount: money.normalize(user.balance)
         }));
     }
 
+    /**
+     * Sums the stored balances of all users
+     * Used by ledger reconciliation to compare stored balances with wallet accounts
+     * @returns {Promise<number>} Total of all user balances
+     */
+    async sumBalances() {
+        const total = await this.model.sum('balance');
+        return money.normalize(total);
+    }
+
+    /**
+     * Finds the stored balance of every user
+     * Used to open the wallet accounts of users who had a balance before the ledger existed
+     * @returns {Promise<Array>} Array of objects with {id, balance}
+     */
+    async findBalances() {
+        return await this.findAll({
+            attributes: ['id', 'balance'],
+            raw: true
+        });
+    }
+
     /**
      * Finds users ranked by their transaction sum of specific type after specified date
      * Used for income/outcome leaderboard functionality
@@ -271,11 +309,11 @@ class UserRepository extends BaseRepository {
 
         const users = await this.model.findAll(options);
         
-        // Transform to match UserRanking type with proper amount parsing
+        // Transform to match UserRanking type; SUM over DECIMAL may come back as a string
         return users.map(user => ({
             id: user.id,
             username: user.username,
-            amount: parseFloat(user.get('transactionSum')) || 0
+            amount: money.normalize(user.get('transactionSum'))
         }));
     }
 }
@@ -11,6 +11,10 @@ const EventRepository = require('./EventRepository');
 const ParticipationRepository = require('./ParticipationRepository');
 const EndConditionRepository = require('./EndConditionRepository');
 const EventEndConditionRepository = require('./EventEndConditionRepository');
+const JackpotDrawRepository = require('./JackpotDrawRepository');
+const FeeScheduleRepository = require('./FeeScheduleRepository');
+const EventRevisionRepository = require('./EventRevisionRepository');
+const ConditionLogRepository = require('./ConditionLogRepository');
 
 // Achievement system repositories
 const AchievementRepository = require('./AchievementRepository');
@@ -18,8 +22,14 @@ const AchievementCriterionRepository = require('./AchievementCriterionRepository
 const UserAchievementRepository = require('./UserAchievementRepository');
 const UserCriterionProgressRepository = require('./UserCriterionProgressRepository');
 
-// Financial transaction repository
+// Financial transaction and ledger repositories
 const TransactionRepository = require('./TransactionRepository');
+const LedgerAccountRepository = require('./LedgerAccountRepository');
+const LedgerEntryRepository = require('./LedgerEntryRepository');
+const IdempotencyKeyRepository = require('./IdempotencyKeyRepository');
+
+// Background job repositories
+const ScheduledJobRepository = require('./ScheduledJobRepository');
 
 /**
  * Repository exports
@@ -40,6 +50,10 @@ module.exports = {
     ParticipationRepository,
     EndConditionRepository,
     EventEndConditionRepository,
+    JackpotDrawRepository,
+    FeeScheduleRepository,
+    EventRevisionRepository,
+    ConditionLogRepository,
     
     // Achievement and progress tracking repositories
     AchievementRepository,
@@ -47,6 +61,12 @@ module.exports = {
     UserAchievementRepository,
     UserCriterionProgressRepository,
     
-    // Financial transaction repository
+    // Financial transaction and ledger repositories
     TransactionRepository,
+    LedgerAccountRepository,
+    LedgerEntryRepository,
+    IdempotencyKeyRepository,
+
+    // Background job repositories
+    ScheduledJobRepository,
 }; 
\ No newline at end of file
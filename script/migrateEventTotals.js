@@ -0,0 +1,59 @@
+const { sequelize, testConnection } = require('../model/db');
+const { eventService } = require('../service');
+
+// Indexes of the total columns, named like Sequelize names them so sync() recognizes them afterwards
+const TOTAL_INDEXES = [
+    { name: 'events_bank_amount', column: 'bankAmount' },
+    { name: 'events_participant_count', column: 'participantCount' }
+];
+
+const columnExists = async (table, column) => {
+    const [rows] = await sequelize.query(
+        `SELECT COUNT(*) AS count FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column`,
+        { replacements: { table, column } }
+    );
+    return Number(rows[0].count) > 0;
+};
+
+const indexExists = async (table, name) => {
+    const [rows] = await sequelize.query(
+        `SELECT COUNT(*) AS count FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND INDEX_NAME = :name`,
+        { replacements: { table, name } }
+    );
+    return Number(rows[0].count) > 0;
+};
+
+const migrateEventTotals = async () => {
+    try {
+        console.log('Testing database connection...');
+        await testConnection();
+
+        if (await columnExists('Events', 'participantCount')) {
+            console.log('Events.participantCount already exists, skipping');
+        } else {
+            await sequelize.query('ALTER TABLE `Events` ADD COLUMN `participantCount` INTEGER NOT NULL DEFAULT 0');
+            console.log('Events.participantCount added');
+        }
+
+        for (const { name, column } of TOTAL_INDEXES) {
+            if (await indexExists('Events', name)) {
+                console.log(`Events.${name} already exists, skipping`);
+            } else {
+                await sequelize.query(`CREATE INDEX \`${name}\` ON \`Events\` (\`${column}\`)`);
+                console.log(`Events.${name} created`);
+            }
+        }
+
+        // bankAmount was never written before, so every event with participations is repaired here
+        const repairedEventIds = await eventService.repairTotals();
+        console.log(`Event totals computed for ${repairedEventIds.length} events`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating event totals:', error);
+        process.exit(1);
+    }
+};
+
+migrateEventTotals();
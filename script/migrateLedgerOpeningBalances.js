@@ -0,0 +1,41 @@
+const { sequelize, testConnection } = require('../model/db');
+const { ledgerService } = require('../service');
+
+const isNullable = async (table, column) => {
+    const [rows] = await sequelize.query(
+        `SELECT IS_NULLABLE AS isNullable FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column`,
+        { replacements: { table, column } }
+    );
+    if (rows.length === 0) {
+        throw new Error(`${table}.${column} does not exist, start the server once to create the ledger tables`);
+    }
+    return rows[0].isNullable === 'YES';
+};
+
+const migrateLedgerOpeningBalances = async () => {
+    try {
+        console.log('Testing database connection...');
+        await testConnection();
+
+        // Opening entries have no transaction
+        if (await isNullable('LedgerEntries', 'transactionId')) {
+            console.log('LedgerEntries.transactionId is already nullable, skipping');
+        } else {
+            await sequelize.query('ALTER TABLE `LedgerEntries` MODIFY `transactionId` INTEGER NULL');
+            console.log('LedgerEntries.transactionId made nullable');
+        }
+
+        const entries = await ledgerService.postOpeningBalances();
+        console.log(`Posted ${entries.length} opening balances`);
+
+        const report = await ledgerService.reconcile();
+        console.log(`Ledger ${report.isBalanced ? 'is balanced' : `is not balanced: ${JSON.stringify(report)}`}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating ledger opening balances:', error);
+        process.exit(1);
+    }
+};
+
+migrateLedgerOpeningBalances();
@@ -0,0 +1,66 @@
+const { sequelize, testConnection } = require('../model/db');
+
+// Money columns that used to be FLOAT and are now stored as DECIMAL(15,2)
+const MONEY_COLUMNS = [
+    { table: 'Users', column: 'balance', defaultValue: 0 },
+    { table: 'Transactions', column: 'amount', defaultValue: null },
+    { table: 'Participations', column: 'deposit', defaultValue: null },
+    { table: 'Events', column: 'bankAmount', defaultValue: 0 }
+];
+
+const getColumnType = async (table, column) => {
+    const [rows] = await sequelize.query(
+        `SELECT DATA_TYPE AS dataType FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column`,
+        { replacements: { table, column } }
+    );
+    return rows.length > 0 ? rows[0].dataType.toLowerCase() : null;
+};
+
+const getColumnSum = async (table, column) => {
+    const [rows] = await sequelize.query(`SELECT COALESCE(SUM(\`${column}\`), 0) AS total FROM \`${table}\``);
+    return Number(rows[0].total);
+};
+
+const migrateColumn = async ({ table, column, defaultValue }) => {
+    const dataType = await getColumnType(table, column);
+
+    if (!dataType) {
+        console.log(`${table}.${column} does not exist, skipping`);
+        return;
+    }
+
+    if (dataType === 'decimal') {
+        console.log(`${table}.${column} is already DECIMAL, skipping`);
+        return;
+    }
+
+    const totalBefore = await getColumnSum(table, column);
+
+    // Existing FLOAT values are rounded to whole cents by MySQL during the conversion
+    const defaultClause = defaultValue === null ? 'DEFAULT NULL' : `DEFAULT ${defaultValue}`;
+    await sequelize.query(`ALTER TABLE \`${table}\` MODIFY \`${column}\` DECIMAL(15,2) ${defaultClause}`);
+
+    const totalAfter = await getColumnSum(table, column);
+    console.log(`${table}.${column}: ${dataType.toUpperCase()} -> DECIMAL(15,2), sum before ${totalBefore}, after ${totalAfter}`);
+};
+
+const migrateMoneyColumns = async () => {
+    try {
+        console.log('Testing database connection...');
+        await testConnection();
+
+        console.log('Converting money columns to DECIMAL(15,2)...');
+        for (const moneyColumn of MONEY_COLUMNS) {
+            await migrateColumn(moneyColumn);
+        }
+
+        console.log('Money columns migrated successfully');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating money columns:', error);
+        process.exit(1);
+    }
+};
+
+migrateMoneyColumns();
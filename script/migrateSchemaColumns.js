@@ -0,0 +1,141 @@
+const { sequelize, testConnection } = require('../model/db');
+
+// Columns added to existing models; sequelize.sync() creates missing tables but never alters existing ones
+const NEW_COLUMNS = [
+    { table: 'Users', column: 'role', definition: "ENUM('USER', 'MODERATOR', 'ADMIN') NOT NULL DEFAULT 'USER'" },
+    { table: 'Events', column: 'startsAt', definition: 'DATETIME NULL' },
+    { table: 'Events', column: 'prizeDistribution', definition: 'JSON NULL' },
+    { table: 'Events', column: 'feeSnapshot', definition: 'JSON NULL' },
+    { table: 'Events', column: 'isRefunded', definition: 'TINYINT(1) DEFAULT 0' },
+    { table: 'Events', column: 'cancellationReason', definition: 'VARCHAR(255) NULL' },
+    { table: 'Events', column: 'cancelledAt', definition: 'DATETIME NULL' },
+    { table: 'Events', column: 'cancelledBy', definition: 'INTEGER NULL' },
+    { table: 'EventEndConditions', column: 'expression', definition: 'JSON NULL' },
+    { table: 'Transactions', column: 'eventId', definition: 'INTEGER NULL' }
+];
+
+// ENUM columns that gained values; existing rows keep their values
+const EXTENDED_ENUMS = [
+    {
+        table: 'Events',
+        column: 'status',
+        values: ['DRAFT', 'SCHEDULED', 'IN_PROGRESS', 'FINISHED', 'FAILED', 'CANCELLED'],
+        suffix: "NOT NULL DEFAULT 'IN_PROGRESS'"
+    },
+    {
+        table: 'Transactions',
+        column: 'type',
+        values: ['BALANCE_INCOME', 'BALANCE_OUTCOME', 'EVENT_INCOME', 'EVENT_OUTCOME', 'EVENT_REFUND', 'GIFT', 'COMMISSION'],
+        suffix: 'DEFAULT NULL'
+    },
+    {
+        table: 'EndConditions',
+        column: 'name',
+        values: ['TIME', 'BANK', 'PARTICIPATION', 'UNIQUE_DONORS', 'MAX_SINGLE_DEPOSIT', 'AVERAGE_DEPOSIT', 'DURATION'],
+        suffix: 'NOT NULL'
+    },
+    {
+        table: 'ScheduledJobs',
+        column: 'type',
+        values: ['TIME_CONDITION', 'EVENT_RESOLUTION'],
+        suffix: 'NOT NULL'
+    }
+];
+
+// Indexes of the models, named like Sequelize names them so sync() recognizes them afterwards
+// The bankAmount and participantCount indexes are created by migrateEventTotals.js
+const NEW_INDEXES = [
+    { table: 'Events', name: 'events_status_starts_at', columns: ['status', 'startsAt'] },
+    { table: 'Events', name: 'events_type_status', columns: ['type', 'status'] },
+    { table: 'Events', name: 'events_created_at', columns: ['createdAt'] },
+    { table: 'Events', name: 'events_name_description', columns: ['name', 'description'], type: 'FULLTEXT' },
+    { table: 'Participations', name: 'participations_event_id_deposit', columns: ['eventId', 'deposit'] },
+    { table: 'EndConditions', name: 'end_conditions_end_condition_id_name', columns: ['endConditionId', 'name'] }
+];
+
+const getColumnType = async (table, column) => {
+    const [rows] = await sequelize.query(
+        `SELECT COLUMN_TYPE AS columnType FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND COLUMN_NAME = :column`,
+        { replacements: { table, column } }
+    );
+    return rows.length > 0 ? rows[0].columnType : null;
+};
+
+const indexExists = async (table, name) => {
+    const [rows] = await sequelize.query(
+        `SELECT COUNT(*) AS count FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = :table AND INDEX_NAME = :name`,
+        { replacements: { table, name } }
+    );
+    return Number(rows[0].count) > 0;
+};
+
+const addColumn = async ({ table, column, definition }) => {
+    if (await getColumnType(table, column)) {
+        console.log(`${table}.${column} already exists, skipping`);
+        return;
+    }
+
+    await sequelize.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    console.log(`${table}.${column} added`);
+};
+
+const extendEnum = async ({ table, column, values, suffix }) => {
+    const valueList = values.map(value => `'${value}'`).join(',');
+    const columnType = await getColumnType(table, column);
+
+    if (!columnType) {
+        console.log(`${table}.${column} does not exist, skipping`);
+        return;
+    }
+
+    if (columnType === `enum(${valueList})`) {
+        console.log(`${table}.${column} already has all values, skipping`);
+        return;
+    }
+
+    await sequelize.query(`ALTER TABLE \`${table}\` MODIFY \`${column}\` ENUM(${valueList}) ${suffix}`);
+    console.log(`${table}.${column}: ${columnType} -> ENUM(${valueList})`);
+};
+
+const addIndex = async ({ table, name, columns, type }) => {
+    if (await indexExists(table, name)) {
+        console.log(`${table}.${name} already exists, skipping`);
+        return;
+    }
+
+    const columnList = columns.map(column => `\`${column}\``).join(', ');
+    await sequelize.query(`CREATE ${type ? `${type} ` : ''}INDEX \`${name}\` ON \`${table}\` (${columnList})`);
+    console.log(`${table}.${name} created`);
+};
+
+const migrateSchemaColumns = async () => {
+    try {
+        console.log('Testing database connection...');
+        await testConnection();
+
+        console.log('Adding new columns...');
+        for (const newColumn of NEW_COLUMNS) {
+            await addColumn(newColumn);
+        }
+
+        console.log('Extending ENUM columns...');
+        for (const extendedEnum of EXTENDED_ENUMS) {
+            await extendEnum(extendedEnum);
+        }
+
+        console.log('Creating indexes...');
+        for (const newIndex of NEW_INDEXES) {
+            await addIndex(newIndex);
+        }
+
+        console.log('Schema columns migrated successfully');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating schema columns:', error);
+        process.exit(1);
+    }
+};
+
+migrateSchemaColumns();
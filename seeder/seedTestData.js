@@ -1,6 +1,6 @@
 const { Event, EventEndCondition, EndCondition } = require('../model');
 const { userService } = require('../service');
-const { EVENT_TYPES } = require('../constants/application');
+const { EVENT_TYPES, USER_ROLES } = require('../constants/application');
 
 async function seedTestData() {
     try {
@@ -26,6 +26,9 @@ async function seedTestData() {
             })
         ]);
 
+        // user1 administers the test data (roles can only be granted by an admin)
+        await userService.updateRole(users[0].id, USER_ROLES.ADMIN);
+
         // Create events
         const events = await Promise.all([
             // Event 1: DONATION type
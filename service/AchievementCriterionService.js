@@ -65,6 +65,20 @@ class AchievementCriterionService {
         }
     }
 
+    /**
+     * Finds several achievement criteria in one query
+     * @param {number[]} criterionIds - IDs of the criteria
+     * @returns {Promise<AchievementCriterion[]>} Found criteria; missing IDs are skipped
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByIds(criterionIds) {
+        try {
+            return await AchievementCriterionRepository.findByIds(criterionIds);
+        } catch (e) {
+            throw ApiError.database('Error finding achievement criteria by IDs', e);
+        }
+    }
+
 }
 
 module.exports = new AchievementCriterionService();
\ No newline at end of file
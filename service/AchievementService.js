@@ -1,5 +1,5 @@
 const ApiError = require('../exception/ApiError');
-const { AchievementRepository } = require('../repository');
+const { AchievementRepository, AchievementCriterionRepository } = require('../repository');
 
 /**
  * Service layer for managing achievements and their definitions
@@ -15,6 +15,8 @@ class AchievementService {
      * @param {string} data.name - Name/title of the achievement
      * @param {string} data.iconUrl - URL of the achievement icon/badge
      * @param {Array} data.conditions - Array of conditions required for completion
+     * @param {string} data.conditions[].type - Criterion type (e.g., 'EVENT_COUNT_ALL')
+     * @param {number} data.conditions[].value - Target value of the criterion
      * @returns {Promise<Achievement>} Created achievement object
      * @throws {ApiError} Business logic error if no conditions provided, database error if creation fails
      */
@@ -27,12 +29,23 @@ class AchievementService {
                 throw ApiError.businessLogic('At least one condition is required');
             }
 
-            const achievement = await AchievementRepository.create({
-                name: name,
-                iconUrl: iconUrl,
-            });
+            // Achievement and its criteria are stored together or not at all
+            return await AchievementRepository.transaction(async () => {
+                const achievement = await AchievementRepository.create({
+                    name: name,
+                    iconUrl: iconUrl,
+                });
+
+                for (const condition of conditions) {
+                    await AchievementCriterionRepository.create({
+                        achievementId: achievement.id,
+                        type: condition.type,
+                        value: condition.value
+                    });
+                }
 
-            return achievement;
+                return achievement;
+            });
         } catch (e) {
             if (e instanceof ApiError) {
                 throw e;
@@ -41,6 +54,40 @@ class AchievementService {
         }
     }
 
+    /**
+     * Updates the name or icon of an achievement (admin operation)
+     * Criteria are not editable, as users may already have progress recorded against them
+     * @param {number} achievementId - ID of the achievement to update
+     * @param {Object} data - Update data
+     * @param {string} [data.name] - New name/title
+     * @param {string} [data.iconUrl] - New icon URL
+     * @returns {Promise<Achievement>} Updated achievement object
+     * @throws {ApiError} Bad request if nothing to update, not found or database error
+     */
+    async update(achievementId, data) {
+        try {
+            const updateData = {};
+            if (data.name) {
+                updateData.name = data.name;
+            }
+            if (data.iconUrl) {
+                updateData.iconUrl = data.iconUrl;
+            }
+
+            if (Object.keys(updateData).length === 0) {
+                throw ApiError.badRequest('Nothing to update');
+            }
+
+            await AchievementRepository.update(achievementId, updateData);
+            return await AchievementRepository.findByPk(achievementId);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.database('Error updating achievement', e);
+        }
+    }
+
     /**
      * Retrieves all achievements with their associated criteria
      * Used for achievement system initialization and complete achievement listing
@@ -72,6 +119,20 @@ class AchievementService {
             throw ApiError.database('Error finding achievement by ID', e);
         }
     }
+
+    /**
+     * Finds several achievements in one query
+     * @param {number[]} achievementIds - IDs of the achievements
+     * @returns {Promise<Achievement[]>} Found achievements; missing IDs are skipped
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByIds(achievementIds) {
+        try {
+            return await AchievementRepository.findByIds(achievementIds);
+        } catch (e) {
+            throw ApiError.database('Error finding achievements by IDs', e);
+        }
+    }
 }
 
 module.exports = new AchievementService();
\ No newline at end of file
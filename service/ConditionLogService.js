@@ -0,0 +1,78 @@
+const ApiError = require('../exception/ApiError');
+const { ConditionLogRepository } = require('../repository');
+const { clock } = require('../utils/clock');
+
+/**
+ * Converts a measured or target value to the string stored in the log
+ * @param {*} value - Number, date, string or nothing
+ * @returns {string|null} Dates in ISO format, other values as strings, null when unset
+ */
+const toLogValue = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+};
+
+/**
+ * Service layer for the end condition evaluation log
+ * The condition tracker records every condition check, group completion or failure, status change
+ * and evaluation error with what triggered it, so the outcome of an event can be explained afterwards
+ */
+class ConditionLogService {
+
+    /**
+     * Adds an entry to the log of an event
+     * Logging never interrupts an evaluation, so an entry that cannot be stored is only reported
+     * @param {Object} entry - Log entry
+     * @param {number} entry.eventId - ID of the evaluated event
+     * @param {string} entry.type - CONDITION_LOG_TYPES value
+     * @param {string} entry.trigger - CONDITION_TRIGGERS value
+     * @param {number} [entry.eventEndConditionId] - ID of the condition group
+     * @param {Object} [entry.condition] - Checked condition (id, name and target value are stored)
+     * @param {*} [entry.observedValue] - Measured value, or resolved deadline of a deadline condition
+     * @param {boolean} [entry.met] - Whether the condition was met
+     * @param {string} [entry.fromStatus] - Previous event status, for status changes
+     * @param {string} [entry.toStatus] - New event status, for status changes
+     * @param {string} [entry.message] - Error message or other details
+     * @returns {Promise<ConditionLog|null>} Stored entry or null if it could not be stored
+     */
+    async record({ eventId, type, trigger, eventEndConditionId = null, condition = null, observedValue = null, met = null, fromStatus = null, toStatus = null, message = null }) {
+        try {
+            return await ConditionLogRepository.create({
+                eventId,
+                type,
+                trigger,
+                eventEndConditionId: eventEndConditionId || (condition && condition.endConditionId) || null,
+                conditionId: condition ? condition.id : null,
+                conditionName: condition ? condition.name : null,
+                observedValue: toLogValue(observedValue),
+                targetValue: condition ? toLogValue(condition.value) : null,
+                met,
+                fromStatus,
+                toStatus,
+                message,
+                evaluatedAt: clock.now()
+            });
+        } catch (e) {
+            console.error('Error recording condition log entry:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Finds the evaluation history of an event, oldest first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<ConditionLog[]>} Log entries of the event
+     * @throws {ApiError} Database error if the lookup fails
+     */
+    async findByEventId(eventId) {
+        try {
+            return await ConditionLogRepository.findByEventId(eventId);
+        } catch (e) {
+            throw ApiError.database('Error finding condition history', e);
+        }
+    }
+}
+
+module.exports = new ConditionLogService();
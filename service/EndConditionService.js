@@ -67,6 +67,20 @@ class EndConditionService {
         }
     }
 
+    /**
+     * Finds the conditions of several condition groups in one query
+     * @param {number[]} eventEndConditionIds - IDs of the condition groups
+     * @returns {Promise<EndCondition[]>} Array of conditions of these groups
+     * @throws {ApiError} Bad request if operation fails
+     */
+    async findByEventEndConditions(eventEndConditionIds) {
+        try {
+            return await EndConditionRepository.findByEventEndConditions(eventEndConditionIds);
+        } catch (e) {
+            throw ApiError.badRequest('Error finding end conditions by event end conditions', e.message);
+        }
+    }
+
     /**
      * Updates the completion status of an individual end condition
      * Used when a specific condition is met (e.g., time reached, participant count achieved)
@@ -1,7 +1,9 @@
 const ApiError = require('../exception/ApiError');
 const { EventEndConditionRepository } = require('../repository');
+const { CONDITION_TYPES } = require('../constants');
 
 const EndConditionService = require('./EndConditionService');
+const ScheduledJobService = require('./ScheduledJobService');
 
 /**
  * Service layer for managing event end condition groups
@@ -13,30 +15,34 @@ class EventEndConditionService {
 
     /**
      * Creates a new event end condition group with its individual conditions
-     * Establishes a group of conditions that must be met together for event completion
+     * Establishes a group of conditions that must be met together for event completion,
+     * or that are combined by an AND/OR/NOT expression (see utils/eventCondition/conditionExpression)
      * @param {Object} data - Condition group creation data
-     * @param {Array} data.conditions - Array of individual conditions within the group
+     * @param {Array} [data.conditions] - Array of individual conditions within the group
+     * @param {Object} [data.expression] - Expression tree whose leaves carry the conditions to create, instead of conditions
      * @param {number} data.eventId - ID of the event this condition group belongs to
      * @returns {Promise<EventEndCondition>} Created condition group object
      * @throws {ApiError} Bad request if creation fails or validation errors occur
      */
     async create(data) {
         try {
-            const { conditions, eventId } = data;
+            const { conditions, expression, eventId } = data;
 
             // Create the main condition group
             const eventEndConditionGroup = await EventEndConditionRepository.create({
                 eventId: eventId
             });
 
+            if (expression) {
+                // Store the tree with references to the created conditions
+                const storedExpression = await this.createExpressionConditions(expression, eventEndConditionGroup.id, eventId);
+                await EventEndConditionRepository.update(eventEndConditionGroup.id, { expression: storedExpression });
+                return eventEndConditionGroup;
+            }
+
             // Create all individual conditions within this group
             for (const condition of conditions) {
-                const endCondition = await EndConditionService.create({
-                    name: condition.name,
-                    operator: condition.operator,
-                    value: condition.value,
-                    endConditionId: eventEndConditionGroup.id
-                });
+                await this.createCondition(condition, eventEndConditionGroup.id, eventId);
             }
             return eventEndConditionGroup;
         } catch (e) {
@@ -44,6 +50,49 @@ class EventEndConditionService {
         }
     }
 
+    /**
+     * Creates a single condition within a group
+     * TIME conditions enqueue a job that evaluates the event at the deadline (see ScheduledJobService); their
+     * deadline is stored as a UTC ISO string so the feed can compare deadlines in SQL (see EventRepository)
+     * @param {Object} condition - Condition with name, operator and value
+     * @param {number} eventEndConditionId - ID of the parent condition group
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<EndCondition>} Created condition
+     */
+    async createCondition(condition, eventEndConditionId, eventId) {
+        const endCondition = await EndConditionService.create({
+            name: condition.name,
+            operator: condition.operator,
+            value: condition.name === CONDITION_TYPES.TIME ? new Date(condition.value).toISOString() : condition.value,
+            endConditionId: eventEndConditionId
+        });
+
+        if (endCondition.name === CONDITION_TYPES.TIME) {
+            await ScheduledJobService.scheduleTimeCondition(endCondition, eventId);
+        }
+        return endCondition;
+    }
+
+    /**
+     * Creates the conditions of an expression tree
+     * @param {Object} node - Expression input node, a leaf has a condition, other nodes an operator and operands
+     * @param {number} eventEndConditionId - ID of the parent condition group
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Object>} Expression with leaves referencing the created conditions ({ conditionId })
+     */
+    async createExpressionConditions(node, eventEndConditionId, eventId) {
+        if (node.condition) {
+            const endCondition = await this.createCondition(node.condition, eventEndConditionId, eventId);
+            return { conditionId: endCondition.id };
+        }
+
+        const operands = [];
+        for (const operand of node.operands) {
+            operands.push(await this.createExpressionConditions(operand, eventEndConditionId, eventId));
+        }
+        return { operator: node.operator, operands };
+    }
+
     /**
      * Finds all end condition groups for an event with their individual conditions
      * Used for event condition evaluation and completion checking
@@ -121,6 +170,34 @@ class EventEndConditionService {
         }
     }
 
+    /**
+     * Finds several end condition groups by their IDs in one query
+     * @param {number[]} eventEndConditionIds - IDs of the groups
+     * @returns {Promise<EventEndCondition[]>} Found groups; missing IDs are skipped
+     * @throws {ApiError} Bad request if operation fails
+     */
+    async findByIds(eventEndConditionIds) {
+        try {
+            return await EventEndConditionRepository.findByIds(eventEndConditionIds);
+        } catch (e) {
+            throw ApiError.badRequest('Error finding event end conditions by IDs', e.message);
+        }
+    }
+
+    /**
+     * Finds the end condition groups of several events in one query
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<EventEndCondition[]>} Array of condition groups with their conditions
+     * @throws {ApiError} Bad request if operation fails
+     */
+    async findByEventIds(eventIds) {
+        try {
+            return await EventEndConditionRepository.findByEventIds(eventIds);
+        } catch (e) {
+            throw ApiError.badRequest('Error finding event end conditions by event IDs', e.message);
+        }
+    }
+
 }
 
 module.exports = new EventEndConditionService();
\ No newline at end of file
@@ -0,0 +1,74 @@
+const ApiError = require('../exception/ApiError');
+const { EventRevisionRepository } = require('../repository');
+
+/**
+ * Converts a field value to the string stored in a revision
+ * @param {*} value - Field value
+ * @returns {string|null} Strings as they are, other values as JSON, null when unset
+ */
+const toChangeValue = (value) => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Service layer for the change history of events
+ * Every edit after creation is stored as a numbered revision listing the old and new value of each changed field
+ */
+class EventRevisionService {
+
+    /**
+     * Builds a change entry for a revision
+     * @param {string} field - Name of the changed field (e.g. 'name' or 'deadline')
+     * @param {*} from - Previous value
+     * @param {*} to - New value
+     * @param {number} [conditionId] - ID of the changed end condition, for deadline changes
+     * @returns {Object} Change entry
+     */
+    buildChange(field, from, to, conditionId = null) {
+        return {
+            field,
+            conditionId,
+            from: toChangeValue(from),
+            to: toChangeValue(to)
+        };
+    }
+
+    /**
+     * Stores the next revision of an event
+     * Must run in the transaction of the edit with the event row locked, so revision numbers never collide
+     * @param {number} eventId - ID of the edited event
+     * @param {number} userId - ID of the user making the edit
+     * @param {Object[]} changes - Change entries (see buildChange)
+     * @returns {Promise<EventRevision>} Created revision
+     * @throws {ApiError} Database error if the revision cannot be stored
+     */
+    async record(eventId, userId, changes) {
+        const latest = await EventRevisionRepository.findLatest(eventId);
+
+        return await EventRevisionRepository.create({
+            eventId,
+            revision: latest ? latest.revision + 1 : 1,
+            userId,
+            changes
+        });
+    }
+
+    /**
+     * Finds the change history of an event, newest first
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<EventRevision[]>} Revisions of the event
+     * @throws {ApiError} Database error if the lookup fails
+     */
+    async findByEventId(eventId) {
+        try {
+            return await EventRevisionRepository.findByEventId(eventId);
+        } catch (e) {
+            throw ApiError.database('Error finding event revisions', e);
+        }
+    }
+}
+
+module.exports = new EventRevisionService();
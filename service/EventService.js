@@ -1,22 +1,35 @@
 const ApiError = require('../exception/ApiError');
-const { EventRepository } = require('../repository');
+const { EventRepository, EndConditionRepository, ParticipationRepository } = require('../repository');
 
 const EventEndConditionService = require('./EventEndConditionService');
+const JackpotDrawService = require('./JackpotDrawService');
+const FeeScheduleService = require('./FeeScheduleService');
+const EventRevisionService = require('./EventRevisionService');
+const ScheduledJobService = require('./ScheduledJobService');
 const { onEventCreated } = require('../utils/achievement');
 const eventConditions = require('../utils/eventCondition');
+const conditionExpression = require('../utils/eventCondition/conditionExpression');
+const { conditionEvaluators } = require('../utils/eventCondition/conditionEvaluators');
+const { simulateEvent } = require('../utils/eventCondition/EventSimulator');
 const { firebaseStorageService } = require('../utils/media/FirebaseStorageService');
-const { FILE_LIMITS, EVENT_TYPES, CONDITION_TYPES } = require('../constants');
+const { FILE_LIMITS, EVENT_TYPES, EVENT_STATUSES, OPEN_EVENT_STATUSES, CONDITION_TYPES, CONDITION_ERROR_CODES, JACKPOT_CONFIG, USER_ROLES, VALIDATION_LIMITS, PAGINATION, EVENT_SORT_ORDERS, SEARCH_CONFIG } = require('../constants');
+const money = require('../utils/money');
+const { clock } = require('../utils/clock');
+const { encodeCursor, decodeCursor, buildConnection } = require('../utils/pagination');
+const { tokenize, highlight } = require('../utils/search');
 
 /**
  * Service layer for event management and lifecycle operations
  * Handles event creation, image uploads, condition management, participant tracking,
- * achievement integration, and background processing for time-based conditions
+ * achievement integration, and background processing for scheduled starts
  */
 class EventService {
 
     /**
      * Creates a new event with comprehensive validation, image upload, and condition setup
      * Integrates with achievement system and initializes condition tracking
+     * JACKPOT events commit to their draw seed in the same transaction (see JackpotDrawService)
+     * Drafts and scheduled events don't accept participations and aren't tracked until they start (see publish)
      * @param {Object} data - Event creation data
      * @param {string} data.name - Name/title of the event
      * @param {string} [data.description] - Optional event description
@@ -24,52 +37,40 @@ class EventService {
      * @param {string} [data.imageFile] - Base64 encoded image file
      * @param {number} data.userId - ID of the user creating the event
      * @param {number} [data.recipientId] - ID of recipient user (auto-set for donations)
+     * @param {number[]} [data.prizeDistribution] - JACKPOT only: payout percentage per place, adding up to 100
+     * @param {boolean} [data.draft] - Save as a DRAFT that only the creator can see
+     * @param {string} [data.startsAt] - Future start time; the event is SCHEDULED until then (planned start for drafts)
      * @param {Array} data.eventEndConditionGroups - Array of condition groups
      * @returns {Promise<Event>} Created event object
-     * @throws {ApiError} Bad request for validation errors or upload failures
+     * @throws {ApiError} Validation error listing the rejected end conditions with their codes,
+     * bad request for other validation errors or upload failures
      */
     async create(data) {
         try {
-            const { name, description, type, imageFile, userId, recipientId: inputRecipientId, eventEndConditionGroups } = data;
+            const { name, description, type, imageFile, userId, recipientId: inputRecipientId, prizeDistribution, draft, eventEndConditionGroups } = data;
 
             // Validate that at least one end condition group is provided
             if (eventEndConditionGroups.length === 0) {
                 throw ApiError.badRequest('Event end condition groups are required');
             }
+            this.validateConditionGroups(eventEndConditionGroups);
 
-            let imageUrl = null;
-            if (imageFile) {
-                try {
-                    // Decode base64 image data
-                    const base64Data = imageFile.replace(/^data:image\/\w+;base64,/, '');
-                    const buffer = Buffer.from(base64Data, 'base64');
-                    
-                    // Validate file size against configured limits
-                    if (buffer.length > FILE_LIMITS.MAX_IMAGE_SIZE) {
-                        throw ApiError.badRequest(`Image size must not exceed ${FILE_LIMITS.MAX_IMAGE_SIZE / 1024 / 1024}MB`);
-                    }
-                    
-                    // Create file object compatible with Firebase storage
-                    const file = {
-                        buffer: buffer,
-                        originalname: `event-${Date.now()}.jpg`,
-                        mimetype: 'image/jpeg'
-                    };
-
-                    // Upload to Firebase Storage with organized path structure
-                    const firebasePath = `events/${userId}/${Date.now()}.jpg`;
-                    imageUrl = await firebaseStorageService.uploadImage(file, firebasePath);
-                    
-                    //console.log('Image uploaded to Firebase:', imageUrl);
-                } catch (uploadError) {
-                    console.error('Error uploading image to Firebase:', uploadError);
-                    if (uploadError instanceof ApiError) {
-                        throw uploadError;
-                    }
-                    throw ApiError.badRequest('Failed to upload image: ' + uploadError.message);
-                }
+            const startsAt = data.startsAt ? this.parseStartTime(data.startsAt) : null;
+            this.validateConditionValues(eventEndConditionGroups, startsAt || clock.now());
+
+            let status = EVENT_STATUSES.IN_PROGRESS;
+            if (draft) {
+                status = EVENT_STATUSES.DRAFT;
+            } else if (startsAt) {
+                status = EVENT_STATUSES.SCHEDULED;
             }
 
+            if (prizeDistribution) {
+                this.validatePrizeDistribution(type, prizeDistribution);
+            }
+
+            const imageUrl = imageFile ? await this.uploadImage(imageFile, userId) : null;
+
             let recipientId = null;
 
             // Auto-assign recipient for donation/fundraising events
@@ -79,36 +80,523 @@ class EventService {
                 recipientId = userId;
             }
 
-            // Create the main event record
-            const event = await EventRepository.create({
-                name: name,
-                description: description,
-                type: type,
-                imageUrl: imageUrl,
-                userId: userId,
-                recipientId: recipientId,
-            });
+            const event = await EventRepository.transaction(async () => {
+                // Snapshot the fees in force now, so later schedule changes don't affect this event's payout
+                const feeSnapshot = await FeeScheduleService.getEffective(type);
 
-            // Create all end condition groups and their individual conditions
-            for (const group of eventEndConditionGroups) {
-                await EventEndConditionService.create({
-                    eventId: event.id,
-                    conditions: group.conditions
+                // Create the main event record
+                const createdEvent = await EventRepository.create({
+                    name: name,
+                    description: description,
+                    type: type,
+                    imageUrl: imageUrl,
+                    userId: userId,
+                    recipientId: recipientId,
+                    prizeDistribution: prizeDistribution,
+                    feeSnapshot: feeSnapshot,
+                    status: status,
+                    startsAt: status === EVENT_STATUSES.IN_PROGRESS ? clock.now() : startsAt,
                 });
-            }
+
+                // Create all end condition groups and their individual conditions
+                for (const group of eventEndConditionGroups) {
+                    await EventEndConditionService.create({
+                        eventId: createdEvent.id,
+                        conditions: group.conditions,
+                        expression: group.expression
+                    });
+                }
+
+                // Commit to the jackpot seed before anyone can participate
+                if (type === EVENT_TYPES.JACKPOT) {
+                    await JackpotDrawService.commit(createdEvent.id);
+                }
+
+                return createdEvent;
+            });
 
             // Track event creation for achievement system (non-blocking)
             await onEventCreated(userId, event.id);
 
             // Initialize event condition tracking system (non-blocking)
-            await eventConditions.onEventCreated(event.id);
+            if (status === EVENT_STATUSES.IN_PROGRESS) {
+                await eventConditions.onEventCreated(event.id);
+            }
 
             return event;
         } catch (e) {
+            // Rejected conditions keep their error codes
+            if (e instanceof ApiError && e.status === 422) {
+                throw e;
+            }
             throw ApiError.badRequest(e.message);
         }
     }
 
+    /**
+     * Plays a scenario through an event definition without creating the event (see EventSimulator)
+     * The definition is validated like in create, and the fees currently in force are used for the payout
+     * @param {Object} data - Event definition with the same fields as in create
+     * @param {Object} scenario - Scenario to play
+     * @param {string} [scenario.startsAt] - Start of the simulated event; defaults to data.startsAt, then to now
+     * @param {Object[]} scenario.steps - Participations and clock ticks in time order
+     * @returns {Promise<{steps: Object[], finalStatus: string}>} State and payout after every step
+     * @throws {ApiError} Validation error for rejected end conditions, bad request for other invalid definitions or scenarios
+     */
+    async simulateConditions(data, scenario) {
+        try {
+            const { type, userId, prizeDistribution, eventEndConditionGroups } = data;
+
+            if (eventEndConditionGroups.length === 0) {
+                throw ApiError.badRequest('Event end condition groups are required');
+            }
+            this.validateConditionGroups(eventEndConditionGroups);
+
+            if (prizeDistribution) {
+                this.validatePrizeDistribution(type, prizeDistribution);
+            }
+
+            const startsAt = new Date(scenario.startsAt || data.startsAt || clock.timestamp());
+            this.validateConditionValues(eventEndConditionGroups, startsAt);
+
+            let recipientId = data.recipientId || null;
+            if (!recipientId && (type === EVENT_TYPES.DONATION || type === EVENT_TYPES.FUNDRAISING)) {
+                recipientId = userId;
+            }
+
+            const fees = await FeeScheduleService.getEffective(type);
+            return await simulateEvent({ ...data, recipientId }, { ...scenario, startsAt }, fees);
+        } catch (e) {
+            if (e instanceof ApiError && e.status === 422) {
+                throw e;
+            }
+            throw ApiError.badRequest(e.message);
+        }
+    }
+
+    /**
+     * Checks whether a user may edit, publish or cancel an event
+     * @param {Event} event - Event with userId
+     * @param {Object|null} user - Authenticated user (token payload with id and role)
+     * @returns {boolean} True for the event creator and admins
+     */
+    canManage(event, user) {
+        return Boolean(user && (event.userId === user.id || user.role === USER_ROLES.ADMIN));
+    }
+
+    /**
+     * Checks whether a user may see an event
+     * Drafts are private to their creator (and admins) until they are published
+     * @param {Event} event - Event with status and userId
+     * @param {Object|null} user - Authenticated user, null for anonymous requests
+     * @returns {boolean} True if the event can be shown to the user
+     */
+    isVisibleTo(event, user) {
+        return event.status !== EVENT_STATUSES.DRAFT || this.canManage(event, user);
+    }
+
+    /**
+     * Parses a requested start time
+     * @param {string} value - Start time in ISO format
+     * @returns {Date} Start time
+     * @throws {ApiError} Bad request if the value is not a date in the future
+     */
+    parseStartTime(value) {
+        const startsAt = new Date(value);
+        if (Number.isNaN(startsAt.getTime())) {
+            throw ApiError.badRequest('Start time must be a valid date');
+        }
+        if (startsAt.getTime() <= clock.timestamp()) {
+            throw ApiError.badRequest('Start time must be in the future');
+        }
+        return startsAt;
+    }
+
+    /**
+     * Checks that every end condition group has either a list of conditions or an expression
+     * @param {Array} groups - End condition groups to create
+     * @throws {ApiError} Bad request for empty groups or malformed expressions
+     */
+    validateConditionGroups(groups) {
+        for (const group of groups) {
+            if (group.expression && group.conditions) {
+                throw ApiError.badRequest('An end condition group has either conditions or an expression');
+            }
+            if (group.expression) {
+                try {
+                    conditionExpression.validate(group.expression);
+                } catch (e) {
+                    throw ApiError.badRequest(e.message);
+                }
+            } else if (!group.conditions || group.conditions.length === 0) {
+                throw ApiError.badRequest('Every end condition group needs at least one condition');
+            }
+        }
+    }
+
+    /**
+     * Checks every end condition against the rules of its type (see ConditionEvaluatorRegistry.validate)
+     * and that no TIME deadline passes before the event starts
+     * @param {Array} groups - End condition groups to create, with conditions or an expression
+     * @param {Date} startsAt - Start time of the event (now for events that start right away)
+     * @throws {ApiError} Validation error with every problem as { code, path, message }, code from CONDITION_ERROR_CODES
+     */
+    validateConditionValues(groups, startsAt) {
+        const problems = [];
+
+        groups.forEach((group, groupIndex) => {
+            const conditions = group.conditions || conditionExpression.listConditions(group.expression);
+            conditions.forEach((condition, conditionIndex) => {
+                const path = group.conditions
+                    ? `eventEndConditionGroups[${groupIndex}].conditions[${conditionIndex}]`
+                    : `eventEndConditionGroups[${groupIndex}].expression`;
+                const conditionProblems = conditionEvaluators.validate(condition);
+                const deadlineProblem = conditionProblems.length === 0 ? this.findDeadlineProblem(condition, startsAt) : null;
+
+                if (deadlineProblem) {
+                    conditionProblems.push(deadlineProblem);
+                }
+                problems.push(...conditionProblems.map(problem => ({ ...problem, path })));
+            });
+        });
+
+        if (problems.length > 0) {
+            throw ApiError.validation(problems.map(problem => problem.message).join(', '), problems);
+        }
+    }
+
+    /**
+     * Checks that a TIME deadline passes after the event starts
+     * @param {Object} condition - Condition with name and value
+     * @param {Date} startsAt - Start time of the event
+     * @returns {{code: string, message: string}|null} Problem with its code from CONDITION_ERROR_CODES, null if there is none
+     */
+    findDeadlineProblem(condition, startsAt) {
+        if (condition.name !== CONDITION_TYPES.TIME || new Date(condition.value) > startsAt) {
+            return null;
+        }
+        return {
+            code: CONDITION_ERROR_CODES.DEADLINE_NOT_AFTER_START,
+            message: 'Deadlines must be after the start time'
+        };
+    }
+
+    /**
+     * Checks that no TIME deadline of a saved event passes before the event starts
+     * @param {Array} groups - End condition groups of the event with their conditions
+     * @param {Date} startsAt - Start time of the event
+     * @throws {ApiError} Validation error with every problem as { code, path, message }, code from CONDITION_ERROR_CODES
+     */
+    validateDeadlinesAfterStart(groups, startsAt) {
+        const problems = [];
+
+        groups.forEach((group, groupIndex) => {
+            (group.conditions || []).forEach((condition, conditionIndex) => {
+                const problem = this.findDeadlineProblem(condition, startsAt);
+                if (problem) {
+                    problems.push({ ...problem, path: `endConditions[${groupIndex}].conditions[${conditionIndex}]` });
+                }
+            });
+        });
+
+        if (problems.length > 0) {
+            throw ApiError.validation(problems.map(problem => problem.message).join(', '), problems);
+        }
+    }
+
+    /**
+     * Uploads a base64 encoded event image to Firebase Storage
+     * @param {string} imageFile - Base64 encoded image, optionally with a data URL prefix
+     * @param {number} userId - ID of the event creator, used in the storage path
+     * @returns {Promise<string>} Public URL of the uploaded image
+     * @throws {ApiError} Bad request if the image is too large or the upload fails
+     */
+    async uploadImage(imageFile, userId) {
+        try {
+            // Decode base64 image data
+            const base64Data = imageFile.replace(/^data:image\/\w+;base64,/, '');
+            const buffer = Buffer.from(base64Data, 'base64');
+            
+            // Validate file size against configured limits
+            if (buffer.length > FILE_LIMITS.MAX_IMAGE_SIZE) {
+                throw ApiError.badRequest(`Image size must not exceed ${FILE_LIMITS.MAX_IMAGE_SIZE / 1024 / 1024}MB`);
+            }
+            
+            // Create file object compatible with Firebase storage
+            const file = {
+                buffer: buffer,
+                originalname: `event-${Date.now()}.jpg`,
+                mimetype: 'image/jpeg'
+            };
+
+            // Upload to Firebase Storage with organized path structure
+            const firebasePath = `events/${userId}/${Date.now()}.jpg`;
+            return await firebaseStorageService.uploadImage(file, firebasePath);
+        } catch (uploadError) {
+            console.error('Error uploading image to Firebase:', uploadError);
+            if (uploadError instanceof ApiError) {
+                throw uploadError;
+            }
+            throw ApiError.badRequest('Failed to upload image: ' + uploadError.message);
+        }
+    }
+
+    /**
+     * Edits an event that is not resolved yet and records the edit as a revision
+     * Name, description and image can always be changed. The recipient and prize distribution are fixed
+     * once the first participation exists, and TIME deadlines can then only be extended.
+     * The type is fixed at creation because it decides fees, payout and the jackpot commitment
+     * @param {number} eventId - ID of the event to edit
+     * @param {Object} data - Edit data, omitted fields are left unchanged
+     * @param {string} [data.name] - New event name
+     * @param {string} [data.description] - New description
+     * @param {string} [data.imageFile] - Base64 encoded replacement image
+     * @param {boolean} [data.removeImage] - Whether to remove the event image
+     * @param {number} [data.recipientId] - New recipient (before the first participation only)
+     * @param {number[]} [data.prizeDistribution] - New JACKPOT prize tiers (before the first participation only)
+     * @param {Object[]} [data.deadlines] - New TIME condition values as [{ conditionId, value }]
+     * @param {Object} user - Authenticated user (token payload with id and role)
+     * @returns {Promise<Event>} Updated event with end conditions
+     * @throws {ApiError} Not found if the event doesn't exist, forbidden unless the user created the event
+     * or is an admin, bad request if a change is not allowed or nothing would change
+     */
+    async update(eventId, data, user) {
+        try {
+            const existing = await EventRepository.findByPk(eventId);
+            if (!this.canManage(existing, user)) {
+                throw ApiError.forbidden('Only the event creator or an admin can edit the event');
+            }
+            if (!OPEN_EVENT_STATUSES.includes(existing.status)) {
+                throw ApiError.badRequest(`Cannot edit an event with status ${existing.status}`);
+            }
+            if (data.imageFile && data.removeImage) {
+                throw ApiError.badRequest('Cannot replace and remove the image at the same time');
+            }
+            if (data.prizeDistribution) {
+                this.validatePrizeDistribution(existing.type, data.prizeDistribution);
+            }
+
+            // Upload before the transaction so no row lock is held while waiting on storage
+            const imageUrl = data.imageFile ? await this.uploadImage(data.imageFile, existing.userId) : null;
+
+            await EventRepository.transaction(async () => {
+                // Locking the event serializes edits with each other and with deposits (see ParticipationService)
+                await EventRepository.findByPk(eventId, { lock: true });
+                const event = await EventRepository.findByIdWithEndConditions(eventId);
+                if (!OPEN_EVENT_STATUSES.includes(event.status)) {
+                    throw ApiError.badRequest(`Cannot edit an event with status ${event.status}`);
+                }
+
+                const hasParticipants = await ParticipationRepository.count({ where: { eventId } }) > 0;
+                const updateData = {};
+                const changes = [];
+
+                const setField = (field, value) => {
+                    if (JSON.stringify(value) === JSON.stringify(event[field])) {
+                        return;
+                    }
+                    updateData[field] = value;
+                    changes.push(EventRevisionService.buildChange(field, event[field], value));
+                };
+
+                if (data.name !== undefined && data.name !== null) {
+                    if (!data.name.trim()) {
+                        throw ApiError.badRequest('Event name cannot be empty');
+                    }
+                    setField('name', data.name.trim());
+                }
+                if (data.description !== undefined && data.description !== null) {
+                    setField('description', data.description);
+                }
+                if (imageUrl) {
+                    setField('imageUrl', imageUrl);
+                } else if (data.removeImage) {
+                    setField('imageUrl', null);
+                }
+
+                for (const field of ['recipientId', 'prizeDistribution']) {
+                    if (data[field] === undefined || data[field] === null) {
+                        continue;
+                    }
+                    if (hasParticipants && JSON.stringify(data[field]) !== JSON.stringify(event[field])) {
+                        throw ApiError.badRequest(`${field} cannot be changed after the first participation`);
+                    }
+                    setField(field, data[field]);
+                }
+
+                const deadlineUpdates = this.resolveDeadlineChanges(event, data.deadlines || [], hasParticipants);
+                for (const { condition, value } of deadlineUpdates) {
+                    changes.push(EventRevisionService.buildChange('deadline', condition.value, value, condition.id));
+                }
+
+                if (changes.length === 0) {
+                    throw ApiError.badRequest('Nothing to update');
+                }
+
+                if (Object.keys(updateData).length > 0) {
+                    await EventRepository.update(eventId, updateData);
+                }
+                for (const { condition, value } of deadlineUpdates) {
+                    await EndConditionRepository.update(condition.id, { value });
+                    await ScheduledJobService.scheduleTimeCondition({ id: condition.id, value }, eventId);
+                }
+
+                await EventRevisionService.record(eventId, user.id, changes);
+            });
+
+            return await EventRepository.findByIdWithOptionalEndConditions(eventId, true);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.badRequest('Error updating event', e.message);
+        }
+    }
+
+    /**
+     * Validates requested TIME deadline changes against an event's end conditions
+     * @param {Event} event - Event with startsAt and its end condition groups and their conditions
+     * @param {Object[]} deadlines - Requested changes as [{ conditionId, value }]
+     * @param {boolean} hasParticipants - Whether the event already has participations
+     * @returns {Object[]} Conditions whose deadline changes, as [{ condition, value }] with ISO values
+     * @throws {ApiError} Bad request for unknown or resolved conditions, invalid dates, past deadlines
+     * or shortened deadlines after the first participation
+     */
+    resolveDeadlineChanges(event, deadlines, hasParticipants) {
+        const updates = [];
+
+        for (const { conditionId, value } of deadlines) {
+            const group = event.endConditions.find(g => g.conditions.some(c => c.id === conditionId));
+            const condition = group ? group.conditions.find(c => c.id === conditionId) : null;
+
+            if (!condition || condition.name !== CONDITION_TYPES.TIME) {
+                throw ApiError.badRequest(`Condition ${conditionId} is not a TIME condition of this event`);
+            }
+            if (condition.isCompleted || group.isCompleted || group.isFailed) {
+                throw ApiError.badRequest(`Condition ${conditionId} is already resolved`);
+            }
+
+            const deadline = new Date(value);
+            if (Number.isNaN(deadline.getTime())) {
+                throw ApiError.badRequest('Deadline must be a valid date');
+            }
+            if (deadline.getTime() <= clock.timestamp()) {
+                throw ApiError.badRequest('Deadline must be in the future');
+            }
+            if (event.startsAt && deadline <= new Date(event.startsAt)) {
+                throw ApiError.badRequest('Deadlines must be after the start time');
+            }
+
+            const currentDeadline = new Date(condition.value);
+            if (deadline.getTime() === currentDeadline.getTime()) {
+                continue;
+            }
+            if (hasParticipants && deadline < currentDeadline) {
+                throw ApiError.badRequest('Deadlines can only be extended after the first participation');
+            }
+
+            updates.push({ condition, value: deadline.toISOString() });
+        }
+
+        return updates;
+    }
+
+    /**
+     * Publishes a draft, right away or at a future start time
+     * An event that starts now begins accepting participations and its conditions are tracked from here on
+     * @param {number} eventId - ID of the draft
+     * @param {string} [startsAt] - Future start time; defaults to the start time saved with the draft
+     * if it is still in the future, otherwise now
+     * @param {Object} user - Authenticated user (token payload with id and role)
+     * @returns {Promise<Event>} Published event with end conditions
+     * @throws {ApiError} Not found if the event doesn't exist, forbidden unless the user created the event
+     * or is an admin, bad request if it isn't a draft or a deadline would pass before the start
+     */
+    async publish(eventId, startsAt, user) {
+        try {
+            const event = await EventRepository.findByIdWithEndConditions(eventId);
+            if (!this.canManage(event, user)) {
+                throw ApiError.forbidden('Only the event creator or an admin can publish the event');
+            }
+            if (event.status !== EVENT_STATUSES.DRAFT) {
+                throw ApiError.badRequest(`Cannot publish an event with status ${event.status}`);
+            }
+
+            let start = startsAt ? this.parseStartTime(startsAt) : null;
+            if (!start && event.startsAt && new Date(event.startsAt).getTime() > clock.timestamp()) {
+                start = new Date(event.startsAt);
+            }
+
+            const status = start ? EVENT_STATUSES.SCHEDULED : EVENT_STATUSES.IN_PROGRESS;
+            start = start || clock.now();
+            this.validateDeadlinesAfterStart(event.endConditions, start);
+
+            const published = await EventRepository.transitionStatus(eventId, EVENT_STATUSES.DRAFT, status, { startsAt: start });
+            if (!published) {
+                throw ApiError.badRequest('Event is no longer a draft');
+            }
+
+            if (status === EVENT_STATUSES.IN_PROGRESS) {
+                await eventConditions.onEventStarted(eventId);
+            }
+
+            return await EventRepository.findByIdWithOptionalEndConditions(eventId, true);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.badRequest('Error publishing event', e.message);
+        }
+    }
+
+    /**
+     * Background job that opens scheduled events whose start time has arrived
+     * Runs from a cron every minute; deadlines of the started events are evaluated by their jobs (see ScheduledJobService)
+     * @returns {Promise<number>} Number of events started by this call
+     * @throws {ApiError} Bad request if the scheduled events cannot be loaded
+     */
+    async startScheduledEvents() {
+        try {
+            const dueEvents = await EventRepository.findDueScheduledEvents(clock.now());
+            let startedCount = 0;
+
+            for (const event of dueEvents) {
+                // Conditional, so a concurrent run or a cancellation never starts an event twice
+                const started = await EventRepository.transitionStatus(event.id, EVENT_STATUSES.SCHEDULED, EVENT_STATUSES.IN_PROGRESS);
+                if (started) {
+                    await eventConditions.onEventStarted(event.id);
+                    startedCount++;
+                }
+            }
+
+            return startedCount;
+        } catch (e) {
+            console.error('Error starting scheduled events:', e.message);
+            throw ApiError.badRequest('Error starting scheduled events', e.message);
+        }
+    }
+
+    /**
+     * Validates the prize tiers of a multi-winner jackpot
+     * @param {string} type - Event type
+     * @param {number[]} prizeDistribution - Payout percentage per place
+     * @throws {ApiError} Bad request if the event is not a JACKPOT or the percentages do not add up to 100
+     */
+    validatePrizeDistribution(type, prizeDistribution) {
+        if (type !== EVENT_TYPES.JACKPOT) {
+            throw ApiError.badRequest('Prize distribution is only supported for JACKPOT events');
+        }
+        if (prizeDistribution.length === 0 || prizeDistribution.length > JACKPOT_CONFIG.MAX_PRIZE_TIERS) {
+            throw ApiError.badRequest(`Prize distribution must have between 1 and ${JACKPOT_CONFIG.MAX_PRIZE_TIERS} places`);
+        }
+        if (!prizeDistribution.every(share => share > 0 && money.hasValidPrecision(share))) {
+            throw ApiError.badRequest('Prize shares must be positive percentages with at most 2 decimal places');
+        }
+        if (money.sum(prizeDistribution) !== 100) {
+            throw ApiError.badRequest('Prize distribution must add up to 100%');
+        }
+    }
+
     /**
      * Finds an event by ID with all participant information and balances
      * Used for detailed event analysis and participant management
@@ -157,54 +645,148 @@ class EventService {
     }
 
     /**
-     * Finds an event by ID with all end conditions and their criteria
-     * Used for event completion evaluation and condition checking
-     * @param {number} eventId - ID of the event
-     * @returns {Promise<Event>} Event with complete end condition hierarchy
-     * @throws {ApiError} Bad request if event not found or operation fails
+     * Changes the status of an event only if it still has the expected status
+     * Used when an event is resolved outside of condition checks (e.g. by an admin)
+     * @param {number} eventId - ID of the event to update
+     * @param {string} fromStatus - Status the event must currently have
+     * @param {string} toStatus - New status value from EVENT_STATUSES constants
+     * @returns {Promise<boolean>} True if the status was changed by this call
+     * @throws {ApiError} Bad request if update fails
      */
-    async findByIdWithEndConditions(eventId) {
+    async transitionStatus(eventId, fromStatus, toStatus) {
         try {
-            return await EventRepository.findByIdWithEndConditions(eventId);
+            return await EventRepository.transitionStatus(eventId, fromStatus, toStatus);
         } catch (e) {
-            throw ApiError.badRequest('Error finding event with end conditions', e.message);
+            throw ApiError.badRequest('Error changing event status', e.message);
         }
     }
 
     /**
-     * Background job to check time-based conditions for all active events
-     * Runs periodically to evaluate if events should end based on time criteria
-     * Processes each active event and triggers condition evaluation if needed
-     * @returns {Promise<void>} Completes when all time checks are done
-     * @throws {ApiError} Bad request if time checking process fails
+     * Edits or removes user-supplied content of an event (moderation)
+     * Only the name, description and image can be changed; money and conditions are untouched
+     * The edit is recorded as a revision like edits by the creator
+     * @param {number} eventId - ID of the event to moderate
+     * @param {Object} data - Moderation data
+     * @param {string} [data.name] - Replacement event name
+     * @param {string} [data.description] - Replacement description, empty string clears it
+     * @param {boolean} [data.removeImage] - Whether to remove the event image
+     * @param {number} userId - ID of the moderator
+     * @returns {Promise<Event>} Updated event without end conditions
+     * @throws {ApiError} Bad request if nothing to change, not found or update fails
      */
-    async checkTimeConditions() {
+    async moderate(eventId, data, userId) {
         try {
-            
-            // Retrieve all events that are currently in progress
-            const activeEvents = await EventRepository.findActiveEvents();
-
-            // Process each active event for time condition evaluation
-            for (const event of activeEvents) {
-                if (event.endConditions && event.endConditions.length > 0) {
-                    // Check if this event has any time-based conditions
-                    const hasTimeConditions = event.endConditions.some(group => 
-                        group.conditions && group.conditions.some(condition => condition.name === CONDITION_TYPES.TIME)
-                    );
-                    
-                    if (hasTimeConditions) {
-                        
-                        // Import eventConditions here to avoid circular dependencies
-                        const eventConditions = require('../utils/eventCondition');
-                        await eventConditions.onTimeCheck(event.id);
-                    }
+            const updateData = {};
+
+            if (data.name !== undefined && data.name !== null) {
+                if (!data.name.trim()) {
+                    throw ApiError.badRequest('Event name cannot be empty');
+                }
+                updateData.name = data.name.trim();
+            }
+            if (data.description !== undefined && data.description !== null) {
+                updateData.description = data.description;
+            }
+            if (data.removeImage) {
+                updateData.imageUrl = null;
+            }
+
+            if (Object.keys(updateData).length === 0) {
+                throw ApiError.badRequest('Nothing to moderate');
+            }
+
+            await EventRepository.transaction(async () => {
+                const event = await EventRepository.findByPk(eventId, { lock: true });
+                const changes = Object.keys(updateData).map(field => EventRevisionService.buildChange(field, event[field], updateData[field]));
+
+                await EventRepository.update(eventId, updateData);
+                await EventRevisionService.record(eventId, userId, changes);
+            });
+            return await EventRepository.findByIdWithOptionalEndConditions(eventId, false);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.badRequest('Error moderating event', e.message);
+        }
+    }
+
+    /**
+     * Cancels an event that is not resolved yet and refunds every participant's deposit
+     * The status change and the refunds run in one database transaction; condition tracking stops
+     * because only IN_PROGRESS events are evaluated or accept deposits
+     * @param {number} eventId - ID of the event to cancel
+     * @param {string} reason - Why the event is cancelled
+     * @param {Object} user - Authenticated user (token payload with id and role)
+     * @returns {Promise<Event>} Cancelled event with end conditions
+     * @throws {ApiError} Not found if the event doesn't exist, forbidden unless the user created the event
+     * or is an admin, bad request for an invalid reason or an event that is already resolved
+     */
+    async cancel(eventId, reason, user) {
+        try {
+            const trimmedReason = reason ? reason.trim() : '';
+            if (!trimmedReason) {
+                throw ApiError.badRequest('Cancellation reason is required');
+            }
+            if (trimmedReason.length > VALIDATION_LIMITS.CANCELLATION_REASON_MAX_LENGTH) {
+                throw ApiError.badRequest(`Cancellation reason must not exceed ${VALIDATION_LIMITS.CANCELLATION_REASON_MAX_LENGTH} characters`);
+            }
+
+            await EventRepository.transaction(async () => {
+                // Locked so the status the event is cancelled from can't change before the update
+                const event = await EventRepository.findByPk(eventId, { lock: true });
+                if (!this.canManage(event, user)) {
+                    throw ApiError.forbidden('Only the event creator or an admin can cancel the event');
+                }
+                if (!OPEN_EVENT_STATUSES.includes(event.status)) {
+                    throw ApiError.badRequest(`Cannot cancel an event with status ${event.status}`);
                 }
+
+                const cancelled = await EventRepository.cancel(eventId, { reason: trimmedReason, cancelledBy: user.id });
+                if (!cancelled) {
+                    // Resolved by its conditions or an admin since it was loaded
+                    throw ApiError.badRequest('Event is already resolved');
+                }
+
+                await eventConditions.onEventCancelled(eventId, event.status);
+            });
+
+            return await EventRepository.findByIdWithOptionalEndConditions(eventId, true);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
             }
+            throw ApiError.badRequest('Error cancelling event', e.message);
+        }
+    }
+
+    /**
+     * Marks an event as refunded exactly once
+     * Used before returning deposits of a failed or cancelled event so the refund never runs twice
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<boolean>} True if the event was marked by this call, false if already refunded
+     * @throws {ApiError} Bad request if update fails
+     */
+    async markRefunded(eventId) {
+        try {
+            return await EventRepository.markRefunded(eventId);
+        } catch (e) {
+            throw ApiError.badRequest('Error marking event as refunded', e.message);
+        }
+    }
 
-            //console.log('Time conditions check completed');
+    /**
+     * Finds an event by ID with all end conditions and their criteria
+     * Used for event completion evaluation and condition checking
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Event>} Event with complete end condition hierarchy
+     * @throws {ApiError} Bad request if event not found or operation fails
+     */
+    async findByIdWithEndConditions(eventId) {
+        try {
+            return await EventRepository.findByIdWithEndConditions(eventId);
         } catch (e) {
-            console.error('Error checking time conditions:', e.message);
-            throw ApiError.badRequest('Error checking time conditions', e.message);
+            throw ApiError.badRequest('Error finding event with end conditions', e.message);
         }
     }
 
@@ -227,6 +809,48 @@ class EventService {
         }
     }
 
+    /**
+     * Finds several events without end conditions in one query
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<Event[]>} Found events; missing IDs are skipped
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByIds(eventIds) {
+        try {
+            return await EventRepository.findByIds(eventIds);
+        } catch (e) {
+            throw ApiError.database('Error finding events by IDs', e);
+        }
+    }
+
+    /**
+     * Finds the events created by several users in one query
+     * @param {number[]} userIds - IDs of the creators
+     * @returns {Promise<Event[]>} Events created by these users
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByCreators(userIds) {
+        try {
+            return await EventRepository.findByCreators(userIds);
+        } catch (e) {
+            throw ApiError.database('Error finding events by creators', e);
+        }
+    }
+
+    /**
+     * Finds the events received by several users in one query
+     * @param {number[]} userIds - IDs of the recipients
+     * @returns {Promise<Event[]>} Events with these users as recipient
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByRecipients(userIds) {
+        try {
+            return await EventRepository.findByRecipients(userIds);
+        } catch (e) {
+            throw ApiError.database('Error finding events by recipients', e);
+        }
+    }
+
     /**
      * Finds all events with optional end conditions loading
      * Used for event listing with performance optimization
@@ -242,6 +866,107 @@ class EventService {
         }
     }
 
+    /**
+     * Finds a page of the events feed, filtered and sorted in the database (see EventRepository.findPage)
+     * Drafts are only listed for their creator and for admins
+     * @param {Object} [args={}] - Page arguments
+     * @param {number} [args.first=PAGINATION.DEFAULT_LIMIT] - Page size, at most PAGINATION.MAX_LIMIT
+     * @param {string} [args.after] - Cursor of the last event of the previous page
+     * @param {Object} [args.filter] - Filters (type, status, creatorId, recipientId, endingWithinHours, minBank, maxBank)
+     * @param {string} [args.orderBy=EVENT_SORT_ORDERS.NEWEST] - EVENT_SORT_ORDERS value
+     * @param {Object|null} [user=null] - Authenticated user, null for anonymous requests
+     * @returns {Promise<{edges: Object[], pageInfo: Object}>} Connection of events
+     * @throws {ApiError} Bad request for invalid page sizes or cursors, database error if the lookup fails
+     */
+    async findPage({ first, after, filter, orderBy } = {}, user = null) {
+        const pageSize = first === undefined || first === null ? PAGINATION.DEFAULT_LIMIT : first;
+        const order = orderBy || EVENT_SORT_ORDERS.NEWEST;
+
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > PAGINATION.MAX_LIMIT) {
+            throw ApiError.badRequest(`Page size must be between 1 and ${PAGINATION.MAX_LIMIT}`);
+        }
+
+        let position = null;
+        if (after) {
+            try {
+                position = decodeCursor(after, order);
+            } catch (e) {
+                throw ApiError.badRequest(e.message);
+            }
+        }
+
+        let events;
+        try {
+            // One extra event tells whether there is a next page
+            events = await EventRepository.findPage({
+                filter: filter || {},
+                orderBy: order,
+                after: position,
+                limit: pageSize + 1,
+                viewerId: user ? user.id : null,
+                allDrafts: Boolean(user && user.role === USER_ROLES.ADMIN)
+            });
+        } catch (e) {
+            throw ApiError.database('Error finding events', e);
+        }
+
+        return buildConnection(events, pageSize, event => encodeCursor(order, event.get('sortValue'), event.id), Boolean(after));
+    }
+
+    /**
+     * Searches event names and descriptions (see EventRepository.search)
+     * Drafts are only found for their creator and for admins
+     * @param {string} query - Search text
+     * @param {Object} [options={}] - Search options
+     * @param {Object} [options.filter] - Filters (see findPage)
+     * @param {number} [options.limit=PAGINATION.DEFAULT_LIMIT] - Maximum number of results, at most PAGINATION.MAX_LIMIT
+     * @param {boolean} [options.highlight=false] - Whether to return the matched text of each field
+     * @param {Object|null} [user=null] - Authenticated user, null for anonymous requests
+     * @returns {Promise<{event: Event, relevance: number, highlights: Object[]|null}[]>} Results, most relevant first
+     * @throws {ApiError} Bad request for invalid queries or limits, database error if the search fails
+     */
+    async search(query, { filter, limit, highlight: withHighlights = false } = {}, user = null) {
+        const text = (query || '').trim();
+        const maxResults = limit === undefined || limit === null ? PAGINATION.DEFAULT_LIMIT : limit;
+
+        if (text.length < SEARCH_CONFIG.MIN_QUERY_LENGTH || text.length > SEARCH_CONFIG.MAX_QUERY_LENGTH) {
+            throw ApiError.badRequest(`Search query must be between ${SEARCH_CONFIG.MIN_QUERY_LENGTH} and ${SEARCH_CONFIG.MAX_QUERY_LENGTH} characters`);
+        }
+        if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > PAGINATION.MAX_LIMIT) {
+            throw ApiError.badRequest(`Limit must be between 1 and ${PAGINATION.MAX_LIMIT}`);
+        }
+
+        const terms = tokenize(text);
+        if (terms.length === 0) {
+            throw ApiError.badRequest('Search query must contain letters or digits');
+        }
+
+        let events;
+        try {
+            events = await EventRepository.search(terms, {
+                filter: filter || {},
+                limit: maxResults,
+                viewerId: user ? user.id : null,
+                allDrafts: Boolean(user && user.role === USER_ROLES.ADMIN)
+            });
+        } catch (e) {
+            throw ApiError.database('Error searching events', e);
+        }
+
+        return events.map(event => ({
+            event,
+            relevance: Number(event.get('relevance')) || 0,
+            highlights: withHighlights
+                ? ['name', 'description']
+                    .map(field => {
+                        const match = highlight(event[field], terms);
+                        return match ? { field, ...match } : null;
+                    })
+                    .filter(Boolean)
+                : null
+        }));
+    }
+
     /**
      * Finds the creator user of a specific event
      * Used for permission checks and event ownership validation
@@ -289,25 +1014,45 @@ class EventService {
     }
 
     /**
-     * Calculates the total bank amount from all participations in an event
-     * Efficiently sums all participant deposits without loading unnecessary data
+     * Finds the stored bank and participant count of an event
+     * The totals are kept up to date by every participation write (see ParticipationService)
      * @param {number} eventId - ID of the event
-     * @returns {Promise<number>} Total deposited amount across all participants
-     * @throws {ApiError} Database error if calculation fails
+     * @returns {Promise<Event>} Event with only ID, bankAmount and participantCount
+     * @throws {ApiError} Not found error if the event doesn't exist, database error if the lookup fails
      */
-    async calculateBankAmount(eventId) {
+    async findTotals(eventId) {
         try {
-            const { ParticipationRepository } = require('../repository');
-            const participations = await ParticipationRepository.findByEventForCalculation(eventId);
-
-            return participations.reduce((total, participation) => {
-                return total + (participation.deposit || 0);
-            }, 0);
+            return await EventRepository.findTotals(eventId);
         } catch (e) {
-            throw ApiError.database('Error calculating bank amount', e);
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.database('Error finding event totals', e);
         }
     }
 
+    /**
+     * Background job that recomputes the stored totals of events that no longer match their participations
+     * Participation writes update the totals in the same transaction, so drift only comes from changes
+     * made outside ParticipationService (e.g. manual fixes in the database) or from events created
+     * before the totals were stored
+     * @returns {Promise<number[]>} IDs of the repaired events
+     * @throws {ApiError} Database error if the totals cannot be repaired
+     */
+    async repairTotals() {
+        try {
+            const driftedEvents = await EventRepository.findWithDriftedTotals();
+            if (driftedEvents.length === 0) {
+                return [];
+            }
+
+            const eventIds = driftedEvents.map(event => event.id);
+            await EventRepository.recomputeTotals(eventIds);
+            return eventIds;
+        } catch (e) {
+            throw ApiError.database('Error repairing event totals', e);
+        }
+    }
 }
 
 module.exports = new EventService();
\ No newline at end of file
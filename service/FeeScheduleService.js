@@ -0,0 +1,193 @@
+const ApiError = require('../exception/ApiError');
+const { FeeScheduleRepository } = require('../repository');
+const { EVENT_TYPES, PAYOUT_PERCENTAGES, JACKPOT_CONFIG } = require('../constants');
+const { clock } = require('../utils/clock');
+
+const BASIS_POINTS = 10000;
+
+/**
+ * Converts a rate to whole basis points
+ * @param {number} rate - Rate as a fraction (e.g. 0.1)
+ * @returns {number} Rate in basis points (e.g. 1000)
+ */
+const toBasisPoints = (rate) => Math.round(Number(rate) * BASIS_POINTS);
+
+/**
+ * Checks that a rate is a fraction in [0, 1) with at most basis point precision
+ * @param {number} rate - Rate to check
+ * @returns {boolean} True if the rate can be stored as DECIMAL(5,4)
+ */
+const isValidRate = (rate) => typeof rate === 'number'
+    && rate >= 0
+    && rate < 1
+    && Math.abs(rate * BASIS_POINTS - toBasisPoints(rate)) < 1e-6;
+
+/**
+ * Checks whether an optional input was provided
+ * @param {*} value - Input value
+ * @returns {boolean} True unless the value is undefined or null
+ */
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Service layer for payout and commission policy
+ * Fee schedules are versioned per event type with an effective-from date; every event stores a snapshot
+ * of the terms in force when it was created, so later changes never affect its payout
+ * The constants in constants/eventPayouts.js are the defaults until a schedule is stored
+ */
+class FeeScheduleService {
+
+    /**
+     * Builds fee terms from the built-in constants
+     * @param {string} eventType - Event type from EVENT_TYPES
+     * @returns {Object} Fee terms with feeScheduleId null
+     */
+    defaultsFor(eventType) {
+        if (!PAYOUT_PERCENTAGES[eventType]) {
+            console.warn(`Unknown event type: ${eventType}, using ${PAYOUT_PERCENTAGES.DEFAULT * 100}% payout`);
+        }
+        const payoutPercentage = PAYOUT_PERCENTAGES[eventType] || PAYOUT_PERCENTAGES.DEFAULT;
+        const isJackpot = eventType === EVENT_TYPES.JACKPOT;
+
+        return {
+            feeScheduleId: null,
+            eventType,
+            payoutPercentage,
+            commissionRate: (BASIS_POINTS - toBasisPoints(payoutPercentage)) / BASIS_POINTS,
+            randomnessCoefficient: isJackpot ? JACKPOT_CONFIG.RANDOMNESS_COEFFICIENT : null,
+            minimumBaseTickets: isJackpot ? JACKPOT_CONFIG.MINIMUM_BASE_TICKETS : null,
+            effectiveFrom: null
+        };
+    }
+
+    /**
+     * Converts a stored schedule to fee terms
+     * @param {FeeSchedule} schedule - Stored schedule
+     * @returns {Object} Fee terms
+     */
+    toTerms(schedule) {
+        const commissionRate = Number(schedule.commissionRate);
+        const hasJackpotTerms = isSet(schedule.randomnessCoefficient);
+
+        return {
+            feeScheduleId: schedule.id,
+            eventType: schedule.eventType,
+            payoutPercentage: (BASIS_POINTS - toBasisPoints(commissionRate)) / BASIS_POINTS,
+            commissionRate,
+            randomnessCoefficient: hasJackpotTerms ? Number(schedule.randomnessCoefficient) : null,
+            minimumBaseTickets: hasJackpotTerms ? schedule.minimumBaseTickets : null,
+            effectiveFrom: new Date(schedule.effectiveFrom).toISOString()
+        };
+    }
+
+    /**
+     * Returns the fee terms of an event type in force at a given time
+     * @param {string} eventType - Event type from EVENT_TYPES
+     * @param {Date} [at=clock.now()] - Point in time
+     * @returns {Promise<Object>} Fee terms, the built-in defaults if no schedule was in force
+     * @throws {ApiError} Database error if the lookup fails
+     */
+    async getEffective(eventType, at = clock.now()) {
+        const schedule = await FeeScheduleRepository.findEffective(eventType, at);
+        return schedule ? this.toTerms(schedule) : this.defaultsFor(eventType);
+    }
+
+    /**
+     * Returns the fee terms currently in force for every event type
+     * @returns {Promise<Object[]>} Fee terms per event type
+     */
+    async getCurrent() {
+        const terms = [];
+        for (const eventType of Object.values(EVENT_TYPES)) {
+            terms.push(await this.getEffective(eventType));
+        }
+        return terms;
+    }
+
+    /**
+     * Returns the stored schedule history, newest first
+     * @param {string} [eventType] - Only return schedules of this event type
+     * @returns {Promise<Object[]>} Fee terms of every stored schedule
+     */
+    async findHistory(eventType) {
+        const schedules = await FeeScheduleRepository.findHistory(eventType);
+        return schedules.map(schedule => this.toTerms(schedule));
+    }
+
+    /**
+     * Returns the fee terms an event is paid out with
+     * Events created before schedules were snapshotted use the terms in force at their creation
+     * @param {Event} event - Event with type, feeSnapshot and createdAt
+     * @returns {Promise<Object>} Fee terms
+     */
+    async resolveForEvent(event) {
+        if (event.feeSnapshot) {
+            return event.feeSnapshot;
+        }
+        return await this.getEffective(event.type, event.createdAt ? new Date(event.createdAt) : clock.now());
+    }
+
+    /**
+     * Stores a new schedule for an event type
+     * Omitted jackpot terms are carried over from the schedule currently in force
+     * @param {Object} data - Schedule data
+     * @param {string} data.eventType - Event type from EVENT_TYPES
+     * @param {number} data.commissionRate - Share of the bank kept by the platform (e.g. 0.1)
+     * @param {number} [data.randomnessCoefficient] - JACKPOT only: base tickets per unit of bank
+     * @param {number} [data.minimumBaseTickets] - JACKPOT only: minimum base tickets per participant
+     * @param {string} [data.effectiveFrom] - When the schedule takes effect (defaults to now)
+     * @param {number} userId - ID of the admin making the change
+     * @returns {Promise<Object>} Fee terms of the new schedule
+     * @throws {ApiError} Bad request for invalid rates or dates
+     */
+    async update(data, userId) {
+        const { eventType, commissionRate, randomnessCoefficient, minimumBaseTickets } = data;
+        const isJackpot = eventType === EVENT_TYPES.JACKPOT;
+
+        if (!Object.values(EVENT_TYPES).includes(eventType)) {
+            throw ApiError.badRequest(`Unknown event type: ${eventType}`);
+        }
+        if (!isValidRate(commissionRate)) {
+            throw ApiError.badRequest('Commission rate must be between 0 and 1 with at most 4 decimal places');
+        }
+        if (!isJackpot && (isSet(randomnessCoefficient) || isSet(minimumBaseTickets))) {
+            throw ApiError.badRequest('Jackpot terms can only be set for JACKPOT events');
+        }
+        if (isSet(randomnessCoefficient) && !isValidRate(randomnessCoefficient)) {
+            throw ApiError.badRequest('Randomness coefficient must be between 0 and 1 with at most 4 decimal places');
+        }
+        if (isSet(minimumBaseTickets) && (!Number.isInteger(minimumBaseTickets) || minimumBaseTickets < 1)) {
+            throw ApiError.badRequest('Minimum base tickets must be a positive integer');
+        }
+
+        const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : clock.now();
+        if (Number.isNaN(effectiveFrom.getTime())) {
+            throw ApiError.badRequest('Effective from must be a valid date');
+        }
+        // Back-dating would change the terms legacy events without a snapshot are paid with
+        if (effectiveFrom.getTime() < clock.timestamp() - 60 * 1000) {
+            throw ApiError.badRequest('Effective from cannot be in the past');
+        }
+
+        let jackpotTerms = { randomnessCoefficient: null, minimumBaseTickets: null };
+        if (isJackpot) {
+            const current = await this.getEffective(eventType, effectiveFrom);
+            jackpotTerms = {
+                randomnessCoefficient: isSet(randomnessCoefficient) ? randomnessCoefficient : current.randomnessCoefficient,
+                minimumBaseTickets: isSet(minimumBaseTickets) ? minimumBaseTickets : current.minimumBaseTickets
+            };
+        }
+
+        const schedule = await FeeScheduleRepository.create({
+            eventType,
+            commissionRate,
+            ...jackpotTerms,
+            effectiveFrom,
+            createdBy: userId
+        });
+
+        return this.toTerms(schedule);
+    }
+}
+
+module.exports = new FeeScheduleService();
@@ -0,0 +1,144 @@
+const ApiError = require('../exception/ApiError');
+const { IdempotencyKeyRepository } = require('../repository');
+const { IDEMPOTENCY_CONFIG } = require('../constants');
+const { clock } = require('../utils/clock');
+
+/**
+ * Serializes a request payload with sorted keys so equal payloads always compare equal
+ * @param {Object} payload - Request arguments
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (payload) => JSON.stringify(payload, Object.keys(payload).sort());
+
+/**
+ * Raised inside the claiming transaction when the key row could not be inserted,
+ * so a failed claim can be told apart from a failed operation
+ */
+class KeyClaimError extends Error {
+    constructor(originalError) {
+        super(originalError.message);
+        this.originalError = originalError;
+    }
+}
+
+/**
+ * Service layer for idempotency keys
+ * Lets clients safely retry money-moving mutations: the first request with a key runs the operation
+ * and stores references to its result, retries with the same key get that result back without another write
+ */
+class IdempotencyService {
+
+    /**
+     * Runs an operation at most once per user and idempotency key
+     * The key is claimed in the same database transaction as the operation, so a failed operation
+     * releases it and a retry runs again
+     * A request racing another one with the same key waits for it to commit and gets its result back
+     * @param {Object} scope - Idempotency scope
+     * @param {number} scope.userId - ID of the user the key belongs to
+     * @param {string} [scope.key] - Client-provided key; the operation runs unguarded when omitted
+     * @param {string} scope.operation - Name of the operation (e.g. 'createTransaction')
+     * @param {Object} scope.payload - Request arguments a retry must repeat exactly
+     * @param {Function} action - Async function performing the operation
+     * @param {Object} codec - Converts results to stored references and back
+     * @param {Function} codec.toResponse - Maps the result to a JSON-serializable reference object
+     * @param {Function} codec.fromResponse - Async function rebuilding the result from the stored references
+     * @returns {Promise<{result: *, replayed: boolean}>} Operation result and whether it was replayed
+     * @throws {ApiError} Bad request for invalid keys, conflict when a key is reused for a different request
+     */
+    async execute({ userId, key, operation, payload }, action, { toResponse, fromResponse }) {
+        if (key === undefined || key === null) {
+            return { result: await action(), replayed: false };
+        }
+
+        if (typeof key !== 'string' || key.length === 0 || key.length > IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH) {
+            throw ApiError.badRequest(`Idempotency key must be between 1 and ${IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH} characters`);
+        }
+
+        const requestPayload = canonicalize(payload);
+        const scope = { userId, key, operation, requestPayload };
+        const codec = { toResponse, fromResponse };
+
+        try {
+            return await this.claimAndRun(scope, action, codec);
+        } catch (e) {
+            if (!(e instanceof KeyClaimError)) {
+                throw e;
+            }
+            // A concurrent request with the same key inserted it first. Claiming again waits on its row lock
+            // until it commits, then replays its result (or runs the operation if it rolled back)
+            try {
+                return await this.claimAndRun(scope, action, codec);
+            } catch (retryError) {
+                throw retryError instanceof KeyClaimError ? retryError.originalError : retryError;
+            }
+        }
+    }
+
+    /**
+     * Claims the key and runs the operation in one database transaction, or replays the stored result of the key
+     * @param {Object} scope - User, key, operation and canonical request payload (see execute)
+     * @param {Function} action - Async function performing the operation
+     * @param {Object} codec - Converts results to stored references and back (see execute)
+     * @returns {Promise<{result: *, replayed: boolean}>} Operation result and whether it was replayed
+     * @throws {KeyClaimError} If the key could not be inserted because another request holds it
+     */
+    async claimAndRun({ userId, key, operation, requestPayload }, action, { toResponse, fromResponse }) {
+        return await IdempotencyKeyRepository.transaction(async () => {
+            const existing = await IdempotencyKeyRepository.findByUserAndKeyForUpdate(userId, key);
+
+            if (existing && new Date(existing.expiresAt) > clock.now()) {
+                return await this.replay(existing, operation, requestPayload, fromResponse);
+            }
+
+            if (existing) {
+                await IdempotencyKeyRepository.destroy(existing.id);
+            }
+
+            let record;
+            try {
+                record = await IdempotencyKeyRepository.create({
+                    userId,
+                    key,
+                    operation,
+                    requestPayload,
+                    expiresAt: new Date(clock.timestamp() + IDEMPOTENCY_CONFIG.KEY_TTL_HOURS * 60 * 60 * 1000)
+                });
+            } catch (e) {
+                // Duplicate key or deadlock with the request that inserted the key first
+                throw new KeyClaimError(e);
+            }
+
+            const result = await action();
+            await IdempotencyKeyRepository.update(record.id, { response: toResponse(result) });
+
+            return { result, replayed: false };
+        });
+    }
+
+    /**
+     * Returns the stored result of a key after checking the retry matches the original request
+     * @param {IdempotencyKey} record - Stored key
+     * @param {string} operation - Name of the retried operation
+     * @param {string} requestPayload - Canonical JSON of the retried request
+     * @param {Function} fromResponse - Rebuilds the result from the stored references
+     * @returns {Promise<{result: *, replayed: boolean}>} Original result
+     * @throws {ApiError} Conflict if the key was used for a different request
+     */
+    async replay(record, operation, requestPayload, fromResponse) {
+        if (record.operation !== operation || record.requestPayload !== requestPayload) {
+            throw ApiError.conflict('Idempotency key was already used for a different request');
+        }
+
+        return { result: await fromResponse(record.response), replayed: true };
+    }
+
+    /**
+     * Removes keys whose retry window has passed
+     * @returns {Promise<number>} Number of deleted keys
+     */
+    async deleteExpired() {
+        return await IdempotencyKeyRepository.deleteExpired();
+    }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,104 @@
+const ApiError = require('../exception/ApiError');
+const { JackpotDrawRepository } = require('../repository');
+const provablyFair = require('../utils/jackpot/provablyFair');
+const { clock } = require('../utils/clock');
+
+/**
+ * Service layer for provably fair jackpot draws
+ * Commits to a secret seed when a JACKPOT event is created and reveals it when the winner is drawn,
+ * so participants can check afterwards that the result was not chosen by the server
+ */
+class JackpotDrawService {
+
+    /**
+     * Commits to a new server seed for an event
+     * Only the seed hash is exposed until the draw is revealed
+     * @param {number} eventId - ID of the JACKPOT event
+     * @returns {Promise<JackpotDraw>} Created draw
+     * @throws {ApiError} Database error if the draw cannot be stored
+     */
+    async commit(eventId) {
+        const serverSeed = provablyFair.generateServerSeed();
+
+        return await JackpotDrawRepository.create({
+            eventId,
+            serverSeed,
+            seedHash: provablyFair.hashSeed(serverSeed)
+        });
+    }
+
+    /**
+     * Reveals the seed of an event and draws the winners from its participations
+     * One winner is drawn per place of the event's prize distribution, without replacement
+     * A draw that was already revealed is returned unchanged, so the winners can never be re-rolled
+     * @param {Event} event - JACKPOT event with participations
+     * @param {Object} [ticketConfig] - Ticket terms from the event's fee schedule
+     * @returns {Promise<JackpotDraw>} Revealed draw with the winners
+     * @throws {ApiError} Bad request if the event has no participants
+     */
+    async reveal(event, ticketConfig = {}) {
+        const participations = event.participations || [];
+        if (participations.length === 0) {
+            throw ApiError.badRequest(`Event ${event.id} has no participants to draw from`);
+        }
+
+        return await JackpotDrawRepository.transaction(async () => {
+            let draw = await JackpotDrawRepository.findByEventId(event.id, { lock: true });
+
+            if (draw && draw.revealedAt) {
+                return draw;
+            }
+
+            // Events created before draws were committed get their seed now
+            if (!draw) {
+                console.warn(`Event ${event.id} has no committed jackpot seed, committing at draw time`);
+                draw = await this.commit(event.id);
+            }
+
+            const winnerCount = event.prizeDistribution ? event.prizeDistribution.length : 1;
+            const result = provablyFair.draw(draw.serverSeed, participations, winnerCount, ticketConfig);
+
+            await JackpotDrawRepository.update(draw.id, {
+                ...result,
+                revealedAt: clock.now()
+            });
+
+            return await JackpotDrawRepository.findByPk(draw.id);
+        });
+    }
+
+    /**
+     * Returns the public view of an event's draw
+     * The server seed stays hidden until the draw is revealed
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<Object|null>} Draw without secret fields, or null if the event has no draw
+     * @throws {ApiError} Bad request if the lookup fails
+     */
+    async findPublicByEventId(eventId) {
+        try {
+            const draw = await JackpotDrawRepository.findByEventId(eventId);
+            if (!draw) {
+                return null;
+            }
+
+            const isRevealed = Boolean(draw.revealedAt);
+            return {
+                eventId: draw.eventId,
+                seedHash: draw.seedHash,
+                serverSeed: isRevealed ? draw.serverSeed : null,
+                clientSeed: draw.clientSeed,
+                entries: draw.entries,
+                totalWeight: draw.totalWeight,
+                roll: draw.roll,
+                winnerId: draw.winnerId,
+                winners: draw.winners,
+                committedAt: draw.createdAt,
+                revealedAt: draw.revealedAt
+            };
+        } catch (e) {
+            throw ApiError.badRequest('Error finding jackpot draw', e.message);
+        }
+    }
+}
+
+module.exports = new JackpotDrawService();
@@ -0,0 +1,217 @@
+const ApiError = require('../exception/ApiError');
+const { LedgerAccountRepository, LedgerEntryRepository, UserRepository, ParticipationRepository } = require('../repository');
+const { TRANSACTION_TYPES, LEDGER_ACCOUNT_TYPES } = require('../constants');
+const money = require('../utils/money');
+
+const { USER_WALLET, EVENT_ESCROW, PLATFORM_REVENUE, PLATFORM_MINT } = LEDGER_ACCOUNT_TYPES;
+
+/**
+ * Posting rules: which account each transaction type debits (money leaves) and credits (money arrives)
+ * Each side resolves to [account type, reference ID] for the given transaction
+ */
+const POSTING_RULES = {
+    [TRANSACTION_TYPES.BALANCE_INCOME]: {
+        debit: () => [PLATFORM_MINT, 0],
+        credit: (t) => [USER_WALLET, t.userId]
+    },
+    [TRANSACTION_TYPES.GIFT]: {
+        debit: () => [PLATFORM_MINT, 0],
+        credit: (t) => [USER_WALLET, t.userId]
+    },
+    [TRANSACTION_TYPES.BALANCE_OUTCOME]: {
+        debit: (t) => [USER_WALLET, t.userId],
+        credit: () => [PLATFORM_MINT, 0]
+    },
+    [TRANSACTION_TYPES.EVENT_OUTCOME]: {
+        debit: (t) => [USER_WALLET, t.userId],
+        credit: (t) => [EVENT_ESCROW, t.eventId]
+    },
+    [TRANSACTION_TYPES.EVENT_INCOME]: {
+        debit: (t) => [EVENT_ESCROW, t.eventId],
+        credit: (t) => [USER_WALLET, t.userId]
+    },
+    [TRANSACTION_TYPES.EVENT_REFUND]: {
+        debit: (t) => [EVENT_ESCROW, t.eventId],
+        credit: (t) => [USER_WALLET, t.userId]
+    },
+    [TRANSACTION_TYPES.COMMISSION]: {
+        debit: (t) => [EVENT_ESCROW, t.eventId],
+        credit: () => [PLATFORM_REVENUE, 0]
+    }
+};
+
+/**
+ * Transaction types that move money through an event escrow account
+ */
+const EVENT_TRANSACTION_TYPES = [
+    TRANSACTION_TYPES.EVENT_OUTCOME,
+    TRANSACTION_TYPES.EVENT_INCOME,
+    TRANSACTION_TYPES.EVENT_REFUND,
+    TRANSACTION_TYPES.COMMISSION
+];
+
+/**
+ * Service layer for the double-entry ledger
+ * Every transaction is recorded as an entry that debits one account and credits another,
+ * so money only ever moves between user wallets, event escrow, platform revenue and the mint account.
+ * Accounts hold no stored balance; balances are derived from their entries
+ */
+class LedgerService {
+
+    /**
+     * Records the ledger entry for a transaction
+     * Must run inside the database transaction that created the transaction record
+     * @param {Transaction} transaction - Transaction record with amount, type, userId and eventId
+     * @returns {Promise<LedgerEntry>} Created ledger entry
+     * @throws {ApiError} Bad request for unknown types or a missing user or event
+     */
+    async record(transaction) {
+        const { id, amount, type, userId, eventId } = transaction;
+
+        const rule = POSTING_RULES[type];
+        if (!rule) {
+            throw ApiError.badRequest(`Invalid transaction type: ${type}`);
+        }
+        if (EVENT_TRANSACTION_TYPES.includes(type) && !eventId) {
+            throw ApiError.badRequest(`Transaction type ${type} requires an eventId`);
+        }
+        if (type !== TRANSACTION_TYPES.COMMISSION && !userId) {
+            throw ApiError.badRequest(`Transaction type ${type} requires a userId`);
+        }
+
+        const debitAccount = await LedgerAccountRepository.findOrCreateAccount(...rule.debit(transaction));
+        const creditAccount = await LedgerAccountRepository.findOrCreateAccount(...rule.credit(transaction));
+
+        return await LedgerEntryRepository.create({
+            transactionId: id,
+            debitAccountId: debitAccount.id,
+            creditAccountId: creditAccount.id,
+            amount: money.normalize(amount)
+        });
+    }
+
+    /**
+     * Calculates the balance of every ledger account
+     * Wallet, escrow and revenue balances are credits minus debits; the mint balance is
+     * debits minus credits, i.e. the net amount of money that entered the system
+     * @returns {Promise<Array>} Array of objects with {id, type, referenceId, balance}
+     */
+    async getAccountBalances() {
+        const accounts = await LedgerAccountRepository.findAll({ raw: true });
+        const { debits, credits } = await LedgerEntryRepository.sumByAccount();
+
+        const cents = new Map(accounts.map(account => [account.id, 0]));
+        credits.forEach(({ accountId, total }) => cents.set(accountId, (cents.get(accountId) || 0) + money.toCents(total)));
+        debits.forEach(({ accountId, total }) => cents.set(accountId, (cents.get(accountId) || 0) - money.toCents(total)));
+
+        return accounts.map(account => {
+            const balance = money.fromCents(cents.get(account.id));
+            return {
+                id: account.id,
+                type: account.type,
+                referenceId: account.referenceId,
+                balance: account.type === PLATFORM_MINT ? -balance : balance
+            };
+        });
+    }
+
+    /**
+     * Opens the accounts of money that existed before the ledger
+     * Wallets are brought to the balances stored on users and event escrow to the deposits the event still holds
+     * (events in progress, failed or cancelled events not refunded yet; other events hold nothing).
+     * Each difference is posted as an entry against the mint account without a transaction.
+     * An account is opened at most once, so running this again only opens accounts it has not opened yet
+     * and never hides a later mismatch from reconcile
+     * @returns {Promise<LedgerEntry[]>} Posted opening entries
+     * @throws {ApiError} Database error if the opening balances cannot be posted
+     */
+    async postOpeningBalances() {
+        try {
+            return await LedgerEntryRepository.transaction(async () => {
+                const balances = await this.getAccountBalances();
+                const currentBalances = new Map(balances.map(account => [`${account.type}:${account.referenceId}`, account.balance]));
+                const openedAccountIds = new Set(await LedgerEntryRepository.findOpenedAccountIds());
+
+                // Target balance per account; escrow accounts of events that hold nothing go back to 0
+                const targets = new Map();
+                balances
+                    .filter(account => account.type === EVENT_ESCROW)
+                    .forEach(account => targets.set(`${EVENT_ESCROW}:${account.referenceId}`, [EVENT_ESCROW, account.referenceId, 0]));
+                (await ParticipationRepository.sumHeldDepositsByEvent())
+                    .forEach(({ eventId, total }) => targets.set(`${EVENT_ESCROW}:${eventId}`, [EVENT_ESCROW, eventId, money.normalize(total)]));
+                (await UserRepository.findBalances())
+                    .forEach(({ id, balance }) => targets.set(`${USER_WALLET}:${id}`, [USER_WALLET, id, money.normalize(balance)]));
+
+                const mintAccount = await LedgerAccountRepository.findOrCreateAccount(PLATFORM_MINT, 0);
+                const entries = [];
+
+                for (const [key, [type, referenceId, target]] of targets) {
+                    const difference = money.subtract(target, currentBalances.get(key) || 0);
+                    if (difference === 0) {
+                        continue;
+                    }
+
+                    const account = await LedgerAccountRepository.findOrCreateAccount(type, referenceId);
+                    if (openedAccountIds.has(account.id)) {
+                        continue;
+                    }
+
+                    entries.push(await LedgerEntryRepository.create({
+                        transactionId: null,
+                        debitAccountId: difference > 0 ? mintAccount.id : account.id,
+                        creditAccountId: difference > 0 ? account.id : mintAccount.id,
+                        amount: Math.abs(difference)
+                    }));
+                }
+
+                return entries;
+            });
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.database('Error posting opening balances', e);
+        }
+    }
+
+    /**
+     * Checks that all money in the system is accounted for
+     * The sum of user wallets, event escrow and platform revenue must equal the total minted,
+     * and the wallet total must match the balances stored on users
+     * @returns {Promise<Object>} Reconciliation report
+     * @throws {ApiError} Database error if the report cannot be built
+     */
+    async reconcile() {
+        try {
+            const balances = await this.getAccountBalances();
+            const totalOf = (type) => money.sum(balances.filter(account => account.type === type).map(account => account.balance));
+
+            const totalMinted = totalOf(PLATFORM_MINT);
+            const userBalances = totalOf(USER_WALLET);
+            const escrowBalance = totalOf(EVENT_ESCROW);
+            const revenueBalance = totalOf(PLATFORM_REVENUE);
+            const storedUserBalances = await UserRepository.sumBalances();
+
+            const difference = money.subtract(totalMinted, money.sum([userBalances, escrowBalance, revenueBalance]));
+            const storedDifference = money.subtract(storedUserBalances, userBalances);
+
+            return {
+                totalMinted,
+                userBalances,
+                escrowBalance,
+                revenueBalance,
+                storedUserBalances,
+                difference,
+                storedDifference,
+                isBalanced: difference === 0 && storedDifference === 0
+            };
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.database('Error reconciling ledger', e);
+        }
+    }
+}
+
+module.exports = new LedgerService();
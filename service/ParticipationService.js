@@ -1,5 +1,9 @@
 const ApiError = require('../exception/ApiError');
-const { ParticipationRepository } = require('../repository');
+const { ParticipationRepository, EventRepository } = require('../repository');
+const transactionService = require('./TransactionService');
+const idempotencyService = require('./IdempotencyService');
+const { TRANSACTION_TYPES, EVENT_STATUSES } = require('../constants/application');
+const money = require('../utils/money');
 
 const EventCompletionTracker = require('../utils/achievement/EventCompletionTracker');
 const eventConditions = require('../utils/eventCondition');
@@ -13,6 +17,7 @@ class ParticipationService {
 
     /**
      * Creates a new participation record for a user in an event
+     * The participation and the bank and participant count of the event are written in one database transaction
      * Integrates with achievement tracking and event condition monitoring
      * @param {Object} data - Participation creation data
      * @param {number} data.deposit - Amount user is depositing to participate
@@ -25,16 +30,20 @@ class ParticipationService {
         const { deposit, userId, eventId } = data;
 
         try {
-            const participation = await ParticipationRepository.create({
-                deposit: deposit,
-                userId: userId,
-                eventId: eventId
+            const participation = await ParticipationRepository.transaction(async () => {
+                const createdParticipation = await ParticipationRepository.create({
+                    deposit: deposit,
+                    userId: userId,
+                    eventId: eventId
+                });
+                await EventRepository.addToTotals(eventId, { bankAmount: deposit, participantCount: 1 });
+                return createdParticipation;
             });
 
             // Track event participation for achievement system (non-blocking)
             await EventCompletionTracker.handleEventParticipation(userId, eventId, deposit);
 
-            // Update event conditions for potential event completion (non-blocking)
+            // Update event conditions for potential event completion; inside a deposit, a failed payout fails the deposit
             await eventConditions.onParticipationAdded(eventId, userId, deposit);
 
             return participation;
@@ -43,6 +52,102 @@ class ParticipationService {
         }
     }
 
+    /**
+     * Creates a participation or adds to the deposit of an existing one
+     * The balance debit, participation write and event condition checks run in a single
+     * database transaction, so a failed debit (e.g. insufficient balance) leaves no participation behind
+     * The debit locks the user's balance row first, which also serializes concurrent deposits by the same user
+     * @param {Object} data - Participation upsert data
+     * @param {number} data.deposit - Amount to deposit or add to existing deposit
+     * @param {number} data.userId - ID of the participating user
+     * @param {number} data.eventId - ID of the event to participate in
+     * @param {string} [idempotencyKey] - Client key; a retry with the same key returns the original result
+     * @returns {Promise<Object>} Object with participation, isNewParticipation flag, the debit transaction
+     * and a replayed flag set when the result was returned for a retried key
+     * @throws {ApiError} Bad request if the debit or participation write fails,
+     * conflict if the idempotency key was used for a different request
+     */
+    async upsert(data, idempotencyKey) {
+        const { deposit, userId, eventId } = data;
+
+        try {
+            const { result, replayed } = await idempotencyService.execute(
+                { userId, key: idempotencyKey, operation: 'upsertParticipation', payload: { deposit, eventId } },
+                () => this.applyDeposit({ deposit, userId, eventId }),
+                {
+                    toResponse: ({ participation, isNewParticipation, transaction }) => ({
+                        participationId: participation.id,
+                        transactionId: transaction.id,
+                        isNewParticipation
+                    }),
+                    fromResponse: async (response) => ({
+                        participation: await ParticipationRepository.findByIdWithAssociations(response.participationId),
+                        isNewParticipation: response.isNewParticipation,
+                        transaction: await transactionService.findById(response.transactionId)
+                    })
+                }
+            );
+
+            return { ...result, replayed };
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.badRequest(e.message);
+        }
+    }
+
+    /**
+     * Debits the deposit and writes the participation in one database transaction (see upsert)
+     * The event row is locked first, so a deposit can't slip in while the event is being cancelled or resolved
+     * @param {Object} data - Participation upsert data
+     * @returns {Promise<Object>} Object with participation, isNewParticipation flag and the debit transaction
+     * @throws {ApiError} Bad request if the event has not started yet or is no longer in progress
+     */
+    async applyDeposit({ deposit, userId, eventId }) {
+        return await ParticipationRepository.transaction(async () => {
+            const event = await EventRepository.findByPk(eventId, { lock: true });
+            if (event.status === EVENT_STATUSES.DRAFT || event.status === EVENT_STATUSES.SCHEDULED) {
+                throw ApiError.badRequest(`Event ${eventId} has not started yet`);
+            }
+            if (event.status !== EVENT_STATUSES.IN_PROGRESS) {
+                throw ApiError.badRequest(`Event ${eventId} is not accepting deposits`);
+            }
+
+            const transaction = await transactionService.create({
+                amount: deposit,
+                type: TRANSACTION_TYPES.EVENT_OUTCOME,
+                userId: userId,
+                eventId: eventId
+            });
+
+            const existingParticipation = await ParticipationRepository.findByUserAndEvent(userId, eventId);
+
+            if (existingParticipation) {
+                const newDeposit = money.add(existingParticipation.deposit, deposit);
+                await ParticipationRepository.update(existingParticipation.id, { deposit: newDeposit });
+                await EventRepository.addToTotals(eventId, { bankAmount: deposit });
+
+                // Update event conditions with the new total deposit
+                await eventConditions.onParticipationUpdated(eventId, userId, newDeposit);
+
+                return {
+                    participation: await ParticipationRepository.findByIdWithAssociations(existingParticipation.id),
+                    isNewParticipation: false,
+                    transaction
+                };
+            }
+
+            const newParticipation = await this.create({ deposit, userId, eventId });
+
+            return {
+                participation: await ParticipationRepository.findByIdWithAssociations(newParticipation.id),
+                isNewParticipation: true,
+                transaction
+            };
+        });
+    }
+
     /**
      * Finds a specific user's participation in a specific event
      * Used to check if user is already participating and get deposit amount
@@ -107,9 +212,38 @@ class ParticipationService {
         }
     }
 
+    /**
+     * Finds the participations of several users in one query
+     * @param {number[]} userIds - IDs of the users
+     * @returns {Promise<Participation[]>} Participations with event details
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByUsers(userIds) {
+        try {
+            return await ParticipationRepository.findByUsers(userIds);
+        } catch (e) {
+            throw ApiError.database('Error finding participations by users', e);
+        }
+    }
+
+    /**
+     * Finds the participations in several events in one query
+     * @param {number[]} eventIds - IDs of the events
+     * @returns {Promise<Participation[]>} Participations with user details
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByEvents(eventIds) {
+        try {
+            return await ParticipationRepository.findByEvents(eventIds);
+        } catch (e) {
+            throw ApiError.database('Error finding participations by events', e);
+        }
+    }
+
     /**
      * Updates an existing participation record
      * Used primarily for deposit amount changes and status updates
+     * A deposit change is applied to the bank of the event in the same database transaction
      * @param {number} participationId - ID of the participation to update
      * @param {Object} updateData - Data to update (deposit, status, etc.)
      * @returns {Promise<Participation>} Updated participation with associations
@@ -117,7 +251,17 @@ class ParticipationService {
      */
     async update(participationId, updateData) {
         try {
-            await ParticipationRepository.update(participationId, updateData);
+            await ParticipationRepository.transaction(async () => {
+                // Locked, so concurrent changes of the deposit can't apply the same difference twice
+                const participation = await ParticipationRepository.findByPk(participationId, { lock: true });
+                await ParticipationRepository.update(participationId, updateData);
+
+                if (updateData.deposit !== undefined) {
+                    await EventRepository.addToTotals(participation.eventId, {
+                        bankAmount: money.subtract(updateData.deposit, participation.deposit)
+                    });
+                }
+            });
             return await this.findById(participationId);
         } catch (e) {
             if (e instanceof ApiError) {
@@ -0,0 +1,247 @@
+const ApiError = require('../exception/ApiError');
+const { ScheduledJobRepository, EventRepository } = require('../repository');
+const eventConditions = require('../utils/eventCondition');
+const { JOB_TYPES, JOB_STATUSES, JOB_CONFIG, CONDITION_TYPES, OPEN_EVENT_STATUSES } = require('../constants');
+const { clock } = require('../utils/clock');
+
+/**
+ * Work done for each job type
+ * Handlers can run more than once for the same job (retries, reclaimed locks), so they must be idempotent
+ */
+const handlers = {
+    // Runs for the deadlines of TIME and DURATION conditions
+    // Events that are not in progress are skipped, so deadlines of cancelled or resolved events are harmless
+    [JOB_TYPES.TIME_CONDITION]: async (job) => await eventConditions.onDeadlineReached(job.eventId),
+    // Runs after resolving an event failed outside a job; the same evaluation as a deadline resolves it again
+    [JOB_TYPES.EVENT_RESOLUTION]: async (job) => await eventConditions.onDeadlineReached(job.eventId)
+};
+
+/**
+ * Service layer for background jobs stored in the database
+ * Every TIME end condition enqueues a job due at its deadline, DURATION conditions once their deadline is known. Workers (see utils/jobs/JobWorker) claim due jobs
+ * with row locks, retry failures with exponential backoff and pick up jobs abandoned by a crashed process
+ */
+class ScheduledJobService {
+
+    /**
+     * Enqueues the deadline job of a TIME condition, or moves the existing one to the new deadline
+     * Called in the transaction that creates or changes the condition, so the job and the deadline never diverge
+     * @param {Object} condition - TIME end condition with id and value (ISO date)
+     * @param {number} eventId - ID of the event the condition belongs to
+     * @returns {Promise<ScheduledJob>} Pending job
+     * @throws {ApiError} Bad request if the deadline is not a valid date
+     */
+    async scheduleTimeCondition(condition, eventId) {
+        return await this.scheduleDeadline(condition, eventId, condition.value);
+    }
+
+    /**
+     * Enqueues the deadline job of a DURATION condition unless it is already scheduled for that deadline
+     * Called on every check of the condition, so a job that already ran is not scheduled again
+     * @param {Object} condition - DURATION end condition with id
+     * @param {number} eventId - ID of the event the condition belongs to
+     * @param {Date|string} deadline - Deadline resolved from the first participation
+     * @returns {Promise<ScheduledJob>} Job of the condition
+     * @throws {ApiError} Bad request if the deadline is not a valid date
+     */
+    async ensureDeadline(condition, eventId, deadline) {
+        const existing = await ScheduledJobRepository.findByCondition(JOB_TYPES.TIME_CONDITION, condition.id);
+        if (existing && new Date(existing.runAt).getTime() === new Date(deadline).getTime()) {
+            return existing;
+        }
+        return await this.scheduleDeadline(condition, eventId, deadline);
+    }
+
+    /**
+     * Enqueues the deadline job of a condition, or moves the existing one to the new deadline
+     * @param {Object} condition - End condition with id
+     * @param {number} eventId - ID of the event the condition belongs to
+     * @param {Date|string} deadline - Time the job is due
+     * @returns {Promise<ScheduledJob>} Pending job
+     * @throws {ApiError} Bad request if the deadline is not a valid date
+     */
+    async scheduleDeadline(condition, eventId, deadline) {
+        const runAt = new Date(deadline);
+        if (Number.isNaN(runAt.getTime())) {
+            throw ApiError.badRequest(`Condition ${condition.id} has an invalid deadline`);
+        }
+
+        const data = {
+            eventId,
+            runAt,
+            status: JOB_STATUSES.PENDING,
+            attempts: 0,
+            lockedBy: null,
+            lockedAt: null,
+            lastError: null,
+            completedAt: null
+        };
+
+        const existing = await ScheduledJobRepository.findByCondition(JOB_TYPES.TIME_CONDITION, condition.id);
+        if (existing) {
+            await ScheduledJobRepository.update(existing.id, data);
+            return await ScheduledJobRepository.findByPk(existing.id);
+        }
+
+        return await ScheduledJobRepository.create({
+            type: JOB_TYPES.TIME_CONDITION,
+            conditionId: condition.id,
+            ...data
+        });
+    }
+
+    /**
+     * Enqueues a job that resolves an event again, unless one is already pending
+     * Used when the payout or refund of an event failed and was rolled back outside a job, so nothing else would retry it
+     * @param {number} eventId - ID of the event
+     * @returns {Promise<ScheduledJob>} Pending job
+     */
+    async scheduleResolution(eventId) {
+        const pending = await ScheduledJobRepository.findPendingByEvent(JOB_TYPES.EVENT_RESOLUTION, eventId);
+        if (pending) {
+            return pending;
+        }
+
+        return await ScheduledJobRepository.create({
+            type: JOB_TYPES.EVENT_RESOLUTION,
+            eventId,
+            runAt: clock.now(),
+            status: JOB_STATUSES.PENDING,
+            attempts: 0
+        });
+    }
+
+    /**
+     * Enqueues jobs for open TIME conditions that don't have one yet
+     * Covers events created before deadlines were scheduled as jobs and events inserted by the seeders
+     * @returns {Promise<number>} Number of jobs enqueued
+     */
+    async scheduleMissingTimeConditions() {
+        const events = await EventRepository.findActiveEvents(OPEN_EVENT_STATUSES);
+        let scheduled = 0;
+
+        for (const event of events) {
+            for (const group of event.endConditions || []) {
+                for (const condition of group.conditions || []) {
+                    if (condition.name !== CONDITION_TYPES.TIME || condition.isCompleted) {
+                        continue;
+                    }
+                    if (await ScheduledJobRepository.findByCondition(JOB_TYPES.TIME_CONDITION, condition.id)) {
+                        continue;
+                    }
+                    await this.scheduleTimeCondition(condition, event.id);
+                    scheduled++;
+                }
+            }
+        }
+
+        return scheduled;
+    }
+
+    /**
+     * Claims the jobs that are due for a worker
+     * The due rows are locked while they are marked RUNNING, so a job is only claimed by one worker
+     * even when several processes poll at the same time
+     * @param {string} workerId - ID of the claiming worker
+     * @param {Date} [now=clock.now()] - Reference time
+     * @returns {Promise<Object[]>} Claimed jobs with their updated attempt count
+     */
+    async claimDueJobs(workerId, now = clock.now()) {
+        const lockExpiredBefore = new Date(now.getTime() - JOB_CONFIG.LOCK_TIMEOUT_SECONDS * 1000);
+
+        return await ScheduledJobRepository.transaction(async () => {
+            const jobs = await ScheduledJobRepository.findDueForUpdate(now, lockExpiredBefore, JOB_CONFIG.BATCH_SIZE);
+            const claimed = [];
+
+            for (const job of jobs) {
+                const attempts = job.attempts + 1;
+                await ScheduledJobRepository.update(job.id, {
+                    status: JOB_STATUSES.RUNNING,
+                    lockedBy: workerId,
+                    lockedAt: now,
+                    attempts
+                });
+                claimed.push({
+                    id: job.id,
+                    type: job.type,
+                    eventId: job.eventId,
+                    conditionId: job.conditionId,
+                    attempts
+                });
+            }
+
+            return claimed;
+        });
+    }
+
+    /**
+     * Returns how long to wait before retrying a failed job
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    retryDelay(attempts) {
+        const seconds = JOB_CONFIG.RETRY_BASE_DELAY_SECONDS * Math.pow(2, attempts - 1);
+        return Math.min(seconds, JOB_CONFIG.RETRY_MAX_DELAY_SECONDS) * 1000;
+    }
+
+    /**
+     * Runs a claimed job and records the outcome
+     * A failed job is retried after a backoff delay until JOB_CONFIG.MAX_ATTEMPTS is reached, then marked FAILED
+     * @param {Object} job - Job returned by claimDueJobs
+     * @param {string} workerId - ID of the worker that claimed the job
+     * @returns {Promise<boolean>} True if the job completed
+     */
+    async runJob(job, workerId) {
+        try {
+            const handler = handlers[job.type];
+            if (!handler) {
+                throw new Error(`Unknown job type: ${job.type}`);
+            }
+
+            await handler(job);
+
+            await ScheduledJobRepository.updateIfLockedBy(job.id, workerId, {
+                status: JOB_STATUSES.COMPLETED,
+                completedAt: clock.now(),
+                lockedBy: null,
+                lockedAt: null,
+                lastError: null
+            });
+            return true;
+        } catch (error) {
+            console.error(`Scheduled job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+
+            const exhausted = job.attempts >= JOB_CONFIG.MAX_ATTEMPTS;
+            const data = {
+                status: exhausted ? JOB_STATUSES.FAILED : JOB_STATUSES.PENDING,
+                lockedBy: null,
+                lockedAt: null,
+                lastError: error.message
+            };
+            if (!exhausted) {
+                data.runAt = new Date(clock.timestamp() + this.retryDelay(job.attempts));
+            }
+
+            await ScheduledJobRepository.updateIfLockedBy(job.id, workerId, data);
+            return false;
+        }
+    }
+
+    /**
+     * Claims and runs one batch of due jobs
+     * @param {string} workerId - ID of the worker
+     * @returns {Promise<number>} Number of jobs claimed; a full batch means more jobs may be due
+     * @throws {ApiError} Database error if the jobs cannot be claimed
+     */
+    async runDueJobs(workerId) {
+        const jobs = await this.claimDueJobs(workerId);
+
+        for (const job of jobs) {
+            await this.runJob(job, workerId);
+        }
+
+        return jobs.length;
+    }
+}
+
+module.exports = new ScheduledJobService();
@@ -1,47 +1,112 @@
 const ApiError = require('../exception/ApiError');
 const { TransactionRepository } = require('../repository');
 const userService = require("./UserService");
+const ledgerService = require('./LedgerService');
+const idempotencyService = require('./IdempotencyService');
+const { TRANSACTION_TYPES } = require('../constants');
 
 /**
  * Service layer for managing financial transactions
- * Handles transaction creation, user balance updates, and maintains transaction history
- * Integrates with user service to ensure balance consistency and proper error handling
+ * Front door to the ledger: every transaction record gets a balanced ledger entry and,
+ * when it touches a user, a matching balance update, all within one database transaction
  */
 class TransactionService {
 
     /**
-     * Creates a new transaction and updates user balance atomically
-     * Ensures data consistency by updating both transaction record and user balance
+     * Creates a new transaction, records it in the ledger and updates the user balance atomically
+     * Ensures data consistency by writing the transaction record, ledger entry and balance together
      * @param {Object} data - Transaction data
      * @param {number} data.amount - Transaction amount (must be positive)
      * @param {string} data.type - Transaction type from TRANSACTION_TYPES constants
-     * @param {number} data.userId - ID of the user making the transaction
-     * @returns {Promise<Transaction>} Created transaction record
-     * @throws {ApiError} Bad request if transaction creation or balance update fails
+     * @param {number} [data.userId] - ID of the user making the transaction (not set for COMMISSION)
+     * @param {number} [data.eventId] - ID of the event for event-related types (EVENT_*, COMMISSION)
+     * @param {string} [idempotencyKey] - Client key; a retry with the same key returns the original transaction
+     * @returns {Promise<Transaction>} Created (or, for a retried key, original) transaction record
+     * @throws {ApiError} Bad request if transaction creation, ledger posting or balance update fails,
+     * conflict if the idempotency key was used for a different request
      */
-    async create(data) {
-        const { amount, type, userId } = data;
+    async create(data, idempotencyKey) {
+        const { amount, type, userId, eventId } = data;
 
         try {
+            const { result } = await idempotencyService.execute(
+                { userId, key: idempotencyKey, operation: 'createTransaction', payload: { amount, type, eventId } },
+                () => this.persist({ amount, type, userId, eventId }),
+                {
+                    toResponse: (transaction) => ({ transactionId: transaction.id }),
+                    fromResponse: (response) => this.findById(response.transactionId)
+                }
+            );
+            return result;
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.badRequest(e.message);
+        }
+    }
+
+    /**
+     * Writes the transaction record, balance update and ledger entry in one database transaction
+     * @param {Object} data - Transaction data (see create)
+     * @returns {Promise<Transaction>} Created transaction record
+     */
+    async persist({ amount, type, userId, eventId }) {
+        return await TransactionRepository.transaction(async () => {
             // Create transaction record in database
             const transaction = await TransactionRepository.create({
                 amount: amount,
                 type: type,
-                userId: userId
+                userId: userId,
+                eventId: eventId
             });
 
             // Update user balance based on transaction type and amount
-            // This ensures balance consistency with transaction history
-            await userService.updateBalance({
-                amount: amount,
-                type: type,
-                userId: userId
-            });
+            // Commission moves money between platform accounts only
+            if (type !== TRANSACTION_TYPES.COMMISSION) {
+                await userService.updateBalance({
+                    amount: amount,
+                    type: type,
+                    userId: userId
+                });
+            }
+
+            // Record the movement between ledger accounts
+            await ledgerService.record(transaction);
 
             return transaction;
-        } catch (e) {
-            throw ApiError.badRequest(e.message);
-        }
+        });
+    }
+
+    /**
+     * Finds a transaction by its ID
+     * @param {number} id - Transaction ID
+     * @returns {Promise<Transaction>} Transaction record
+     * @throws {ApiError} Not found if the transaction doesn't exist
+     */
+    async findById(id) {
+        return await TransactionRepository.findByPk(id);
+    }
+
+    /**
+     * Finds the largest single deposit made to an event through a participation
+     * @param {number} eventId - Event ID
+     * @returns {Promise<number>} Largest deposit, 0 if nobody has deposited yet
+     * @throws {ApiError} Database error if the lookup fails
+     */
+    async findLargestEventDeposit(eventId) {
+        return await TransactionRepository.findMaxDepositByEvent(eventId);
+    }
+
+    /**
+     * Finds the largest single deposit made to each of several events through a participation, in one query
+     * @param {number[]} eventIds - Event IDs
+     * @returns {Promise<Map<number, number>>} Largest deposit by event ID; events nobody has deposited to are left out
+     * @throws {ApiError} Database error if the lookup fails
+     */
+    async findLargestEventDeposits(eventIds) {
+        const rows = await TransactionRepository.findMaxDepositsByEvents(eventIds);
+        return new Map(rows.map(row => [row.eventId, row.amount]));
     }
 }
 
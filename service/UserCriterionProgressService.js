@@ -90,6 +90,20 @@ class UserCriterionProgressService {
         }
     }
 
+    /**
+     * Finds the progress records of several user achievements with criterion details in one query
+     * @param {number[]} userAchievementIds - IDs of the user achievement records
+     * @returns {Promise<UserCriterionProgress[]>} Progress records with criterion details
+     * @throws {ApiError} Bad request if operation fails
+     */
+    async findByUserAchievementsWithCriteria(userAchievementIds) {
+        try {
+            return await UserCriterionProgressRepository.findByUserAchievementsWithCriteria(userAchievementIds);
+        } catch (e) {
+            throw ApiError.badRequest('Error finding progress with criteria by user achievements', e.message);
+        }
+    }
+
     /**
      * Creates a new progress record for a user achievement criterion
      * Used when initializing achievement tracking for a user
@@ -5,7 +5,8 @@ const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const mailService = require('../utils/mail/mailService');
-const { AUTH_CONFIG, VALIDATION_LIMITS, TRANSACTION_TYPES } = require('../constants');
+const money = require('../utils/money');
+const { AUTH_CONFIG, VALIDATION_LIMITS, TRANSACTION_TYPES, USER_ROLES } = require('../constants');
 
 /**
  * Service layer for user management and authentication
@@ -218,7 +219,13 @@ class UserService {
                 throw ApiError.businessLogic('Amount must be positive', ['Amount cannot be zero or negative']);
             }
 
-            const user = await UserRepository.findByIdWithBalance(userId);
+            // Money is stored with two decimals, anything finer would be silently rounded away
+            if (!money.hasValidPrecision(amount)) {
+                throw ApiError.businessLogic('Invalid amount', ['Amount can have at most 2 decimal places']);
+            }
+
+            // Lock the balance row so concurrent updates within transactions can't read a stale balance
+            const user = await UserRepository.findByIdWithBalanceForUpdate(userId);
 
             if (!user) {
                 throw ApiError.notFound('User not found');
@@ -230,6 +237,7 @@ class UserService {
             switch (type) {
                 case TRANSACTION_TYPES.BALANCE_INCOME:
                 case TRANSACTION_TYPES.EVENT_INCOME:
+                case TRANSACTION_TYPES.EVENT_REFUND:
                 case TRANSACTION_TYPES.GIFT:
                     addedAmountIsPositive = true;
                     break;
@@ -243,17 +251,17 @@ class UserService {
                     ]);
             }
 
-            const currentBalance = user.balance;
+            const currentBalance = money.normalize(user.balance);
             const newBalance = addedAmountIsPositive 
-                ? currentBalance + amount 
-                : currentBalance - amount;
+                ? money.add(currentBalance, amount) 
+                : money.subtract(currentBalance, amount);
 
             // Prevent negative balance
             if (newBalance < 0) {
                 throw ApiError.businessLogic('Insufficient balance', [
                     `Current balance: ${currentBalance}`,
                     `Required amount: ${amount}`,
-                    `Shortfall: ${Math.abs(newBalance)}`
+                    `Shortfall: ${money.subtract(amount, currentBalance)}`
                 ]);
             }
 
@@ -395,6 +403,30 @@ class UserService {
         }
     }
 
+    /**
+     * Changes the role of a user (admin operation)
+     * The new role takes effect in access tokens issued after the change
+     * @param {number} userId - ID of the user
+     * @param {string} role - New role from USER_ROLES constants
+     * @returns {Promise<User>} Updated user object without associations
+     * @throws {ApiError} Bad request if role is unknown or user not found
+     */
+    async updateRole(userId, role) {
+        try {
+            if (!Object.values(USER_ROLES).includes(role)) {
+                throw ApiError.badRequest(`Unknown role: ${role}`);
+            }
+
+            await UserRepository.update(userId, { role });
+            return await UserRepository.findByIdWithAssociations(userId, false);
+        } catch (e) {
+            if (e instanceof ApiError) {
+                throw e;
+            }
+            throw ApiError.badRequest('Error updating user role', e.message);
+        }
+    }
+
     /**
      * Finds a user by ID with optional associations
      * @param {number} userId - ID of the user to find
@@ -413,6 +445,20 @@ class UserService {
         }
     }
 
+    /**
+     * Finds several users without associations in one query
+     * @param {number[]} userIds - IDs of the users
+     * @returns {Promise<User[]>} Found users; missing IDs are skipped
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findByIds(userIds) {
+        try {
+            return await UserRepository.findByIds(userIds);
+        } catch (e) {
+            throw ApiError.database('Error finding users by IDs', e);
+        }
+    }
+
     /**
      * Finds all users with optional associations
      * @param {boolean} includeAssociations - Whether to include events data
@@ -457,6 +503,21 @@ class UserService {
         }
     }
 
+    /**
+     * Finds the accounts of several users in one query
+     * @param {number[]} userIds - IDs of the users
+     * @returns {Promise<Account[]>} Accounts of these users
+     * @throws {ApiError} Database error if operation fails
+     */
+    async findAccountsByUsers(userIds) {
+        try {
+            const { AccountRepository } = require('../repository');
+            return await AccountRepository.findByUserIds(userIds);
+        } catch (e) {
+            throw ApiError.database('Error finding user accounts', e);
+        }
+    }
+
     /**
      * Finds a user by email address
      * @param {string} email - Email address to search for
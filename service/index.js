@@ -15,11 +15,18 @@ const achievementCriterionService = require('./AchievementCriterionService');
 const tokenService = require('./TokenService');
 const transactionService = require('./TransactionService');
 const accountService = require('./AccountService');
+const ledgerService = require('./LedgerService');
+const idempotencyService = require('./IdempotencyService');
 
 // User tracking and progress services
 const userAchievementService = require('./UserAchievementService');
 const userCriterionProgressService = require('./UserCriterionProgressService');
 const participationService = require('./ParticipationService');
+const jackpotDrawService = require('./JackpotDrawService');
+const feeScheduleService = require('./FeeScheduleService');
+const eventRevisionService = require('./EventRevisionService');
+const conditionLogService = require('./ConditionLogService');
+const scheduledJobService = require('./ScheduledJobService');
 
 /**
  * Centralized service exports
@@ -38,6 +45,9 @@ module.exports = {
     eventEndConditionService,
     endConditionService,
     participationService,
+    jackpotDrawService,
+    eventRevisionService,
+    conditionLogService,
     
     // Achievement system services
     achievementService,
@@ -52,4 +62,10 @@ module.exports = {
     
     // Financial transaction services
     transactionService,
+    ledgerService,
+    feeScheduleService,
+    idempotencyService,
+
+    // Background job services
+    scheduledJobService,
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ const achievementService = require('../../service/AchievementService');
 const userAchievementService = require('../../service/UserAchievementService');
 const userCriterionProgressService = require('../../service/UserCriterionProgressService');
 const achievementCriterionService = require('../../service/AchievementCriterionService');
+const { clock } = require('../clock');
 
 /**
  * Main class for tracking and updating user achievement progress
@@ -132,7 +133,7 @@ class AchievementTracker {
                     progress.id,
                     newValue,
                     isCompleted,
-                    isCompleted ? new Date() : null
+                    isCompleted ? clock.now() : null
                 );
 
                 // If the criterion is completed, check the achievement
@@ -167,7 +168,7 @@ class AchievementTracker {
                 await userAchievementService.updateStatus(
                     userAchievementId,
                     true,
-                    new Date()
+                    clock.now()
                 );
 
                 //console.log(`Achievement ${userAchievement.achievementId} obtained by user ${userAchievement.userId}`);
@@ -2,9 +2,8 @@
 let eventService = null;
 let userService = null;
 
-// Import payout constants
-const { PAYOUT_PERCENTAGES } = require('../../constants/eventPayouts');
-const { EVENT_TYPES } = require('../../constants/application');
+const money = require('../money');
+const { clock } = require('../clock');
 
 function getEventService() {
     if (!eventService) {
@@ -28,8 +27,9 @@ class EventCompletionTracker {
     /**
      * Handle event completion
      * @param {number} eventId - Event ID
+     * @param {Object<number, number>} [incomes={}] - Amount each user received from the payout, by user ID
      */
-    async handleEventCompletion(eventId) {
+    async handleEventCompletion(eventId, incomes = {}) {
         try {
             const event = await getEventService().findByIdWithParticipants(eventId);
 
@@ -42,38 +42,20 @@ class EventCompletionTracker {
             const participantsCount = participants.length;
 
             // Calculate the total bank of the event (sum of all participants' deposits)
-            const totalBank = participants.reduce((sum, participation) => {
-                return sum + (participation.deposit || 0);
-            }, 0);
+            const totalBank = money.sum(participants.map(participation => participation.deposit || 0));
 
             //console.log(`Processing achievement tracking for event ${eventId} with ${participantsCount} participants and bank ${totalBank}`);
 
-            // Calculate payout based on event type (matching the logic in EventConditionTracker)
-            const payoutPercentage = PAYOUT_PERCENTAGES[event.type] || PAYOUT_PERCENTAGES.DEFAULT;
-
-            const totalPayout = Math.floor(totalBank * payoutPercentage);
-
             // Update achievements for each participant
             for (const participation of participants) {
                 const userId = participation.user.id;
-                
-                // Calculate potential income for this participant based on event type
-                let potentialIncome = 0;
-                
-                if (event.type === EVENT_TYPES.JACKPOT) {
-                    // For JACKPOT, any participant could potentially win the full amount
-                    potentialIncome = totalPayout;
-                } else {
-                    // For DONATION/FUNDRAISING, recipient gets the payout
-                    // Participants track the completion but don't get direct income
-                    potentialIncome = 0;
-                }
 
+                // Only jackpot winners (or a participating recipient) receive income
                 const eventData = {
                     bankAmount: totalBank,
                     participantsCount: participantsCount,
-                    completedAt: new Date(),
-                    userIncome: potentialIncome
+                    completedAt: clock.now(),
+                    userIncome: incomes[userId] || 0
                 };
                 
                 // Track event completion for participant
@@ -89,7 +71,7 @@ class EventCompletionTracker {
                 const eventData = {
                     bankAmount: totalBank,
                     participantsCount: participantsCount,
-                    completedAt: new Date(),
+                    completedAt: clock.now(),
                     userIncome: 0 // Creator doesn't get income just for creating
                 };
                 
@@ -107,8 +89,8 @@ class EventCompletionTracker {
                     const eventData = {
                         bankAmount: totalBank,
                         participantsCount: participantsCount,
-                        completedAt: new Date(),
-                        userIncome: totalPayout // Recipient gets the payout
+                        completedAt: clock.now(),
+                        userIncome: incomes[event.recipientId] || 0 // Recipient gets the payout
                     };
                     
                     const { onEventCompleted } = require('./index');
@@ -0,0 +1,85 @@
+const { CLOCK_MODES } = require('../constants/application');
+
+/**
+ * Clock that time-based decisions read the current time from: condition deadlines, scheduled starts,
+ * due jobs, fee schedules, completion times, ...
+ *
+ * The SYSTEM clock follows the system time. Outside production, CLOCK_MODE=TIME_TRAVEL switches to a clock
+ * that keeps running from an offset admins can move forward (see the advanceClock mutation), so an event can be
+ * walked through its deadline without waiting for it. The offset is kept in memory and only applies to this process.
+ */
+class Clock {
+
+    /**
+     * @param {string} [mode=CLOCK_MODES.SYSTEM] - CLOCK_MODES value
+     */
+    constructor(mode = CLOCK_MODES.SYSTEM) {
+        this.mode = mode;
+        this.offsetMs = 0;
+    }
+
+    /**
+     * Returns the current time
+     * @returns {Date} Current time
+     */
+    now() {
+        return new Date(this.timestamp());
+    }
+
+    /**
+     * Returns the current time in milliseconds, like Date.now()
+     * @returns {number} Milliseconds since the epoch
+     */
+    timestamp() {
+        return Date.now() + this.offsetMs;
+    }
+
+    /**
+     * Moves a time travel clock forward
+     * @param {number} milliseconds - How far to move the clock
+     * @returns {Date} New current time
+     * @throws {Error} If the clock follows the system time or the amount is not positive
+     */
+    advance(milliseconds) {
+        if (this.mode !== CLOCK_MODES.TIME_TRAVEL) {
+            throw new Error('The clock can only be advanced in TIME_TRAVEL mode');
+        }
+        if (!Number.isFinite(milliseconds) || milliseconds <= 0) {
+            throw new Error('The clock can only be moved forward');
+        }
+
+        this.offsetMs += milliseconds;
+        return this.now();
+    }
+
+    /**
+     * Describes the clock for admins
+     * @returns {{mode: string, now: Date, offsetSeconds: number}} Mode, current time and offset from the system time
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            now: this.now(),
+            offsetSeconds: Math.round(this.offsetMs / 1000)
+        };
+    }
+}
+
+/**
+ * Picks the clock mode from the environment; production always follows the system time
+ * @param {Object} env - Environment variables
+ * @returns {string} CLOCK_MODES value
+ */
+const resolveMode = (env) => (
+    env.NODE_ENV !== 'production' && env.CLOCK_MODE === CLOCK_MODES.TIME_TRAVEL
+        ? CLOCK_MODES.TIME_TRAVEL
+        : CLOCK_MODES.SYSTEM
+);
+
+const clock = new Clock(resolveMode(process.env));
+
+module.exports = {
+    Clock,
+    resolveMode,
+    clock
+};
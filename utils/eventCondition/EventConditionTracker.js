@@ -3,12 +3,23 @@ let eventService = null;
 let eventEndConditionService = null;
 let endConditionService = null;
 let transactionService = null;
+let jackpotDrawService = null;
+let feeScheduleService = null;
+let scheduledJobService = null;
+let conditionLogService = null;
+let transactionRepository = null;
 let pubsub = null;
 let SUBSCRIPTION_EVENTS = null;
 
-// Import payout constants
-const { PAYOUT_PERCENTAGES, COMMISSION_RATES, JACKPOT_CONFIG } = require('../../constants/eventPayouts');
-const {EVENT_TYPES, CONDITION_TYPES} = require("../../constants/application");
+const {EVENT_TYPES, EVENT_STATUSES, CONDITION_TYPES, TRANSACTION_TYPES, CONDITION_LOG_TYPES, CONDITION_TRIGGERS} = require("../../constants/application");
+const money = require('../money');
+const { clock } = require('../clock');
+const { allocatePrizes } = require('../jackpot/prizeTiers');
+const conditionExpression = require('./conditionExpression');
+const { conditionEvaluators, EVALUATOR_KINDS } = require('./conditionEvaluators');
+
+// Errors already recorded in the condition log on their way up through the nested checks
+const loggedEvaluationErrors = new WeakSet();
 
 function getEventService() {
     if (!eventService) {
@@ -38,15 +49,70 @@ function getTransactionService() {
     return transactionService;
 }
 
+function getJackpotDrawService() {
+    if (!jackpotDrawService) {
+        jackpotDrawService = require('../../service').jackpotDrawService;
+    }
+    return jackpotDrawService;
+}
+
+function getFeeScheduleService() {
+    if (!feeScheduleService) {
+        feeScheduleService = require('../../service').feeScheduleService;
+    }
+    return feeScheduleService;
+}
+
+function getScheduledJobService() {
+    if (!scheduledJobService) {
+        scheduledJobService = require('../../service').scheduledJobService;
+    }
+    return scheduledJobService;
+}
+
+function getConditionLogService() {
+    if (!conditionLogService) {
+        conditionLogService = require('../../service').conditionLogService;
+    }
+    return conditionLogService;
+}
+
+// Money moves of a payout or refund are written in one database transaction through this repository
+function getTransactionRepository() {
+    if (!transactionRepository) {
+        transactionRepository = require('../../repository').TransactionRepository;
+    }
+    return transactionRepository;
+}
+
+// Whether the evaluation runs inside a database transaction opened by its caller (e.g. a deposit)
+function inCallerTransaction() {
+    return Boolean(require('../../model').getCurrentTransaction());
+}
+
 function getPubSub() {
     if (!pubsub || !SUBSCRIPTION_EVENTS) {
         const pubSubModule = require('../../graphql/pubsub');
-        pubsub = pubSubModule.pubsub;
+        const { runAfterCommit } = require('../../model');
+        // Condition checks may run inside a participation transaction,
+        // so notifications are held back until the changes are committed
+        pubsub = {
+            publish: (eventName, payload) => runAfterCommit(() => pubSubModule.pubsub.publish(eventName, payload))
+        };
         SUBSCRIPTION_EVENTS = pubSubModule.SUBSCRIPTION_EVENTS;
     }
     return { pubsub, SUBSCRIPTION_EVENTS };
 }
 
+/**
+ * Converts a ratio to a percentage between 0 and 100 with two decimals
+ * @param {number} ratio - Ratio (1 is complete)
+ * @returns {number} Percentage
+ */
+function toPercent(ratio) {
+    return Math.round(Math.min(Math.max(ratio, 0), 1) * 10000) / 100;
+}
+
 /**
  * Base class for tracking event conditions
  */
@@ -78,6 +144,33 @@ class EventConditionTracker {
         }
     }
 
+    /**
+     * Load an event with its participations, which the condition values are measured from
+     * @param {number} eventId - Event ID
+     * @returns {Promise<Event|null>} Event with participations
+     */
+    async findEventWithParticipants(eventId) {
+        return await getEventService().findByIdWithParticipants(eventId);
+    }
+
+    /**
+     * Load a group of conditions, which tells the event of its conditions
+     * @param {number} eventEndConditionId - Group of conditions ID
+     * @returns {Promise<EventEndCondition|null>} Group of conditions
+     */
+    async findConditionGroup(eventEndConditionId) {
+        return await getEventEndConditionService().findById(eventEndConditionId);
+    }
+
+    /**
+     * Load the bank and participant count stored on an event, which spares loading its participations
+     * @param {number} eventId - Event ID
+     * @returns {Promise<{bankAmount: number, participantCount: number}|null>} Stored totals
+     */
+    async findEventTotals(eventId) {
+        return await getEventService().findTotals(eventId);
+    }
+
     /**
      * Get the current value for the PEOPLE criterion (number of participants)
      * @param {number} eventId - Event ID
@@ -85,8 +178,8 @@ class EventConditionTracker {
      */
     async getPeopleCount(eventId) {
         try {
-            const event = await getEventService().findByIdWithParticipants(eventId);
-            return event ? (event.participations ? event.participations.length : 0) : 0;
+            const totals = await this.findEventTotals(eventId);
+            return totals ? totals.participantCount || 0 : 0;
         } catch (error) {
             //console.error('Error getting the number of participations:', error);
             return 0;
@@ -100,20 +193,90 @@ class EventConditionTracker {
      */
     async getBankAmount(eventId) {
         try {
-            const event = await getEventService().findByIdWithParticipants(eventId);
+            const totals = await this.findEventTotals(eventId);
+            return totals ? money.normalize(totals.bankAmount) : 0;
+        } catch (error) {
+            //console.error('Error getting the bank amount:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the current value for the UNIQUE_DONORS criterion (distinct participants other than the creator)
+     * @param {number} eventId - Event ID
+     * @returns {number} Number of distinct donors
+     */
+    async getUniqueDonorCount(eventId) {
+        try {
+            const event = await this.findEventWithParticipants(eventId);
             if (!event || !event.participations) {
                 return 0;
             }
 
-            return event.participations.reduce((total, participation) => {
-                return total + (participation.deposit || 0);
-            }, 0);
+            const donors = new Set(event.participations
+                .map(participation => participation.userId)
+                .filter(userId => userId !== event.userId));
+            return donors.size;
         } catch (error) {
-            //console.error('Error getting the bank amount:', error);
+            //console.error('Error getting the number of unique donors:', error);
             return 0;
         }
     }
 
+    /**
+     * Get the current value for the MAX_SINGLE_DEPOSIT criterion (largest single deposit)
+     * Participations add up the deposits of a user, so single deposits are read from the debits of the participants
+     * @param {number} eventId - Event ID
+     * @returns {number} Largest deposit made to the event
+     */
+    async getLargestDeposit(eventId) {
+        try {
+            return await getTransactionService().findLargestEventDeposit(eventId);
+        } catch (error) {
+            //console.error('Error getting the largest deposit:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the current value for the AVERAGE_DEPOSIT criterion (average deposit per participant)
+     * @param {number} eventId - Event ID
+     * @returns {number} Average deposit rounded to cents
+     */
+    async getAverageDeposit(eventId) {
+        try {
+            const totals = await this.findEventTotals(eventId);
+            if (!totals || !totals.participantCount) {
+                return 0;
+            }
+
+            return money.normalize(totals.bankAmount / totals.participantCount);
+        } catch (error) {
+            //console.error('Error getting the average deposit:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the time of the first participation, which DURATION conditions count from
+     * @param {number} eventId - Event ID
+     * @returns {Date|null} Time of the first participation, null if there is none yet
+     */
+    async getFirstParticipationAt(eventId) {
+        try {
+            const event = await this.findEventWithParticipants(eventId);
+            if (!event || !event.participations || event.participations.length === 0) {
+                return null;
+            }
+
+            const times = event.participations.map(participation => new Date(participation.createdAt).getTime());
+            return new Date(Math.min(...times));
+        } catch (error) {
+            //console.error('Error getting the first participation:', error);
+            return null;
+        }
+    }
+
     /**
      * Get the current value for the TIME criterion (time check)
      * @param {number} eventId - Event ID
@@ -123,7 +286,7 @@ class EventConditionTracker {
     async getTimeCondition(eventId, timeValue) {
         try {
             const targetDate = new Date(timeValue);
-            const currentDate = new Date();
+            const currentDate = clock.now();
             return currentDate >= targetDate;
         } catch (error) {
             //console.error('Error checking the time:', error);
@@ -132,38 +295,142 @@ class EventConditionTracker {
     }
 
     /**
-     * Get the current value for the condition depending on its type
+     * Get the current value for the condition using the evaluator registered for its type (see conditionEvaluators)
      * @param {Object} endCondition - Condition
      * @param {number} eventId - Event ID
-     * @returns {number|boolean} Current value
+     * @returns {number} Current value; for deadlines 1 if the deadline has passed, 0 if not
      */
     async getCurrentValue(endCondition, eventId) {
-        const conditionType = endCondition.name;
+        const evaluator = conditionEvaluators.get(endCondition.name);
+        if (!evaluator) {
+            //console.warn('Unknown condition type:', endCondition.name);
+            return 0;
+        }
 
-        switch (conditionType) {
-            case CONDITION_TYPES.PARTICIPATION:
-                return await this.getPeopleCount(eventId);
-            
-            case CONDITION_TYPES.BANK:
-                return await this.getBankAmount(eventId);
-            
-            case CONDITION_TYPES.TIME:
-                // For time, return 1 if the condition is met, 0 if not
-                const isTimeReached = await this.getTimeCondition(eventId, endCondition.value);
-                return isTimeReached ? 1 : 0;
-            
-            default:
-                //console.warn('Unknown condition type:', endCondition.name);
+        if (evaluator.kind === EVALUATOR_KINDS.DEADLINE) {
+            const deadline = await this.getDeadline(endCondition, eventId);
+            if (deadline === null) {
                 return 0;
+            }
+            const isTimeReached = await this.getTimeCondition(eventId, deadline);
+            return isTimeReached ? 1 : 0;
+        }
+
+        return await evaluator.measure(this, eventId, endCondition);
+    }
+
+    /**
+     * Get the progress of a condition, as shown by progress bars
+     * Targets report how much of the value has been reached, deadlines how much of their time has passed
+     * @param {Object} endCondition - Condition
+     * @param {number} [eventId] - Event ID, looked up through the condition group if not given
+     * @param {Date} [now=clock.now()] - Reference time
+     * @returns {{currentValue: number, progressPercent: number, remainingSeconds: number|null}} Progress;
+     * remainingSeconds is only set for deadlines that are known
+     */
+    async getConditionProgress(endCondition, eventId = null, now = clock.now()) {
+        if (eventId === null) {
+            const eventEndCondition = await this.findConditionGroup(endCondition.endConditionId);
+            eventId = eventEndCondition.eventId;
+        }
+
+        const evaluator = conditionEvaluators.get(endCondition.name);
+        if (!evaluator) {
+            return { currentValue: 0, progressPercent: 0, remainingSeconds: null };
+        }
+
+        if (evaluator.kind === EVALUATOR_KINDS.DEADLINE) {
+            const deadline = await this.getDeadline(endCondition, eventId);
+            if (deadline === null) {
+                return { currentValue: 0, progressPercent: 0, remainingSeconds: null };
+            }
+
+            const end = new Date(deadline).getTime();
+            const start = evaluator.start ? await evaluator.start(this, eventId, endCondition) : null;
+            const remaining = Math.max(0, end - now.getTime());
+            let progressPercent = remaining === 0 ? 100 : 0;
+            if (remaining > 0 && start && end > new Date(start).getTime()) {
+                const startTime = new Date(start).getTime();
+                progressPercent = toPercent((now.getTime() - startTime) / (end - startTime));
+            }
+
+            return {
+                currentValue: remaining === 0 ? 1 : 0,
+                progressPercent,
+                remainingSeconds: Math.ceil(remaining / 1000)
+            };
+        }
+
+        const currentValue = await evaluator.measure(this, eventId, endCondition);
+        const targetValue = parseFloat(endCondition.value);
+        let progressPercent;
+        if (endCondition.isCompleted || this.checkCondition(endCondition, currentValue)) {
+            progressPercent = 100;
+        } else if (endCondition.operator === 'LESS' || endCondition.operator === 'LESS_EQUALS' || !(targetValue > 0)) {
+            // Staying below a value has no meaningful progress
+            progressPercent = 0;
+        } else {
+            progressPercent = toPercent(currentValue / targetValue);
+        }
+
+        return { currentValue, progressPercent, remainingSeconds: null };
+    }
+
+    /**
+     * Get the start time of an event, which TIME conditions count towards their deadline from
+     * @param {number} eventId - Event ID
+     * @returns {Date|null} Start time, null if the event is not found
+     */
+    async getEventStartedAt(eventId) {
+        try {
+            const event = await this.findEventWithParticipants(eventId);
+            if (!event) {
+                return null;
+            }
+            return new Date(event.startsAt || event.createdAt);
+        } catch (error) {
+            //console.error('Error getting the start of the event:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the deadline of a deadline condition (TIME, DURATION)
+     * @param {Object} endCondition - Deadline condition
+     * @param {number} eventId - Event ID
+     * @returns {Date|string|null} Deadline, null if it is not known yet
+     */
+    async getDeadline(endCondition, eventId) {
+        const evaluator = conditionEvaluators.get(endCondition.name);
+        const deadline = await evaluator.deadline(this, eventId, endCondition);
+        return deadline || null;
+    }
+
+    /**
+     * Get the deadlines of the deadline conditions of a group
+     * @param {Object[]} conditions - Conditions of the group
+     * @param {number} eventId - Event ID
+     * @returns {Map<number, Date|string|null>} Deadlines by condition ID
+     */
+    async getDeadlines(conditions, eventId) {
+        const deadlines = new Map();
+        for (const condition of conditions) {
+            if (conditionEvaluators.isDeadline(condition.name)) {
+                deadlines.set(condition.id, await this.getDeadline(condition, eventId));
+            }
         }
+        return deadlines;
     }
 
     /**
-     * Check and update the status of a specific condition
+     * Check and update the status of a specific condition, then re-evaluate its group
+     * Deadline conditions are not marked completed; they are read from the clock when the group is evaluated.
+     * Deadlines that become known later (DURATION) get their job scheduled here
      * @param {number} endConditionId - Condition ID
      * @param {number} eventId - Event ID
+     * @param {string} [trigger=CONDITION_TRIGGERS.MANUAL] - What started the evaluation, recorded in the condition log
      */
-    async checkAndUpdateEndCondition(endConditionId, eventId) {
+    async checkAndUpdateEndCondition(endConditionId, eventId, trigger = CONDITION_TRIGGERS.MANUAL) {
         try {
             const endCondition = await getEndConditionService().findById(endConditionId);
             if (!endCondition) {
@@ -175,81 +442,99 @@ class EventConditionTracker {
                 return; // Condition is already completed
             }
 
-            const currentValue = await this.getCurrentValue(endCondition, eventId);
-            const isCompleted = this.checkCondition(endCondition, currentValue);
+            if (!conditionEvaluators.isDeadline(endCondition.name)) {
+                const currentValue = await this.getCurrentValue(endCondition, eventId);
+                const met = this.checkCondition(endCondition, currentValue);
+                await this.logEvaluation(eventId, trigger, CONDITION_LOG_TYPES.CONDITION_CHECKED, {
+                    condition: endCondition,
+                    observedValue: currentValue,
+                    met
+                });
+                if (!met) {
+                    return;
+                }
 
-            if (isCompleted) {
                 await getEndConditionService().updateCompletion(endConditionId, true);
                 //console.log(`Condition ${endCondition.name} completed for event ${eventId}`);
-                
-                // Check the group of conditions
-                await this.checkAndUpdateEventEndCondition(endCondition.endConditionId, eventId);
             } else {
-                // Special handling for time conditions - if time has passed, check if group should fail
-                if (endCondition.name === CONDITION_TYPES.TIME) {
-                    const timeReached = await this.getTimeCondition(eventId, endCondition.value);
-                    if (timeReached) {
-                        // Time deadline reached, check if this group should be marked as failed
-                        await this.checkGroupFailureOnTimeDeadline(endCondition.endConditionId, eventId);
-                    }
+                const deadline = await this.getDeadline(endCondition, eventId);
+                await this.logEvaluation(eventId, trigger, CONDITION_LOG_TYPES.CONDITION_CHECKED, {
+                    condition: endCondition,
+                    observedValue: deadline,
+                    met: deadline !== null && clock.now() >= new Date(deadline)
+                });
+
+                // TIME jobs are scheduled when the condition is created
+                if (endCondition.name !== CONDITION_TYPES.TIME && deadline !== null) {
+                    await getScheduledJobService().ensureDeadline(endCondition, eventId, deadline);
                 }
             }
+
+            // Check the group of conditions
+            await this.checkAndUpdateEventEndCondition(endCondition.endConditionId, eventId, trigger);
         } catch (error) {
-            //console.error('Error checking the condition:', error);
+            console.error('Error checking the condition:', error);
+            await this.recordEvaluationError(error, eventId, trigger, {
+                message: `Checking condition ${endConditionId} failed: ${error.message}`
+            });
         }
     }
 
     /**
-     * Check if group should be marked as failed when time deadline is reached
-     * @param {number} eventEndConditionId - Group of conditions ID
+     * Evaluate a group of conditions with the deadlines of its conditions resolved
+     * @param {Object} eventEndCondition - Group of conditions with an optional expression
+     * @param {Object[]} conditions - Conditions of the group
      * @param {number} eventId - Event ID
+     * @param {Date} [now=clock.now()] - Reference time
+     * @returns {Promise<Object>} State of the group (see conditionExpression.evaluateGroup)
      */
-    async checkGroupFailureOnTimeDeadline(eventEndConditionId, eventId) {
-        try {
-            const eventEndCondition = await getEventEndConditionService().findById(eventEndConditionId);
-            if (!eventEndCondition || eventEndCondition.isCompleted || eventEndCondition.isFailed) {
-                return; // Already completed or failed
-            }
-
-            // Get all conditions of the group
-            const conditions = await getEndConditionService().findByEventEndCondition(eventEndConditionId);
-            
-            // Check if there are non-time conditions that are not completed
-            const nonTimeConditions = conditions.filter(condition => {
-                return condition.name !== CONDITION_TYPES.TIME;
-            });
-
-            const hasUncompletedNonTimeConditions = nonTimeConditions.some(condition => !condition.isCompleted);
+    async evaluateConditionGroup(eventEndCondition, conditions, eventId, now = clock.now()) {
+        const deadlines = await this.getDeadlines(conditions, eventId);
+        return conditionExpression.evaluateGroup(eventEndCondition, conditions, now, deadlines);
+    }
 
-                    if (hasUncompletedNonTimeConditions) {
-            // Mark group as failed since deadline passed but other conditions not met
-            await getEventEndConditionService().updateFailure(eventEndConditionId, true);
-            //console.log(`Group of conditions ${eventEndConditionId} failed due to time deadline for event ${eventId}`);
-            
-            // Publish event conditions update
-            try {
-                const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
-                pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_CONDITIONS_UPDATED, {
-                    eventConditionsUpdated: { eventId: eventId }
-                });
-            } catch (pubsubError) {
-                //console.error('Error publishing event conditions update:', pubsubError);
-            }
-            
-            // Check if the event should be marked as failed
-            await this.checkAndUpdateEvent(eventId);
+    /**
+     * Decide the outcome of an event from its groups of conditions
+     * @param {Object[]} eventEndConditions - Groups with isCompleted and isFailed
+     * @returns {string|null} FINISHED once a group is completed, FAILED once all groups failed, null otherwise
+     */
+    resolveEventStatus(eventEndConditions) {
+        // Check if at least one group of conditions is completed
+        if (eventEndConditions.some(group => group.isCompleted)) {
+            return EVENT_STATUSES.FINISHED;
         }
-        } catch (error) {
-            //console.error('Error checking group failure on time deadline:', error);
+
+        // Check if all groups have either completed or failed
+        const allGroupsResolved = eventEndConditions.every(group => group.isCompleted || group.isFailed);
+        if (allGroupsResolved && eventEndConditions.length > 0) {
+            return EVENT_STATUSES.FAILED;
         }
+        return null;
+    }
+
+    /**
+     * Split the bank of a completed event into the payout and the platform commission
+     * @param {number} totalBankAmount - Sum of all deposits
+     * @param {Object} fees - Fee terms of the event
+     * @returns {{payoutAmount: number, commissionAmount: number}} Amounts in currency units
+     */
+    splitBank(totalBankAmount, fees) {
+        const payoutAmount = money.percentageOf(totalBankAmount, fees.payoutPercentage);
+        return {
+            payoutAmount,
+            commissionAmount: money.subtract(totalBankAmount, payoutAmount)
+        };
     }
 
     /**
      * Check and update the status of a group of conditions (EventEndCondition)
+     * The group is completed once its expression holds (all conditions for plain groups, see conditionExpression)
+     * and failed once it can never become true, e.g. when a deadline passed before the other conditions were met
      * @param {number} eventEndConditionId - Group of conditions ID
      * @param {number} eventId - Event ID
+     * @param {string} [trigger=CONDITION_TRIGGERS.MANUAL] - What started the evaluation, recorded in the condition log
      */
-    async checkAndUpdateEventEndCondition(eventEndConditionId, eventId) {
+    async checkAndUpdateEventEndCondition(eventEndConditionId, eventId, trigger = CONDITION_TRIGGERS.MANUAL) {
         try {
             const eventEndCondition = await getEventEndConditionService().findById(eventEndConditionId);
             if (!eventEndCondition) {
@@ -263,37 +548,44 @@ class EventConditionTracker {
 
             // Get all conditions of the group
             const conditions = await getEndConditionService().findByEventEndCondition(eventEndConditionId);
-            
-            // Check if all conditions are completed
-            const allCompleted = conditions.every(condition => condition.isCompleted);
+            if (conditions.length === 0) {
+                return;
+            }
+
+            const state = await this.evaluateConditionGroup(eventEndCondition, conditions, eventId);
 
-            if (allCompleted && conditions.length > 0) {
+            if (state.value) {
                 await getEventEndConditionService().updateCompletion(eventEndConditionId, true);
-                //console.log(`Group of conditions ${eventEndConditionId} completed for event ${eventId}`);
-                
-                // Publish event conditions update
-                try {
-                    const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
-                    pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_CONDITIONS_UPDATED, {
-                        eventConditionsUpdated: { eventId: eventId }
-                    });
-                } catch (pubsubError) {
-                    //console.error('Error publishing event conditions update:', pubsubError);
-                }
-                
-                // Check the event
-                await this.checkAndUpdateEvent(eventId);
+                await this.logEvaluation(eventId, trigger, CONDITION_LOG_TYPES.GROUP_COMPLETED, { eventEndConditionId });
+            } else if (!state.canBeTrue) {
+                await getEventEndConditionService().updateFailure(eventEndConditionId, true);
+                await this.logEvaluation(eventId, trigger, CONDITION_LOG_TYPES.GROUP_FAILED, {
+                    eventEndConditionId,
+                    message: 'The group can no longer be met'
+                });
+            } else {
+                return;
             }
+
+            this.publishConditionsUpdated(eventId);
+
+            // Check the event
+            await this.checkAndUpdateEvent(eventId, trigger);
         } catch (error) {
-            //console.error('Error checking the group of conditions:', error);
+            console.error('Error checking the group of conditions:', error);
+            await this.recordEvaluationError(error, eventId, trigger, {
+                eventEndConditionId,
+                message: `Checking group ${eventEndConditionId} failed: ${error.message}`
+            });
         }
     }
 
     /**
      * Check and update the status of an event
      * @param {number} eventId - Event ID
+     * @param {string} [trigger=CONDITION_TRIGGERS.MANUAL] - What started the evaluation, recorded in the condition log
      */
-    async checkAndUpdateEvent(eventId) {
+    async checkAndUpdateEvent(eventId, trigger = CONDITION_TRIGGERS.MANUAL) {
         try {
             const event = await getEventService().findByIdWithEndConditions(eventId);
             if (!event) {
@@ -301,36 +593,41 @@ class EventConditionTracker {
                 return;
             }
 
-            if (event.status === 'FINISHED' || event.status === 'FAILED') {
-                return; // Event is already finished or failed
+            if (event.status !== EVENT_STATUSES.IN_PROGRESS) {
+                return; // Event is already finished, failed or cancelled
             }
 
-            // Check if at least one group of conditions is completed
-            const hasCompletedGroup = event.endConditions.some(group => group.isCompleted);
-            
-            // Check if all groups have either completed or failed
-            const allGroupsResolved = event.endConditions.every(group => group.isCompleted || group.isFailed);
-
-            let statusChanged = false;
+            const outcome = this.resolveEventStatus(event.endConditions);
 
-            if (hasCompletedGroup) {
-                await getEventService().updateStatus(eventId, 'FINISHED');
-                //console.log(`Event ${eventId} completed!`);
-                statusChanged = true;
-                
-                // Here you can add additional logic when the event is completed
-                await this.onEventCompleted(eventId);
-            } else if (allGroupsResolved && event.endConditions.length > 0) {
-                // All groups failed, event cannot be completed
-                await getEventService().updateStatus(eventId, 'FAILED');
-                //console.log(`Event ${eventId} finished - all condition groups failed!`);
-                statusChanged = true;
-                
-                await this.onEventFailed(eventId);
+            if (outcome === null) {
+                return;
             }
 
+            // A failed payout or refund rolls the status back with it, so the event can be resolved again
+            const statusChanged = await getTransactionRepository().transaction(async () => {
+                // Conditional transitions, so an event cancelled since it was loaded is never paid out
+                const changed = await getEventService().transitionStatus(eventId, EVENT_STATUSES.IN_PROGRESS, outcome);
+                if (!changed) {
+                    return false;
+                }
+
+                if (outcome === EVENT_STATUSES.FINISHED) {
+                    //console.log(`Event ${eventId} completed!`);
+                    await this.onEventCompleted(eventId);
+                } else {
+                    // All groups failed, event cannot be completed
+                    await this.onEventFailed(eventId);
+                }
+                return true;
+            });
+
             // Publish event update to subscribers if status changed
             if (statusChanged) {
+                await this.logEvaluation(eventId, trigger, CONDITION_LOG_TYPES.STATUS_CHANGED, {
+                    fromStatus: EVENT_STATUSES.IN_PROGRESS,
+                    toStatus: outcome
+                });
+
                 try {
                     const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
                     pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
@@ -342,141 +639,386 @@ class EventConditionTracker {
                 }
             }
         } catch (error) {
-            //console.error('Error checking the event:', error);
+            console.error('Error checking the event:', error);
+            await this.recordEvaluationError(error, eventId, trigger, {
+                message: `Checking the event failed: ${error.message}`
+            });
+            // The error stops here, so a job resolves the event again
+            await this.scheduleResolutionRetry(eventId);
+        }
+    }
+
+    /**
+     * Enqueue a job that resolves an event again after resolving it failed (see ScheduledJobService scheduleResolution)
+     * @param {number} eventId - Event ID
+     */
+    async scheduleResolutionRetry(eventId) {
+        try {
+            await getScheduledJobService().scheduleResolution(eventId);
+        } catch (error) {
+            console.error(`Error scheduling the resolution of event ${eventId}:`, error);
+        }
+    }
+
+    /**
+     * Finish or fail an in-progress event regardless of its conditions
+     * Runs the same payout or refund as a condition-driven resolution, in one database transaction with the status change:
+     * if the payout or refund fails, the event stays in progress and the error reaches the admin
+     * @param {number} eventId - Event ID
+     * @param {string} status - FINISHED or FAILED
+     * @returns {boolean} True if the event was resolved by this call, false if it was no longer in progress
+     */
+    async forceResolveEvent(eventId, status) {
+        if (status !== EVENT_STATUSES.FINISHED && status !== EVENT_STATUSES.FAILED) {
+            throw new Error(`Cannot force event into status ${status}`);
+        }
+
+        const changed = await getTransactionRepository().transaction(async () => {
+            const transitioned = await getEventService().transitionStatus(eventId, EVENT_STATUSES.IN_PROGRESS, status);
+            if (!transitioned) {
+                return false;
+            }
+
+            await this.logEvaluation(eventId, CONDITION_TRIGGERS.MANUAL, CONDITION_LOG_TYPES.STATUS_CHANGED, {
+                fromStatus: EVENT_STATUSES.IN_PROGRESS,
+                toStatus: status,
+                message: 'Resolved by an admin'
+            });
+
+            if (status === EVENT_STATUSES.FINISHED) {
+                await this.onEventCompleted(eventId);
+            } else {
+                await this.onEventFailed(eventId);
+            }
+            return true;
+        });
+        if (!changed) {
+            return false;
+        }
+
+        // Published once the transaction has committed
+        try {
+            const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
+            pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+                eventUpdated: { id: eventId }
+            });
+        } catch (pubsubError) {
+            //console.error('Error publishing event update:', pubsubError);
         }
+
+        return true;
     }
 
     /**
      * Handle the completion of an event
+     * Payout errors reach the caller, whose transaction rolls back the status change with the payouts
      * @param {number} eventId - Completed event ID
      */
     async onEventCompleted(eventId) {
+        //console.log(`Event ${eventId} completed! Processing payout...`);
+        
+        // Get event with participants
+        const event = await getEventService().findByIdWithParticipants(eventId);
+        if (!event) {
+            console.error(`Event ${eventId} not found`);
+            return;
+        }
+
+        // Calculate total bank amount (sum of all participant deposits)
+        const participations = event.participations || [];
+        const totalBankAmount = money.sum(participations.map(participation => participation.deposit || 0));
+
+        let payouts = [];
+        let commissionAmount = 0;
+
+        if (totalBankAmount > 0) {
+            // Use the fees in force when the event was created, not the current ones
+            const fees = await getFeeScheduleService().resolveForEvent(event);
+
+            const split = this.splitBank(totalBankAmount, fees);
+            const payoutAmount = split.payoutAmount;
+            commissionAmount = split.commissionAmount;
+
+            //console.log(`Event ${eventId} (${event.type}): Total bank: ${totalBankAmount}, Payout: ${payoutAmount} (${fees.payoutPercentage * 100}%), Commission: ${commissionAmount}`);
+
+            payouts = await this.selectPayouts(event, payoutAmount, fees);
+        }
+
+        // Track achievements with the income every user actually receives
         try {
-            //console.log(`Event ${eventId} completed! Processing payout...`);
-            
-            // Get event with participants
-            const event = await getEventService().findByIdWithParticipants(eventId);
-            if (!event) {
-                console.error(`Event ${eventId} not found`);
-                return;
+            const EventCompletionTracker = require('../achievement/EventCompletionTracker');
+            const incomes = {};
+            for (const payout of payouts) {
+                incomes[payout.userId] = money.add(incomes[payout.userId] || 0, payout.amount);
             }
+            await EventCompletionTracker.handleEventCompletion(eventId, incomes);
+            //console.log(`Achievement tracking completed for event ${eventId}`);
+        } catch (achievementError) {
+            console.error(`Error tracking achievements for event ${eventId}:`, achievementError);
+            // Continue with payout even if achievement tracking fails
+        }
 
-            // Track achievements for event completion FIRST
-            try {
-                const EventCompletionTracker = require('../achievement/EventCompletionTracker');
-                await EventCompletionTracker.handleEventCompletion(eventId);
-                //console.log(`Achievement tracking completed for event ${eventId}`);
-            } catch (achievementError) {
-                console.error(`Error tracking achievements for event ${eventId}:`, achievementError);
-                // Continue with payout even if achievement tracking fails
+        if (totalBankAmount <= 0) {
+            console.log(`Event ${eventId} has no funds to transfer`);
+            return;
+        }
+
+        if (payouts.length === 0) {
+            return;
+        }
+
+        // The payouts and the commission are written together, so the escrow is never left partly paid out
+        await getTransactionRepository().transaction(async () => {
+            // Create a transaction for every recipient (EVENT_INCOME) with their share of the payout after commission
+            for (const payout of payouts) {
+                await getTransactionService().create({
+                    amount: payout.amount,
+                    type: TRANSACTION_TYPES.EVENT_INCOME,
+                    userId: payout.userId,
+                    eventId: eventId
+                });
             }
 
-            // Calculate total bank amount (sum of all participant deposits)
-            const participations = event.participations || [];
-            const totalBankAmount = participations.reduce((total, participation) => {
-                return total + (participation.deposit || 0);
-            }, 0);
+            // Move the rest of the escrow to platform revenue
+            if (commissionAmount > 0) {
+                await getTransactionService().create({
+                    amount: commissionAmount,
+                    type: TRANSACTION_TYPES.COMMISSION,
+                    eventId: eventId
+                });
+            }
+        });
 
-            if (totalBankAmount <= 0) {
-                console.log(`Event ${eventId} has no funds to transfer`);
-                return;
+        // Publish balance updates for recipients
+        try {
+            const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
+            for (const payout of payouts) {
+                pubsub.publish(SUBSCRIPTION_EVENTS.BALANCE_UPDATED, {
+                    balanceUpdated: { id: payout.userId }
+                });
             }
+        } catch (pubsubError) {
+            console.error('Error publishing balance update:', pubsubError);
+        }
+    }
 
-            // Calculate payout percentage based on event type
-            const payoutPercentage = PAYOUT_PERCENTAGES[event.type] || PAYOUT_PERCENTAGES.DEFAULT;
-            const commissionRate = COMMISSION_RATES[event.type] || COMMISSION_RATES.DEFAULT;
-            
-            if (!PAYOUT_PERCENTAGES[event.type]) {
-                console.warn(`Unknown event type: ${event.type}, using ${PAYOUT_PERCENTAGES.DEFAULT * 100}% payout`);
+    /**
+     * Decides who receives the payout of a completed event
+     * JACKPOT winners are drawn from the committed seed and split the payout by the event's prize distribution,
+     * other event types pay everything to the recipient
+     * @param {Object} event - Event with participations
+     * @param {number} payoutAmount - Amount to distribute after commission
+     * @param {Object} fees - Fee terms of the event (jackpot ticket terms are used for the draw)
+     * @returns {Array<{userId: number, amount: number}>} Payouts, empty if nobody can be paid
+     */
+    async selectPayouts(event, payoutAmount, fees) {
+        if (event.type === EVENT_TYPES.JACKPOT) {
+            if ((event.participations || []).length === 0) {
+                console.log(`Event ${event.id} (JACKPOT) has no participants, skipping payout`);
+                return [];
             }
 
-            const payoutAmount = Math.floor(totalBankAmount * payoutPercentage);
-            const commissionAmount = totalBankAmount - payoutAmount;
+            // Winners come from the seed committed at event creation, so the draw can be verified afterwards
+            const draw = await getJackpotDrawService().reveal(event, {
+                randomnessCoefficient: fees.randomnessCoefficient,
+                minimumBaseTickets: fees.minimumBaseTickets
+            });
+            const winnerIds = draw.winners ? draw.winners.map(winner => winner.userId) : [draw.winnerId];
+            return allocatePrizes(payoutAmount, event.prizeDistribution, winnerIds);
+        }
 
-            //console.log(`Event ${eventId} (${event.type}): Total bank: ${totalBankAmount}, Payout: ${payoutAmount} (${payoutPercentage * 100}%), Commission: ${commissionAmount}`);
+        // For DONATION and FUNDRAISING events, check if recipient exists
+        if (!event.recipientId) {
+            console.log(`Event ${event.id} has no recipient, skipping payout`);
+            return [];
+        }
+        return [{ userId: event.recipientId, amount: payoutAmount }];
+    }
 
-            let recipientId = event.recipientId;
+    /**
+     * Handle the failure of an event (all condition groups failed)
+     * Refund errors reach the caller, whose transaction rolls back the status change with the refunds
+     * @param {number} eventId - Failed event ID
+     */
+    async onEventFailed(eventId) {
+        await this.refundParticipants(eventId);
+    }
 
-            // Special handling for JACKPOT events - randomly select winner from participants
-            if (event.type === EVENT_TYPES.JACKPOT) {
-                if (participations.length === 0) {
-                    console.log(`Event ${eventId} (JACKPOT) has no participants, skipping payout`);
-                    return;
+    /**
+     * Start tracking an event that was just published or reached its scheduled start
+     * Conditions are evaluated right away and subscribers see the new status
+     * @param {number} eventId - Started event ID
+     */
+    async onEventStarted(eventId) {
+        await this.checkAllEventConditions(eventId, CONDITION_TRIGGERS.EVENT_START);
+
+        try {
+            const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
+            pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+                eventUpdated: { id: eventId }
+            });
+        } catch (pubsubError) {
+            //console.error('Error publishing event update:', pubsubError);
+        }
+    }
+
+    /**
+     * Evaluate an event when one of its TIME deadlines is reached (run by the TIME_CONDITION and EVENT_RESOLUTION jobs)
+     * Unlike the other condition checks, errors are not swallowed so the job is retried
+     * @param {number} eventId - Event ID
+     */
+    async onDeadlineReached(eventId) {
+        const event = await getEventService().findByIdWithEndConditions(eventId);
+        if (event.status !== EVENT_STATUSES.IN_PROGRESS) {
+            return; // Not started yet or already resolved
+        }
+
+        await this.checkAllEventConditions(eventId, CONDITION_TRIGGERS.CRON);
+
+        // A previous attempt may have settled the groups and then failed to pay out, so resolve the event on its own too
+        await this.checkAndUpdateEvent(eventId, CONDITION_TRIGGERS.CRON);
+    }
+
+    /**
+     * Handle the cancellation of an event by its creator or an admin
+     * Unlike onEventFailed, refund errors are not swallowed so the cancellation can be rolled back
+     * @param {number} eventId - Cancelled event ID
+     * @param {string} fromStatus - Status the event was cancelled from (DRAFT, SCHEDULED or IN_PROGRESS)
+     */
+    async onEventCancelled(eventId, fromStatus) {
+        await this.logEvaluation(eventId, CONDITION_TRIGGERS.MANUAL, CONDITION_LOG_TYPES.STATUS_CHANGED, {
+            fromStatus,
+            toStatus: EVENT_STATUSES.CANCELLED
+        });
+        await this.refundParticipants(eventId);
+
+        try {
+            const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
+            pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_UPDATED, {
+                eventUpdated: { id: eventId }
+            });
+        } catch (pubsubError) {
+            //console.error('Error publishing event update:', pubsubError);
+        }
+    }
+
+    /**
+     * Return every participant's deposit with an EVENT_REFUND transaction
+     * The event is marked as refunded before any money moves, so repeated calls are no-ops.
+     * The claim and all refunds are written in one database transaction: if a refund fails,
+     * the claim is rolled back with it and the refund can be run again
+     * @param {number} eventId - Event ID
+     * @returns {number} Number of refunded participations
+     */
+    async refundParticipants(eventId) {
+        return await getTransactionRepository().transaction(async () => {
+            const claimed = await getEventService().markRefunded(eventId);
+            if (!claimed) {
+                return 0; // Event was already refunded
+            }
+
+            const participations = await getEventService().findParticipations(eventId);
+            let refundedCount = 0;
+
+            for (const participation of participations) {
+                if (!participation.deposit || participation.deposit <= 0) {
+                    continue;
                 }
 
-                // JACKPOT randomness coefficient proportional to bank size
-                const baseRandomTickets = Math.max(
-                    JACKPOT_CONFIG.MINIMUM_BASE_TICKETS, 
-                    Math.floor(totalBankAmount * JACKPOT_CONFIG.RANDOMNESS_COEFFICIENT)
-                );
-
-                // Create weighted array based on deposit amounts + bank-proportional randomness for fair selection
-                const weightedParticipants = [];
-                participations.forEach(participation => {
-                    const depositWeight = Math.max(1, Math.floor(participation.deposit || 1)); // Weight based on deposit
-                    const totalWeight = baseRandomTickets + depositWeight; // Bank-proportional tickets + deposit weight
-                    
-                    for (let i = 0; i < totalWeight; i++) {
-                        weightedParticipants.push(participation.userId);
-                    }
+                await getTransactionService().create({
+                    amount: participation.deposit,
+                    type: TRANSACTION_TYPES.EVENT_REFUND,
+                    userId: participation.userId,
+                    eventId: eventId
                 });
+                refundedCount++;
 
-                // Select random winner
-                const randomIndex = Math.floor(Math.random() * weightedParticipants.length);
-                recipientId = weightedParticipants[randomIndex];
-                
-                //console.log(`JACKPOT winner selected: User ${recipientId} from ${participations.length} participants (base tickets: ${baseRandomTickets} per participant, proportional to bank: ${totalBankAmount})`);
-            } else {
-                // For DONATION and FUNDRAISING events, check if recipient exists
-                if (!recipientId) {
-                    console.log(`Event ${eventId} has no recipient, skipping payout`);
-                    return;
+                // Publish balance update for refunded participant (sent once the refunds are committed)
+                try {
+                    const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
+                    pubsub.publish(SUBSCRIPTION_EVENTS.BALANCE_UPDATED, {
+                        balanceUpdated: { id: participation.userId }
+                    });
+                } catch (pubsubError) {
+                    console.error('Error publishing balance update:', pubsubError);
                 }
             }
 
-            //console.log(`Transferring ${payoutAmount} to recipient ${recipientId} for event ${eventId} (type: ${event.type})`);
+            return refundedCount;
+        });
+    }
 
-            // Create transaction for recipient (EVENT_INCOME) with payout amount after commission
-            await getTransactionService().create({
-                amount: payoutAmount,
-                type: 'EVENT_INCOME',
-                userId: recipientId
+    /**
+     * Notify eventConditionsUpdated subscribers that the conditions or their progress changed
+     * @param {number} eventId - Event ID
+     */
+    publishConditionsUpdated(eventId) {
+        try {
+            const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
+            pubsub.publish(SUBSCRIPTION_EVENTS.EVENT_CONDITIONS_UPDATED, {
+                eventConditionsUpdated: { eventId: eventId }
             });
+        } catch (pubsubError) {
+            //console.error('Error publishing event conditions update:', pubsubError);
+        }
+    }
 
-            //console.log(`Successfully transferred ${payoutAmount} to recipient ${recipientId} for completed event ${eventId} (commission: ${commissionAmount})`);
+    /**
+     * Check all conditions of an event after a deposit and push the new progress to subscribers
+     * @param {number} eventId - Event ID
+     */
+    async onParticipationChanged(eventId) {
+        await this.checkAllEventConditions(eventId, CONDITION_TRIGGERS.PARTICIPATION);
+        this.publishConditionsUpdated(eventId);
+    }
 
-            // Publish balance update for recipient
-            try {
-                const { pubsub, SUBSCRIPTION_EVENTS } = getPubSub();
-                pubsub.publish(SUBSCRIPTION_EVENTS.BALANCE_UPDATED, {
-                    balanceUpdated: { id: recipientId }
-                });
-            } catch (pubsubError) {
-                console.error('Error publishing balance update:', pubsubError);
-            }
+    /**
+     * Record an entry in the evaluation log of an event (see ConditionLogService)
+     * @param {number} eventId - Event ID
+     * @param {string} trigger - CONDITION_TRIGGERS value
+     * @param {string} type - CONDITION_LOG_TYPES value
+     * @param {Object} [details={}] - Condition, group, observed value, statuses or message of the entry
+     */
+    async logEvaluation(eventId, trigger, type, details = {}) {
+        await getConditionLogService().record({ eventId, trigger, type, ...details });
+    }
 
-        } catch (error) {
-            console.error('Error handling the completion of an event:', error);
-        }
+    /**
+     * Whether errors of an evaluation reach the caller instead of only the condition log
+     * Scheduled evaluations (deadline jobs) rethrow so the job is retried. Evaluations inside the caller's
+     * transaction rethrow too: the caller commits what was written before the error otherwise, so the deposit fails instead
+     * @param {string} trigger - CONDITION_TRIGGERS value
+     * @returns {boolean}
+     */
+    rethrowsErrors(trigger) {
+        return trigger === CONDITION_TRIGGERS.CRON || inCallerTransaction();
     }
 
     /**
-     * Handle the failure of an event (all condition groups failed)
-     * @param {number} eventId - Failed event ID
+     * Record a failed evaluation in the condition log, rethrowing it when rethrowsErrors says so
+     * An error passed up through the nested checks is logged once, by the innermost check
+     * @param {Error} error - Error of the evaluation
+     * @param {number} eventId - Event ID
+     * @param {string} trigger - CONDITION_TRIGGERS value
+     * @param {Object} details - Group and message of the entry
      */
-    async onEventFailed(eventId) {
-        try {
-            //console.log(`Event ${eventId} failed - all condition groups failed!`);
-        } catch (error) {
-            //console.error('Error handling the failure of an event:', error);
+    async recordEvaluationError(error, eventId, trigger, details) {
+        if (!loggedEvaluationErrors.has(error)) {
+            loggedEvaluationErrors.add(error);
+            await this.logEvaluation(eventId, trigger, CONDITION_LOG_TYPES.EVALUATION_ERROR, details);
+        }
+
+        if (this.rethrowsErrors(trigger)) {
+            throw error;
         }
     }
 
     /**
      * Check all conditions of an event when data changes
      * @param {number} eventId - Event ID
+     * @param {string} [trigger=CONDITION_TRIGGERS.MANUAL] - What started the evaluation, recorded in the condition log
      */
-    async checkAllEventConditions(eventId) {
+    async checkAllEventConditions(eventId, trigger = CONDITION_TRIGGERS.MANUAL) {
         try {
             const eventEndConditions = await getEventEndConditionService().findByEventWithConditions(eventId);
             
@@ -484,13 +1026,19 @@ class EventConditionTracker {
                 if (!eventEndCondition.isCompleted && !eventEndCondition.isFailed && eventEndCondition.conditions) {
                     for (const condition of eventEndCondition.conditions) {
                         if (!condition.isCompleted) {
-                            await this.checkAndUpdateEndCondition(condition.id, eventId);
+                            await this.checkAndUpdateEndCondition(condition.id, eventId, trigger);
                         }
                     }
+
+                    // Expressions can hold without any condition changing (e.g. NOT, or before a deadline)
+                    await this.checkAndUpdateEventEndCondition(eventEndCondition.id, eventId, trigger);
                 }
             }
         } catch (error) {
-            //console.error('Error checking all conditions of an event:', error);
+            console.error('Error checking all conditions of an event:', error);
+            await this.recordEvaluationError(error, eventId, trigger, {
+                message: `Checking the conditions failed: ${error.message}`
+            });
         }
     }
 }
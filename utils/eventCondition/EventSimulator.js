@@ -0,0 +1,259 @@
+const EventConditionTracker = require('./EventConditionTracker');
+const { conditionEvaluators } = require('./conditionEvaluators');
+const { allocatePrizes } = require('../jackpot/prizeTiers');
+const money = require('../money');
+const { EVENT_TYPES, EVENT_STATUSES, SIMULATION_STEP_TYPES } = require('../../constants/application');
+
+/**
+ * Dry runs of event end conditions
+ *
+ * An event definition is played through a timeline of hypothetical participations and clock ticks.
+ * Conditions, groups and outcomes are evaluated by EventConditionTracker itself; only the data it reads
+ * is replaced by an in-memory event, so nothing is written and no job, payout or notification is triggered.
+ */
+
+// Simulated events are never stored, so they all use this ID
+const SIMULATED_EVENT_ID = 0;
+
+/**
+ * Condition tracker that reads an in-memory event and a simulated clock instead of the database
+ */
+class SimulatedConditionTracker extends EventConditionTracker {
+    /**
+     * @param {Object} event - In-memory event with participations and single deposits
+     * @param {Date} now - Start of the simulated clock
+     */
+    constructor(event, now) {
+        super();
+        this.event = event;
+        this.now = now;
+    }
+
+    async findEventWithParticipants() {
+        return this.event;
+    }
+
+    async findEventTotals() {
+        return {
+            bankAmount: money.sum(this.event.participations.map(participation => participation.deposit)),
+            participantCount: this.event.participations.length
+        };
+    }
+
+    async getLargestDeposit() {
+        return this.event.deposits.reduce((largest, deposit) => Math.max(largest, deposit), 0);
+    }
+
+    async getTimeCondition(eventId, timeValue) {
+        return this.now >= new Date(timeValue);
+    }
+}
+
+/**
+ * Builds the in-memory condition groups of an event definition
+ * Conditions get sequential IDs, so expressions can reference them like stored ones
+ * @param {Object[]} definitionGroups - eventEndConditionGroups of a CreateEventInput
+ * @returns {Object[]} Groups with conditions and, for expression groups, the stored expression
+ */
+const buildConditionGroups = (definitionGroups) => {
+    let nextConditionId = 1;
+
+    return definitionGroups.map((definitionGroup, index) => {
+        const conditions = [];
+        const addCondition = ({ name, operator, value }) => {
+            const condition = { id: nextConditionId++, name, operator, value, isCompleted: false };
+            conditions.push(condition);
+            return condition;
+        };
+        const toStoredExpression = (node) => (node.condition
+            ? { conditionId: addCondition(node.condition).id }
+            : { operator: node.operator, operands: node.operands.map(toStoredExpression) });
+
+        let expression = null;
+        if (definitionGroup.expression) {
+            expression = toStoredExpression(definitionGroup.expression);
+        } else {
+            definitionGroup.conditions.forEach(addCondition);
+        }
+
+        return { id: index + 1, expression, conditions, isCompleted: false, isFailed: false };
+    });
+};
+
+/**
+ * Records a deposit the way participations do: one participation per user adding up their deposits
+ * @param {Object} event - In-memory event
+ * @param {number} userId - Depositing user
+ * @param {number} deposit - Amount
+ * @param {Date} at - Time of the deposit
+ */
+const addDeposit = (event, userId, deposit, at) => {
+    const participation = event.participations.find(existing => existing.userId === userId);
+    if (participation) {
+        participation.deposit = money.add(participation.deposit, deposit);
+        participation.updatedAt = at;
+    } else {
+        event.participations.push({ userId, deposit: money.normalize(deposit), createdAt: at, updatedAt: at });
+    }
+    event.deposits.push(deposit);
+};
+
+/**
+ * Evaluates the open groups of the event and resolves it, like EventConditionTracker.checkAllEventConditions
+ * @param {SimulatedConditionTracker} tracker - Tracker of the event
+ */
+const evaluateEvent = async (tracker) => {
+    const event = tracker.event;
+
+    for (const group of event.endConditions) {
+        if (group.isCompleted || group.isFailed) {
+            continue;
+        }
+
+        for (const condition of group.conditions) {
+            if (condition.isCompleted || conditionEvaluators.isDeadline(condition.name)) {
+                continue;
+            }
+            const currentValue = await tracker.getCurrentValue(condition, event.id);
+            condition.isCompleted = tracker.checkCondition(condition, currentValue);
+        }
+
+        const state = await tracker.evaluateConditionGroup(group, group.conditions, event.id, tracker.now);
+        if (state.value) {
+            group.isCompleted = true;
+        } else if (!state.canBeTrue) {
+            group.isFailed = true;
+        }
+    }
+
+    const outcome = tracker.resolveEventStatus(event.endConditions);
+    if (outcome) {
+        event.status = outcome;
+    }
+};
+
+/**
+ * Works out what the event would pay out if it stopped at this point
+ * Jackpot winners are drawn at random, so jackpot prizes only name their place
+ * @param {SimulatedConditionTracker} tracker - Tracker of the event
+ * @param {Object} fees - Fee terms of the event
+ * @returns {Object} Bank, payout and commission with the prizes of a finished event or the refunds of a failed one
+ */
+const describePayout = (tracker, fees) => {
+    const event = tracker.event;
+    const bankAmount = money.sum(event.participations.map(participation => participation.deposit));
+    const { payoutAmount, commissionAmount } = tracker.splitBank(bankAmount, fees);
+
+    let prizes = [];
+    if (event.status === EVENT_STATUSES.FINISHED) {
+        if (event.type === EVENT_TYPES.JACKPOT) {
+            const places = Math.min((event.prizeDistribution || [100]).length, event.participations.length);
+            prizes = allocatePrizes(payoutAmount, event.prizeDistribution, new Array(places).fill(null));
+        } else if (event.recipientId) {
+            prizes = [{ place: 1, userId: event.recipientId, amount: payoutAmount }];
+        }
+    }
+
+    const refunds = event.status === EVENT_STATUSES.FAILED
+        ? event.participations
+            .filter(participation => participation.deposit > 0)
+            .map(participation => ({ userId: participation.userId, amount: participation.deposit }))
+        : [];
+
+    return { bankAmount, payoutAmount, commissionAmount, prizes, refunds };
+};
+
+/**
+ * Takes a snapshot of the groups with the progress of every condition
+ * @param {SimulatedConditionTracker} tracker - Tracker of the event
+ * @returns {Promise<Object[]>} Groups with their conditions
+ */
+const describeGroups = async (tracker) => {
+    const groups = [];
+
+    for (const group of tracker.event.endConditions) {
+        const conditions = [];
+        for (const condition of group.conditions) {
+            const progress = await tracker.getConditionProgress(condition, tracker.event.id, tracker.now);
+            conditions.push({ ...condition, ...progress });
+        }
+        groups.push({ id: group.id, isCompleted: group.isCompleted, isFailed: group.isFailed, expression: group.expression, conditions });
+    }
+
+    return groups;
+};
+
+/**
+ * Plays a scenario through an event definition
+ * Participations after the event is resolved are rejected like real ones, so they don't change the outcome
+ * @param {Object} definition - Event definition (CreateEventInput)
+ * @param {Object} scenario - Scenario to play
+ * @param {Date|string} scenario.startsAt - Time the event starts
+ * @param {Object[]} scenario.steps - PARTICIPATION steps ({ userId, deposit, at }) and TICK steps ({ at }) in time order;
+ * steps without a time happen at the time of the previous step
+ * @param {Object} fees - Fee terms the event would be created with
+ * @returns {Promise<{steps: Object[], finalStatus: string}>} State after every step and the final status
+ * @throws {Error} If a step has an invalid time or happens before the previous step
+ */
+const simulateEvent = async (definition, scenario, fees) => {
+    const startsAt = new Date(scenario.startsAt);
+    if (Number.isNaN(startsAt.getTime())) {
+        throw new Error('Invalid simulation start time');
+    }
+
+    const event = {
+        id: SIMULATED_EVENT_ID,
+        type: definition.type,
+        userId: definition.userId,
+        recipientId: definition.recipientId || null,
+        prizeDistribution: definition.prizeDistribution || null,
+        status: EVENT_STATUSES.IN_PROGRESS,
+        startsAt,
+        createdAt: startsAt,
+        participations: [],
+        deposits: [],
+        endConditions: buildConditionGroups(definition.eventEndConditionGroups)
+    };
+    const tracker = new SimulatedConditionTracker(event, startsAt);
+    const steps = [];
+
+    for (const [index, step] of scenario.steps.entries()) {
+        const at = step.at ? new Date(step.at) : tracker.now;
+        if (Number.isNaN(at.getTime())) {
+            throw new Error(`Step ${index + 1} has an invalid time`);
+        }
+        if (at < tracker.now) {
+            throw new Error(`Step ${index + 1} happens before the previous step`);
+        }
+        tracker.now = at;
+
+        let accepted = true;
+        if (step.type === SIMULATION_STEP_TYPES.PARTICIPATION) {
+            accepted = event.status === EVENT_STATUSES.IN_PROGRESS;
+            if (accepted) {
+                addDeposit(event, step.userId, step.deposit, at);
+            }
+        }
+
+        if (event.status === EVENT_STATUSES.IN_PROGRESS) {
+            await evaluateEvent(tracker);
+        }
+
+        steps.push({
+            index: index + 1,
+            type: step.type,
+            at: at.toISOString(),
+            accepted,
+            status: event.status,
+            groups: await describeGroups(tracker),
+            payout: describePayout(tracker, fees)
+        });
+    }
+
+    return { steps, finalStatus: event.status };
+};
+
+module.exports = {
+    SimulatedConditionTracker,
+    simulateEvent
+};
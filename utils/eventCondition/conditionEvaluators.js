@@ -0,0 +1,201 @@
+const Joi = require('joi');
+const { CONDITION_TYPES, CONDITION_OPERATORS, CONDITION_ERROR_CODES, VALIDATION_LIMITS } = require('../../constants/application');
+
+/**
+ * Registry of end condition evaluators
+ *
+ * Every condition type registers how it is evaluated and which values and operators it accepts:
+ * - TARGET conditions measure a number (e.g. the bank) that is compared with the condition value;
+ *   once met they stay completed
+ * - DEADLINE conditions resolve to a point in time and are read from the clock when their group is evaluated
+ *   (see conditionExpression); a deadline can be unknown until something happens, e.g. the first participation
+ *
+ * Evaluators get the EventConditionTracker, which loads the event data through the services
+ */
+
+const EVALUATOR_KINDS = {
+    TARGET: 'TARGET',
+    DEADLINE: 'DEADLINE'
+};
+
+// Condition values are strings; these check what they have to contain
+const VALUE_SCHEMAS = {
+    COUNT: Joi.string().pattern(/^\d+$/, 'whole number'),
+    AMOUNT: Joi.string().pattern(/^\d+(\.\d{1,2})?$/, 'amount'),
+    DATE: Joi.string().isoDate(),
+    HOURS: Joi.string().pattern(/^[1-9]\d*$/, 'number of hours')
+        .custom((value, helpers) => (Number(value) > VALIDATION_LIMITS.CONDITION_DURATION_MAX_HOURS
+            ? helpers.message(`{{#label}} must be at most ${VALIDATION_LIMITS.CONDITION_DURATION_MAX_HOURS} hours`)
+            : value))
+};
+
+const { EQUALS, GREATER, GREATER_EQUALS } = CONDITION_OPERATORS;
+
+// Totals and maximums never go down, so only reaching a value makes sense; amounts can also jump past an exact value
+const GROWING_AMOUNT_OPERATORS = [GREATER, GREATER_EQUALS];
+const GROWING_COUNT_OPERATORS = [EQUALS, GREATER, GREATER_EQUALS];
+
+class ConditionEvaluatorRegistry {
+    constructor() {
+        this.evaluators = new Map();
+    }
+
+    /**
+     * Registers the evaluator of a condition type
+     * @param {string} type - Condition type (the name of the condition)
+     * @param {Object} evaluator - Evaluator definition
+     * @param {string} evaluator.kind - EVALUATOR_KINDS value
+     * @param {Object} evaluator.value - Joi schema for the condition value
+     * @param {string[]} [evaluator.operators] - Operators that make sense for the type, all of them by default
+     * @param {Function} [evaluator.measure] - (tracker, eventId, condition) => current number, for TARGET conditions
+     * @param {Function} [evaluator.deadline] - (tracker, eventId, condition) => Date, ISO string or null if not known yet,
+     * for DEADLINE conditions
+     * @param {Function} [evaluator.start] - (tracker, eventId, condition) => Date the time towards a deadline counts from,
+     * used for progress
+     * @throws {Error} If the type is already registered or the evaluator is incomplete
+     */
+    register(type, evaluator) {
+        if (this.evaluators.has(type)) {
+            throw new Error(`Condition type ${type} is already registered`);
+        }
+        if (!Object.values(EVALUATOR_KINDS).includes(evaluator.kind)) {
+            throw new Error(`Unknown evaluator kind: ${evaluator.kind}`);
+        }
+        if (evaluator.kind === EVALUATOR_KINDS.TARGET && typeof evaluator.measure !== 'function') {
+            throw new Error(`Condition type ${type} needs a measure function`);
+        }
+        if (evaluator.kind === EVALUATOR_KINDS.DEADLINE && typeof evaluator.deadline !== 'function') {
+            throw new Error(`Condition type ${type} needs a deadline function`);
+        }
+
+        this.evaluators.set(type, {
+            operators: Object.values(CONDITION_OPERATORS),
+            ...evaluator
+        });
+    }
+
+    /**
+     * Returns the evaluator of a condition type
+     * @param {string} type - Condition type
+     * @returns {Object|null} Evaluator or null if the type is not registered
+     */
+    get(type) {
+        return this.evaluators.get(type) || null;
+    }
+
+    /**
+     * Checks whether a condition type is read from the clock
+     * @param {string} type - Condition type
+     * @returns {boolean} True for DEADLINE conditions
+     */
+    isDeadline(type) {
+        const evaluator = this.get(type);
+        return Boolean(evaluator) && evaluator.kind === EVALUATOR_KINDS.DEADLINE;
+    }
+
+    /**
+     * Checks a condition against the rules of its type: a known type, an allowed operator,
+     * a value in the right format and, for targets, greater than 0
+     * @param {Object} condition - Condition with name, operator and value
+     * @returns {{code: string, message: string}[]} Problems with their CONDITION_ERROR_CODES value, empty if valid
+     */
+    validate(condition) {
+        const evaluator = this.get(condition.name);
+        if (!evaluator) {
+            return [{
+                code: CONDITION_ERROR_CODES.UNKNOWN_CONDITION_TYPE,
+                message: `Unknown condition type: ${condition.name}`
+            }];
+        }
+
+        const problems = [];
+        if (!evaluator.operators.includes(condition.operator)) {
+            problems.push({
+                code: CONDITION_ERROR_CODES.OPERATOR_NOT_ALLOWED,
+                message: `${condition.name} conditions cannot use ${condition.operator}`
+            });
+        }
+
+        const { error } = evaluator.value.required().label(`${condition.name} value`).validate(condition.value);
+        if (error) {
+            problems.push({ code: CONDITION_ERROR_CODES.INVALID_CONDITION_VALUE, message: error.message });
+        } else if (evaluator.kind === EVALUATOR_KINDS.TARGET && !(Number(condition.value) > 0)) {
+            problems.push({
+                code: CONDITION_ERROR_CODES.CONDITION_VALUE_NOT_POSITIVE,
+                message: `${condition.name} value must be greater than 0`
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Lists the registered condition types
+     * @returns {string[]} Condition types in registration order
+     */
+    types() {
+        return [...this.evaluators.keys()];
+    }
+}
+
+const conditionEvaluators = new ConditionEvaluatorRegistry();
+
+conditionEvaluators.register(CONDITION_TYPES.TIME, {
+    kind: EVALUATOR_KINDS.DEADLINE,
+    value: VALUE_SCHEMAS.DATE,
+    deadline: (tracker, eventId, condition) => condition.value,
+    start: (tracker, eventId) => tracker.getEventStartedAt(eventId)
+});
+
+conditionEvaluators.register(CONDITION_TYPES.BANK, {
+    kind: EVALUATOR_KINDS.TARGET,
+    value: VALUE_SCHEMAS.AMOUNT,
+    operators: GROWING_AMOUNT_OPERATORS,
+    measure: (tracker, eventId) => tracker.getBankAmount(eventId)
+});
+
+conditionEvaluators.register(CONDITION_TYPES.PARTICIPATION, {
+    kind: EVALUATOR_KINDS.TARGET,
+    value: VALUE_SCHEMAS.COUNT,
+    operators: GROWING_COUNT_OPERATORS,
+    measure: (tracker, eventId) => tracker.getPeopleCount(eventId)
+});
+
+conditionEvaluators.register(CONDITION_TYPES.UNIQUE_DONORS, {
+    kind: EVALUATOR_KINDS.TARGET,
+    value: VALUE_SCHEMAS.COUNT,
+    operators: GROWING_COUNT_OPERATORS,
+    measure: (tracker, eventId) => tracker.getUniqueDonorCount(eventId)
+});
+
+conditionEvaluators.register(CONDITION_TYPES.MAX_SINGLE_DEPOSIT, {
+    kind: EVALUATOR_KINDS.TARGET,
+    value: VALUE_SCHEMAS.AMOUNT,
+    operators: GROWING_AMOUNT_OPERATORS,
+    measure: (tracker, eventId) => tracker.getLargestDeposit(eventId)
+});
+
+conditionEvaluators.register(CONDITION_TYPES.AVERAGE_DEPOSIT, {
+    kind: EVALUATOR_KINDS.TARGET,
+    value: VALUE_SCHEMAS.AMOUNT,
+    measure: (tracker, eventId) => tracker.getAverageDeposit(eventId)
+});
+
+conditionEvaluators.register(CONDITION_TYPES.DURATION, {
+    kind: EVALUATOR_KINDS.DEADLINE,
+    value: VALUE_SCHEMAS.HOURS,
+    deadline: async (tracker, eventId, condition) => {
+        const firstParticipationAt = await tracker.getFirstParticipationAt(eventId);
+        if (!firstParticipationAt) {
+            return null;
+        }
+        return new Date(firstParticipationAt.getTime() + Number(condition.value) * 60 * 60 * 1000);
+    },
+    start: (tracker, eventId) => tracker.getFirstParticipationAt(eventId)
+});
+
+module.exports = {
+    EVALUATOR_KINDS,
+    ConditionEvaluatorRegistry,
+    conditionEvaluators
+};
@@ -0,0 +1,197 @@
+const { CONDITION_TYPES, CONDITION_OPERATORS, LOGICAL_OPERATORS, VALIDATION_LIMITS } = require('../../constants/application');
+const { conditionEvaluators } = require('./conditionEvaluators');
+const { clock } = require('../clock');
+
+/**
+ * Boolean expressions over the end conditions of a group
+ *
+ * A stored expression is a tree of operator nodes ({ operator, operands }) with leaves referencing
+ * the group's conditions ({ conditionId }). Plain groups have no stored expression; all their conditions must be met.
+ *
+ * Every node is evaluated to three flags: whether it holds now, and whether it can still be true or false later.
+ * Met target conditions (BANK, PARTICIPATION, ...) stay met, so only deadlines and NOT can make a subtree impossible.
+ * A deadline condition (TIME, DURATION) compared with LESS or LESS_EQUALS holds until its deadline ("before Friday"),
+ * the other operators hold once the deadline has passed ("after Friday"). A deadline that is not known yet
+ * (DURATION before the first participation) has not passed.
+ */
+
+// How a deadline condition is read from the clock
+const TIMING = {
+    BEFORE: 'BEFORE',
+    AFTER: 'AFTER'
+};
+
+/**
+ * Returns how a deadline condition is read from the clock based on its operator
+ * @param {Object} condition - Deadline condition
+ * @returns {string} TIMING.BEFORE for LESS and LESS_EQUALS, TIMING.AFTER otherwise
+ */
+const timingOf = (condition) => (
+    condition.operator === CONDITION_OPERATORS.LESS || condition.operator === CONDITION_OPERATORS.LESS_EQUALS
+        ? TIMING.BEFORE
+        : TIMING.AFTER
+);
+
+/**
+ * Builds the expression of a plain group: all conditions must be met
+ * A deadline in a plain group limits the other conditions, which must be met before it passes;
+ * a group with nothing but deadlines is met once they have passed
+ * @param {Object[]} conditions - Conditions of the group
+ * @returns {Object} Expression tree
+ */
+const fromConditions = (conditions) => {
+    const hasTargets = conditions.some(condition => !conditionEvaluators.isDeadline(condition.name));
+
+    return {
+        operator: LOGICAL_OPERATORS.AND,
+        operands: conditions.map(condition => (conditionEvaluators.isDeadline(condition.name)
+            ? { conditionId: condition.id, timing: hasTargets ? TIMING.BEFORE : TIMING.AFTER }
+            : { conditionId: condition.id }))
+    };
+};
+
+/**
+ * Evaluates a single condition
+ * @param {Object} condition - Condition with name, value and isCompleted
+ * @param {string} timing - TIMING value used for deadline conditions
+ * @param {Date} now - Reference time
+ * @param {Date|string|null} [deadline] - Resolved deadline of a deadline condition, null if not known yet
+ * @returns {{value: boolean, canBeTrue: boolean, canBeFalse: boolean}} Leaf state
+ */
+const leafState = (condition, timing, now, deadline = null) => {
+    if (conditionEvaluators.isDeadline(condition.name)) {
+        const reached = deadline !== null && now >= new Date(deadline);
+        return timing === TIMING.BEFORE
+            ? { value: !reached, canBeTrue: !reached, canBeFalse: true }
+            : { value: reached, canBeTrue: true, canBeFalse: !reached };
+    }
+
+    const met = Boolean(condition.isCompleted);
+    return { value: met, canBeTrue: true, canBeFalse: !met };
+};
+
+/**
+ * Evaluates an expression tree
+ * Subtrees are treated as independent, so a subtree is only reported impossible when one of the operands
+ * it depends on is (e.g. an AND with a deadline that has passed)
+ * @param {Object} node - Expression node
+ * @param {Function} evaluateLeaf - Returns the state of a leaf node
+ * @returns {{value: boolean, canBeTrue: boolean, canBeFalse: boolean}} State of the node
+ * @throws {Error} If the node has an unknown operator
+ */
+const evaluate = (node, evaluateLeaf) => {
+    if (!node.operator) {
+        return evaluateLeaf(node);
+    }
+
+    const states = node.operands.map(operand => evaluate(operand, evaluateLeaf));
+
+    switch (node.operator) {
+        case LOGICAL_OPERATORS.AND:
+            return {
+                value: states.every(state => state.value),
+                canBeTrue: states.every(state => state.canBeTrue),
+                canBeFalse: states.some(state => state.canBeFalse)
+            };
+        case LOGICAL_OPERATORS.OR:
+            return {
+                value: states.some(state => state.value),
+                canBeTrue: states.some(state => state.canBeTrue),
+                canBeFalse: states.every(state => state.canBeFalse)
+            };
+        case LOGICAL_OPERATORS.NOT:
+            return {
+                value: !states[0].value,
+                canBeTrue: states[0].canBeFalse,
+                canBeFalse: states[0].canBeTrue
+            };
+        default:
+            throw new Error(`Unknown logical operator: ${node.operator}`);
+    }
+};
+
+/**
+ * Evaluates a condition group, using its stored expression or, for plain groups, all of its conditions
+ * @param {Object} group - Condition group with an optional expression
+ * @param {Object[]} conditions - Conditions of the group
+ * @param {Date} [now=clock.now()] - Reference time for deadlines
+ * @param {Map<number, Date|string|null>} [deadlines] - Resolved deadlines by condition ID;
+ * TIME conditions that are missing default to their value
+ * @returns {{value: boolean, canBeTrue: boolean, canBeFalse: boolean}} State of the group;
+ * met when value is true, failed when canBeTrue is false
+ * @throws {Error} If the expression references a condition outside the group
+ */
+const evaluateGroup = (group, conditions, now = clock.now(), deadlines = new Map()) => {
+    const conditionsById = new Map(conditions.map(condition => [condition.id, condition]));
+    const expression = group.expression || fromConditions(conditions);
+
+    return evaluate(expression, (leaf) => {
+        const condition = conditionsById.get(leaf.conditionId);
+        if (!condition) {
+            throw new Error(`Condition ${leaf.conditionId} is not part of group ${group.id}`);
+        }
+        const deadline = deadlines.has(condition.id)
+            ? deadlines.get(condition.id)
+            : (condition.name === CONDITION_TYPES.TIME ? condition.value : null);
+        return leafState(condition, leaf.timing || timingOf(condition), now, deadline);
+    });
+};
+
+/**
+ * Checks the shape of an expression submitted when creating an event
+ * Leaves carry the condition to create ({ condition: { name, operator, value } })
+ * @param {Object} node - Expression input
+ * @param {number} [depth=1] - Nesting level of the node
+ * @returns {number} Number of conditions in the expression
+ * @throws {Error} If the expression is malformed, too deep or has too many conditions
+ */
+const validate = (node, depth = 1) => {
+    if (depth > VALIDATION_LIMITS.CONDITION_EXPRESSION_MAX_DEPTH) {
+        throw new Error(`Condition expressions can be nested at most ${VALIDATION_LIMITS.CONDITION_EXPRESSION_MAX_DEPTH} levels deep`);
+    }
+
+    if (node.condition) {
+        if (node.operator || node.operands) {
+            throw new Error('An expression node is either a condition or an operator with operands');
+        }
+        return 1;
+    }
+
+    if (!Object.values(LOGICAL_OPERATORS).includes(node.operator)) {
+        throw new Error(`Unknown logical operator: ${node.operator}`);
+    }
+
+    const operands = node.operands || [];
+    if (node.operator === LOGICAL_OPERATORS.NOT && operands.length !== 1) {
+        throw new Error('NOT takes exactly one operand');
+    }
+    if (node.operator !== LOGICAL_OPERATORS.NOT && operands.length < 2) {
+        throw new Error(`${node.operator} takes at least two operands`);
+    }
+
+    const count = operands.reduce((total, operand) => total + validate(operand, depth + 1), 0);
+    if (depth === 1 && count > VALIDATION_LIMITS.CONDITION_EXPRESSION_MAX_CONDITIONS) {
+        throw new Error(`Condition expressions can have at most ${VALIDATION_LIMITS.CONDITION_EXPRESSION_MAX_CONDITIONS} conditions`);
+    }
+    return count;
+};
+
+/**
+ * Lists the conditions of an expression submitted when creating an event
+ * @param {Object} node - Expression input
+ * @returns {Object[]} Leaf conditions in depth-first order
+ */
+const listConditions = (node) => (node.condition
+    ? [node.condition]
+    : (node.operands || []).flatMap(listConditions));
+
+module.exports = {
+    TIMING,
+    timingOf,
+    fromConditions,
+    leafState,
+    evaluate,
+    evaluateGroup,
+    validate,
+    listConditions
+};
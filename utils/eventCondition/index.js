@@ -1,4 +1,5 @@
 const EventConditionTracker = require('./EventConditionTracker');
+const { CONDITION_TRIGGERS, EVENT_STATUSES } = require('../../constants/application');
 
 // Create a single instance of the tracker
 const eventConditionTracker = new EventConditionTracker();
@@ -32,7 +33,7 @@ module.exports = {
      */
     async onParticipationAdded(eventId, userId, deposit) {
         //console.log(`New participant ${userId} added to event ${eventId} with deposit ${deposit}`);
-        await eventConditionTracker.checkAllEventConditions(eventId);
+        await eventConditionTracker.onParticipationChanged(eventId);
     },
 
     /**
@@ -43,7 +44,25 @@ module.exports = {
      */
     async onParticipationUpdated(eventId, userId, newDeposit) {
         //console.log(`Deposit of user ${userId} in event ${eventId} updated to ${newDeposit}`);
-        await eventConditionTracker.checkAllEventConditions(eventId);
+        await eventConditionTracker.onParticipationChanged(eventId);
+    },
+
+    /**
+     * Get the live progress of a condition (current value, percentage, time left for deadlines)
+     * @param {Object} condition - End condition
+     * @param {number} [eventId] - Event ID, looked up through the condition group if not given
+     * @returns {Object} Progress of the condition
+     */
+    async getConditionProgress(condition, eventId = null) {
+        return await eventConditionTracker.getConditionProgress(condition, eventId);
+    },
+
+    /**
+     * Called by the TIME_CONDITION job when a deadline of an event is reached
+     * @param {number} eventId - Event ID
+     */
+    async onDeadlineReached(eventId) {
+        await eventConditionTracker.onDeadlineReached(eventId);
     },
 
     /**
@@ -53,7 +72,7 @@ module.exports = {
     async onTimeCheck(eventId = null) {
         if (eventId) {
             //console.log(`Checking time conditions for event ${eventId}`);
-            await eventConditionTracker.checkAllEventConditions(eventId);
+            await eventConditionTracker.checkAllEventConditions(eventId, CONDITION_TRIGGERS.CRON);
         } else {
             //console.log(`Periodic check of time conditions for all active events`);
             // Here you can add logic to get all active events
@@ -67,7 +86,7 @@ module.exports = {
      */
     async onEventCreated(eventId) {
         //console.log(`Started tracking conditions for new event ${eventId}`);
-        await eventConditionTracker.checkAllEventConditions(eventId);
+        await eventConditionTracker.checkAllEventConditions(eventId, CONDITION_TRIGGERS.EVENT_START);
     },
 
     /**
@@ -79,6 +98,41 @@ module.exports = {
         await eventConditionTracker.checkAndUpdateEndCondition(endConditionId, eventId);
     },
 
+    /**
+     * Finish an event immediately and pay it out (admin action)
+     * @param {number} eventId - Event ID
+     * @returns {boolean} False if the event was not in progress
+     */
+    async forceFinishEvent(eventId) {
+        return await eventConditionTracker.forceResolveEvent(eventId, EVENT_STATUSES.FINISHED);
+    },
+
+    /**
+     * Fail an event immediately and refund its participants (admin action)
+     * @param {number} eventId - Event ID
+     * @returns {boolean} False if the event was not in progress
+     */
+    async forceFailEvent(eventId) {
+        return await eventConditionTracker.forceResolveEvent(eventId, EVENT_STATUSES.FAILED);
+    },
+
+    /**
+     * Called when a draft is published or a scheduled event reaches its start time
+     * @param {number} eventId - Event ID
+     */
+    async onEventStarted(eventId) {
+        await eventConditionTracker.onEventStarted(eventId);
+    },
+
+    /**
+     * Refund the participants of an event that was just cancelled
+     * @param {number} eventId - Event ID
+     * @param {string} fromStatus - Status the event was cancelled from (DRAFT, SCHEDULED or IN_PROGRESS)
+     */
+    async onEventCancelled(eventId, fromStatus) {
+        await eventConditionTracker.onEventCancelled(eventId, fromStatus);
+    },
+
     /**
      * Get information about the current state of conditions of an event
      * @param {number} eventId - Event ID
@@ -109,13 +163,15 @@ module.exports = {
                 };
 
                 for (const condition of group.conditions) {
-                    const currentValue = await eventConditionTracker.getCurrentValue(condition, eventId);
+                    const progress = await eventConditionTracker.getConditionProgress(condition, eventId);
                     groupStatus.conditions.push({
                         conditionId: condition.id,
                         name: condition.name,
                         operator: condition.operator,
                         targetValue: condition.value,
-                        currentValue: currentValue,
+                        currentValue: progress.currentValue,
+                        progressPercent: progress.progressPercent,
+                        remainingSeconds: progress.remainingSeconds,
                         isCompleted: condition.isCompleted
                     });
                 }
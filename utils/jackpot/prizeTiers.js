@@ -0,0 +1,32 @@
+const money = require('../money');
+
+/**
+ * Splits a jackpot payout between the drawn winners according to the event's prize distribution
+ * Shares of places that could not be filled (fewer participants than places) and cents lost to
+ * rounding go to the first place, so the prizes always add up to the payout
+ * @param {number} payoutAmount - Amount to distribute after commission
+ * @param {number[]|null} prizeDistribution - Percentage of the payout per place, null for a single winner
+ * @param {number[]} winnerIds - Drawn winners in place order
+ * @returns {Array<{place: number, userId: number, amount: number}>} Prize of every winner
+ */
+const allocatePrizes = (payoutAmount, prizeDistribution, winnerIds) => {
+    const distribution = prizeDistribution && prizeDistribution.length > 0 ? prizeDistribution : [100];
+
+    const prizes = winnerIds
+        .slice(0, distribution.length)
+        .map((userId, index) => ({
+            place: index + 1,
+            userId,
+            amount: money.percentageOf(payoutAmount, distribution[index] / 100)
+        }));
+
+    if (prizes.length > 0) {
+        const remainder = money.subtract(payoutAmount, money.sum(prizes.map(prize => prize.amount)));
+        prizes[0].amount = money.add(prizes[0].amount, remainder);
+    }
+    return prizes;
+};
+
+module.exports = {
+    allocatePrizes
+};
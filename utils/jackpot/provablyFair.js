@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { JACKPOT_CONFIG } = require('../../constants/eventPayouts');
+const money = require('../money');
+
+/**
+ * Provably fair jackpot draw (commit-reveal)
+ *
+ * 1. When a JACKPOT event is created a random server seed is generated and only its SHA-256 hash is published
+ * 2. When the event completes the seed is revealed and combined with the participation data (client seed)
+ * 3. roll = HMAC-SHA256(key: serverSeed, message: clientSeed) read as an integer, modulo the total weight
+ * 4. The winner is the first entry (ordered by user ID) whose cumulative weight exceeds the roll
+ * 5. Jackpots with several prizes draw without replacement: the winner's entry is removed and the next place
+ *    repeats steps 3-4 with the message "clientSeed#place" (place 2, 3, ...) over the remaining entries
+ *
+ * Anyone can repeat steps 3-4 from the published values and check that the revealed seed matches the hash
+ */
+
+/**
+ * Generates a new secret server seed
+ * @returns {string} 32 random bytes as hex
+ */
+const generateServerSeed = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hashes a server seed for publication before the draw
+ * @param {string} serverSeed - Secret server seed
+ * @returns {string} SHA-256 hash as hex
+ */
+const hashSeed = (serverSeed) => crypto.createHash('sha256').update(serverSeed).digest('hex');
+
+/**
+ * Builds the draw entries from participations
+ * Every participant gets the same bank-proportional base tickets plus tickets for their deposit,
+ * so small depositors keep a fair chance in large banks
+ * @param {Array} participations - Participations with userId and deposit
+ * @param {Object} [ticketConfig] - Ticket terms from the event's fee snapshot (defaults to JACKPOT_CONFIG)
+ * @param {number} [ticketConfig.randomnessCoefficient] - Base tickets per unit of bank
+ * @param {number} [ticketConfig.minimumBaseTickets] - Minimum base tickets per participant
+ * @returns {Array<{userId: number, weight: number}>} Entries ordered by user ID
+ */
+const buildEntries = (participations, {
+    randomnessCoefficient = JACKPOT_CONFIG.RANDOMNESS_COEFFICIENT,
+    minimumBaseTickets = JACKPOT_CONFIG.MINIMUM_BASE_TICKETS
+} = {}) => {
+    const totalBank = money.sum(participations.map(participation => participation.deposit || 0));
+    const baseTickets = Math.max(
+        minimumBaseTickets,
+        Math.floor(totalBank * randomnessCoefficient)
+    );
+
+    return participations
+        .map(participation => ({
+            userId: participation.userId,
+            weight: baseTickets + Math.max(1, Math.floor(participation.deposit || 1))
+        }))
+        .sort((a, b) => a.userId - b.userId);
+};
+
+/**
+ * Builds the client seed from participation data
+ * Format: "userId:depositInCents" for every participation, ordered by user ID and joined with "|"
+ * @param {Array} participations - Participations with userId and deposit
+ * @returns {string} Client seed
+ */
+const buildClientSeed = (participations) => participations
+    .map(participation => ({ userId: participation.userId, cents: money.toCents(participation.deposit) }))
+    .sort((a, b) => a.userId - b.userId)
+    .map(({ userId, cents }) => `${userId}:${cents}`)
+    .join('|');
+
+/**
+ * Sums the weights of draw entries
+ * @param {Array<{userId: number, weight: number}>} entries - Draw entries
+ * @returns {number} Total weight
+ */
+const sumWeights = (entries) => entries.reduce((total, entry) => total + entry.weight, 0);
+
+/**
+ * Calculates the roll for a draw
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Client seed built from participations
+ * @param {number} totalWeight - Sum of all entry weights
+ * @param {number} [round=0] - Zero-based prize place; later places append "#place" to the client seed
+ * @returns {number} Roll in the range [0, totalWeight)
+ */
+const calculateRoll = (serverSeed, clientSeed, totalWeight, round = 0) => {
+    const message = round === 0 ? clientSeed : `${clientSeed}#${round + 1}`;
+    const digest = crypto.createHmac('sha256', serverSeed).update(message).digest('hex');
+    return Number(BigInt(`0x${digest}`) % BigInt(totalWeight));
+};
+
+/**
+ * Finds the entry a roll lands on using cumulative weights
+ * @param {Array<{userId: number, weight: number}>} entries - Draw entries in draw order
+ * @param {number} roll - Roll in the range [0, totalWeight)
+ * @returns {number} Winning user ID
+ */
+const findWinner = (entries, roll) => {
+    let cumulativeWeight = 0;
+    for (const entry of entries) {
+        cumulativeWeight += entry.weight;
+        if (roll < cumulativeWeight) {
+            return entry.userId;
+        }
+    }
+    throw new Error('Roll is outside of the total weight');
+};
+
+/**
+ * Draws winners one place at a time without replacement
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Client seed built from participations
+ * @param {Array<{userId: number, weight: number}>} entries - Draw entries in draw order
+ * @param {number} winnerCount - Number of places to draw (capped at the number of entries)
+ * @returns {Array<{userId: number, roll: number, totalWeight: number}>} Winners in place order
+ */
+const drawWinners = (serverSeed, clientSeed, entries, winnerCount) => {
+    const winners = [];
+    let remaining = entries;
+
+    for (let round = 0; round < Math.min(winnerCount, entries.length); round++) {
+        const totalWeight = sumWeights(remaining);
+        const roll = calculateRoll(serverSeed, clientSeed, totalWeight, round);
+        const userId = findWinner(remaining, roll);
+
+        winners.push({ userId, roll, totalWeight });
+        remaining = remaining.filter(entry => entry.userId !== userId);
+    }
+    return winners;
+};
+
+/**
+ * Runs a draw for the given seed and participations
+ * @param {string} serverSeed - Revealed server seed
+ * @param {Array} participations - Participations with userId and deposit
+ * @param {number} [winnerCount=1] - Number of prize places to draw
+ * @param {Object} [ticketConfig] - Ticket terms passed to buildEntries
+ * @returns {Object} Draw result with clientSeed, entries, totalWeight, roll and winnerId of the first place,
+ * and winners for every place
+ */
+const draw = (serverSeed, participations, winnerCount = 1, ticketConfig = {}) => {
+    if (participations.length === 0) {
+        throw new Error('Cannot draw a winner without participants');
+    }
+
+    const entries = buildEntries(participations, ticketConfig);
+    const clientSeed = buildClientSeed(participations);
+    const winners = drawWinners(serverSeed, clientSeed, entries, winnerCount);
+
+    return {
+        clientSeed,
+        entries,
+        totalWeight: winners[0].totalWeight,
+        roll: winners[0].roll,
+        winnerId: winners[0].userId,
+        winners
+    };
+};
+
+/**
+ * Checks a published draw
+ * @param {Object} published - Published draw values
+ * @param {string} published.seedHash - Hash published before the draw
+ * @param {string} published.serverSeed - Revealed server seed
+ * @param {string} published.clientSeed - Client seed
+ * @param {Array} published.entries - Draw entries
+ * @param {number} published.winnerId - Published winner of the first place
+ * @param {Array} [published.winners] - Published winners of every place
+ * @returns {boolean} True if the seed matches its hash and the draw leads to the published winners
+ */
+const verifyDraw = ({ seedHash, serverSeed, clientSeed, entries, winnerId, winners }) => {
+    if (hashSeed(serverSeed) !== seedHash) {
+        return false;
+    }
+    const publishedWinners = winners ? winners.map(winner => winner.userId) : [winnerId];
+    const drawnWinners = drawWinners(serverSeed, clientSeed, entries, publishedWinners.length)
+        .map(winner => winner.userId);
+
+    return drawnWinners[0] === winnerId
+        && drawnWinners.length === publishedWinners.length
+        && drawnWinners.every((userId, index) => userId === publishedWinners[index]);
+};
+
+module.exports = {
+    generateServerSeed,
+    hashSeed,
+    buildEntries,
+    buildClientSeed,
+    calculateRoll,
+    findWinner,
+    drawWinners,
+    draw,
+    verifyDraw
+};
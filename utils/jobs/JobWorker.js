@@ -0,0 +1,68 @@
+const os = require('os');
+const { scheduledJobService } = require('../../service');
+const { JOB_CONFIG } = require('../../constants');
+
+/**
+ * Polls the scheduled job table and runs due jobs
+ * Every API process runs its own worker; jobs are claimed with row locks (see ScheduledJobService.claimDueJobs),
+ * so each job is processed by only one of them
+ */
+class JobWorker {
+
+    /**
+     * @param {string} [workerId] - ID recorded on claimed jobs, unique per process
+     */
+    constructor(workerId = `${os.hostname()}:${process.pid}`) {
+        this.workerId = workerId;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Starts polling right away
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.schedulePoll(0);
+    }
+
+    /**
+     * Stops polling; a batch that is already running finishes first
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Schedules the next poll
+     * @param {number} delay - Delay in milliseconds
+     */
+    schedulePoll(delay) {
+        this.timer = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Runs due jobs until a batch comes back short, then waits for the next poll
+     */
+    async poll() {
+        try {
+            let claimed;
+            do {
+                claimed = await scheduledJobService.runDueJobs(this.workerId);
+            } while (this.running && claimed >= JOB_CONFIG.BATCH_SIZE);
+        } catch (error) {
+            console.error('Error in scheduled job worker:', error);
+        }
+
+        if (this.running) {
+            this.schedulePoll(JOB_CONFIG.POLL_INTERVAL_MS);
+        }
+    }
+}
+
+module.exports = new JobWorker();
@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { AUTH_CONFIG } = require('../constants');
+const { AUTH_CONFIG, USER_ROLES } = require('../constants');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'some_secret_key';
 const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'refresh_secret_key';
@@ -11,6 +11,7 @@ const generateToken = (user) => {
         id: user.id,
         email: user.email,
         username: user.username,
+        role: user.role || USER_ROLES.USER,
     };
 
     return jwt.sign(payload, JWT_SECRET, { expiresIn: AUTH_CONFIG.JWT_EXPIRES_IN });
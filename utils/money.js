@@ -0,0 +1,88 @@
+/**
+ * Money arithmetic helpers
+ * Amounts are stored as DECIMAL(15,2) and handled in JS as numbers with at most two decimals.
+ * Every calculation is done in integer cents so results never drift by floating point errors
+ */
+
+const CENTS_PER_UNIT = 100;
+const BASIS_POINTS = 10000;
+
+/**
+ * Converts an amount to integer cents
+ * Accepts numbers and numeric strings (as returned for DECIMAL columns by some drivers)
+ * @param {number|string} amount - Amount in currency units
+ * @returns {number} Integer amount in cents
+ */
+const toCents = (amount) => Math.round(Number(amount || 0) * CENTS_PER_UNIT);
+
+/**
+ * Converts integer cents back to currency units
+ * @param {number} cents - Integer amount in cents
+ * @returns {number} Amount in currency units
+ */
+const fromCents = (cents) => cents / CENTS_PER_UNIT;
+
+/**
+ * Rounds any amount to whole cents
+ * @param {number|string} amount - Amount in currency units
+ * @returns {number} Amount with at most two decimals
+ */
+const normalize = (amount) => fromCents(toCents(amount));
+
+/**
+ * Adds two amounts
+ * @param {number} a - First amount
+ * @param {number} b - Second amount
+ * @returns {number} Exact sum
+ */
+const add = (a, b) => fromCents(toCents(a) + toCents(b));
+
+/**
+ * Subtracts one amount from another
+ * @param {number} a - Amount to subtract from
+ * @param {number} b - Amount to subtract
+ * @returns {number} Exact difference (may be negative)
+ */
+const subtract = (a, b) => fromCents(toCents(a) - toCents(b));
+
+/**
+ * Sums a list of amounts
+ * @param {number[]} amounts - Amounts to add up
+ * @returns {number} Exact total
+ */
+const sum = (amounts) => fromCents(amounts.reduce((total, amount) => total + toCents(amount), 0));
+
+/**
+ * Takes a share of an amount, rounded down to whole cents
+ * The rate is applied in basis points so the multiplication stays in integers
+ * @param {number} amount - Base amount
+ * @param {number} rate - Share as a fraction (e.g. 0.96)
+ * @returns {number} Share of the amount, never more than the exact value
+ */
+const percentageOf = (amount, rate) => {
+    const rateBasisPoints = Math.round(rate * BASIS_POINTS);
+    return fromCents(Math.floor(toCents(amount) * rateBasisPoints / BASIS_POINTS));
+};
+
+/**
+ * Checks that a value is a finite amount with no more than two decimals
+ * @param {number} amount - Amount to check
+ * @returns {boolean} True if the amount can be stored without rounding
+ */
+const hasValidPrecision = (amount) => {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+        return false;
+    }
+    return Math.abs(amount * CENTS_PER_UNIT - toCents(amount)) < 1e-6;
+};
+
+module.exports = {
+    toCents,
+    fromCents,
+    normalize,
+    add,
+    subtract,
+    sum,
+    percentageOf,
+    hasValidPrecision
+};
@@ -0,0 +1,69 @@
+/**
+ * Relay-style cursor pagination helpers
+ * A cursor is an opaque base64 string holding the sort order, the sort value and the ID of an item;
+ * the next page starts after that item, so pages stay stable while new items are added
+ */
+
+/**
+ * Encodes the position of an item in a sorted list
+ * @param {string} orderBy - Sort order the position belongs to
+ * @param {*} value - Sort value of the item (dates are stored in ISO format)
+ * @param {number} id - ID of the item, which breaks ties between equal sort values
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (orderBy, value, id) => {
+    const sortValue = value instanceof Date ? value.toISOString() : value;
+    return Buffer.from(JSON.stringify([orderBy, sortValue, id])).toString('base64');
+};
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {string} orderBy - Sort order the cursor must belong to
+ * @returns {{value: *, id: number}} Sort value and ID of the item the cursor points to
+ * @throws {Error} If the cursor is malformed or belongs to another sort order
+ */
+const decodeCursor = (cursor, orderBy) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch (e) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!Array.isArray(decoded) || decoded.length !== 3 || !Number.isInteger(decoded[2])) {
+        throw new Error('Invalid cursor');
+    }
+    if (decoded[0] !== orderBy) {
+        throw new Error(`Cursor does not belong to the ${orderBy} order`);
+    }
+    return { value: decoded[1], id: decoded[2] };
+};
+
+/**
+ * Builds a connection from a page fetched with one extra item, which tells whether there is a next page
+ * @param {Object[]} items - Items of the page, at most first + 1
+ * @param {number} first - Requested page size
+ * @param {Function} toCursor - (item) => cursor of the item
+ * @param {boolean} [hasPreviousPage=false] - Whether the page starts after a cursor
+ * @returns {{edges: {cursor: string, node: Object}[], pageInfo: Object}} Connection
+ */
+const buildConnection = (items, first, toCursor, hasPreviousPage = false) => {
+    const edges = items.slice(0, first).map(item => ({ cursor: toCursor(item), node: item }));
+
+    return {
+        edges,
+        pageInfo: {
+            hasNextPage: items.length > first,
+            hasPreviousPage,
+            startCursor: edges.length > 0 ? edges[0].cursor : null,
+            endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+        }
+    };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    buildConnection
+};
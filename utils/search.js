@@ -0,0 +1,85 @@
+const { SEARCH_CONFIG } = require('../constants/application');
+
+/**
+ * Splits a search query into the words that are searched for
+ * @param {string} query - Search query
+ * @returns {string[]} Unique lowercase words, at most SEARCH_CONFIG.MAX_TERMS
+ */
+const tokenize = (query) => {
+    const words = (query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return [...new Set(words)].slice(0, SEARCH_CONFIG.MAX_TERMS);
+};
+
+/**
+ * Finds where the search words appear in a text, at the start of a word like the FULLTEXT search matches them
+ * Positions are those of the original text; lowercasing can change its length, so it is matched case-insensitively
+ * Overlapping and adjacent matches are merged into one range
+ * @param {string} text - Searched text
+ * @param {string[]} terms - Lowercase words from tokenize
+ * @returns {{start: number, length: number}[]} Matched ranges, in order
+ */
+const findMatches = (text, terms) => {
+    const ranges = [];
+
+    terms.forEach(term => {
+        // Terms hold only letters and digits, so they need no escaping
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${term}`, 'giu');
+        for (const match of text.matchAll(pattern)) {
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+    });
+    ranges.sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    });
+    return merged.map(({ start, end }) => ({ start, length: end - start }));
+};
+
+/**
+ * Cuts a snippet around the first match of the search words
+ * Match positions are relative to the snippet; a cut text starts or ends with an ellipsis
+ * @param {string} text - Searched text
+ * @param {string[]} terms - Lowercase words from tokenize
+ * @param {number} [maxLength=SEARCH_CONFIG.SNIPPET_LENGTH] - Characters of the text kept in the snippet
+ * @returns {{snippet: string, matches: {start: number, length: number}[]}|null} Snippet or null if nothing matched
+ */
+const highlight = (text, terms, maxLength = SEARCH_CONFIG.SNIPPET_LENGTH) => {
+    if (!text || terms.length === 0) {
+        return null;
+    }
+
+    const matches = findMatches(text, terms);
+    if (matches.length === 0) {
+        return null;
+    }
+
+    // Keep a quarter of the snippet before the first match for context
+    const from = text.length <= maxLength
+        ? 0
+        : Math.max(0, Math.min(matches[0].start - Math.floor(maxLength / 4), text.length - maxLength));
+    const to = Math.min(text.length, from + maxLength);
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+
+    return {
+        snippet: prefix + text.slice(from, to) + suffix,
+        matches: matches
+            .filter(match => match.start >= from && match.start < to)
+            .map(match => ({
+                start: match.start - from + prefix.length,
+                length: Math.min(match.length, to - match.start)
+            }))
+    };
+};
+
+module.exports = {
+    tokenize,
+    highlight
+};
@@ -1,10 +1,13 @@
 const Joi = require("joi");
+const { conditionEvaluators } = require('../../utils/eventCondition/conditionEvaluators');
 
+// The value format and allowed operators depend on the condition type; EventService checks them
+// against the evaluator of the type so every problem is returned with its error code
 const createEndConditionSchema = Joi.object({
-    name: Joi.string().required(),
+    name: Joi.string().required().valid(...conditionEvaluators.types()),
     operator: Joi.string().required().valid('EQUALS', 'GREATER', 'LESS', 'GREATER_EQUALS', 'LESS_EQUALS'),
     value: Joi.string().required(),
     endConditionId:  Joi.number().required()
 });
 
-module.exports = createEndConditionSchema;
\ No newline at end of file
+module.exports = createEndConditionSchema;
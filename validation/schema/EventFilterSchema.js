@@ -0,0 +1,14 @@
+const Joi = require("joi");
+
+// Filters of the events feed (see EventService.findPage); GraphQL sends unset fields as null
+const eventFilterSchema = Joi.object({
+    type: Joi.string().valid('DONATION', 'FUNDRAISING', 'JACKPOT').allow(null),
+    status: Joi.string().allow(null),
+    creatorId: Joi.number().integer().allow(null),
+    recipientId: Joi.number().integer().allow(null),
+    endingWithinHours: Joi.number().integer().min(1).allow(null),
+    minBank: Joi.number().min(0).allow(null),
+    maxBank: Joi.number().min(0).allow(null)
+});
+
+module.exports = eventFilterSchema;
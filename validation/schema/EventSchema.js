@@ -1,4 +1,17 @@
 const Joi = require("joi");
+const { JACKPOT_CONFIG } = require('../../constants/eventPayouts');
+const { LOGICAL_OPERATORS } = require('../../constants/application');
+const createEndConditionSchema = require('./EndConditionSchema');
+
+// Conditions get their group ID when the event is created
+const endConditionSchema = createEndConditionSchema.fork(['endConditionId'], schema => schema.forbidden());
+
+// Nodes are either a condition or an operator with operands; arity and depth are checked by EventService
+const conditionExpressionSchema = Joi.object({
+    operator: Joi.string().valid(...Object.values(LOGICAL_OPERATORS)),
+    operands: Joi.array().items(Joi.link('#conditionExpression')),
+    condition: endConditionSchema
+}).xor('operator', 'condition').with('operator', 'operands').id('conditionExpression');
 
 const createEventSchema = Joi.object({
     name: Joi.string().required().min(3).max(100),
@@ -7,16 +20,14 @@ const createEventSchema = Joi.object({
     imageFile: Joi.string().required(), // base64 string of image
     userId: Joi.number().required(),
     recipientId: Joi.number().optional(),
+    prizeDistribution: Joi.array().items(Joi.number().positive()).min(1).max(JACKPOT_CONFIG.MAX_PRIZE_TIERS).optional(),
+    draft: Joi.boolean().optional(),
+    startsAt: Joi.date().iso().optional(),
     eventEndConditionGroups: Joi.array().items(
         Joi.object({
-            conditions: Joi.array().items(
-                Joi.object({
-                    name: Joi.string().required(),
-                    value: Joi.string().required(),
-                    operator: Joi.string().required()
-                })
-            ).required()
-        })
+            conditions: Joi.array().items(endConditionSchema),
+            expression: conditionExpressionSchema
+        }).xor('conditions', 'expression')
     ).required()
 });
 
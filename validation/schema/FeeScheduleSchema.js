@@ -0,0 +1,11 @@
+const Joi = require("joi");
+
+const feeScheduleSchema = Joi.object({
+    eventType: Joi.string().required().valid('DONATION', 'FUNDRAISING', 'JACKPOT'),
+    commissionRate: Joi.number().required().min(0).less(1),
+    randomnessCoefficient: Joi.number().min(0).less(1).allow(null),
+    minimumBaseTickets: Joi.number().integer().min(1).allow(null),
+    effectiveFrom: Joi.date().iso().allow(null)
+});
+
+module.exports = feeScheduleSchema;
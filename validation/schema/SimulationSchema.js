@@ -0,0 +1,23 @@
+const Joi = require("joi");
+const { VALIDATION_LIMITS } = require('../../constants/application');
+const createEventSchema = require('./EventSchema');
+
+// Nothing is uploaded when simulating, so the image can be left out
+const simulatedEventSchema = createEventSchema.fork(['imageFile'], schema => schema.optional());
+
+const simulationStepSchema = Joi.object({
+    type: Joi.string().required().valid('PARTICIPATION', 'TICK'),
+    at: Joi.date().iso().when('type', { is: 'TICK', then: Joi.required() }),
+    userId: Joi.number().when('type', { is: 'PARTICIPATION', then: Joi.required(), otherwise: Joi.forbidden() }),
+    deposit: Joi.number().positive().when('type', { is: 'PARTICIPATION', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const simulationSchema = Joi.object({
+    input: simulatedEventSchema.required(),
+    scenario: Joi.object({
+        startsAt: Joi.date().iso().optional(),
+        steps: Joi.array().items(simulationStepSchema).min(1).max(VALIDATION_LIMITS.SIMULATION_MAX_STEPS).required()
+    }).required()
+});
+
+module.exports = simulationSchema;
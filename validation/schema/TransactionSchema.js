@@ -1,9 +1,14 @@
 const Joi = require("joi");
 
+const EVENT_TYPES = ['EVENT_INCOME', 'EVENT_OUTCOME'];
+
 const createTransactionSchema = Joi.object({
     amount: Joi.number().required(),
     type: Joi.string().required().valid('BALANCE_INCOME', 'BALANCE_OUTCOME', 'EVENT_INCOME', 'EVENT_OUTCOME', 'GIFT'),
     userId: Joi.number().required(),
+    // Only event transactions move money through an event escrow
+    eventId: Joi.number().integer().positive()
+        .when('type', { is: Joi.valid(...EVENT_TYPES), then: Joi.required(), otherwise: Joi.forbidden() }),
 });
 
-module.exports = createTransactionSchema;
\ No newline at end of file
+module.exports = createTransactionSchema;
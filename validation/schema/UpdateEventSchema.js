@@ -0,0 +1,19 @@
+const Joi = require("joi");
+const { JACKPOT_CONFIG } = require('../../constants/eventPayouts');
+
+const updateEventSchema = Joi.object({
+    name: Joi.string().min(3).max(100),
+    description: Joi.string().min(15).max(1000),
+    imageFile: Joi.string(), // base64 string of image
+    removeImage: Joi.boolean(),
+    recipientId: Joi.number(),
+    prizeDistribution: Joi.array().items(Joi.number().positive()).min(1).max(JACKPOT_CONFIG.MAX_PRIZE_TIERS),
+    deadlines: Joi.array().items(
+        Joi.object({
+            conditionId: Joi.number().required(),
+            value: Joi.date().iso().required()
+        })
+    )
+});
+
+module.exports = updateEventSchema;